@@ -0,0 +1,160 @@
+// Research agent for agent mode in /api/chat
+// The model may call server-side tools (see tools.js) before answering, all within one
+// request. Each round of tool calls is a step; once the step limit or the token budget
+// is used up the model gets one last call with tools disabled and must answer with
+// what it has gathered.
+const llm = require('../llm');
+const { validateToolInput } = require('./tools');
+
+const DEFAULT_MAX_STEPS = 5;
+const MAX_STEPS_LIMIT = 10;
+const DEFAULT_TOKEN_BUDGET = 20000;
+const MAX_TOKEN_BUDGET = 100000;
+// Tool calls run per step; extra calls in the same step are answered with an error
+const MAX_CALLS_PER_STEP = 4;
+// Characters of a tool result sent back to the model (tools truncate their own text first)
+const MAX_RESULT_CHARS = 12000;
+
+const clamp = (value, fallback, max) => {
+  const number = parseInt(value);
+  if (!Number.isFinite(number) || number < 1) return fallback;
+  return Math.min(number, max);
+};
+
+/**
+ * Step limit and token budget for a request: request values, capped, falling back to
+ * AGENT_MAX_STEPS / AGENT_TOKEN_BUDGET
+ * @returns {Object} { maxSteps, tokenBudget }
+ */
+function resolveAgentLimits({ maxSteps, tokenBudget } = {}) {
+  const defaultSteps = clamp(process.env.AGENT_MAX_STEPS, DEFAULT_MAX_STEPS, MAX_STEPS_LIMIT);
+  const defaultBudget = clamp(process.env.AGENT_TOKEN_BUDGET, DEFAULT_TOKEN_BUDGET, MAX_TOKEN_BUDGET);
+
+  return {
+    maxSteps: clamp(maxSteps, defaultSteps, defaultSteps),
+    tokenBudget: clamp(tokenBudget, defaultBudget, defaultBudget)
+  };
+}
+
+/**
+ * Run one tool call, never throwing: failures become an error result for the model
+ * @private
+ * @returns {Promise<Object>} { content, isError, record, contentIds }
+ */
+async function runToolCall(call, tool, step) {
+  const startedAt = Date.now();
+  const record = { step, id: call.id, tool: call.name, input: call.input, ok: false };
+
+  try {
+    if (!tool) throw new Error(`Unknown tool "${call.name}"`);
+
+    const problems = validateToolInput(tool, call.input);
+    if (problems.length > 0) throw new Error(`Invalid input: ${problems.join('; ')}`);
+
+    const result = await tool.run(call.input);
+    const content = JSON.stringify(result.data);
+
+    Object.assign(record, { ok: true, summary: result.summary, durationMs: Date.now() - startedAt });
+    console.log(`🛠️ Agent step ${step}: ${call.name} → ${result.summary} (${record.durationMs}ms)`);
+
+    return {
+      content: content.length > MAX_RESULT_CHARS ? `${content.substring(0, MAX_RESULT_CHARS)}…` : content,
+      isError: false,
+      record,
+      contentIds: result.contentIds || []
+    };
+  } catch (error) {
+    Object.assign(record, { error: error.message, durationMs: Date.now() - startedAt });
+    console.log(`⚠️ Agent step ${step}: ${call.name} failed: ${error.message}`);
+
+    return { content: `Error: ${error.message}`, isError: true, record, contentIds: [] };
+  }
+}
+
+/**
+ * Answer a chat turn, letting the model call tools first
+ * @param {Object} options
+ * @param {Array<Object>} options.messages - History plus the user's prompt, as for llm.complete
+ * @param {string} options.system - System prompt
+ * @param {Array<Object>} options.tools - From createResearchTools
+ * @param {Object} options.userSettings - For model selection
+ * @param {number} options.maxSteps - Rounds of tool calls allowed
+ * @param {number} options.tokenBudget - Input + output tokens after which tools are disabled
+ * @param {number} options.maxTokens - Output tokens per model call
+ * @param {Function} options.onToolCall - Called with each tool call record as it finishes
+ * @param {AbortSignal} options.signal
+ * @returns {Promise<Object>} { text, toolCalls, steps, stopReason, usage, contentIds, provider, model }
+ *   stopReason is 'answered', 'max_steps' or 'token_budget'
+ * @throws {LLMError}
+ */
+async function runAgent(options) {
+  const { system, tools, userSettings, maxSteps, tokenBudget, maxTokens, onToolCall, signal } = options;
+  const toolsByName = new Map(tools.map(tool => [tool.name, tool]));
+  const definitions = tools.map(({ name, description, inputSchema }) => ({ name, description, inputSchema }));
+
+  const messages = [...options.messages];
+  const usage = { inputTokens: 0, outputTokens: 0 };
+  const toolCalls = [];
+  const contentIds = new Set();
+  let steps = 0;
+  let stopReason = 'answered';
+
+  while (true) {
+    if (steps >= maxSteps) stopReason = 'max_steps';
+    else if (usage.inputTokens + usage.outputTokens >= tokenBudget) stopReason = 'token_budget';
+    const finalCall = stopReason !== 'answered';
+
+    const result = await llm.complete({
+      route: 'chat-agent',
+      userSettings,
+      system,
+      messages,
+      tools: definitions,
+      toolChoice: finalCall ? 'none' : 'auto',
+      maxTokens,
+      signal
+    });
+
+    usage.inputTokens += result.usage?.inputTokens || 0;
+    usage.outputTokens += result.usage?.outputTokens || 0;
+
+    if (finalCall || !result.toolCalls?.length) {
+      console.log(`🤖 Agent answered by ${result.provider}:${result.model} after ${steps} step(s) (${stopReason}, ${usage.inputTokens + usage.outputTokens} tokens)`);
+      return {
+        text: result.text,
+        toolCalls,
+        steps,
+        stopReason,
+        usage,
+        contentIds: [...contentIds],
+        provider: result.provider,
+        model: result.model
+      };
+    }
+
+    steps++;
+    messages.push({ role: 'assistant', content: result.text, toolCalls: result.toolCalls });
+
+    // Every call needs a result in the next turn, including the ones we refuse to run
+    for (const [index, call] of result.toolCalls.entries()) {
+      const outcome = index < MAX_CALLS_PER_STEP
+        ? await runToolCall(call, toolsByName.get(call.name), steps)
+        : {
+          content: `Error: at most ${MAX_CALLS_PER_STEP} tool calls per step`,
+          isError: true,
+          record: { step: steps, id: call.id, tool: call.name, input: call.input, ok: false, error: 'Skipped: too many calls in one step', durationMs: 0 },
+          contentIds: []
+        };
+
+      messages.push({ role: 'tool', toolCallId: call.id, content: outcome.content, isError: outcome.isError });
+      outcome.contentIds.forEach(id => contentIds.add(id));
+      toolCalls.push(outcome.record);
+      if (onToolCall) onToolCall(outcome.record);
+    }
+  }
+}
+
+module.exports = {
+  runAgent,
+  resolveAgentLimits
+};
@@ -0,0 +1,123 @@
+// Fetching URLs chosen by the model
+// The model picks the URL, and a saved page could try to steer it at the server's own
+// network, so every hop must resolve to public addresses only: the host is looked up
+// before each request and redirects are followed by hand, each one checked again.
+const dns = require('dns').promises;
+const net = require('net');
+
+const MAX_REDIRECTS = 5;
+
+// Loopback, private, link-local (incl. cloud metadata), shared and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is off limits
+ * IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked as IPv4.
+ * @param {string} address
+ * @returns {boolean} true for private, loopback, link-local and reserved addresses
+ */
+const isPrivateAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPrivateAddress(mapped[1]);
+
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Cheap check on the URL itself: http(s), and no local or private host name or literal
+ * @param {string} value
+ * @returns {boolean}
+ */
+const isPublicHttpUrl = (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return false;
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return false;
+
+  const host = url.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local') || host.endsWith('.internal')) return false;
+  if (net.isIP(host)) return !isPrivateAddress(host);
+
+  return true;
+};
+
+/**
+ * Check a URL and every address its host resolves to
+ * @param {string} value
+ * @param {Function} lookup - dns.promises.lookup, replaceable in tests
+ * @throws {Error} When the URL or any of its addresses is not public
+ */
+async function assertPublicUrl(value, lookup = dns.lookup) {
+  if (!isPublicHttpUrl(value)) throw new Error('url must be a public http(s) address');
+
+  const host = new URL(value).hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) return;
+
+  let addresses;
+  try {
+    addresses = await lookup(host, { all: true });
+  } catch (error) {
+    throw new Error(`Could not resolve ${host}`);
+  }
+
+  if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error('url must be a public http(s) address');
+  }
+}
+
+/**
+ * fetch() for model-chosen URLs: each hop is checked with assertPublicUrl
+ * @param {string} url
+ * @param {Object} options - fetch options; redirect is always handled here
+ * @param {Object} deps - { fetch, lookup }, replaceable in tests
+ * @returns {Promise<Response>} The first non-redirect response
+ * @throws {Error} For a non-public hop or more than MAX_REDIRECTS redirects
+ */
+async function fetchPublicUrl(url, options = {}, { fetch: fetchImpl = fetch, lookup = dns.lookup } = {}) {
+  let current = url;
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    await assertPublicUrl(current, lookup);
+
+    const response = await fetchImpl(current, { ...options, redirect: 'manual' });
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) return response;
+
+    await response.body?.cancel();
+    current = new URL(location, current).toString();
+  }
+
+  throw new Error(`Too many redirects (more than ${MAX_REDIRECTS})`);
+}
+
+module.exports = {
+  isPrivateAddress,
+  isPublicHttpUrl,
+  assertPublicUrl,
+  fetchPublicUrl
+};
@@ -0,0 +1,216 @@
+// Tools the research agent can call
+// Each tool has a JSON Schema for its input (sent to the model and checked before it runs)
+// and a run function that returns { data, summary, contentIds }: data goes back to the
+// model, summary is shown to the client, contentIds are saved items the answer may cite.
+const { validateSchema } = require('../llm/json-schema');
+const { resolveContentFilters } = require('../content-processing/content-filters');
+const { assertPublicUrl, fetchPublicUrl } = require('./public-fetch');
+
+// Characters of item or PDF text handed back to the model per call
+const MAX_TEXT_CHARS = 8000;
+const MAX_EXCERPT_CHARS = 400;
+const SEARCH_RESULT_LIMIT = 5;
+const DEFAULT_RECENT_LIMIT = 10;
+const MAX_RECENT_LIMIT = 25;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Filter properties shared by the library tools
+const FILTER_PROPERTIES = {
+  days: { type: 'integer', description: 'Only items saved in the last N days (default 30)' },
+  type: { type: 'string', description: 'Only items of this type, e.g. "bookmark" or "insight"' },
+  domain: { type: 'string', description: 'Only items from this website, e.g. "example.com"' }
+};
+
+const truncate = (text, maxChars) => {
+  const value = text || '';
+  if (value.length <= maxChars) return { text: value, truncated: false };
+  return { text: `${value.substring(0, maxChars)}…`, truncated: true };
+};
+
+// Best matching passages, or the item preview when the match came from the item itself
+const excerptsFor = (match) => {
+  if (match.passages?.length) {
+    return match.passages.slice(0, 2).map(passage => truncate(passage.text, MAX_EXCERPT_CHARS).text);
+  }
+  return match.preview ? [truncate(match.preview, MAX_EXCERPT_CHARS).text] : [];
+};
+
+const toDate = (timestamp) => (timestamp ? new Date(timestamp).toISOString().split('T')[0] : null);
+
+const filtersFrom = (input) => {
+  const { filters, error } = resolveContentFilters(input);
+  if (error) throw new Error(error);
+  return filters;
+};
+
+/**
+ * Build the tools for one request
+ * Tools are only offered to signed-in users (deps.userId set): anonymous agent runs get none,
+ * so they cannot make the server fetch URLs.
+ * @param {Object} deps
+ * @param {string|null} deps.userId
+ * @param {Function} deps.searchLibrary - async (query, filters) → ranked items (findStoredMatches)
+ * @param {Function} deps.getItem - async (contentId) → { success, content, error }
+ * @param {Function} deps.listRecent - async (filters, limit) → { success, content, error }
+ * @param {Function} deps.extractPdf - async (url, { fetch }) → PDFExtractor result; the download must use fetch
+ * @returns {Array<Object>} [{ name, description, inputSchema, run(input) }]
+ */
+function createResearchTools(deps) {
+  const libraryTools = [
+    {
+      name: 'search_library',
+      description: 'Search the user\'s saved pages, bookmarks and insights by meaning and keywords. Returns the best matches with ids and short excerpts.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', minLength: 1, description: 'What to look for' },
+          ...FILTER_PROPERTIES,
+          entities: {
+            type: 'array',
+            items: { type: 'string' },
+            maxItems: 5,
+            description: 'Only items mentioning all of these people, organizations, products or places, e.g. ["Anthropic"]'
+          }
+        },
+        required: ['query'],
+        additionalProperties: false
+      },
+      async run(input) {
+        const matches = (await deps.searchLibrary(input.query, filtersFrom(input))).slice(0, SEARCH_RESULT_LIMIT);
+
+        return {
+          data: {
+            results: matches.map(match => ({
+              id: match.id,
+              title: match.title,
+              type: match.type,
+              url: match.source_url || match.source?.url || null,
+              savedOn: toDate(match.timestamp),
+              score: Number((match.score || 0).toFixed(3)),
+              excerpts: excerptsFor(match)
+            }))
+          },
+          summary: `${matches.length} match(es) for "${input.query}"`,
+          contentIds: matches.map(match => match.id)
+        };
+      }
+    },
+    {
+      name: 'get_saved_item',
+      description: 'Open one saved item by id (from search_library or list_recent_content) and read its full text.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', minLength: 1, description: 'Saved item id' }
+        },
+        required: ['id'],
+        additionalProperties: false
+      },
+      async run(input) {
+        if (!UUID_PATTERN.test(input.id)) throw new Error('id must be a saved item id from a previous tool result');
+
+        const result = await deps.getItem(input.id);
+        if (!result.success) throw new Error(result.error || 'Failed to load the item');
+        if (!result.content) throw new Error('No saved item with that id');
+
+        const item = result.content;
+        const body = truncate(item.text, MAX_TEXT_CHARS);
+
+        return {
+          data: {
+            id: item.id,
+            title: item.title,
+            type: item.type,
+            url: item.url,
+            savedOn: toDate(item.timestamp),
+            text: body.text,
+            truncated: body.truncated
+          },
+          summary: `Opened "${item.title}"`,
+          contentIds: [item.id]
+        };
+      }
+    },
+    {
+      name: 'list_recent_content',
+      description: 'List what the user saved recently, newest first, optionally filtered by type or website.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          ...FILTER_PROPERTIES,
+          limit: { type: 'integer', description: `How many items to return (default ${DEFAULT_RECENT_LIMIT}, at most ${MAX_RECENT_LIMIT})` }
+        },
+        additionalProperties: false
+      },
+      async run(input) {
+        const filters = filtersFrom(input);
+        const limit = Math.min(Math.max(input.limit || DEFAULT_RECENT_LIMIT, 1), MAX_RECENT_LIMIT);
+
+        const result = await deps.listRecent(filters, limit);
+        if (!result.success) throw new Error(result.error || 'Failed to load recent content');
+
+        return {
+          data: {
+            items: result.content.map(item => ({
+              id: item.id,
+              title: item.title,
+              type: item.type,
+              url: item.source_url || null,
+              savedOn: toDate(item.timestamp),
+              preview: truncate(item.preview, MAX_EXCERPT_CHARS).text
+            }))
+          },
+          summary: `${result.content.length} recent item(s) from the last ${filters.days} days`,
+          contentIds: result.content.map(item => item.id)
+        };
+      }
+    }
+  ];
+
+  const pdfTool = {
+    name: 'extract_pdf',
+    description: 'Download a PDF from a public URL and read its text.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        url: { type: 'string', minLength: 1, description: 'Direct link to the PDF' }
+      },
+      required: ['url'],
+      additionalProperties: false
+    },
+    async run(input) {
+      await assertPublicUrl(input.url);
+
+      const result = await deps.extractPdf(input.url, { fetch: fetchPublicUrl });
+      if (!result.success) throw new Error(result.error || 'Failed to extract PDF content');
+
+      const body = truncate(result.text, MAX_TEXT_CHARS);
+
+      return {
+        data: {
+          url: input.url,
+          title: result.metadata?.info?.Title || null,
+          pages: result.metadata?.pages || null,
+          text: body.text,
+          truncated: body.truncated
+        },
+        summary: `Read ${result.metadata?.pages || '?'} page(s) from ${new URL(input.url).hostname}`,
+        contentIds: []
+      };
+    }
+  };
+
+  return deps.userId ? [...libraryTools, pdfTool] : [];
+}
+
+/**
+ * Validate a tool call's input against the tool's schema
+ * @returns {Array<string>} Problems found, empty when valid
+ */
+const validateToolInput = (tool, input) => validateSchema(input, tool.inputSchema, 'input');
+
+module.exports = {
+  createResearchTools,
+  validateToolInput
+};
@@ -85,7 +85,7 @@ router.post('/check-duplicates', authenticate, async (req, res) => {
 // Create import batch
 router.post('/import-batch', authenticate, async (req, res) => {
   try {
-    const { totalBookmarks, options } = req.body;
+    const { totalBookmarks } = req.body;
     const userId = req.user.id;
 
     console.log(`📦 Creating import batch for user ${userId} with ${totalBookmarks} bookmarks`);
@@ -130,7 +130,7 @@ router.post('/import-batch', authenticate, async (req, res) => {
 // Import bookmarks
 router.post('/import', authenticate, async (req, res) => {
   try {
-    const { bookmarks, batchId, generateSummaries } = req.body;
+    const { bookmarks, batchId } = req.body;
     const userId = req.user.id;
 
     console.log(`📚 Importing ${bookmarks?.length || 0} bookmarks for batch ${batchId}`);
@@ -4,7 +4,6 @@
  * Designed to be modular, extensible, and data-driven
  */
 
-const { JSDOM } = require('jsdom');
 const BaseRules = require('./rules/base-rules');
 const EcommerceRules = require('./rules/ecommerce-rules');
 const SiteSpecificRules = require('./rules/site-specific');
@@ -2,8 +2,18 @@
  * Content Quality Scorer
  * Evaluates the quality of extracted content
  * Helps identify when cleaning needs improvement
+ * Word counts, sentence ends and stop words follow the content's language
  */
 
+const { detectLanguage, stopWordsFor } = require('../../../language');
+
+// Sentence-ending punctuation, including CJK, Arabic and Devanagari
+const SENTENCE_END = /[.!?。！？؟।]+/;
+const PUNCTUATION = /[.!?;:,。！？，、；：؟،।]/g;
+
+// Languages written without spaces between words: average characters per word
+const CHARS_PER_WORD = { zh: 1.5, ja: 2, th: 5 };
+
 class ContentScorer {
   constructor() {
     this.weights = {
@@ -18,14 +28,16 @@ class ContentScorer {
   /**
    * Score content quality on a scale of 0-100
    * @param {string} content - The content to score
+   * @param {Object} options - language (ISO 639-1), detected from the content when not given
    * @returns {Object} Score breakdown and overall score
    */
-  scoreContent(content) {
+  scoreContent(content, options = {}) {
     try {
+      const language = options.language || detectLanguage(content).language;
       const scores = {
-        length: this._scoreLengthQuality(content),
+        length: this._scoreLengthQuality(content, language),
         structure: this._scoreStructuralQuality(content),
-        readability: this._scoreReadabilityQuality(content),
+        readability: this._scoreReadabilityQuality(content, language),
         uniqueness: this._scoreUniqueness(content),
         formatting: this._scoreFormattingQuality(content)
       };
@@ -37,8 +49,9 @@ class ContentScorer {
 
       return {
         overall: Math.round(overallScore),
+        language,
         breakdown: scores,
-        indicators: this._getQualityIndicators(content, scores),
+        indicators: this._getQualityIndicators(content, scores, language),
         recommendations: this._getRecommendations(scores)
       };
 
@@ -54,13 +67,23 @@ class ContentScorer {
     }
   }
 
+  /**
+   * Count words, estimating them from characters for languages written without spaces
+   * @private
+   */
+  _countWords(text, language) {
+    if (CHARS_PER_WORD[language]) {
+      return Math.round((text.match(/\p{L}/gu) || []).length / CHARS_PER_WORD[language]);
+    }
+    return text.split(/\s+/).length;
+  }
+
   /**
    * Score content length and substance
    * @private
    */
-  _scoreLengthQuality(content) {
-    const length = content.length;
-    const wordCount = content.split(/\s+/).length;
+  _scoreLengthQuality(content, language) {
+    const wordCount = this._countWords(content, language);
     
     // Too short content is usually not valuable
     if (wordCount < 50) return 10;
@@ -112,7 +135,7 @@ class ContentScorer {
     }
     
     // Check for lists (indicates structured content)
-    const lists = content.match(/^[-\*\+]\s+/gm) || content.match(/^\d+\.\s+/gm) || [];
+    const lists = content.match(/^[-*+]\s+/gm) || content.match(/^\d+\.\s+/gm) || [];
     if (lists.length > 0) score += 10;
     
     return Math.min(score, 100);
@@ -122,28 +145,28 @@ class ContentScorer {
    * Score readability and natural language flow
    * @private
    */
-  _scoreReadabilityQuality(content) {
+  _scoreReadabilityQuality(content, language) {
     let score = 0;
     
     // Remove markdown formatting for analysis
-    const plainText = content.replace(/[#\*\[\]`]/g, '').replace(/\n+/g, ' ').trim();
+    const plainText = content.replace(/[#*[\]`]/g, '').replace(/\n+/g, ' ').trim();
     
     if (!plainText) return 0;
     
     // Check sentence structure
-    const sentences = plainText.split(/[.!?]+/).filter(s => s.trim().length > 10);
+    const sentences = plainText.split(SENTENCE_END).filter(s => s.trim().length > 10);
     if (sentences.length >= 5) {
       score += 30;
       
       // Average sentence length (sweet spot is 15-25 words)
-      const avgSentenceLength = sentences.reduce((sum, s) => sum + s.split(' ').length, 0) / sentences.length;
+      const avgSentenceLength = sentences.reduce((sum, s) => sum + this._countWords(s.trim(), language), 0) / sentences.length;
       if (avgSentenceLength >= 10 && avgSentenceLength <= 30) score += 20;
       if (avgSentenceLength >= 15 && avgSentenceLength <= 25) score += 10; // Bonus for ideal range
     }
     
     // Check for proper punctuation distribution
-    const punctuationCount = (plainText.match(/[.!?;:,]/g) || []).length;
-    const wordCount = plainText.split(/\s+/).length;
+    const punctuationCount = (plainText.match(PUNCTUATION) || []).length;
+    const wordCount = this._countWords(plainText, language) || 1;
     const punctuationRatio = punctuationCount / wordCount;
     
     if (punctuationRatio >= 0.05 && punctuationRatio <= 0.2) score += 20; // Good punctuation density
@@ -156,11 +179,12 @@ class ContentScorer {
     if (starterVariety > 0.7) score += 15; // Good variety
     if (starterVariety > 0.8) score += 10; // Excellent variety
     
-    // Penalize repetitive content patterns
-    const words = plainText.toLowerCase().split(/\s+/);
+    // Penalize repetitive content patterns (not measurable without spaces between words)
+    const stopWords = stopWordsFor(language);
+    const words = CHARS_PER_WORD[language] ? [] : plainText.toLowerCase().split(/\s+/);
     const wordFreq = {};
     words.forEach(word => {
-      if (word.length > 3) { // Only check meaningful words
+      if (word.length > 3 && !stopWords.has(word)) { // Only check meaningful words
         wordFreq[word] = (wordFreq[word] || 0) + 1;
       }
     });
@@ -200,7 +224,7 @@ class ContentScorer {
     score -= duplicateRatio * 50;
     
     // Look for repeated phrases (like navigation items that slipped through)
-    const sentences = content.split(/[.!?]+/);
+    const sentences = content.split(SENTENCE_END);
     const shortSentences = sentences.filter(s => s.trim().length < 50 && s.trim().length > 5);
     const shortSentenceSet = new Set();
     let shortDuplicates = 0;
@@ -246,7 +270,7 @@ class ContentScorer {
     if (properParagraphs) score += 10;
     
     // Penalize excessive formatting (might indicate poor cleaning)
-    const formattingDensity = (content.match(/[*#`\[\]]/g) || []).length / content.length;
+    const formattingDensity = (content.match(/[*#`[\]]/g) || []).length / content.length;
     if (formattingDensity > 0.1) score -= 20; // Too much formatting
     
     return Math.min(score, 100);
@@ -256,8 +280,8 @@ class ContentScorer {
    * Get quality indicators for debugging
    * @private
    */
-  _getQualityIndicators(content, scores) {
-    const wordCount = content.split(/\s+/).length;
+  _getQualityIndicators(content, scores, language) {
+    const wordCount = this._countWords(content, language);
     const paragraphCount = content.split('\n\n').filter(p => p.trim().length > 20).length;
     const headingCount = (content.match(/^#+\s+/gm) || []).length;
     const linkCount = (content.match(/\[[^\]]+\]\([^)]+\)/g) || []).length;
@@ -270,7 +294,7 @@ class ContentScorer {
       linkCount,
       listItemCount,
       averageParagraphLength: paragraphCount > 0 ? Math.round(wordCount / paragraphCount) : 0,
-      formattingRatio: Math.round((content.match(/[*#`\[\]]/g) || []).length / content.length * 1000) / 10
+      formattingRatio: Math.round((content.match(/[*#`[\]]/g) || []).length / content.length * 1000) / 10
     };
   }
 
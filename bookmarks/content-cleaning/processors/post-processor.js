@@ -83,7 +83,7 @@ class PostProcessor {
     cleaned = cleaned.replace(/<figcaption[^>]*>(?:Advertisement|Sponsored|Ad)<\/figcaption>/gi, '');
     
     // Remove any divs with only whitespace or punctuation
-    cleaned = cleaned.replace(/<div[^>]*>[\s\|\.]*<\/div>/gi, '');
+    cleaned = cleaned.replace(/<div[^>]*>[\s|.]*<\/div>/gi, '');
     
     stats.steps.push('Removed remaining cruft');
     return cleaned;
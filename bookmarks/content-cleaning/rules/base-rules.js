@@ -106,6 +106,7 @@ class BaseRules {
 
   /**
    * Get text patterns to remove (applied to text content)
+   * English patterns come first in each group, then Spanish, French, German, Italian and Portuguese
    * @returns {Array} Array of regex patterns
    */
   getTextPatterns() {
@@ -117,20 +118,28 @@ class BaseRules {
       /^Share this article/i,
       /^Advertisement$/i,
       /^Sponsored content/i,
+      /^(Suscríbete a nuestro boletín|Abonnez-vous à notre newsletter|Newsletter abonnieren|Iscriviti alla newsletter|Assine nossa newsletter)/i,
+      /^(Síguenos en|Suivez-nous sur|Folgen Sie uns auf|Seguici su|Siga-nos n[oa])/i,
+      /^(Comparte este artículo|Partager cet article|Artikel teilen|Condividi questo articolo|Compartilhe este artigo)/i,
+      /^(Publicidad|Publicité|Anzeige|Werbung|Pubblicità|Publicidade)$/i,
       
       // Legal boilerplate
       /^This website uses cookies/i,
       /^By continuing to use this site/i,
       /^All rights reserved/i,
+      /^(Este sitio web utiliza cookies|Ce site utilise des cookies|Diese Website verwendet Cookies|Questo sito utilizza (i )?cookie|Este site utiliza cookies)/i,
+      /^(Todos los derechos reservados|Tous droits réservés|Alle Rechte vorbehalten|Tutti i diritti riservati|Todos os direitos reservados)/i,
       
       // Navigation breadcrumbs
       /^Home\s*>\s*/i,
+      /^(Inicio|Accueil|Startseite|Início)\s*>\s*/i,
       /^\s*>\s*$/,
       
       // Common empty content
       /^\s*\|\s*$/,
       /^\s*\.\.\.\s*$/,
-      /^\s*Loading\.\.\.\s*$/i
+      /^\s*Loading\.\.\.\s*$/i,
+      /^\s*(Cargando|Chargement|Wird geladen|Caricamento|Carregando)\.\.\.\s*$/i
     ];
   }
 
@@ -6,6 +6,13 @@ const { Readability } = require('@mozilla/readability');
 const ContentCleaner = require('./content-cleaning/index');
 const ContentTypeDetector = require('./content-type-detector');
 const PDFExtractor = require('../pdf-extractor');
+const { duplicateKeys, extractCanonicalUrl } = require('../content-processing/duplicate-detector');
+const { createAutoTagger } = require('../tagging');
+const { createEntityIndexer } = require('../entities');
+const { contentLanguage, extractDeclaredLanguage } = require('../language');
+const TagService = require('../supabase/tag-service');
+const EntityService = require('../supabase/entity-service');
+const SupabaseStorageService = require('../supabase/storage-service');
 
 class BookmarkContentFetcher {
   constructor() {
@@ -28,6 +35,12 @@ class BookmarkContentFetcher {
     
     // Initialize PDF extractor
     this.pdfExtractor = new PDFExtractor();
+
+    // Tags and indexes fetched content the same way as content saved through /api/storage/content
+    const storageService = new SupabaseStorageService();
+    const getSettings = async (userId) => (await storageService.getSettings(userId)).settings || null;
+    this.autoTagger = createAutoTagger({ tagService: new TagService(), getSettings });
+    this.entityIndexer = createEntityIndexer({ entityService: new EntityService(), getSettings });
   }
 
   // Start processing pending bookmarks for a user
@@ -214,13 +227,26 @@ class BookmarkContentFetcher {
           site_name: extractedData?.siteName,
           timestamp: Date.now(),
           is_readable: contentType === 'article',
-          metadata: extractedData  // NEW: Store all extracted metadata
+          metadata: extractedData,  // NEW: Store all extracted metadata
+          ...duplicateKeys({
+            url: bookmark.url,
+            canonicalUrl: extractCanonicalUrl(html, bookmark.url),
+            text: finalContent
+          }),
+          ...contentLanguage({
+            title: extractedData?.title || bookmark.title,
+            text: finalContent,
+            declared: extractDeclaredLanguage(html)
+          })
         })
         .select()
         .single();
 
       if (contentError) throw contentError;
 
+      this.autoTagger.tagInBackground(bookmark.user_id, content);
+      this.entityIndexer.indexInBackground(bookmark.user_id, content);
+
       // Update bookmark with content reference
       await this.supabase
         .from('imported_bookmarks')
@@ -286,13 +312,18 @@ class BookmarkContentFetcher {
               extractionMethod: pdfResult.metadata.extractionMethod,
               extractedAt: new Date().toISOString()
             }
-          }
+          },
+          ...duplicateKeys({ url: bookmark.url, text: pdfResult.text }),
+          ...contentLanguage({ title: pdfResult.metadata?.info?.Title || bookmark.title, text: pdfResult.text })
         })
         .select()
         .single();
 
       if (contentError) throw contentError;
 
+      this.autoTagger.tagInBackground(bookmark.user_id, content);
+      this.entityIndexer.indexInBackground(bookmark.user_id, content);
+
       // Update bookmark with content reference
       await this.supabase
         .from('imported_bookmarks')
@@ -1,15 +1,12 @@
 /**
  * Content Type Detector
- * Uses Claude Haiku to classify webpage content for appropriate processing
+ * Uses a fast LLM to classify webpage content for appropriate processing
  */
 
+const llm = require('../llm');
+const { renderPrompt } = require('../prompts');
+
 class ContentTypeDetector {
-  constructor() {
-    this.anthropicApiKey = process.env.ANTHROPIC_API_KEY;
-    if (!this.anthropicApiKey) {
-      console.warn('⚠️ ANTHROPIC_API_KEY not set - LLM detection will fallback to URL patterns');
-    }
-  }
 
   /**
    * Detect content type from URL and HTML snippet
@@ -29,40 +26,23 @@ class ContentTypeDetector {
         return urlType;
       }
 
-      // Use Claude Haiku for content-based detection
-      if (!this.anthropicApiKey) {
-        console.log('No API key, falling back to "other"');
-        return 'other';
-      }
-
+      // Use the LLM for content-based detection
       const prompt = this.buildPrompt(url, snippet);
       
-      const response = await fetch('https://api.anthropic.com/v1/messages', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': this.anthropicApiKey,
-          'anthropic-version': '2023-06-01'
-        },
-        body: JSON.stringify({
-          model: 'claude-3-5-haiku-20241022',
-          messages: [{
-            role: 'user',
-            content: prompt
-          }],
-          system: 'You are a webpage classifier. Respond with ONLY one word: article, product, social, video, or other.',
-          max_tokens: 10,
+      let type;
+      try {
+        const result = await llm.complete({
+          route: 'content-type-detection',
+          prompt: prompt.text,
+          system: prompt.system,
+          maxTokens: 10,
           temperature: 0
-        })
-      });
-
-      if (!response.ok) {
-        console.error('Anthropic API error:', response.status);
+        });
+        type = result.text.toLowerCase();
+      } catch (error) {
+        console.error('LLM content type detection error:', error.message);
         return 'other';
       }
-
-      const data = await response.json();
-      const type = data.content[0].text.trim().toLowerCase();
       
       // Validate response
       const validTypes = ['article', 'product', 'social', 'video', 'other'];
@@ -142,21 +122,7 @@ class ContentTypeDetector {
    * @private
    */
   buildPrompt(url, snippet) {
-    return `Classify this webpage into ONE category:
-    
-Categories:
-- article: news articles, blog posts, documentation, tutorials, essays
-- product: e-commerce product pages, shopping items, things for sale
-- social: social media posts, tweets, reddit threads, forum discussions
-- video: video content pages, streaming platforms
-- other: anything that doesn't fit above categories
-
-URL: ${url}
-
-HTML snippet:
-${snippet}
-
-Respond with ONLY the category word.`;
+    return renderPrompt('content-type-detection', { url, snippet });
   }
 
   /**
@@ -0,0 +1,195 @@
+// Compare-and-contrast of saved items (/api/compare)
+// The content-comparison prompt sees each item as a numbered source ([S1]..[Sn]); every claim,
+// position, unique point and table cell it returns names its source by number, and is mapped
+// back to the item's id here. Anything citing a source that wasn't in the prompt is dropped.
+const llm = require('../llm');
+const { renderPrompt } = require('../prompts');
+const { markdownText, escapeMarkdown, markdownLink } = require('../digest/render');
+
+const MIN_SOURCES = 2;
+const MAX_SOURCES = 6;
+const COMPARE_FORMATS = ['json', 'markdown'];
+const MAX_FOCUS_LENGTH = 300;
+// Source text in the prompt, shared evenly between the sources
+const PROMPT_CONTENT_CHARS = 36000;
+const COMPARE_MAX_TOKENS = 3000;
+
+const isContentId = (id) => typeof id === 'string' && /^[0-9a-f-]{36}$/i.test(id);
+
+/**
+ * Read and validate a compare request body
+ * @param {Object} body - contentIds, focus, format
+ * @returns {Object} { contentIds, focus, format, error }
+ */
+function validateCompareRequest(body = {}) {
+  const { contentIds, focus = null, format = 'json' } = body;
+  const fail = (error) => ({ contentIds: null, focus: null, format: null, error });
+
+  if (!Array.isArray(contentIds) || contentIds.length < MIN_SOURCES || contentIds.length > MAX_SOURCES) {
+    return fail(`contentIds must list ${MIN_SOURCES} to ${MAX_SOURCES} saved items`);
+  }
+  if (!contentIds.every(isContentId)) {
+    return fail('contentIds must be content ids');
+  }
+  if (new Set(contentIds).size !== contentIds.length) {
+    return fail('contentIds must not repeat an item');
+  }
+  if (focus !== null && (typeof focus !== 'string' || focus.length > MAX_FOCUS_LENGTH)) {
+    return fail(`focus must be a string of at most ${MAX_FOCUS_LENGTH} characters`);
+  }
+  if (!COMPARE_FORMATS.includes(format)) {
+    return fail(`format must be one of ${COMPARE_FORMATS.join(', ')}`);
+  }
+
+  return { contentIds, focus: focus?.trim() || null, format, error: null };
+}
+
+// Cut text to a length, at the last sentence end when there is one in the final fifth
+function truncateText(text, maxChars) {
+  if (text.length <= maxChars) return text;
+
+  const cut = text.slice(0, maxChars);
+  const sentenceEnd = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('? '), cut.lastIndexOf('! '));
+  return `${sentenceEnd > maxChars * 0.8 ? cut.slice(0, sentenceEnd + 1) : cut} […]`;
+}
+
+/**
+ * Compare saved items
+ * @param {Object} options
+ * @param {Array<Object>} options.sources - 2-6 items: { id, title, type, url, text (plain text) }
+ * @param {string} options.focus - What to compare them on, or null
+ * @param {Object} options.userSettings - For model selection and prompt overrides
+ * @returns {Promise<Object>} { sources, focus, summary, sharedClaims, disagreements, uniquePoints,
+ *   table, generatedAt, promptVersion, usage }; citations are content ids
+ * @throws {LLMError}
+ */
+async function buildComparison({ sources, focus = null, userSettings = null }) {
+  const charsPerSource = Math.floor(PROMPT_CONTENT_CHARS / sources.length);
+
+  const prompt = renderPrompt('content-comparison', {
+    sourceCount: sources.length,
+    focus: focus || 'Everything the sources cover',
+    sources: sources
+      .map((source, index) => `[S${index + 1}] ${source.title} (${source.type})\n${truncateText(source.text, charsPerSource) || '(no text saved)'}`)
+      .join('\n\n---\n\n')
+  }, { userSettings });
+
+  console.log(`⚖️ Comparing ${sources.length} item(s), ~${prompt.text.length} chars`);
+
+  const result = await llm.completeJson({
+    route: 'content-comparison',
+    userSettings,
+    prompt: prompt.text,
+    system: prompt.system,
+    schema: prompt.schema,
+    maxTokens: COMPARE_MAX_TOKENS
+  });
+
+  // Source numbers the model made up are dropped
+  const idOf = (number) => sources[number - 1]?.id || null;
+  const data = result.data;
+
+  const sharedClaims = data.sharedClaims
+    .map(shared => ({ claim: shared.claim, sources: [...new Set(shared.sources.map(idOf).filter(Boolean))] }))
+    .filter(shared => shared.sources.length >= MIN_SOURCES);
+
+  const disagreements = data.disagreements
+    .map(disagreement => ({
+      topic: disagreement.topic,
+      positions: disagreement.positions
+        .filter(position => idOf(position.source))
+        .map(position => ({ contentId: idOf(position.source), position: position.position }))
+    }))
+    .filter(disagreement => new Set(disagreement.positions.map(position => position.contentId)).size >= MIN_SOURCES);
+
+  // Every source gets an entry, even if the model found nothing unique in it
+  const uniquePoints = sources.map((source, index) => ({
+    contentId: source.id,
+    points: data.uniquePoints
+      .filter(entry => entry.source === index + 1)
+      .flatMap(entry => entry.points)
+  }));
+
+  // One cell per source and aspect, in source order; null where the source doesn't cover it
+  const table = data.table.map(row => ({
+    aspect: row.aspect,
+    cells: sources.map((source, index) => ({
+      contentId: source.id,
+      value: row.cells.find(cell => cell.source === index + 1)?.value || null
+    }))
+  }));
+
+  return {
+    sources: sources.map((source, index) => ({
+      number: index + 1,
+      id: source.id,
+      title: source.title,
+      type: source.type,
+      url: source.url || null
+    })),
+    focus,
+    summary: data.summary,
+    sharedClaims,
+    disagreements,
+    uniquePoints,
+    table,
+    generatedAt: new Date().toISOString(),
+    promptVersion: prompt.id,
+    usage: result.usage
+  };
+}
+
+// Table cells are one line, with pipes escaped
+const tableCell = (text) => markdownText(text).replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|');
+
+/**
+ * Render a comparison as Markdown; citations are [S1]..[Sn], listed under Sources
+ * @param {Object} comparison - From buildComparison
+ * @returns {string}
+ */
+function renderComparisonMarkdown(comparison) {
+  const numberOf = new Map(comparison.sources.map(source => [source.id, source.number]));
+  const cite = (ids) => ids.map(id => `[S${numberOf.get(id)}]`).join(' ');
+
+  const lines = ['# Comparison', ''];
+  if (comparison.focus) lines.push(`_Focus: ${escapeMarkdown(comparison.focus)}_`, '');
+  lines.push(markdownText(comparison.summary));
+
+  lines.push('', '## Sources', '', ...comparison.sources.map(source => `- **[S${source.number}]** ${markdownLink(source)}`));
+
+  if (comparison.sharedClaims.length > 0) {
+    lines.push('', '## Shared claims', '', ...comparison.sharedClaims.map(shared => `- ${markdownText(shared.claim)} ${cite(shared.sources)}`));
+  }
+
+  if (comparison.disagreements.length > 0) {
+    lines.push('', '## Disagreements');
+    for (const disagreement of comparison.disagreements) {
+      lines.push('', `### ${escapeMarkdown(disagreement.topic)}`, '',
+        ...disagreement.positions.map(position => `- ${cite([position.contentId])} ${markdownText(position.position)}`));
+    }
+  }
+
+  const withPoints = comparison.uniquePoints.filter(entry => entry.points.length > 0);
+  if (withPoints.length > 0) {
+    lines.push('', '## Unique points');
+    for (const entry of withPoints) {
+      const source = comparison.sources[numberOf.get(entry.contentId) - 1];
+      lines.push('', `### [S${source.number}] ${escapeMarkdown(source.title)}`, '', ...entry.points.map(point => `- ${markdownText(point)}`));
+    }
+  }
+
+  if (comparison.table.length > 0) {
+    lines.push('', '## Comparison table', '',
+      `| Aspect | ${comparison.sources.map(source => `[S${source.number}]`).join(' | ')} |`,
+      `| --- | ${comparison.sources.map(() => '---').join(' | ')} |`,
+      ...comparison.table.map(row => `| ${tableCell(row.aspect)} | ${row.cells.map(cell => (cell.value ? tableCell(cell.value) : '—')).join(' | ')} |`));
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  validateCompareRequest,
+  buildComparison,
+  renderComparisonMarkdown
+};
@@ -0,0 +1,117 @@
+// Library filters shared by /api/recent-content and /api/content-search
+// Signed-in requests apply them in the database query; client-supplied items
+// (anonymous or offline clients) are filtered here with the same rules.
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 3650;
+const TYPE_PATTERN = /^[a-z][a-z0-9_-]{0,49}$/;
+const DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+const MAX_ENTITIES = 5;
+const MAX_ENTITY_LENGTH = 100;
+
+/**
+ * Reduce a domain or URL to a bare hostname: "https://www.example.com/a" → "example.com"
+ * @returns {string|null} null when the value is not a hostname
+ */
+const normalizeDomain = (value) => {
+  if (typeof value !== 'string') return null;
+
+  const hostname = value.trim().toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .split(/[/?#:]/)[0]
+    .replace(/^www\./, '');
+
+  return DOMAIN_PATTERN.test(hostname) ? hostname : null;
+};
+
+/**
+ * Read and validate filters from a request body
+ * @param {Object} body - days, type, domain, entities (names of people, organizations, ... the items must all mention)
+ * @returns {Object} { filters: { days, type, domain, entities }, error }
+ */
+const resolveContentFilters = (body = {}) => {
+  const filters = { days: DEFAULT_DAYS, type: null, domain: null, entities: [] };
+
+  if (body.days !== undefined && body.days !== null) {
+    const days = Number(body.days);
+    if (!Number.isFinite(days) || days <= 0 || days > MAX_DAYS) {
+      return { filters, error: `days must be between 1 and ${MAX_DAYS}` };
+    }
+    filters.days = days;
+  }
+
+  if (body.type !== undefined && body.type !== null && body.type !== '') {
+    if (typeof body.type !== 'string' || !TYPE_PATTERN.test(body.type)) {
+      return { filters, error: 'type must be a content type such as "bookmark" or "insight"' };
+    }
+    filters.type = body.type;
+  }
+
+  if (body.domain !== undefined && body.domain !== null && body.domain !== '') {
+    filters.domain = normalizeDomain(body.domain);
+    if (!filters.domain) {
+      return { filters, error: 'domain must be a hostname such as "example.com"' };
+    }
+  }
+
+  if (body.entities !== undefined && body.entities !== null) {
+    const entities = typeof body.entities === 'string' ? [body.entities] : body.entities;
+    if (!Array.isArray(entities) || entities.length > MAX_ENTITIES
+      || !entities.every(name => typeof name === 'string' && name.trim() && name.length <= MAX_ENTITY_LENGTH)) {
+      return { filters, error: `entities must be a list of at most ${MAX_ENTITIES} names, e.g. ["Anthropic"]` };
+    }
+    filters.entities = [...new Set(entities.map(name => name.replace(/\s+/g, ' ').trim()))];
+  }
+
+  return { filters, error: null };
+};
+
+// Hostname of a client item, from its source or URL
+const itemHostname = (item) => {
+  const candidate = item.source?.hostname || item.source?.url || item.url;
+  return candidate ? normalizeDomain(candidate) : null;
+};
+
+// Lowercased entity names a client item carries (its own or its insight's)
+const itemEntityNames = (item) => new Set([...(item.entities || []), ...(item.insight_data?.entities || [])]
+  .map(entity => (typeof entity === 'string' ? entity : entity?.name))
+  .filter(name => typeof name === 'string')
+  .map(name => name.toLowerCase()));
+
+/**
+ * Whether a client-supplied item passes the type, domain and entity filters
+ * (the days window is applied later by processUserContent)
+ * A domain filter also matches its subdomains.
+ */
+const matchesContentFilters = (item, filters) => {
+  if (filters.type && (item.type || 'insight') !== filters.type) return false;
+
+  if (filters.domain) {
+    const hostname = itemHostname(item);
+    if (!hostname || (hostname !== filters.domain && !hostname.endsWith(`.${filters.domain}`))) return false;
+  }
+
+  if (filters.entities?.length) {
+    const names = itemEntityNames(item);
+    if (!filters.entities.every(name => names.has(name.toLowerCase()))) return false;
+  }
+
+  return true;
+};
+
+/**
+ * Human-readable scope for messages: "bookmark items from example.com mentioning Anthropic in the last 30 days"
+ */
+const describeContentFilters = (filters) => [
+  filters.type ? `${filters.type} items` : 'items',
+  filters.domain ? `from ${filters.domain}` : null,
+  filters.entities?.length ? `mentioning ${filters.entities.join(' and ')}` : null,
+  `in the last ${filters.days} days`
+].filter(Boolean).join(' ');
+
+module.exports = {
+  normalizeDomain,
+  resolveContentFilters,
+  matchesContentFilters,
+  describeContentFilters
+};
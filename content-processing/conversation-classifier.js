@@ -1,14 +1,19 @@
 // Conversation Context Classification using LLM
 // Determines whether a follow-up question is about current page or should search saved content
+const llm = require('../llm');
+const { renderPrompt } = require('../prompts');
 
 /**
- * Classifies conversation context using Claude Haiku to determine routing strategy
+ * Classifies conversation context with a fast model to determine routing strategy
  * @param {string} userMessage - The user's current message
  * @param {Array} conversationHistory - Recent conversation history
  * @param {Object} currentPageContext - Current page title and content preview
+ * @param {Array} openTabs - Open browser tabs
+ * @param {Array} referencedTabs - Tabs explicitly referenced by the user
+ * @param {Object} options - userSettings for per-user model selection
  * @returns {Promise<Object>} Classification result with routing decision
  */
-async function classifyConversationContext(userMessage, conversationHistory = [], currentPageContext = null, openTabs = [], referencedTabs = null) {
+async function classifyConversationContext(userMessage, conversationHistory = [], currentPageContext = null, openTabs = [], referencedTabs = null, options = {}) {
   try {
     // Ensure arrays are always arrays (handle null/undefined)
     referencedTabs = referencedTabs || [];
@@ -53,85 +58,31 @@ Preview: ${(currentPageContext.content || '').substring(0, 500)}...` :
       `Referenced Tabs: ${referencedTabs.map(tab => `"${tab.title}"`).join(', ')}` :
       'Referenced Tabs: None';
 
-    const prompt = `You are a tab-aware conversation classifier. Analyze this conversation to determine which tab/page the user is asking about.
+    const prompt = renderPrompt('conversation-classifier', {
+      currentPageInfo,
+      openTabsInfo,
+      referencedTabsInfo,
+      recentHistory,
+      userMessage
+    }, { userSettings: options.userSettings });
 
-${currentPageInfo}
-
-${openTabsInfo}
-
-${referencedTabsInfo}
-
-Recent Conversation (with page context):
-${recentHistory}
-
-Current User Message: "${userMessage}"
-
-Task: Determine the user's intent and which content they want:
-1. CURRENT_PAGE - About the current active tab/page
-2. PREVIOUS_PAGE - About a different tab they discussed earlier
-3. LIBRARY_SEARCH - Search through their saved content library  
-4. GENERAL_CHAT - General conversation
-
-CRITICAL TAB CONTEXT ANALYSIS:
-- EXAMINE PAGE SNIPPETS: Look at the actual content in [Page snippet:...] to understand what each page is about
-- If user asks about a topic that matches content from a PREVIOUS page snippet → PREVIOUS_PAGE
-- If user says "tell me more" or asks follow-up about content in conversation history → check which page that content came from
-- If conversation history shows discussion about Page A, but current page is Page B → follow-ups likely about Page A (PREVIOUS_PAGE)
-- Only classify as CURRENT_PAGE if the question clearly relates to the current page's content/title
-
-CONTENT MATCHING LOGIC:
-- Does the current page content contain information about what the user is asking? 
-- Does a previous page snippet contain that information?
-- Match the user's question to the actual page content, not just page titles
-
-Examples:
-User on "Glance" page (about AI web tools), previously discussed "OpenAI Models" (contains model performance data):
-- "Tell me more about model performance" → PREVIOUS_PAGE (OpenAI page has performance data, Glance page doesn't)
-- "How does this AI tool work?" → CURRENT_PAGE (Glance page is about AI tools)
-- "What were the MMLU scores?" → PREVIOUS_PAGE (performance metrics are on OpenAI page)
-
-Other examples:
-- "Summarize the YouTube video" (YouTube tab open) → identify target tab
-- "What did that article say?" → PREVIOUS_PAGE (from conversation history)
-- "Find my notes on AI" → LIBRARY_SEARCH
-- "How's the weather?" → GENERAL_CHAT
-
-You must respond with ONLY a valid JSON object:
-{
-  "classification": "CURRENT_PAGE|PREVIOUS_PAGE|LIBRARY_SEARCH|GENERAL_CHAT",
-  "confidence": 0.0-1.0,
-  "reason": "brief explanation (max 15 words)",
-  "targetTab": "exact tab title if PREVIOUS_PAGE, null otherwise",
-  "isMetaConversation": true/false,
-  "metaContext": "if asking about AI's previous response"
-}`;
-
-    console.log(`📝 Sending classification request to Claude Haiku...`);
-    console.log(`🔍 DEBUG: Full prompt being sent to LLM:\n${prompt.substring(0, 1500)}...`);
+    console.log(`📝 Sending classification request...`);
+    console.log(`🔍 DEBUG: Full prompt being sent to LLM:\n${prompt.text.substring(0, 1500)}...`);
     
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': process.env.ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: 'claude-3-haiku-20240307',
-        max_tokens: 100,
-        temperature: 0, // Deterministic for consistency
-        messages: [{ role: 'user', content: prompt }]
-      })
-    });
-
-    if (!response.ok) {
-      const error = await response.text();
-      console.error('❌ LLM classification failed:', error);
+    let responseText;
+    try {
+      const result = await llm.complete({
+        route: 'classify-conversation',
+        userSettings: options.userSettings,
+        prompt: prompt.text,
+        maxTokens: 100,
+        temperature: 0 // Deterministic for consistency
+      });
+      responseText = result.text;
+    } catch (error) {
+      console.error('❌ LLM classification failed:', error.message);
       return fallbackClassification(userMessage, conversationHistory, currentPageContext);
     }
-
-    const data = await response.json();
-    let responseText = data.content?.[0]?.text?.trim();
     
     console.log(`📥 LLM classification response: ${responseText}`);
     
@@ -164,7 +115,8 @@ You must respond with ONLY a valid JSON object:
         targetTab: result.targetTab || null,
         isMetaConversation: result.isMetaConversation || false,
         metaContext: result.metaContext || null,
-        method: 'llm'
+        method: 'llm',
+        promptVersion: prompt.id
       };
       
     } catch (parseError) {
@@ -0,0 +1,290 @@
+// Near-duplicate detection for saved content (the same story saved twice)
+// Four signals are combined, each enough on its own when strong:
+// - the URL with tracking parameters, www., fragments etc. removed
+// - the page's canonical link (<link rel="canonical">, og:url)
+// - a 64-bit simhash of the text, which stays close when a wire story is republished with
+//   a different headline, byline or footer
+// - embedding similarity, for rewrites that share little wording
+// Each signal gives a probability that the two items are the same article and the
+// confidence is their noisy-OR: 1 - (1 - p1)(1 - p2)...
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'igshid', 'mc_cid', 'mc_eid', 'mkt_tok',
+  '_ga', '_gl', '_hsenc', '_hsmi', 'ref', 'ref_src', 'ref_url', 'cmpid', 'ocid', 'smid',
+  'sr_share', 'share', 'taid', 'guccounter', 'guce_referrer', 'guce_referrer_sig', 'output_type', 'outputtype'
+]);
+const TRACKING_PREFIXES = ['utm_', 'at_', 'itm_', 'pk_'];
+
+const FINGERPRINT_BITS = 64;
+// Shorter texts are too generic for a fingerprint to mean anything
+const MIN_FINGERPRINT_WORDS = 50;
+const SHINGLE_SIZE = 3;
+
+// Beyond these the signal counts for nothing (also used to narrow candidates in SQL)
+const MAX_FINGERPRINT_DISTANCE = 10;
+const MIN_EMBEDDING_SIMILARITY = 0.9;
+
+// Candidates below this confidence aren't reported; at or above DUPLICATE_CONFIDENCE they count as duplicates
+const MIN_CONFIDENCE = 0.5;
+const DUPLICATE_CONFIDENCE = 0.8;
+
+const isTrackingParam = (name) => {
+  const key = name.toLowerCase();
+  return TRACKING_PARAMS.has(key) || TRACKING_PREFIXES.some(prefix => key.startsWith(prefix));
+};
+
+/**
+ * Comparable form of a URL: host without www./m., path without trailing slash or /amp,
+ * remaining query parameters sorted, no fragment
+ * "https://www.example.com/story/?utm_source=x&b=2&a=1#top" → "example.com/story?a=1&b=2"
+ * @param {string} url
+ * @returns {string|null} null for anything that isn't an http(s) URL
+ */
+function normalizeUrl(url) {
+  if (typeof url !== 'string' || !url.trim()) return null;
+
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch {
+    return null;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+
+  const host = parsed.hostname.toLowerCase().replace(/^(www\d*|m|amp)\./, '');
+  const path = parsed.pathname.replace(/\/amp\/?$/i, '').replace(/\/+$/, '');
+  const params = [...parsed.searchParams]
+    .filter(([name]) => !isTrackingParam(name))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = new URLSearchParams(params).toString();
+
+  return `${host}${path}${query ? `?${query}` : ''}`;
+}
+
+const attribute = (tag, name) => tag.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'))
+  ?.slice(1).find(value => value !== undefined) ?? null;
+
+/**
+ * Canonical URL declared by a page, from <link rel="canonical"> or og:url
+ * @param {string} html
+ * @param {string} baseUrl - For relative links
+ * @returns {string|null}
+ */
+function extractCanonicalUrl(html, baseUrl) {
+  if (typeof html !== 'string') return null;
+  const head = html.slice(0, 200000);
+
+  const link = (head.match(/<link\b[^>]*>/gi) || [])
+    .find(tag => /^canonical$/i.test(attribute(tag, 'rel') || ''));
+  const og = (head.match(/<meta\b[^>]*>/gi) || [])
+    .find(tag => /^og:url$/i.test(attribute(tag, 'property') || ''));
+
+  const href = (link && attribute(link, 'href')) || (og && attribute(og, 'content'));
+  if (!href) return null;
+
+  try {
+    return new URL(href.replace(/&amp;/g, '&'), baseUrl).toString();
+  } catch {
+    return null;
+  }
+}
+
+// Two independent 32-bit FNV-1a hashes make up the 64 bits of a shingle hash
+const fnv1a = (text, seed) => {
+  let hash = seed;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+const fingerprintWords = (text) => String(text)
+  .replace(/<script[^>]*>.*?<\/script>/gis, ' ')
+  .replace(/<style[^>]*>.*?<\/style>/gis, ' ')
+  .replace(/<[^>]*>/g, ' ')
+  .replace(/&[a-z]+;|&#\d+;/gi, ' ')
+  .toLowerCase()
+  .match(/[\p{L}\p{N}]+/gu) || [];
+
+/**
+ * Simhash of a text over word shingles
+ * @param {string} text - Plain text or HTML
+ * @returns {string|null} 16 hex characters, or null for texts under MIN_FINGERPRINT_WORDS words
+ */
+function contentFingerprint(text) {
+  const words = fingerprintWords(text || '');
+  if (words.length < MIN_FINGERPRINT_WORDS) return null;
+
+  const weights = new Array(FINGERPRINT_BITS).fill(0);
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+    const shingle = words.slice(i, i + SHINGLE_SIZE).join(' ');
+    const halves = [fnv1a(shingle, 0x811c9dc5), fnv1a(shingle, 0x050c5d1f)];
+    for (let bit = 0; bit < FINGERPRINT_BITS; bit++) {
+      weights[bit] += (halves[bit >> 5] >>> (bit & 31)) & 1 ? 1 : -1;
+    }
+  }
+
+  const halves = [0, 0];
+  for (let bit = 0; bit < FINGERPRINT_BITS; bit++) {
+    if (weights[bit] > 0) halves[bit >> 5] |= 1 << (bit & 31);
+  }
+  return halves.map(half => (half >>> 0).toString(16).padStart(8, '0')).join('');
+}
+
+const popcount = (value) => {
+  let v = value - ((value >>> 1) & 0x55555555);
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return (Math.imul((v + (v >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24);
+};
+
+/**
+ * Number of differing bits between two fingerprints
+ * @returns {number|null} null if either is missing
+ */
+function fingerprintDistance(a, b) {
+  if (!a || !b) return null;
+  const halves = (hex) => [parseInt(hex.slice(0, 8), 16), parseInt(hex.slice(8, 16), 16)];
+  const [a1, a2] = halves(a);
+  const [b1, b2] = halves(b);
+  return popcount((a1 ^ b1) >>> 0) + popcount((a2 ^ b2) >>> 0);
+}
+
+/**
+ * Duplicate detection keys for an item, as stored in user_content
+ * @param {Object} item - { url, canonicalUrl, text }
+ * @returns {Object} { url_keys, content_fingerprint }
+ */
+function duplicateKeys({ url, canonicalUrl, text }) {
+  const keys = [normalizeUrl(url), normalizeUrl(canonicalUrl)].filter(Boolean);
+  return {
+    url_keys: [...new Set(keys)],
+    content_fingerprint: contentFingerprint(text)
+  };
+}
+
+// Probability of "same article" from each signal
+const fingerprintProbability = (distance) => {
+  if (distance === null || distance > MAX_FINGERPRINT_DISTANCE) return 0;
+  return distance <= 3 ? 0.95 : 0.95 - (distance - 3) * 0.08;
+};
+
+const embeddingProbability = (similarity) => {
+  if (typeof similarity !== 'number' || similarity < MIN_EMBEDDING_SIMILARITY) return 0;
+  return Math.min(0.9, 0.3 + (similarity - MIN_EMBEDDING_SIMILARITY) * 7.5);
+};
+
+/**
+ * Score one candidate against an item
+ * @param {Object} item - { url_keys, content_fingerprint }
+ * @param {Object} candidate - Row with url_keys, content_fingerprint and similarity (null without embeddings)
+ * @returns {Object} { confidence, signals: { url, fingerprintDistance, similarity }, reasons }
+ */
+function scoreDuplicate(item, candidate) {
+  const sharedUrl = (item.url_keys || []).find(key => (candidate.url_keys || []).includes(key)) || null;
+  const distance = fingerprintDistance(item.content_fingerprint, candidate.content_fingerprint);
+  const similarity = typeof candidate.similarity === 'number' ? candidate.similarity : null;
+
+  const probabilities = [sharedUrl ? 0.97 : 0, fingerprintProbability(distance), embeddingProbability(similarity)];
+  const confidence = 1 - probabilities.reduce((remaining, p) => remaining * (1 - p), 1);
+
+  const reasons = [];
+  if (sharedUrl) reasons.push(`Same page (${sharedUrl})`);
+  if (fingerprintProbability(distance) > 0) reasons.push(`Near-identical text (${distance} of ${FINGERPRINT_BITS} fingerprint bits differ)`);
+  if (embeddingProbability(similarity) > 0) reasons.push(`${Math.round(similarity * 100)}% similar meaning`);
+
+  return {
+    confidence: Number(confidence.toFixed(4)),
+    signals: { url: sharedUrl, fingerprintDistance: distance, similarity: similarity === null ? null : Number(similarity.toFixed(4)) },
+    reasons
+  };
+}
+
+/**
+ * Rank candidate rows as duplicates of an item, most likely first
+ * @param {Object} item - { id, url_keys, content_fingerprint }
+ * @param {Array<Object>} candidates - Rows from find_duplicate_candidates
+ * @returns {Array<Object>} [{ id, title, type, url, savedAt, confidence, isDuplicate, signals, reasons }]
+ */
+function rankDuplicates(item, candidates) {
+  return candidates
+    .filter(candidate => candidate.id !== item.id)
+    .map(candidate => ({ candidate, score: scoreDuplicate(item, candidate) }))
+    .filter(({ score }) => score.confidence >= MIN_CONFIDENCE)
+    .sort((a, b) => b.score.confidence - a.score.confidence)
+    .map(({ candidate, score }) => ({
+      id: candidate.id,
+      title: candidate.title,
+      type: candidate.type,
+      url: candidate.source_url || null,
+      savedAt: candidate.timestamp ? new Date(candidate.timestamp).toISOString() : null,
+      confidence: score.confidence,
+      isDuplicate: score.confidence >= DUPLICATE_CONFIDENCE,
+      signals: score.signals,
+      reasons: score.reasons
+    }));
+}
+
+const plainLength = (html) => (html ? String(html).replace(/<[^>]*>/g, '').trim().length : 0);
+
+/**
+ * Fields to update on the kept record when merging a duplicate into it
+ * The kept record's own values win; the duplicate fills gaps, its text replaces a shorter
+ * text, and its URLs, sources, tags and entities are added
+ * @param {Object} keep - user_content row that stays
+ * @param {Object} duplicate - user_content row merged into it
+ * @returns {Object} Column updates
+ */
+function mergeContentRecords(keep, duplicate) {
+  const updates = {};
+
+  for (const column of ['preview', 'source_title', 'source_url', 'source_hostname', 'byline', 'site_name']) {
+    if (!keep[column] && duplicate[column]) updates[column] = duplicate[column];
+  }
+
+  if (plainLength(duplicate.content_text) > plainLength(keep.content_text)) {
+    updates.content_text = duplicate.content_text;
+    if (duplicate.is_readable !== undefined) updates.is_readable = duplicate.is_readable;
+    updates.content_fingerprint = duplicate.content_fingerprint ?? contentFingerprint(duplicate.content_text);
+  }
+
+  if (keep.insight_data || duplicate.insight_data) {
+    const insight = { ...(duplicate.insight_data || {}), ...(keep.insight_data || {}) };
+    for (const field of ['tags', 'entities']) {
+      const values = [...(keep.insight_data?.[field] || []), ...(duplicate.insight_data?.[field] || [])];
+      if (values.length === 0) continue;
+      const seen = new Set();
+      insight[field] = values.filter(value => {
+        const key = String(typeof value === 'string' ? value : value?.name).toLowerCase();
+        return !seen.has(key) && seen.add(key);
+      });
+    }
+    updates.insight_data = insight;
+  }
+
+  if (Array.isArray(duplicate.sources) && duplicate.sources.length > 0) {
+    const sources = Array.isArray(keep.sources) ? [...keep.sources] : [];
+    for (const source of duplicate.sources) {
+      if (!sources.some(existing => existing?.url && existing.url === source?.url)) sources.push(source);
+    }
+    updates.sources = sources;
+  }
+
+  updates.url_keys = [...new Set([...(keep.url_keys || []), ...(duplicate.url_keys || [])])];
+
+  return updates;
+}
+
+module.exports = {
+  MAX_FINGERPRINT_DISTANCE,
+  MIN_EMBEDDING_SIMILARITY,
+  normalizeUrl,
+  extractCanonicalUrl,
+  contentFingerprint,
+  fingerprintDistance,
+  duplicateKeys,
+  scoreDuplicate,
+  rankDuplicates,
+  mergeContentRecords
+};
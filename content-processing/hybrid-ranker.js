@@ -0,0 +1,135 @@
+// Hybrid ranking for content search
+// Fuses full-text keyword rank with vector similarity so exact names, acronyms
+// and error codes are found even when their embedding is not a close match
+const { detectLanguage, stopWordsFor } = require('../language');
+
+const DEFAULT_SEMANTIC_WEIGHT = 0.7;
+const DEFAULT_KEYWORD_WEIGHT = 0.3;
+const DEFAULT_MIN_SCORE = 0.2;
+const DEFAULT_MAX_RESULTS = 5;
+
+// Common words of English queries that should not count as keyword hits
+// (queries in other languages also drop that language's stop words)
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'about', 'as', 'at', 'be', 'by', 'did', 'do', 'does', 'for', 'from',
+  'how', 'i', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'read', 'say', 'saved', 'tell',
+  'that', 'the', 'this', 'to', 'was', 'what', 'when', 'where', 'which', 'who', 'why', 'with'
+]);
+
+const parseNumber = (value, fallback) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+};
+
+/**
+ * Resolve ranking settings: request overrides → env → defaults
+ * Weights are normalised to sum to 1
+ * @param {Object} overrides - { semanticWeight, keywordWeight, minScore, maxResults }
+ * @returns {Object} { weights: { semantic, keyword }, minScore, maxResults }
+ */
+const resolveRankingOptions = (overrides = {}) => {
+  const semantic = Math.max(0, parseNumber(overrides.semanticWeight, parseNumber(process.env.HYBRID_SEMANTIC_WEIGHT, DEFAULT_SEMANTIC_WEIGHT)));
+  const keyword = Math.max(0, parseNumber(overrides.keywordWeight, parseNumber(process.env.HYBRID_KEYWORD_WEIGHT, DEFAULT_KEYWORD_WEIGHT)));
+  const total = semantic + keyword || 1;
+
+  return {
+    weights: {
+      semantic: semantic / total,
+      keyword: keyword / total
+    },
+    minScore: parseNumber(overrides.minScore, parseNumber(process.env.HYBRID_MIN_SCORE, DEFAULT_MIN_SCORE)),
+    maxResults: Math.max(1, parseInt(overrides.maxResults, 10) || DEFAULT_MAX_RESULTS)
+  };
+};
+
+/**
+ * Split a query into searchable terms
+ * Keeps acronyms and codes like "RAG", "E1234" or "gpt-4o" intact
+ */
+const tokenizeQuery = (query) => {
+  if (!query || typeof query !== 'string') return [];
+
+  const languageStopWords = stopWordsFor(detectLanguage(query).language);
+  const terms = query
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}\-_.]+/u)
+    .map(term => term.replace(/^[-_.]+|[-_.]+$/g, ''))
+    .filter(term => term.length > 1 && !STOP_WORDS.has(term) && !languageStopWords.has(term));
+
+  return [...new Set(terms)];
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Keyword score for items ranked in-process (no Postgres full-text available)
+ * Fraction of query terms found as whole words, with a bonus for the exact phrase
+ * @param {string} query - User query
+ * @param {string} text - Item text (title + content)
+ * @returns {number} Score between 0 and 1
+ */
+const keywordScore = (query, text) => {
+  const terms = tokenizeQuery(query);
+  if (terms.length === 0 || !text) return 0;
+
+  const haystack = text.toLowerCase();
+  const hits = terms.filter(term => new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(term)}($|[^\\p{L}\\p{N}])`, 'u').test(haystack));
+  let score = hits.length / terms.length;
+
+  if (terms.length > 1 && haystack.includes(terms.join(' '))) {
+    score = Math.min(1, score + 0.2);
+  }
+
+  return score;
+};
+
+/**
+ * Fuse semantic and keyword scores into one ranked list
+ * Items need `similarity` (cosine, 0-1) and either `keywordRank` (Postgres ts_rank)
+ * or `text` to compute a keyword score from. ts_rank values are scaled so the best
+ * full-text match among the candidates scores 1
+ * @param {Array<Object>} items - Candidate items
+ * @param {string} query - User query
+ * @param {Object} options - Output of resolveRankingOptions()
+ * @returns {Array<Object>} Items above minScore, best first, with score and scoreBreakdown
+ */
+const rankHybrid = (items, query, options = resolveRankingOptions()) => {
+  const { weights, minScore, maxResults } = options;
+  const hasKeywordRank = item => item.keywordRank !== undefined && item.keywordRank !== null;
+  const maxKeywordRank = Math.max(0, ...items.filter(hasKeywordRank).map(item => item.keywordRank));
+
+  const scored = items.map(item => {
+    const semantic = Math.max(0, item.similarity || 0);
+    const keyword = hasKeywordRank(item)
+      ? (maxKeywordRank > 0 ? item.keywordRank / maxKeywordRank : 0)
+      : keywordScore(query, `${item.title || ''} ${item.text || ''}`);
+    const score = weights.semantic * semantic + weights.keyword * keyword;
+
+    return {
+      ...item,
+      score,
+      scoreBreakdown: {
+        semantic: Number(semantic.toFixed(4)),
+        keyword: Number(keyword.toFixed(4)),
+        semanticWeight: Number(weights.semantic.toFixed(2)),
+        keywordWeight: Number(weights.keyword.toFixed(2))
+      }
+    };
+  }).sort((a, b) => b.score - a.score);
+
+  const ranked = scored.filter(item => item.score >= minScore).slice(0, maxResults);
+
+  console.log(`⚖️ Hybrid ranking: ${ranked.length}/${items.length} above min score ${minScore} (semantic ${weights.semantic.toFixed(2)}, keyword ${weights.keyword.toFixed(2)})`);
+  scored.slice(0, 5).forEach((item, i) => {
+    console.log(`  ${i + 1}. "${item.title}" → score ${item.score.toFixed(4)} (semantic ${item.scoreBreakdown.semantic}, keyword ${item.scoreBreakdown.keyword})`);
+  });
+
+  return ranked;
+};
+
+module.exports = {
+  resolveRankingOptions,
+  tokenizeQuery,
+  keywordScore,
+  rankHybrid
+};
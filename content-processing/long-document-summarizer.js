@@ -0,0 +1,154 @@
+// Map-reduce summarization for long documents
+// Splits content into sections that fit the model comfortably, summarizes each
+// section, and hands the section notes to the final summary prompt
+const llm = require('../llm');
+const { renderPrompt } = require('../prompts');
+const { estimateTokens, processContentInChunks } = require('./basic-processor');
+const { chunkIntoPassages } = require('./passage-chunker');
+
+// Content up to this length is summarized in a single pass
+const SINGLE_PASS_CHAR_LIMIT = 4000;
+// Target section size; grows for very long documents so we stay under MAX_SECTIONS
+const DEFAULT_SECTION_TOKENS = 3000;
+const MAX_SECTIONS = 12;
+// Paragraph-aligned blocks that sections are assembled from
+const BLOCK_CHARS = 1500;
+// Section summaries run a few at a time to stay clear of provider rate limits
+const SECTION_CONCURRENCY = 3;
+const SECTION_SUMMARY_TOKENS = 400;
+
+/**
+ * Whether content is too long to summarize in a single pass
+ * @param {string} content - Document text
+ * @returns {boolean}
+ */
+const isLongDocument = (content) => typeof content === 'string' && content.length > SINGLE_PASS_CHAR_LIMIT;
+
+/**
+ * Split a document into sections of roughly equal token size
+ * @param {string} content - Document text
+ * @returns {Array<string>} Section texts in document order
+ */
+const splitIntoSections = (content) => {
+  // Blocks break on paragraphs/sentences, so sections never cut mid-sentence
+  const blocks = chunkIntoPassages(content, {
+    passageChars: BLOCK_CHARS,
+    overlapChars: 0,
+    maxPassages: Infinity
+  }).map(block => ({ title: `Block ${block.index + 1}`, text: block.text }));
+
+  // Sections are filled a block at a time, so every section but the last holds more than
+  // size - one block; adding the largest block keeps the count within MAX_SECTIONS
+  const blockTokens = blocks.map(block => estimateTokens(block.text));
+  const totalTokens = blockTokens.reduce((sum, tokens) => sum + tokens, 0);
+  const largestBlock = blockTokens.reduce((max, tokens) => Math.max(max, tokens), 0);
+  const maxTokensPerSection = Math.max(DEFAULT_SECTION_TOKENS, Math.ceil(totalTokens / MAX_SECTIONS) + largestBlock);
+
+  return processContentInChunks(blocks, maxTokensPerSection)
+    .map(chunk => chunk.items.map(block => block.text).join('\n\n'));
+};
+
+/**
+ * Run fn over items with at most `limit` calls in flight, preserving order
+ */
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+/**
+ * Map step: summarize every section of a long document
+ * Failed sections are skipped; the call only fails if no section could be summarized
+ * @param {string} content - Document text
+ * @param {Object} options - title, userSettings, signal
+ * @returns {Promise<Object>} { notes, sectionsCovered, totalSections, usage, promptVersion }
+ * @throws {LLMError} When every section failed
+ */
+const summarizeSections = async (content, options = {}) => {
+  const { title, userSettings, signal } = options;
+  const sections = splitIntoSections(content);
+
+  console.log(`\n📚 === LONG DOCUMENT SUMMARY START ===`);
+  console.log(`Document: ${content.length} chars → ${sections.length} sections`);
+
+  const usage = { inputTokens: 0, outputTokens: 0 };
+  let lastError = null;
+  let promptVersion = null;
+
+  const results = await mapWithConcurrency(sections, SECTION_CONCURRENCY, async (section, index) => {
+    const prompt = renderPrompt('summary-section', {
+      sectionNumber: index + 1,
+      totalSections: sections.length,
+      titleClause: title ? ` titled "${title}"` : '',
+      sectionText: section
+    }, { userSettings });
+    promptVersion = prompt.id;
+
+    try {
+      const result = await llm.complete({
+        route: 'summary-section',
+        userSettings,
+        prompt: prompt.text,
+        maxTokens: SECTION_SUMMARY_TOKENS,
+        signal
+      });
+
+      usage.inputTokens += result.usage?.inputTokens || 0;
+      usage.outputTokens += result.usage?.outputTokens || 0;
+      console.log(`✅ Section ${index + 1}/${sections.length} summarized (${result.text.length} chars)`);
+      return result.text;
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      console.error(`❌ Section ${index + 1}/${sections.length} failed:`, error.message);
+      lastError = error;
+      return null;
+    }
+  });
+
+  const notes = results
+    .map((text, index) => (text ? { section: index + 1, text } : null))
+    .filter(Boolean);
+
+  console.log(`📚 Covered ${notes.length}/${sections.length} sections`);
+  console.log(`📚 === LONG DOCUMENT SUMMARY END ===\n`);
+
+  if (notes.length === 0) {
+    throw lastError || new Error('No sections could be summarized');
+  }
+
+  return {
+    notes,
+    sectionsCovered: notes.length,
+    totalSections: sections.length,
+    usage,
+    promptVersion
+  };
+};
+
+/**
+ * Reduce step input: section notes formatted to stand in for the document text
+ * @param {Array<Object>} notes - From summarizeSections()
+ * @param {number} totalSections - Number of sections in the document
+ * @returns {string}
+ */
+const formatSectionNotes = (notes, totalSections) => notes
+  .map(note => `[Section ${note.section} of ${totalSections}]\n${note.text}`)
+  .join('\n\n');
+
+module.exports = {
+  SINGLE_PASS_CHAR_LIMIT,
+  isLongDocument,
+  splitIntoSections,
+  summarizeSections,
+  formatSectionNotes
+};
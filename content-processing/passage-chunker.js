@@ -0,0 +1,135 @@
+// Passage chunking for long content
+// Splits extracted text into overlapping passages so long articles and PDFs
+// are searchable beyond their first few hundred characters
+
+const DEFAULT_PASSAGE_CHARS = 1200;
+const DEFAULT_OVERLAP_CHARS = 200;
+const MAX_PASSAGES = 200; // ~240k chars, enough for a long PDF without runaway embedding costs
+
+/**
+ * Find a natural break point (paragraph, sentence, then word) before `end`
+ * Falls back to a hard cut when the window has no usable boundary
+ */
+const findBreakPoint = (text, start, end) => {
+  if (end >= text.length) return text.length;
+
+  const minBreak = start + Math.floor((end - start) / 2);
+  const window = text.slice(minBreak, end);
+
+  const paragraph = window.lastIndexOf('\n\n');
+  if (paragraph !== -1) return minBreak + paragraph + 2;
+
+  const sentence = Math.max(
+    window.lastIndexOf('. '),
+    window.lastIndexOf('? '),
+    window.lastIndexOf('! ')
+  );
+  if (sentence !== -1) return minBreak + sentence + 2;
+
+  const word = window.lastIndexOf(' ');
+  if (word !== -1) return minBreak + word + 1;
+
+  return end;
+};
+
+/**
+ * Split text into overlapping passages with their character offsets
+ * Offsets refer to the extracted plain text (see extractTextContent)
+ * @param {string} text - Plain text to split
+ * @param {Object} options - passageChars, overlapChars, maxPassages
+ * @returns {Array<Object>} [{ index, text, startOffset, endOffset }]
+ */
+const chunkIntoPassages = (text, options = {}) => {
+  const {
+    passageChars = DEFAULT_PASSAGE_CHARS,
+    overlapChars = DEFAULT_OVERLAP_CHARS,
+    maxPassages = MAX_PASSAGES
+  } = options;
+
+  if (!text || typeof text !== 'string' || !text.trim()) return [];
+
+  const passages = [];
+  let start = 0;
+
+  while (start < text.length && passages.length < maxPassages) {
+    const end = findBreakPoint(text, start, start + passageChars);
+    const passageText = text.slice(start, end).trim();
+
+    if (passageText) {
+      passages.push({
+        index: passages.length,
+        text: passageText,
+        startOffset: start,
+        endOffset: end
+      });
+    }
+
+    if (end >= text.length) break;
+
+    // Step back for overlap, but always move forward and start on a sentence or word
+    let nextStart = Math.max(end - overlapChars, start + 1);
+    const overlap = text.slice(nextStart, end);
+    const sentenceBreak = overlap.match(/[.!?]\s+(?=\S)/);
+    const wordStart = overlap.indexOf(' ');
+    if (sentenceBreak) {
+      nextStart += sentenceBreak.index + sentenceBreak[0].length;
+    } else if (wordStart !== -1) {
+      nextStart += wordStart + 1;
+    }
+    start = nextStart;
+  }
+
+  if (passages.length === maxPassages && start < text.length) {
+    console.warn(`⚠️ Passage limit reached: indexed first ${passages[passages.length - 1].endOffset}/${text.length} chars`);
+  }
+
+  console.log(`✂️ Split ${text.length} chars into ${passages.length} passage(s)`);
+  return passages;
+};
+
+/**
+ * Group passage search hits by their source item
+ * Each item keeps its best similarity and its matching passages in document order
+ * @param {Array<Object>} passageMatches - Rows from search_passages_by_embedding
+ * @returns {Array<Object>} Items sorted by best passage similarity
+ */
+const groupPassagesByContent = (passageMatches) => {
+  const byContent = new Map();
+
+  for (const match of passageMatches) {
+    const passage = {
+      index: match.passage_index,
+      text: match.passage_text,
+      startOffset: match.start_offset,
+      endOffset: match.end_offset,
+      similarity: match.similarity
+    };
+
+    const existing = byContent.get(match.content_id);
+    if (existing) {
+      existing.passages.push(passage);
+      existing.similarity = Math.max(existing.similarity, match.similarity);
+    } else {
+      byContent.set(match.content_id, {
+        id: match.content_id,
+        title: match.title,
+        type: match.type,
+        timestamp: match.timestamp,
+        source_url: match.source_url,
+        source_title: match.source_title,
+        passageCount: match.passage_count,
+        similarity: match.similarity,
+        passages: [passage]
+      });
+    }
+  }
+
+  return [...byContent.values()]
+    .map(item => ({ ...item, passages: item.passages.sort((a, b) => a.index - b.index) }))
+    .sort((a, b) => b.similarity - a.similarity);
+};
+
+module.exports = {
+  chunkIntoPassages,
+  groupPassagesByContent
+};
@@ -1,76 +1,56 @@
 // Query Intent Analysis using LLM
 // Intelligently determines which articles to include based on user query intent
+const llm = require('../llm');
+const { renderPrompt } = require('../prompts');
+
+// Hybrid-ranked matches carry a fused score; plain semantic matches only a similarity
+const relevance = (match) => match.score ?? match.similarity;
 
 /**
- * Analyzes user query intent using Claude Haiku to determine which articles to include
+ * Analyzes user query intent with a fast model to determine which articles to include
  * @param {string} query - The user's search query
  * @param {Array} topMatches - Array of top matching articles with similarity scores
+ * @param {Object} options - userSettings for per-user model selection
  * @returns {Promise<Array>} Array of articles to include based on intent
  */
-async function analyzeQueryIntent(query, topMatches) {
+async function analyzeQueryIntent(query, topMatches, options = {}) {
   try {
     console.log(`\n🤖 === LLM INTENT ANALYSIS START ===`);
     console.log(`Query: "${query}"`);
     console.log(`Analyzing ${topMatches.length} potential matches`);
     
     // If only one match or very low scores, skip LLM analysis
-    if (topMatches.length === 1 || topMatches[0].similarity < 0.2) {
+    if (topMatches.length === 1 || relevance(topMatches[0]) < 0.2) {
       console.log(`⚡ Fast path: Only one match or low relevance scores`);
       return [topMatches[0]];
     }
     
     // Build context for LLM with top 5 matches
     const matchContext = topMatches.slice(0, 5).map((match, index) => 
-      `${index + 1}. "${match.title}" (relevance: ${(match.similarity * 100).toFixed(1)}%)`
+      `${index + 1}. "${match.title}" (relevance: ${(relevance(match) * 100).toFixed(1)}%)`
     ).join('\n');
     
-    const prompt = `You are a search intent analyzer. You must respond with ONLY valid JSON, no explanations.
-
-Query: "${query}"
-
-Articles:
-${matchContext}
-
-Context: User library has bookmarks (saved web pages) and insights (AI analysis).
-
-Rules:
-- Broad queries ("my library", "what have I been reading") -> include all numbers
-- Specific topics -> include most relevant only
-- Library overview requests -> include all numbers
+    const prompt = renderPrompt('query-intent', { query, matchContext }, { userSettings: options.userSettings });
 
-Respond with ONLY this JSON format:
-{"include": [1,2,3], "reason": "brief reason"}
-
-JSON:`;
-
-    console.log(`📝 Sending intent analysis request to Claude Haiku...`);
+    console.log(`📝 Sending intent analysis request...`);
     
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': process.env.ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: 'claude-3-haiku-20240307',
-        max_tokens: 150,
-        temperature: 0, // Deterministic for consistency
-        messages: [{ role: 'user', content: prompt }]
-      })
-    });
-
-    if (!response.ok) {
-      const error = await response.text();
-      console.error('❌ LLM intent analysis failed:', error);
+    let responseText;
+    try {
+      const result = await llm.complete({
+        route: 'query-intent',
+        userSettings: options.userSettings,
+        prompt: prompt.text,
+        maxTokens: 150,
+        temperature: 0 // Deterministic for consistency
+      });
+      responseText = result.text;
+    } catch (error) {
+      console.error('❌ LLM intent analysis failed:', error.message);
       
       // Fallback to similarity-based selection
       console.log('⚠️ Falling back to similarity-based selection');
       return fallbackToSimilaritySelection(topMatches);
     }
-
-    const data = await response.json();
-    const responseText = data.content?.[0]?.text?.trim();
     
     console.log(`📥 LLM response: ${responseText}`);
     
@@ -126,11 +106,11 @@ function fallbackToSimilaritySelection(matches) {
   console.log(`⚡ Using similarity-based selection (fallback)`);
   
   const selected = [matches[0]]; // Always include top match
-  const topScore = matches[0].similarity;
+  const topScore = relevance(matches[0]);
   
   // Include other articles if they're within 10% of top score
   for (let i = 1; i < matches.length && i < 3; i++) {
-    const scoreDiff = topScore - matches[i].similarity;
+    const scoreDiff = topScore - relevance(matches[i]);
     if (scoreDiff < 0.1) {
       selected.push(matches[i]);
     } else {
@@ -0,0 +1,199 @@
+// Related-content recommendations for one saved item ("you saved something similar 3 weeks ago")
+// Candidates are the item's nearest stored embeddings. Each is scored on semantic similarity
+// plus the tags and entities it shares with the item, near-duplicates of the same article
+// are dropped, and the rest are re-ranked with maximal marginal relevance (MMR) so a
+// higher diversity setting trades closeness for variety.
+
+const { cosineSimilarity, parseVector } = require('./vector-math');
+
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 20;
+const DEFAULT_DIVERSITY = 0.3;
+// Candidates less similar than this aren't related, whatever they share
+const MIN_SIMILARITY = 0.3;
+// At or above this similarity two items are treated as the same article
+const DUPLICATE_SIMILARITY = 0.95;
+// Most relevance shared labels can add (reached at MAX_COUNTED_LABELS labels)
+const LABEL_BONUS = 0.15;
+const MAX_COUNTED_LABELS = 3;
+
+/**
+ * Read limit and diversity from a query string
+ * @param {Object} query - limit (1-20, default 5), diversity (0-1, default 0.3)
+ * @returns {Object} { options: { limit, diversity }, error }
+ */
+const resolveRelatedOptions = (query = {}) => {
+  const options = { limit: DEFAULT_LIMIT, diversity: DEFAULT_DIVERSITY };
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return { options, error: `limit must be between 1 and ${MAX_LIMIT}` };
+    }
+    options.limit = limit;
+  }
+
+  if (query.diversity !== undefined) {
+    const diversity = Number(query.diversity);
+    if (!Number.isFinite(diversity) || diversity < 0 || diversity > 1) {
+      return { options, error: 'diversity must be between 0 and 1' };
+    }
+    options.diversity = diversity;
+  }
+
+  return { options, error: null };
+};
+
+// Compare URLs without protocol, www., trailing slash, query or fragment
+const urlKey = (url) => (typeof url === 'string' && url
+  ? url.trim().toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/[?#].*$/, '').replace(/\/$/, '')
+  : null);
+
+const labelName = (value) => (typeof value === 'string' ? value : value?.name);
+
+/**
+ * Tags and entities an item carries, keyed by lowercase name
+ * Tags come from item.tags or insight_data.tags; entities from insight_data.entities
+ * (strings or { name } objects, as in structured summaries)
+ * @returns {Map<string, Object>} name → { kind: 'tag' | 'entity', name }
+ */
+const itemLabels = (item) => {
+  const labels = new Map();
+  const add = (kind, values) => {
+    if (!Array.isArray(values)) return;
+    for (const value of values) {
+      const name = labelName(value)?.trim();
+      if (name && !labels.has(name.toLowerCase())) labels.set(name.toLowerCase(), { kind, name });
+    }
+  };
+
+  add('tag', item.tags);
+  add('tag', item.insight_data?.tags);
+  add('entity', item.insight_data?.entities);
+  return labels;
+};
+
+const isSameArticle = (a, b, similarity) => {
+  if (similarity >= DUPLICATE_SIMILARITY) return true;
+  if (a.content_hash && a.content_hash === b.content_hash) return true;
+  const urlA = urlKey(a.source_url);
+  return Boolean(urlA) && urlA === urlKey(b.source_url);
+};
+
+const UNITS = [
+  ['year', 365 * 24 * 60 * 60 * 1000],
+  ['month', 30 * 24 * 60 * 60 * 1000],
+  ['week', 7 * 24 * 60 * 60 * 1000],
+  ['day', 24 * 60 * 60 * 1000],
+  ['hour', 60 * 60 * 1000]
+];
+
+// "3 weeks ago", "yesterday", "earlier today"
+const savedAgo = (timestamp, now = Date.now()) => {
+  const elapsed = now - timestamp;
+  for (const [unit, ms] of UNITS) {
+    const count = Math.floor(elapsed / ms);
+    if (count >= 1) {
+      if (unit === 'day' && count === 1) return 'yesterday';
+      return `${count} ${unit}${count === 1 ? '' : 's'} ago`;
+    }
+  }
+  return 'earlier today';
+};
+
+const listNames = (names) => (names.length <= 1
+  ? names.join('')
+  : `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`);
+
+/**
+ * One-line explanation of a match
+ * e.g. "You saved something similar 3 weeks ago (84% match). Both mention OpenAI and GPT-5."
+ * @private
+ */
+const describeMatch = (candidate) => {
+  const parts = [`You saved something similar ${savedAgo(candidate.timestamp)} (${Math.round(candidate.similarity * 100)}% match).`];
+  const sharedEntities = candidate.shared.filter(label => label.kind === 'entity').map(label => label.name);
+  const sharedTags = candidate.shared.filter(label => label.kind === 'tag').map(label => label.name);
+
+  if (sharedEntities.length > 0) parts.push(`Both mention ${listNames(sharedEntities.slice(0, MAX_COUNTED_LABELS))}.`);
+  if (sharedTags.length > 0) parts.push(`Both tagged ${listNames(sharedTags.slice(0, MAX_COUNTED_LABELS))}.`);
+
+  return parts.join(' ');
+};
+
+/**
+ * Rank related items for a target item
+ * @param {Object} target - user_content row with embedding
+ * @param {Array<Object>} candidates - Neighbour rows with embedding and similarity to the target
+ * @param {Object} options - limit, diversity (0 = closest matches only, 1 = most varied)
+ * @returns {Array<Object>} [{ id, title, type, url, savedAt, similarity, score, reason, sharedTags, sharedEntities }]
+ */
+const rankRelatedContent = (target, candidates, options = {}) => {
+  const { limit = DEFAULT_LIMIT, diversity = DEFAULT_DIVERSITY } = options;
+  const targetLabels = itemLabels(target);
+
+  const pool = candidates
+    .filter(candidate => candidate.id !== target.id && candidate.similarity >= MIN_SIMILARITY)
+    .filter(candidate => !isSameArticle(target, candidate, candidate.similarity))
+    .map(candidate => {
+      const shared = [...itemLabels(candidate).entries()]
+        .filter(([key]) => targetLabels.has(key))
+        .map(([key]) => targetLabels.get(key));
+
+      return {
+        ...candidate,
+        embedding: parseVector(candidate.embedding),
+        shared,
+        relevance: candidate.similarity + LABEL_BONUS * Math.min(shared.length, MAX_COUNTED_LABELS) / MAX_COUNTED_LABELS
+      };
+    });
+
+  // MMR: relevance to the target, minus closeness to what is already picked
+  const lambda = 1 - diversity;
+  const selected = [];
+
+  while (selected.length < limit && pool.length > 0) {
+    let bestIndex = -1;
+    let bestScore = -Infinity;
+
+    for (let i = 0; i < pool.length; i++) {
+      const candidate = pool[i];
+      const closest = selected.length > 0
+        ? Math.max(...selected.map(picked => cosineSimilarity(candidate.embedding, picked.embedding)))
+        : 0;
+
+      const score = lambda * candidate.relevance - (1 - lambda) * closest;
+      if (score > bestScore) {
+        bestScore = score;
+        bestIndex = i;
+      }
+    }
+
+    const [best] = pool.splice(bestIndex, 1);
+    selected.push(best);
+
+    // Other copies of the article just picked are dropped too
+    for (let i = pool.length - 1; i >= 0; i--) {
+      if (isSameArticle(best, pool[i], cosineSimilarity(best.embedding, pool[i].embedding))) pool.splice(i, 1);
+    }
+  }
+
+  return selected.map(item => ({
+    id: item.id,
+    title: item.title,
+    type: item.type,
+    url: item.source_url || null,
+    savedAt: item.timestamp ? new Date(item.timestamp).toISOString() : null,
+    similarity: Number(item.similarity.toFixed(4)),
+    score: Number(item.relevance.toFixed(4)),
+    reason: describeMatch(item),
+    sharedTags: item.shared.filter(label => label.kind === 'tag').map(label => label.name),
+    sharedEntities: item.shared.filter(label => label.kind === 'entity').map(label => label.name)
+  }));
+};
+
+module.exports = {
+  resolveRelatedOptions,
+  itemLabels,
+  rankRelatedContent
+};
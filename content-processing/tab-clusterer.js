@@ -0,0 +1,244 @@
+// Topic clustering for multi-tab sessions
+// Groups open tabs by what they are about (embedding similarity) instead of by domain,
+// then asks the model for a label and summary per cluster and how the clusters relate
+const llm = require('../llm');
+const { renderPrompt } = require('../prompts');
+const { cosineSimilarity, meanVector } = require('./vector-math');
+
+// Average-linkage similarity needed to merge two clusters (text-embedding-3-small scale)
+const CLUSTER_SIMILARITY_THRESHOLD = 0.45;
+// Centroid similarity for two clusters to be offered as a link
+const LINK_SIMILARITY_THRESHOLD = 0.3;
+const MAX_LINKS_PER_CLUSTER = 2;
+const MAX_TABS = 60;
+const TAB_EMBEDDING_CHARS = 1500;
+const TAB_PROMPT_CHARS = 300;
+const DESCRIPTION_MAX_TOKENS = 1000;
+
+/**
+ * Flatten structuredTabs ({ domain: [tab] }) into one list
+ * @param {Object} structuredTabs - Tabs grouped by domain, as sent by the extension
+ * @returns {Array<Object>} [{ index, domain, title, url, content, topics }]
+ */
+const flattenTabs = (structuredTabs) => Object.entries(structuredTabs || {})
+  .flatMap(([domain, tabs]) => (Array.isArray(tabs) ? tabs : []).map(tab => ({
+    domain,
+    title: tab.title || 'Untitled',
+    url: tab.url || null,
+    content: tab.content || '',
+    topics: Array.isArray(tab.topics) ? tab.topics : []
+  })))
+  .slice(0, MAX_TABS)
+  .map((tab, index) => ({ index, ...tab }));
+
+const tabEmbeddingText = (tab) => [
+  tab.title,
+  tab.topics.length > 0 ? `Topics: ${tab.topics.join(', ')}` : '',
+  tab.content.substring(0, TAB_EMBEDDING_CHARS)
+].filter(Boolean).join('\n');
+
+/**
+ * Agglomerative clustering with average linkage
+ * Repeatedly merges the two most similar clusters until no pair reaches the threshold
+ * @param {Array<Array<number>>} embeddings - One vector per item
+ * @param {number} threshold - Minimum average similarity to merge
+ * @returns {Array<Array<number>>} Clusters as lists of item indexes
+ */
+const clusterBySimilarity = (embeddings, threshold = CLUSTER_SIMILARITY_THRESHOLD) => {
+  const similarity = embeddings.map(a => embeddings.map(b => cosineSimilarity(a, b)));
+  const clusters = embeddings.map((_, index) => [index]);
+
+  const averageLinkage = (a, b) => {
+    let total = 0;
+    for (const i of a) for (const j of b) total += similarity[i][j];
+    return total / (a.length * b.length);
+  };
+
+  while (clusters.length > 1) {
+    let best = { score: -Infinity, a: -1, b: -1 };
+    for (let a = 0; a < clusters.length; a++) {
+      for (let b = a + 1; b < clusters.length; b++) {
+        const score = averageLinkage(clusters[a], clusters[b]);
+        if (score > best.score) best = { score, a, b };
+      }
+    }
+
+    if (best.score < threshold) break;
+    clusters[best.a] = [...clusters[best.a], ...clusters[best.b]];
+    clusters.splice(best.b, 1);
+  }
+
+  return clusters;
+};
+
+/**
+ * Candidate links between clusters: each cluster's closest neighbours by centroid
+ * @param {Array<Object>} clusters - [{ id, centroid }]
+ * @returns {Array<Object>} [{ from, to, similarity }]
+ */
+const linkClusters = (clusters) => {
+  const links = new Map();
+
+  for (const cluster of clusters) {
+    clusters
+      .filter(other => other !== cluster)
+      .map(other => ({ other, similarity: cosineSimilarity(cluster.centroid, other.centroid) }))
+      .filter(({ similarity }) => similarity >= LINK_SIMILARITY_THRESHOLD)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, MAX_LINKS_PER_CLUSTER)
+      .forEach(({ other, similarity }) => {
+        const [from, to] = [cluster.id, other.id].sort();
+        links.set(`${from}|${to}`, { from, to, similarity: Number(similarity.toFixed(4)) });
+      });
+  }
+
+  return [...links.values()].sort((a, b) => b.similarity - a.similarity);
+};
+
+// Label used when the model gives none: the most shared topic, else the domain or tab title
+const fallbackLabel = (tabs) => {
+  const topicCounts = new Map();
+  tabs.flatMap(tab => tab.topics).forEach(topic => topicCounts.set(topic, (topicCounts.get(topic) || 0) + 1));
+  const [topTopic] = [...topicCounts.entries()].sort((a, b) => b[1] - a[1])[0] || [];
+
+  if (topTopic) return topTopic;
+  if (tabs.length === 1) return tabs[0].title.substring(0, 60);
+  return [...new Set(tabs.map(tab => tab.domain))].slice(0, 2).join(', ');
+};
+
+/**
+ * Parse the model's cluster descriptions
+ * @private
+ * @returns {Object|null} { overview, clusters, links }
+ */
+const parseDescriptions = (responseText) => {
+  try {
+    const jsonStart = responseText.indexOf('{');
+    const jsonEnd = responseText.lastIndexOf('}');
+    if (jsonStart === -1 || jsonEnd <= jsonStart) return null;
+
+    const parsed = JSON.parse(responseText.substring(jsonStart, jsonEnd + 1));
+    return {
+      overview: typeof parsed.overview === 'string' ? parsed.overview : null,
+      clusters: Array.isArray(parsed.clusters) ? parsed.clusters : [],
+      links: Array.isArray(parsed.links) ? parsed.links : []
+    };
+  } catch (error) {
+    console.warn('⚠️ Could not parse cluster descriptions:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Ask the model for cluster labels, summaries and link descriptions
+ * Returns null (and the caller keeps fallback labels) if the call or parsing fails
+ * @private
+ */
+const describeClusters = async (clusters, links, tabCount, options) => {
+  const clusterList = clusters.map(cluster => [
+    `[${cluster.id}] (${cluster.tabs.length} tab${cluster.tabs.length > 1 ? 's' : ''})`,
+    ...cluster.tabs.map(tab => `- "${tab.title}" (${tab.domain})${tab.content ? `: ${tab.content.substring(0, TAB_PROMPT_CHARS)}` : ''}`)
+  ].join('\n')).join('\n\n');
+
+  const linkList = links.length > 0
+    ? links.map(link => `- ${link.from} ↔ ${link.to} (${link.similarity.toFixed(2)})`).join('\n')
+    : 'None';
+
+  const prompt = renderPrompt('tab-clusters', {
+    tabCount,
+    clusterCount: clusters.length,
+    clusterList: `${clusterList}\n`,
+    linkList
+  }, { userSettings: options.userSettings });
+
+  try {
+    const result = await llm.complete({
+      route: 'multi-tab-summary',
+      userSettings: options.userSettings,
+      prompt: prompt.text,
+      maxTokens: DESCRIPTION_MAX_TOKENS,
+      signal: options.signal
+    });
+
+    return { descriptions: parseDescriptions(result.text), promptVersion: prompt.id, usage: result.usage };
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    console.error('❌ Cluster description failed:', error.message);
+    return { descriptions: null, promptVersion: prompt.id, usage: null };
+  }
+};
+
+/**
+ * Cluster a multi-tab session by topic and describe each cluster
+ * @param {Object} structuredTabs - Tabs grouped by domain
+ * @param {Object} options - embed (async texts → vectors | null), userSettings, signal
+ * @returns {Promise<Object|null>} { overview, clusters, links, tabCount, promptVersion, usage },
+ *   or null when embeddings are unavailable
+ */
+const summarizeTabClusters = async (structuredTabs, options = {}) => {
+  const tabs = flattenTabs(structuredTabs);
+  if (tabs.length === 0) return null;
+
+  console.log(`\n🗂️ === TAB CLUSTERING START ===`);
+  console.log(`Tabs: ${tabs.length} across ${Object.keys(structuredTabs).length} domains`);
+
+  const embeddings = await options.embed(tabs.map(tabEmbeddingText));
+  if (!embeddings || embeddings.length !== tabs.length) {
+    console.log('❌ Tab embeddings unavailable, skipping clustering');
+    return null;
+  }
+
+  const clusters = clusterBySimilarity(embeddings)
+    .sort((a, b) => b.length - a.length)
+    .map((indexes, position) => ({
+      id: `c${position + 1}`,
+      tabs: indexes.sort((a, b) => a - b).map(index => tabs[index]),
+      centroid: meanVector(indexes.map(index => embeddings[index]))
+    }));
+  const links = linkClusters(clusters);
+
+  console.log(`🗂️ ${clusters.length} cluster(s), ${links.length} candidate link(s)`);
+
+  const { descriptions, promptVersion, usage } = await describeClusters(clusters, links, tabs.length, options);
+  const describedClusters = new Map((descriptions?.clusters || []).map(cluster => [cluster.id, cluster]));
+  const describedLinks = new Map((descriptions?.links || []).map(link => [[link.from, link.to].sort().join('|'), link]));
+
+  console.log(`🗂️ === TAB CLUSTERING END ===\n`);
+
+  return {
+    overview: descriptions?.overview || null,
+    clusters: clusters.map(cluster => ({
+      id: cluster.id,
+      label: describedClusters.get(cluster.id)?.label || fallbackLabel(cluster.tabs),
+      summary: describedClusters.get(cluster.id)?.summary || null,
+      tabCount: cluster.tabs.length,
+      domains: [...new Set(cluster.tabs.map(tab => tab.domain))],
+      tabs: cluster.tabs.map(({ title, url, domain, topics }) => ({ title, url, domain, topics }))
+    })),
+    // With descriptions, keep only the links the model found meaningful
+    links: links
+      .filter(link => !descriptions || describedLinks.has(`${link.from}|${link.to}`))
+      .map(link => ({ ...link, relationship: describedLinks.get(`${link.from}|${link.to}`)?.relationship || null })),
+    tabCount: tabs.length,
+    promptVersion,
+    usage
+  };
+};
+
+/**
+ * Prose version of a clustered session, for clients that only show `summary`
+ * @param {Object} result - From summarizeTabClusters()
+ * @returns {string}
+ */
+const formatClusteredSummary = (result) => [
+  result.overview,
+  ...result.clusters.map(cluster => `**${cluster.label}** (${cluster.tabCount} tab${cluster.tabCount > 1 ? 's' : ''})${cluster.summary ? `: ${cluster.summary}` : ''}`)
+].filter(Boolean).join('\n\n');
+
+module.exports = {
+  flattenTabs,
+  clusterBySimilarity,
+  linkClusters,
+  summarizeTabClusters,
+  formatClusteredSummary
+};
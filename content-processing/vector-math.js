@@ -0,0 +1,60 @@
+// Small vector helpers for embedding comparisons
+
+/**
+ * Cosine similarity of two vectors
+ * @returns {number} -1 to 1, or 0 when a vector is missing or lengths differ
+ */
+const cosineSimilarity = (vecA, vecB) => {
+  if (!vecA || !vecB || vecA.length !== vecB.length) return 0;
+
+  let dotProduct = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < vecA.length; i++) {
+    dotProduct += vecA[i] * vecB[i];
+    normA += vecA[i] * vecA[i];
+    normB += vecB[i] * vecB[i];
+  }
+
+  if (normA === 0 || normB === 0) return 0;
+  return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+};
+
+/**
+ * Element-wise mean of equal-length vectors (e.g. a cluster centroid)
+ * @param {Array<Array<number>>} vectors
+ * @returns {Array<number>|null}
+ */
+const meanVector = (vectors) => {
+  if (!vectors || vectors.length === 0) return null;
+
+  const mean = new Array(vectors[0].length).fill(0);
+  for (const vector of vectors) {
+    for (let i = 0; i < mean.length; i++) mean[i] += vector[i];
+  }
+  return mean.map(value => value / vectors.length);
+};
+
+/**
+ * Read a stored embedding: pgvector columns come back from PostgREST as "[0.1,0.2,...]"
+ * @param {Array<number>|string|null} value
+ * @returns {Array<number>|null}
+ */
+const parseVector = (value) => {
+  if (Array.isArray(value)) return value;
+  if (typeof value !== 'string') return null;
+
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  cosineSimilarity,
+  meanVector,
+  parseVector
+};
@@ -0,0 +1,194 @@
+// Reading digests (/api/digest and scheduled digests)
+// A digest covers what the user saved over a date range: an overview from the
+// recent-content prompt, themes, the items most worth revisiting, bookmarks they
+// haven't followed up on, and open questions. See render.js for Markdown and HTML.
+const llm = require('../llm');
+const { renderPrompt } = require('../prompts');
+const { processUserContent } = require('../content-processing/basic-processor');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DAYS = 7;
+const MAX_RANGE_DAYS = 366;
+// Most recent items sent to the model; the counts still cover the whole range
+const MAX_PROMPT_ITEMS = 60;
+const MAX_UNREAD_BOOKMARKS = 10;
+const OVERVIEW_MAX_TOKENS = 400;
+const STRUCTURE_MAX_TOKENS = 1200;
+
+const toDay = (ms) => new Date(ms).toISOString().split('T')[0];
+
+// Accepts epoch milliseconds or anything Date can parse ("2025-03-01", ISO timestamps)
+const parseDate = (value) => {
+  const ms = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isFinite(ms) ? ms : null;
+};
+
+// Compare URLs without protocol, www., trailing slash or fragment
+const urlKey = (url) => (typeof url === 'string' && url !== 'unknown'
+  ? url.trim().toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/#.*$/, '').replace(/\/$/, '')
+  : null);
+
+/**
+ * Read and validate a digest range from a request body
+ * `to` defaults to now and `from` to `days` (default 7) before `to`
+ * @param {Object} body - from, to, days
+ * @returns {Object} { range: { from, to, days } (epoch ms), error }
+ */
+function resolveDigestRange(body = {}, now = Date.now()) {
+  let to = now;
+  if (body.to !== undefined && body.to !== null) {
+    to = parseDate(body.to);
+    if (to === null) return { range: null, error: 'to must be a date such as "2025-03-07"' };
+    // A bare date means the end of that day
+    if (typeof body.to === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(body.to)) to += DAY_MS - 1;
+    to = Math.min(to, now);
+  }
+
+  let from;
+  if (body.from !== undefined && body.from !== null) {
+    from = parseDate(body.from);
+    if (from === null) return { range: null, error: 'from must be a date such as "2025-03-01"' };
+  } else {
+    const days = body.days === undefined || body.days === null ? DEFAULT_DAYS : Number(body.days);
+    if (!Number.isFinite(days) || days <= 0 || days > MAX_RANGE_DAYS) {
+      return { range: null, error: `days must be between 1 and ${MAX_RANGE_DAYS}` };
+    }
+    from = to - days * DAY_MS;
+  }
+
+  if (from >= to) return { range: null, error: 'from must be before to' };
+  if (to - from > MAX_RANGE_DAYS * DAY_MS) return { range: null, error: `A digest can cover at most ${MAX_RANGE_DAYS} days` };
+
+  return { range: { from, to, days: Math.ceil((to - from) / DAY_MS) }, error: null };
+}
+
+/**
+ * Days of library to load for a range: from its start until now, so insights written
+ * after the range still count as following up on its bookmarks
+ */
+const daysToLoad = (range, now = Date.now()) => Math.ceil((now - range.from) / DAY_MS);
+
+/**
+ * Bookmarks in the range with no insight from the same page: saved, but not yet read
+ * and summarized in the extension
+ * @private
+ */
+function findUnreadBookmarks(rangeItems, allSummaries) {
+  const followedUp = new Set(allSummaries
+    .filter(item => item.type !== 'bookmark')
+    .map(item => urlKey(item.url))
+    .filter(Boolean));
+
+  return rangeItems
+    .filter(item => item.type === 'bookmark' && !followedUp.has(urlKey(item.url)))
+    .sort((a, b) => a.timestamp - b.timestamp) // Oldest first: the longest waiting
+    .slice(0, MAX_UNREAD_BOOKMARKS);
+}
+
+const toDigestItem = (item) => ({
+  id: item.id,
+  title: item.title,
+  type: item.type,
+  url: item.url,
+  savedAt: new Date(item.timestamp).toISOString()
+});
+
+/**
+ * Build a digest
+ * @param {Object} options
+ * @param {Array<Object>} options.items - Library items (stored rows mapped to items, or client items)
+ *   covering at least daysToLoad(range)
+ * @param {Object} options.range - From resolveDigestRange
+ * @param {Object} options.userSettings - For model selection and prompt overrides
+ * @returns {Promise<Object>} Digest: { range, itemCount, counts, overview, themes, topItems,
+ *   unreadBookmarks, openQuestions, generatedAt, promptVersions, usage }
+ * @throws {LLMError}
+ */
+async function buildDigest({ items, range, userSettings = null }) {
+  const processed = processUserContent(items, { days: daysToLoad(range) });
+
+  // Summaries lose the URL; fullItems (same order) keep it as a plain `source` string
+  const withUrls = processed.items.map((item, index) => {
+    const source = processed.fullItems[index]?.source;
+    return { ...item, url: urlKey(source) ? source : null };
+  });
+  const inRange = withUrls
+    .filter(item => item.timestamp >= range.from && item.timestamp <= range.to)
+    .sort((a, b) => b.timestamp - a.timestamp);
+
+  const counts = inRange.reduce((byType, item) => ({ ...byType, [item.type]: (byType[item.type] || 0) + 1 }), {});
+  const digest = {
+    range: { from: new Date(range.from).toISOString(), to: new Date(range.to).toISOString(), days: range.days },
+    itemCount: inRange.length,
+    counts,
+    overview: null,
+    themes: [],
+    topItems: [],
+    unreadBookmarks: findUnreadBookmarks(inRange, withUrls).map(toDigestItem),
+    openQuestions: [],
+    generatedAt: new Date().toISOString(),
+    promptVersions: [],
+    usage: { inputTokens: 0, outputTokens: 0 }
+  };
+
+  if (inRange.length === 0) {
+    digest.overview = `You didn't save anything between ${toDay(range.from)} and ${toDay(range.to)}.`;
+    return digest;
+  }
+
+  const promptItems = inRange.slice(0, MAX_PROMPT_ITEMS);
+  console.log(`📰 Building digest for ${toDay(range.from)} → ${toDay(range.to)}: ${inRange.length} item(s), ${promptItems.length} in prompt`);
+
+  // Same overview as /api/recent-content, over the digest's items
+  const overviewPrompt = renderPrompt('recent-content-overview', {
+    itemCount: promptItems.length,
+    days: range.days,
+    contentSummaries: promptItems.map(item => `**${item.title}** (${item.type}): ${item.preview}`).join('\n\n')
+  }, { userSettings });
+
+  const structurePrompt = renderPrompt('reading-digest', {
+    from: toDay(range.from),
+    to: toDay(range.to),
+    itemCount: promptItems.length,
+    contentSummaries: promptItems.map((item, index) => `[${index + 1}] **${item.title}** (${item.type}): ${item.preview}`).join('\n\n')
+  }, { userSettings });
+
+  const [overview, structure] = await Promise.all([
+    llm.complete({ route: 'digest', userSettings, prompt: overviewPrompt.text, maxTokens: OVERVIEW_MAX_TOKENS }),
+    llm.completeJson({
+      route: 'digest',
+      userSettings,
+      prompt: structurePrompt.text,
+      system: structurePrompt.system,
+      schema: structurePrompt.schema,
+      maxTokens: STRUCTURE_MAX_TOKENS
+    })
+  ]);
+
+  // Item numbers the model made up are dropped
+  const itemAt = (number) => promptItems[number - 1] || null;
+
+  digest.overview = overview.text;
+  digest.themes = structure.data.themes.map(theme => ({
+    name: theme.name,
+    summary: theme.summary,
+    items: [...new Set(theme.items)].map(itemAt).filter(Boolean).map(toDigestItem)
+  }));
+  digest.topItems = structure.data.topItems
+    .filter(top => itemAt(top.item))
+    .map(top => ({ ...toDigestItem(itemAt(top.item)), reason: top.reason }));
+  digest.openQuestions = structure.data.openQuestions;
+  digest.promptVersions = [overviewPrompt.id, structurePrompt.id];
+  digest.usage = {
+    inputTokens: (overview.usage?.inputTokens || 0) + structure.usage.inputTokens,
+    outputTokens: (overview.usage?.outputTokens || 0) + structure.usage.outputTokens
+  };
+
+  return digest;
+}
+
+module.exports = {
+  resolveDigestRange,
+  daysToLoad,
+  buildDigest
+};
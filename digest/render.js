@@ -0,0 +1,153 @@
+// Markdown and HTML versions of a digest (see index.js for its shape)
+// The HTML is a self-contained document with inline styles so it can be emailed as is.
+
+const DIGEST_FORMATS = ['json', 'markdown', 'html'];
+
+const formatDay = (iso) => new Date(iso).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+
+const describeRange = (digest) =>
+  `${formatDay(digest.range.from)} – ${formatDay(digest.range.to)} · ${digest.itemCount} item${digest.itemCount === 1 ? '' : 's'} saved`;
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Only http(s) links are rendered; anything else is shown as plain text
+const safeUrl = (url) => (typeof url === 'string' && /^https?:\/\//i.test(url) ? url : null);
+
+// Model-written prose keeps its formatting, but never raw HTML
+const markdownText = (text) => String(text).replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Titles come from saved pages, so markdown syntax in them is shown literally
+const escapeMarkdown = (text) => markdownText(text).replace(/([\\[\]*_`])/g, '\\$1');
+
+const markdownLink = (item) => {
+  const url = safeUrl(item.url);
+  return url ? `[${escapeMarkdown(item.title)}](${url.replace(/\)/g, '%29')})` : escapeMarkdown(item.title);
+};
+
+/**
+ * Render a digest as Markdown
+ * @param {Object} digest - From buildDigest
+ * @returns {string}
+ */
+function renderDigestMarkdown(digest) {
+  const lines = ['# Your reading digest', '', `_${describeRange(digest)}_`, '', markdownText(digest.overview || '')];
+
+  if (digest.themes.length > 0) {
+    lines.push('', '## Themes');
+    for (const theme of digest.themes) {
+      lines.push('', `### ${escapeMarkdown(theme.name)}`, '', markdownText(theme.summary));
+      if (theme.items.length > 0) {
+        lines.push('', ...theme.items.map(item => `- ${markdownLink(item)}`));
+      }
+    }
+  }
+
+  if (digest.topItems.length > 0) {
+    lines.push('', '## Worth revisiting', '', ...digest.topItems.map((item, index) => `${index + 1}. **${markdownLink(item)}** — ${markdownText(item.reason)}`));
+  }
+
+  if (digest.unreadBookmarks.length > 0) {
+    lines.push('', '## Unread bookmarks', '', ...digest.unreadBookmarks.map(item => `- ${markdownLink(item)} · saved ${formatDay(item.savedAt)}`));
+  }
+
+  if (digest.openQuestions.length > 0) {
+    lines.push('', '## Open questions', '', ...digest.openQuestions.map(question => `- ${markdownText(question)}`));
+  }
+
+  return `${lines.join('\n').trim()}\n`;
+}
+
+const htmlLink = (item) => {
+  const url = safeUrl(item.url);
+  return url
+    ? `<a href="${escapeHtml(url)}" style="color:#2563eb;text-decoration:none;">${escapeHtml(item.title)}</a>`
+    : escapeHtml(item.title);
+};
+
+const htmlSection = (title, body) =>
+  `<h2 style="font-size:18px;margin:28px 0 8px;">${escapeHtml(title)}</h2>\n${body}`;
+
+const htmlList = (entries, tag = 'ul') =>
+  `<${tag} style="padding-left:20px;margin:8px 0;">${entries.map(entry => `<li style="margin:4px 0;">${entry}</li>`).join('')}</${tag}>`;
+
+/**
+ * Render a digest as a standalone HTML document
+ * @param {Object} digest - From buildDigest
+ * @returns {string}
+ */
+function renderDigestHtml(digest) {
+  const sections = [];
+
+  if (digest.themes.length > 0) {
+    sections.push(htmlSection('Themes', digest.themes.map(theme => [
+      `<h3 style="font-size:16px;margin:16px 0 4px;">${escapeHtml(theme.name)}</h3>`,
+      `<p style="margin:4px 0;">${escapeHtml(theme.summary)}</p>`,
+      theme.items.length > 0 ? htmlList(theme.items.map(htmlLink)) : ''
+    ].join('\n')).join('\n')));
+  }
+
+  if (digest.topItems.length > 0) {
+    sections.push(htmlSection('Worth revisiting', htmlList(
+      digest.topItems.map(item => `<strong>${htmlLink(item)}</strong> — ${escapeHtml(item.reason)}`),
+      'ol'
+    )));
+  }
+
+  if (digest.unreadBookmarks.length > 0) {
+    sections.push(htmlSection('Unread bookmarks', htmlList(
+      digest.unreadBookmarks.map(item => `${htmlLink(item)} <span style="color:#6b7280;">· saved ${escapeHtml(formatDay(item.savedAt))}</span>`)
+    )));
+  }
+
+  if (digest.openQuestions.length > 0) {
+    sections.push(htmlSection('Open questions', htmlList(digest.openQuestions.map(escapeHtml))));
+  }
+
+  const overview = (digest.overview || '')
+    .split(/\n{2,}/)
+    .filter(paragraph => paragraph.trim())
+    .map(paragraph => `<p style="margin:8px 0;">${escapeHtml(paragraph.trim()).replace(/\n/g, '<br>')}</p>`)
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Your reading digest</title>
+</head>
+<body style="margin:0;padding:24px;background:#f9fafb;">
+<div style="max-width:640px;margin:0 auto;background:#ffffff;padding:32px;border-radius:8px;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;font-size:15px;line-height:1.5;color:#111827;">
+<h1 style="font-size:22px;margin:0 0 4px;">Your reading digest</h1>
+<p style="margin:0 0 16px;color:#6b7280;">${escapeHtml(describeRange(digest))}</p>
+${overview}
+${sections.join('\n')}
+</div>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a digest in one of DIGEST_FORMATS
+ * @returns {Object} { contentType, body } (body is the digest itself for json)
+ */
+function renderDigest(digest, format) {
+  if (format === 'markdown') return { contentType: 'text/markdown; charset=utf-8', body: renderDigestMarkdown(digest) };
+  if (format === 'html') return { contentType: 'text/html; charset=utf-8', body: renderDigestHtml(digest) };
+  return { contentType: 'application/json', body: digest };
+}
+
+module.exports = {
+  DIGEST_FORMATS,
+  markdownText,
+  escapeMarkdown,
+  markdownLink,
+  renderDigestMarkdown,
+  renderDigestHtml,
+  renderDigest
+};
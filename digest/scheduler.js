@@ -0,0 +1,138 @@
+// Weekly digests scheduled through user settings
+// settings.digest = { enabled, dayOfWeek (0 = Sunday … 6, default 1), hour (0-23 UTC, default 8),
+//   days (range covered, default 7), format ('markdown' | 'html' | 'json', default 'html') }
+//
+// Every check finds users whose latest scheduled time has passed without a digest and
+// generates one. The digests row for (user, scheduled time) is created before the work
+// starts, so several processes checking at once generate each digest only once.
+
+const CHECK_INTERVAL_MS = 15 * 60 * 1000;
+const MAX_SCHEDULE_DAYS = 31;
+const DEFAULT_SCHEDULE = { enabled: false, dayOfWeek: 1, hour: 8, days: 7, format: 'html' };
+const SCHEDULE_FORMATS = ['markdown', 'html', 'json'];
+
+const isIntegerBetween = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+/**
+ * Validate a digest setting and fill in defaults
+ * @param {Object} setting - settings.digest
+ * @returns {Object} { schedule, error } (schedule.enabled is false when the setting is absent)
+ */
+function resolveDigestSchedule(setting) {
+  if (setting === undefined || setting === null) return { schedule: { ...DEFAULT_SCHEDULE }, error: null };
+  if (typeof setting !== 'object' || Array.isArray(setting)) return { schedule: null, error: 'digest must be an object' };
+
+  const schedule = { ...DEFAULT_SCHEDULE, ...setting };
+
+  if (typeof schedule.enabled !== 'boolean') return { schedule: null, error: 'digest.enabled must be true or false' };
+  if (!isIntegerBetween(schedule.dayOfWeek, 0, 6)) return { schedule: null, error: 'digest.dayOfWeek must be 0 (Sunday) to 6 (Saturday)' };
+  if (!isIntegerBetween(schedule.hour, 0, 23)) return { schedule: null, error: 'digest.hour must be 0 to 23 (UTC)' };
+  if (!isIntegerBetween(schedule.days, 1, MAX_SCHEDULE_DAYS)) return { schedule: null, error: `digest.days must be 1 to ${MAX_SCHEDULE_DAYS}` };
+  if (!SCHEDULE_FORMATS.includes(schedule.format)) return { schedule: null, error: `digest.format must be one of ${SCHEDULE_FORMATS.join(', ')}` };
+
+  return { schedule, error: null };
+}
+
+/**
+ * Most recent scheduled time at or before now (UTC)
+ * @returns {Date}
+ */
+function latestScheduledRun(schedule, now = new Date()) {
+  const run = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), schedule.hour));
+  run.setUTCDate(run.getUTCDate() - ((run.getUTCDay() - schedule.dayOfWeek + 7) % 7));
+  if (run > now) run.setUTCDate(run.getUTCDate() - 7);
+  return run;
+}
+
+/**
+ * Create the digest scheduler
+ * @param {Object} options
+ * @param {Object} options.digestService - DigestService
+ * @param {Function} options.generate - async (userId, schedule, settings, range) → { digest, markdown, html }
+ * @returns {Object} { runDue, start }
+ */
+function createDigestScheduler({ digestService, generate }) {
+  let checking = false;
+
+  async function runForUser(userId, schedule, settings, scheduledFor) {
+    const range = { from: scheduledFor.getTime() - schedule.days * 24 * 60 * 60 * 1000, to: scheduledFor.getTime(), days: schedule.days };
+
+    const claim = await digestService.claimScheduledDigest(userId, scheduledFor.toISOString(), range);
+    if (!claim.success || !claim.digest) return false;
+
+    console.log(`📰 Generating scheduled digest for user ${userId} (${scheduledFor.toISOString()})`);
+    try {
+      const result = await generate(userId, schedule, settings, range);
+      const saved = await digestService.saveDigest(claim.digest.id, {
+        status: 'ready',
+        digest: result.digest,
+        markdown: result.markdown,
+        html: result.html,
+        format: schedule.format
+      });
+      if (!saved.success) throw new Error(`Failed to save digest: ${saved.error}`);
+      console.log(`✅ Scheduled digest ready for user ${userId}: ${result.digest.itemCount} item(s)`);
+    } catch (error) {
+      console.error(`❌ Scheduled digest failed for user ${userId}:`, error.message);
+      // A failure here must not stop the other users' digests
+      try {
+        const saved = await digestService.saveDigest(claim.digest.id, { status: 'failed', error: error.message });
+        if (!saved.success) console.error(`❌ Could not mark digest ${claim.digest.id} as failed:`, saved.error);
+      } catch (saveError) {
+        console.error(`❌ Could not mark digest ${claim.digest.id} as failed:`, saveError.message);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Generate every digest that is due
+   * @returns {Promise<number>} Digests attempted
+   */
+  async function runDue(now = new Date()) {
+    if (checking) return 0;
+    checking = true;
+
+    try {
+      const scheduled = await digestService.getScheduledUsers();
+      let attempted = 0;
+
+      for (const { userId, settings } of scheduled.users) {
+        const { schedule, error } = resolveDigestSchedule(settings.digest);
+        if (error || !schedule.enabled) continue;
+
+        // Digests aren't backfilled: only the latest missed run is generated
+        const scheduledFor = latestScheduledRun(schedule, now);
+        try {
+          if (await runForUser(userId, schedule, settings, scheduledFor)) attempted++;
+        } catch (error) {
+          console.error(`❌ Scheduled digest check failed for user ${userId}:`, error.message);
+        }
+      }
+
+      return attempted;
+    } finally {
+      checking = false;
+    }
+  }
+
+  // Check now and then every CHECK_INTERVAL_MS
+  function start() {
+    const check = () => runDue()
+      .catch(error => console.error('❌ Digest schedule check failed:', error.message));
+
+    check();
+    setInterval(check, CHECK_INTERVAL_MS).unref();
+  }
+
+  return {
+    runDue,
+    start
+  };
+}
+
+module.exports = {
+  resolveDigestSchedule,
+  latestScheduledRun,
+  createDigestScheduler
+};
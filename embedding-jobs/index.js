@@ -0,0 +1,290 @@
+// Background embedding jobs
+// A job embeds a user's stored content outside the request that started it: items run
+// a few at a time with retries, and progress is written to the embedding_jobs table
+// so clients can poll it and another process can pick the job up after a restart.
+//
+// A job whose heartbeat stops (its process died) is resumed by the next resume check.
+// Resuming reloads the work list: items embedded before the restart now count as up
+// to date, so only the remainder is embedded again.
+
+const DEFAULT_CONCURRENCY = 3;
+const MAX_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+// Progress and heartbeat are written on this interval while a job runs
+const HEARTBEAT_INTERVAL_MS = 5000;
+// A queued or running job with no heartbeat for this long is considered abandoned
+const STALE_AFTER_MS = 60 * 1000;
+const RESUME_CHECK_INTERVAL_MS = 60 * 1000;
+const MAX_RECORDED_FAILURES = 50;
+// start({ ifNeeded }) skips users whose last job finished this recently
+const IF_NEEDED_COOLDOWN_MS = 10 * 60 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run a task for every item with at most `concurrency` in flight
+ * @private
+ */
+async function forEachConcurrently(items, concurrency, task) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await task(item);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+}
+
+/**
+ * Call fn until it succeeds or maxAttempts is reached, backing off exponentially
+ * @private
+ * @returns {Promise<Object>} { ok, attempts, error }
+ */
+async function withRetries(fn, maxAttempts) {
+  let lastError;
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    try {
+      await fn();
+      return { ok: true, attempts: attempt };
+    } catch (error) {
+      lastError = error;
+      if (attempt < maxAttempts) await sleep(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+    }
+  }
+  return { ok: false, attempts: maxAttempts, error: lastError };
+}
+
+const isStale = (job, now = Date.now()) =>
+  now - new Date(job.heartbeat_at || job.created_at).getTime() > STALE_AFTER_MS;
+
+/**
+ * API shape of a job row, with percent complete and an ETA from the current run's rate
+ * @param {Object} job - embedding_jobs row
+ * @returns {Object}
+ */
+function describeJob(job) {
+  const total = job.total || 0;
+  const processed = job.processed || 0;
+  const remaining = Math.max(0, total - processed);
+
+  // Up-to-date items are counted at the start of a run, so the rate only covers real work
+  let etaSeconds = null;
+  if (job.status === 'running' && job.started_at && remaining > 0) {
+    const elapsedSeconds = (Date.now() - new Date(job.started_at).getTime()) / 1000;
+    const worked = processed - (job.up_to_date || 0);
+    if (worked > 0 && elapsedSeconds > 0) {
+      etaSeconds = Math.ceil(remaining / (worked / elapsedSeconds));
+    }
+  } else if (job.status === 'completed') {
+    etaSeconds = 0;
+  }
+
+  return {
+    jobId: job.id,
+    status: job.status,
+    options: job.options || {},
+    total,
+    processed,
+    embedded: job.embedded || 0,
+    upToDate: job.up_to_date || 0,
+    failed: job.failed || 0,
+    percentComplete: total > 0 ? Math.round(processed / total * 100) : (job.status === 'completed' ? 100 : 0),
+    etaSeconds,
+    failures: job.failures || [],
+    error: job.error || null,
+    runs: job.attempts || 0,
+    createdAt: job.created_at,
+    startedAt: job.started_at || null,
+    finishedAt: job.finished_at || null,
+    isComplete: job.status === 'completed' || job.status === 'failed'
+  };
+}
+
+/**
+ * Create the embedding job runner
+ * @param {Object} options
+ * @param {Object} options.jobService - EmbeddingJobService
+ * @param {Function} options.loadWork - async (userId, jobOptions) → { items: [{ id, title }], upToDate }
+ * @param {Function} options.processItem - async (userId, item), throws when the item fails
+ * @param {Function} options.hasPendingWork - async (userId, jobOptions) → boolean, a cheap check
+ *   that some item has no embedding yet (used by start({ ifNeeded }))
+ * @param {number} options.concurrency - Items in flight per job (EMBEDDING_JOB_CONCURRENCY, default 3)
+ * @returns {Object} { start, getJob, resumeInterrupted, startResumeLoop }
+ */
+function createEmbeddingJobRunner(options) {
+  const { jobService, loadWork, processItem, hasPendingWork } = options;
+  const concurrency = options.concurrency || parseInt(process.env.EMBEDDING_JOB_CONCURRENCY) || DEFAULT_CONCURRENCY;
+  const maxAttempts = options.maxAttempts || MAX_ATTEMPTS;
+
+  // Jobs running in this process, and users whose start() is in flight
+  const runningJobs = new Set();
+  const startingUsers = new Map();
+
+  async function runJob(job) {
+    runningJobs.add(job.id);
+    const userId = job.user_id;
+    const startedAt = new Date().toISOString();
+    const progress = { total: 0, processed: 0, embedded: 0, up_to_date: 0, failed: 0, failures: [] };
+
+    const writeProgress = (extra = {}) => jobService.updateJob(job.id, {
+      ...progress,
+      heartbeat_at: new Date().toISOString(),
+      ...extra
+    });
+
+    console.log(`\n🔄 === EMBEDDING JOB ${job.id} START ===`);
+    await writeProgress({ status: 'running', started_at: startedAt, finished_at: null, error: null, attempts: (job.attempts || 0) + 1 });
+    const heartbeat = setInterval(() => writeProgress(), HEARTBEAT_INTERVAL_MS);
+    heartbeat.unref();
+
+    try {
+      const work = await loadWork(userId, job.options || {});
+      progress.total = work.items.length + work.upToDate;
+      progress.up_to_date = work.upToDate;
+      progress.processed = work.upToDate;
+      await writeProgress();
+
+      console.log(`Embedding ${work.items.length} item(s), ${work.upToDate} already up to date (concurrency ${concurrency})`);
+
+      await forEachConcurrently(work.items, concurrency, async (item) => {
+        const result = await withRetries(() => processItem(userId, item), maxAttempts);
+
+        if (result.ok) {
+          progress.embedded++;
+        } else {
+          progress.failed++;
+          console.error(`❌ Embedding failed for "${item.title}" after ${result.attempts} attempts:`, result.error?.message);
+          if (progress.failures.length < MAX_RECORDED_FAILURES) {
+            progress.failures.push({
+              contentId: item.id,
+              title: item.title,
+              error: result.error?.message || 'Unknown error',
+              attempts: result.attempts
+            });
+          }
+        }
+        progress.processed++;
+      });
+
+      clearInterval(heartbeat);
+      await writeProgress({ status: 'completed', finished_at: new Date().toISOString() });
+
+      console.log(`✅ Embedding job complete: ${progress.embedded} embedded, ${progress.up_to_date} up to date, ${progress.failed} failed`);
+    } catch (error) {
+      clearInterval(heartbeat);
+      console.error(`❌ Embedding job ${job.id} failed:`, error.message);
+      await writeProgress({ status: 'failed', error: error.message, finished_at: new Date().toISOString() });
+    } finally {
+      runningJobs.delete(job.id);
+      console.log(`🔄 === EMBEDDING JOB ${job.id} END ===\n`);
+    }
+  }
+
+  // Take over an abandoned job, unless another process got to it first
+  async function resumeJob(job) {
+    if (runningJobs.has(job.id)) return false;
+
+    const claim = await jobService.claimJob(job.id, job.heartbeat_at);
+    if (!claim.success || !claim.claimed) return false;
+
+    console.log(`♻️ Resuming embedding job ${job.id} for user ${job.user_id}`);
+    runJob(job).catch(error => console.error('❌ Embedding job crashed:', error.message));
+    return true;
+  }
+
+  // Whether an opportunistic start should create a job: not when one finished recently,
+  // or when every item already has an embedding
+  async function isNeeded(userId, jobOptions) {
+    const latest = await jobService.getLatestJob(userId);
+    if (!latest.success) return false;
+
+    const finishedAt = latest.job?.finished_at ? new Date(latest.job.finished_at).getTime() : 0;
+    if (Date.now() - finishedAt < IF_NEEDED_COOLDOWN_MS) return false;
+
+    return hasPendingWork(userId, jobOptions);
+  }
+
+  /**
+   * Start an embedding job for a user, or return the one already queued or running
+   * @param {string} userId
+   * @param {Object} jobOptions - days
+   * @param {Object} startOptions - ifNeeded: only create a job when isNeeded says so (for
+   *   starts triggered by ordinary reads), otherwise { success, job: null, skipped: true }
+   * @returns {Promise<Object>} { success, job, existing, skipped, error }
+   */
+  async function start(userId, jobOptions = {}, { ifNeeded = false } = {}) {
+    if (startingUsers.has(userId)) return startingUsers.get(userId);
+
+    const starting = (async () => {
+      const active = await jobService.getActiveJob(userId);
+      if (!active.success) return { success: false, error: active.error };
+
+      if (active.job) {
+        if (!runningJobs.has(active.job.id) && isStale(active.job)) await resumeJob(active.job);
+        return { success: true, job: active.job, existing: true };
+      }
+
+      if (ifNeeded && !await isNeeded(userId, jobOptions)) {
+        return { success: true, job: null, existing: false, skipped: true };
+      }
+
+      const created = await jobService.createJob(userId, jobOptions);
+      if (!created.success) return { success: false, error: created.error };
+
+      runJob(created.job).catch(error => console.error('❌ Embedding job crashed:', error.message));
+      return { success: true, job: created.job, existing: false };
+    })();
+
+    startingUsers.set(userId, starting);
+    try {
+      return await starting;
+    } finally {
+      startingUsers.delete(userId);
+    }
+  }
+
+  /**
+   * Get a user's job in API shape
+   * @returns {Promise<Object>} { success, job (null if not found), error }
+   */
+  async function getJob(userId, jobId) {
+    const result = await jobService.getJob(userId, jobId);
+    if (!result.success) return result;
+    return { success: true, job: result.job ? describeJob(result.job) : null };
+  }
+
+  // Resume every queued or running job whose process has stopped heartbeating
+  async function resumeInterrupted() {
+    const active = await jobService.getActiveJobs();
+    let resumed = 0;
+
+    for (const job of active.jobs) {
+      if (!runningJobs.has(job.id) && isStale(job) && await resumeJob(job)) resumed++;
+    }
+
+    return resumed;
+  }
+
+  // Check for interrupted jobs now and then periodically (jobs from a process that just
+  // restarted become stale, and are picked up, within STALE_AFTER_MS)
+  function startResumeLoop() {
+    const check = () => resumeInterrupted()
+      .catch(error => console.error('❌ Embedding job resume check failed:', error.message));
+
+    check();
+    setInterval(check, RESUME_CHECK_INTERVAL_MS).unref();
+  }
+
+  return {
+    start,
+    getJob,
+    resumeInterrupted,
+    startResumeLoop
+  };
+}
+
+module.exports = {
+  createEmbeddingJobRunner,
+  describeJob
+};
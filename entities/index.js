@@ -0,0 +1,234 @@
+// Named-entity extraction for the entity index
+// People, organizations, products and places come from the content-entities prompt;
+// dates are found in the text with patterns and stored in ISO form (2024-03-05, or
+// 2024-03 for a month), so differently written dates of the same day are one entity.
+const llm = require('../llm');
+const { renderPrompt } = require('../prompts');
+const { cleanHtmlContent } = require('../content-processing/basic-processor');
+
+const ENTITY_TYPES = ['person', 'organization', 'product', 'place', 'date'];
+const MAX_NAME_LENGTH = 100;
+const MAX_ENTITIES = 30;
+const MAX_DATES = 10;
+const MAX_CONTEXT_CHARS = 240;
+const PROMPT_CONTENT_CHARS = 6000;
+const EXTRACT_MAX_TOKENS = 1500;
+
+const MONTH_NUMBERS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+const MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const DAY = '(\\d{1,2})(?:st|nd|rd|th)?';
+const YEAR = '((?:18|19|20|21)\\d{2})';
+
+// Full dates first; month-only dates are looked for in what they leave
+const DATE_PATTERNS = [
+  { pattern: new RegExp(`\\b${YEAR}-(\\d{2})-(\\d{2})\\b`, 'g'), parts: (m) => [m[1], m[2], m[3]] },
+  { pattern: new RegExp(`\\b${MONTH}\\s+${DAY},?\\s+${YEAR}\\b`, 'gi'), parts: (m) => [m[3], m[1], m[2]] },
+  { pattern: new RegExp(`\\b${DAY}\\s+${MONTH},?\\s+${YEAR}\\b`, 'gi'), parts: (m) => [m[3], m[2], m[1]] },
+  { pattern: new RegExp(`\\b${MONTH},?\\s+${YEAR}\\b`, 'gi'), parts: (m) => [m[2], m[1], null] }
+];
+
+// Collapse whitespace and cap the length; '' if nothing is left
+const normalizeEntityName = (name) => (typeof name === 'string'
+  ? name.replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LENGTH).trim()
+  : '');
+
+// Case-insensitive identity of an entity name (entities.name_key)
+const entityKey = (name) => normalizeEntityName(name).toLowerCase();
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// ISO form of a matched date, null if it isn't a real date
+const toIsoDate = (year, month, day) => {
+  const y = Number(year);
+  const m = /^\d+$/.test(month) ? Number(month) : MONTH_NUMBERS[month.toLowerCase().slice(0, 3)];
+  if (!m || m < 1 || m > 12) return null;
+  if (day === null) return `${y}-${pad(m)}`;
+
+  const d = Number(day);
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (d < 1 || date.getUTCMonth() !== m - 1) return null;
+  return `${y}-${pad(m)}-${pad(d)}`;
+};
+
+// Sentence ends: terminal punctuation before a capital letter (not "Sept. 2023"), or a line break
+const SENTENCE_END = /[.!?]+(?=\s+["“'(]?\p{Lu})|\n/gu;
+
+// The sentence around a position in the text, shortened around the position if needed
+const sentenceAt = (text, index) => {
+  let start = 0;
+  let end = text.length;
+  for (const match of text.matchAll(SENTENCE_END)) {
+    const boundary = match.index + match[0].length;
+    if (boundary <= index) {
+      start = boundary;
+    } else {
+      end = boundary;
+      break;
+    }
+  }
+
+  const sentence = text.slice(start, end).trim();
+  if (sentence.length <= MAX_CONTEXT_CHARS) return sentence;
+
+  const from = Math.max(start, index - MAX_CONTEXT_CHARS / 2);
+  const to = Math.min(end, from + MAX_CONTEXT_CHARS);
+  return `${from > start ? '…' : ''}${text.slice(from, to).trim()}${to < end ? '…' : ''}`;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-word, case-insensitive positions of any of the phrases
+const findMentions = (text, phrases) => {
+  const positions = [];
+  for (const phrase of phrases) {
+    const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])(${escapeRegExp(phrase)})(?=$|[^\\p{L}\\p{N}])`, 'giu');
+    for (const match of text.matchAll(pattern)) {
+      positions.push(match.index + match[1].length);
+    }
+  }
+  return [...new Set(positions)].sort((a, b) => a - b);
+};
+
+/**
+ * Dates mentioned in a text
+ * @param {string} text - Plain text
+ * @returns {Array<Object>} [{ name (ISO date), type: 'date', mentions, context }], most mentioned first
+ */
+function extractDates(text) {
+  const found = new Map();
+  let remaining = text;
+
+  for (const { pattern, parts } of DATE_PATTERNS) {
+    for (const match of remaining.matchAll(pattern)) {
+      const iso = toIsoDate(...parts(match));
+      if (!iso) continue;
+
+      const entry = found.get(iso) || { name: iso, type: 'date', mentions: 0, index: match.index };
+      entry.mentions++;
+      entry.index = Math.min(entry.index, match.index);
+      found.set(iso, entry);
+    }
+    // Blank out matches (keeping positions) so "5 March 2024" doesn't also count as "March 2024"
+    remaining = remaining.replace(pattern, (match) => ' '.repeat(match.length));
+  }
+
+  return [...found.values()]
+    .sort((a, b) => b.mentions - a.mentions || a.index - b.index)
+    .slice(0, MAX_DATES)
+    .map(({ index, ...entry }) => ({ ...entry, context: sentenceAt(text, index) }));
+}
+
+/**
+ * Entities mentioned by an item
+ * @param {Object} options
+ * @param {Object} options.item - { title, text (plain text or HTML) }
+ * @param {Object} options.userSettings - For model selection and prompt overrides
+ * @param {boolean} options.useModel - false for dates only
+ * @returns {Promise<Array<Object>>} [{ name, type, mentions, context }]
+ */
+async function extractEntities({ item, userSettings = null, useModel = true }) {
+  const text = cleanHtmlContent(item.text || '');
+  const fullText = `${item.title || ''}\n${text}`;
+  const entities = new Map();
+
+  if (useModel && text.trim()) {
+    const prompt = renderPrompt('content-entities', {
+      title: item.title || 'Untitled',
+      content: text.slice(0, PROMPT_CONTENT_CHARS),
+      maxEntities: MAX_ENTITIES
+    }, { userSettings });
+
+    const result = await llm.completeJson({
+      route: 'entity-extraction',
+      userSettings,
+      prompt: prompt.text,
+      system: prompt.system,
+      schema: prompt.schema,
+      maxTokens: EXTRACT_MAX_TOKENS
+    });
+
+    for (const entity of result.data.entities) {
+      const name = normalizeEntityName(entity.name);
+      if (!name) continue;
+
+      const key = `${entity.type}:${entityKey(name)}`;
+      const existing = entities.get(key) || { name, type: entity.type, phrases: new Set([name.toLowerCase()]) };
+      for (const alias of entity.aliases || []) {
+        const phrase = entityKey(alias);
+        if (phrase.length >= 2) existing.phrases.add(phrase);
+      }
+      entities.set(key, existing);
+    }
+  }
+
+  const named = [...entities.values()].slice(0, MAX_ENTITIES).map(entity => {
+    const positions = findMentions(fullText, [...entity.phrases]);
+    return {
+      name: entity.name,
+      type: entity.type,
+      // The model may name an entity differently from the text; it is still mentioned once
+      mentions: Math.max(positions.length, 1),
+      context: positions.length > 0 ? sentenceAt(fullText, positions[0]) : null
+    };
+  });
+
+  return [...named, ...extractDates(fullText)];
+}
+
+/**
+ * Create the indexer used when content is saved
+ * @param {Object} options
+ * @param {Object} options.entityService - EntityService
+ * @param {Function} options.getSettings - async (userId) → user settings or null
+ * @returns {Object} { indexContent, indexInBackground }
+ */
+function createEntityIndexer({ entityService, getSettings }) {
+  /**
+   * Extract and store the entities of a saved item (settings.entityExtraction: false turns this off)
+   * @param {string} userId
+   * @param {Object} content - user_content row (id, title, content_text, preview)
+   * @returns {Promise<Array<Object>>} Stored entities
+   */
+  async function indexContent(userId, content) {
+    const settings = await getSettings(userId);
+    if (settings?.entityExtraction === false) return [];
+
+    const entities = await llm.runForUser(userId, () => extractEntities({
+      item: { title: content.title, text: content.content_text || content.preview },
+      userSettings: settings
+    }));
+    if (entities.length === 0) return [];
+
+    const saved = await entityService.saveContentEntities(userId, content.id, entities);
+    if (!saved.success) throw new Error(saved.error);
+
+    return entities;
+  }
+
+  // Index without holding up the save; failures are only logged
+  function indexInBackground(userId, content) {
+    indexContent(userId, content)
+      .then(entities => {
+        if (entities.length > 0) {
+          console.log(`🔖 Indexed ${entities.length} entit${entities.length === 1 ? 'y' : 'ies'} in "${content.title}"`);
+        }
+      })
+      .catch(error => console.error(`❌ Entity extraction failed for "${content.title}":`, error.message));
+  }
+
+  return {
+    indexContent,
+    indexInBackground
+  };
+}
+
+module.exports = {
+  ENTITY_TYPES,
+  normalizeEntityName,
+  entityKey,
+  extractDates,
+  extractEntities,
+  createEntityIndexer
+};
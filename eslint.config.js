@@ -0,0 +1,21 @@
+const js = require('@eslint/js');
+const globals = require('globals');
+
+module.exports = [
+  js.configs.recommended,
+  {
+    languageOptions: {
+      ecmaVersion: 2022,
+      sourceType: 'commonjs',
+      globals: { ...globals.node }
+    },
+    rules: {
+      'no-unused-vars': ['error', { args: 'none', caughtErrors: 'none', ignoreRestSiblings: true }]
+    }
+  },
+  {
+    // Shared with the extension, where it runs in the browser
+    files: ['supabase/sync-service.js'],
+    languageOptions: { globals: { ...globals.browser } }
+  }
+];
@@ -0,0 +1,237 @@
+// Flashcards and spaced-repetition review (/api/flashcards)
+// Cards are written by the flashcards prompt from a saved item or an extracted PDF, split into
+// numbered passages; each card cites the passage its answer comes from, narrowed to the quoted
+// sentence when it can be found in the text. Reviews follow SM-2: the grade (0-5) sets how far
+// the next review is pushed out and adjusts the card's ease factor.
+const llm = require('../llm');
+const { renderPrompt } = require('../prompts');
+const { cleanHtmlContent, extractTextContent } = require('../content-processing/basic-processor');
+const { chunkIntoPassages } = require('../content-processing/passage-chunker');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_CARDS = 10;
+const MAX_CARDS = 30;
+const PASSAGE_CHARS = 1000;
+// Passages sent to the model; longer sources are sampled evenly so cards cover the whole text
+const PROMPT_CONTENT_CHARS = 12000;
+const MAX_EXISTING_QUESTIONS = 50;
+const MAX_QUESTION_LENGTH = 500;
+const MAX_ANSWER_LENGTH = 1000;
+const GENERATE_MAX_TOKENS = 3000;
+
+// SM-2 parameters
+const MIN_GRADE = 0;
+const MAX_GRADE = 5;
+const PASSING_GRADE = 3;
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+// Plain text of a saved item (user_content row); citation offsets refer to this text
+function sourceTextOf(row) {
+  if (row.content_text) return cleanHtmlContent(row.content_text);
+  return extractTextContent({ ...row, content: row.insight_data }).replace(/\s+/g, ' ').trim();
+}
+
+// Plain text of a PDFExtractor result, whitespace collapsed like saved items
+const pdfTextOf = (result) => (result.text || '').replace(/\s+/g, ' ').trim();
+
+// Evenly spaced passages that fit in the prompt, in document order
+function selectPassages(passages, budget = PROMPT_CONTENT_CHARS) {
+  const total = passages.reduce((sum, passage) => sum + passage.text.length, 0);
+  if (total <= budget) return passages;
+
+  const count = Math.max(1, Math.floor(passages.length * budget / total));
+  const step = passages.length / count;
+  return Array.from({ length: count }, (_, i) => passages[Math.floor(i * step)]);
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Where a quote appears in the text, ignoring case and whitespace differences
+ * The cited passage is searched first, then the whole text
+ * @returns {Object|null} { start, end }
+ */
+function locateQuote(text, passage, quote) {
+  const words = quote.replace(/^["“']+|["”']+$/g, '').trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return null;
+
+  const pattern = new RegExp(words.map(escapeRegExp).join('\\s+'), 'i');
+  const inPassage = pattern.exec(passage.text);
+  if (inPassage) {
+    // Passage text is trimmed; find where it starts within its span of the source
+    const passageStart = text.indexOf(passage.text, passage.startOffset);
+    const start = passageStart + inPassage.index;
+    return { start, end: start + inPassage[0].length };
+  }
+
+  const anywhere = pattern.exec(text);
+  return anywhere ? { start: anywhere.index, end: anywhere.index + anywhere[0].length } : null;
+}
+
+const questionKey = (question) => question.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+/**
+ * Write flashcards for a text
+ * @param {Object} options
+ * @param {string} options.title - Item or document title
+ * @param {string} options.text - Plain text (sourceTextOf / pdfTextOf)
+ * @param {number} options.count - Most cards to write
+ * @param {Array<string>} options.existingQuestions - Questions the user already has for this source
+ * @param {Object} options.userSettings - For model selection and prompt overrides
+ * @returns {Promise<Array<Object>>} [{ question, answer, citation: { quote, startOffset, endOffset } }]
+ */
+async function generateFlashcards({ title, text, count = DEFAULT_CARDS, existingQuestions = [], userSettings = null }) {
+  const passages = selectPassages(chunkIntoPassages(text, { passageChars: PASSAGE_CHARS, overlapChars: 0 }));
+  if (passages.length === 0) return [];
+
+  // Passages are numbered from 1 in the prompt
+  const prompt = renderPrompt('flashcards', {
+    title: title || 'Untitled',
+    passages: passages.map((passage, i) => `[${i + 1}] ${passage.text}`).join('\n\n'),
+    maxCards: count,
+    existingQuestions: existingQuestions.length > 0
+      ? existingQuestions.slice(0, MAX_EXISTING_QUESTIONS).join('\n')
+      : '(none)'
+  }, { userSettings });
+
+  const result = await llm.completeJson({
+    route: 'flashcards',
+    userSettings,
+    prompt: prompt.text,
+    system: prompt.system,
+    schema: prompt.schema,
+    maxTokens: GENERATE_MAX_TOKENS
+  });
+
+  const seen = new Set(existingQuestions.map(questionKey));
+  const cards = [];
+
+  for (const card of result.data.cards) {
+    const passage = passages[card.passage - 1];
+    const question = card.question.trim().slice(0, MAX_QUESTION_LENGTH);
+    const key = questionKey(question);
+    // A card citing a passage that wasn't in the prompt can't be traced back to the source
+    if (!passage || !key || seen.has(key)) continue;
+    seen.add(key);
+
+    // The whole passage is the citation when the quote isn't in the text word for word
+    const span = locateQuote(text, passage, card.quote);
+    const startOffset = span ? span.start : passage.startOffset;
+    const endOffset = span ? span.end : passage.endOffset;
+
+    cards.push({
+      question,
+      answer: card.answer.trim().slice(0, MAX_ANSWER_LENGTH),
+      citation: {
+        quote: text.slice(startOffset, endOffset).trim(),
+        startOffset,
+        endOffset
+      }
+    });
+    if (cards.length >= count) break;
+  }
+
+  return cards;
+}
+
+/**
+ * Read and validate a grade from a request body
+ * @returns {Object} { grade, error }
+ */
+function validateGrade(grade) {
+  if (!Number.isInteger(grade) || grade < MIN_GRADE || grade > MAX_GRADE) {
+    return {
+      grade: null,
+      error: `grade must be a whole number from ${MIN_GRADE} (no recall) to ${MAX_GRADE} (perfect recall)`
+    };
+  }
+  return { grade, error: null };
+}
+
+/**
+ * Schedule the next review of a card (SM-2)
+ * Passing grades (3+) move the card from 1 day to 6 days, then multiply the interval by the
+ * ease factor; a failed recall starts the card over at 1 day. The ease factor moves with every
+ * grade and never drops below 1.3.
+ * @param {Object} card - { easeFactor, intervalDays, repetitions, lapses }
+ * @param {number} grade - 0-5
+ * @param {number} now - Review time, epoch ms
+ * @returns {Object} { easeFactor, intervalDays, repetitions, lapses, dueAt (ISO), lastReviewedAt (ISO), lastGrade }
+ */
+function scheduleReview(card, grade, now = Date.now()) {
+  const easeFactor = card.easeFactor || DEFAULT_EASE;
+  let repetitions = card.repetitions || 0;
+  let lapses = card.lapses || 0;
+  let intervalDays;
+
+  if (grade >= PASSING_GRADE) {
+    if (repetitions === 0) intervalDays = 1;
+    else if (repetitions === 1) intervalDays = 6;
+    else intervalDays = Math.round((card.intervalDays || 1) * easeFactor);
+    repetitions++;
+  } else {
+    repetitions = 0;
+    lapses++;
+    intervalDays = 1;
+  }
+
+  const miss = MAX_GRADE - grade;
+  const nextEase = Math.max(MIN_EASE, easeFactor + (0.1 - miss * (0.08 + miss * 0.02)));
+
+  return {
+    easeFactor: Number(nextEase.toFixed(2)),
+    intervalDays,
+    repetitions,
+    lapses,
+    dueAt: new Date(now + intervalDays * DAY_MS).toISOString(),
+    lastReviewedAt: new Date(now).toISOString(),
+    lastGrade: grade
+  };
+}
+
+// Whether a string is a time zone Intl knows, e.g. "Europe/Berlin"
+const isTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * End of the current day in a time zone: cards due before it are due today
+ * @param {string} timeZone - IANA name, e.g. "Europe/Berlin" (default UTC)
+ * @param {number} now - epoch ms
+ * @returns {number} epoch ms of the next local midnight
+ */
+function endOfDay(timeZone = 'UTC', now = Date.now()) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    hourCycle: 'h23'
+  }).formatToParts(now).map(part => [part.type, Number(part.value)]));
+
+  // How far the zone's wall clock is ahead of UTC right now
+  const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+    - (now - (now % 1000));
+  return Date.UTC(parts.year, parts.month - 1, parts.day + 1) - offset;
+}
+
+module.exports = {
+  DEFAULT_CARDS,
+  MAX_CARDS,
+  sourceTextOf,
+  pdfTextOf,
+  generateFlashcards,
+  validateGrade,
+  scheduleReview,
+  isTimeZone,
+  endOfDay
+};
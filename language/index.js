@@ -0,0 +1,284 @@
+// Language detection and per-language text handling
+// Saved items are tagged at ingest with an ISO 639-1 code and the Postgres text search
+// config their full-text index uses (supabase/languages.sql). Latin and Cyrillic text is
+// scored against stop-word lists; other scripts are identified by the script itself. A
+// declared language (<html lang>, or one the client sends) settles close calls and texts
+// too short to score.
+
+// Text sampled for detection
+const SAMPLE_CHARS = 5000;
+// Fewer words than this can't be scored; the declared language (if any) is used
+const MIN_WORDS = 5;
+// Share of the words that must be the best language's stop words
+const MIN_STOPWORD_SHARE = 0.05;
+// A declared language wins when it scores at least this share of the best one
+const DECLARED_MARGIN = 0.8;
+// Share of the letters a non-Latin script needs to decide the language
+const MIN_SCRIPT_SHARE = 0.3;
+// Japanese text mixes kana with Han characters, so any real share of kana makes it Japanese
+const MIN_KANA_SHARE = 0.1;
+
+// Used when the language is unknown or has no Postgres config: no stemming or stop words
+const DEFAULT_SEARCH_CONFIG = 'simple';
+
+// Languages detected from stop words, with their Postgres text search configs
+const LANGUAGES = {
+  en: {
+    name: 'English',
+    searchConfig: 'english',
+    stopWords: 'the and of to in is that for it with as was on are be this by have from or an they which you not but at were has their'
+  },
+  es: {
+    name: 'Spanish',
+    searchConfig: 'spanish',
+    stopWords: 'el la de que y en los se del las un por con no una su para es al lo como más pero sus le ya este entre cuando muy sin sobre también'
+  },
+  fr: {
+    name: 'French',
+    searchConfig: 'french',
+    stopWords: 'le la les de des et en un une du est que qui dans pour pas au sur ne se ce il sont avec plus par aux ou mais nous vous cette été'
+  },
+  de: {
+    name: 'German',
+    searchConfig: 'german',
+    stopWords: 'der die das und ist nicht ein eine zu den von mit sich des auf für im dem auch es an werden aus er hat dass sie nach bei wird oder noch wie über'
+  },
+  it: {
+    name: 'Italian',
+    searchConfig: 'italian',
+    stopWords: 'il di che la e per un una del della non sono con si da le gli dei nel alla è anche più come ma questo ha delle al lo nella'
+  },
+  pt: {
+    name: 'Portuguese',
+    searchConfig: 'portuguese',
+    stopWords: 'o a de que e do da em um uma para com não os no se na por mais as dos como mas foi ao ele das à seu sua ou são também pelo'
+  },
+  nl: {
+    name: 'Dutch',
+    searchConfig: 'dutch',
+    stopWords: 'de het een en van is dat op te in zijn voor met niet die aan er ook als bij door maar om naar wordt nog dan wat hij uit'
+  },
+  sv: {
+    name: 'Swedish',
+    searchConfig: 'swedish',
+    stopWords: 'och att det som en på är av för med till den har de inte om ett han men var jag sig från vi så kan när nu eller efter'
+  },
+  da: {
+    name: 'Danish',
+    searchConfig: 'danish',
+    stopWords: 'og at det er en af til på som med den de for ikke der har et jeg var men om kan fra så sig han vi også eller efter'
+  },
+  no: {
+    name: 'Norwegian',
+    searchConfig: 'norwegian',
+    stopWords: 'og i det er som en på til av at for med har den ikke de om et var men jeg fra kan seg så vi eller også etter hun'
+  },
+  fi: {
+    name: 'Finnish',
+    searchConfig: 'finnish',
+    stopWords: 'ja on ei se että hän oli ovat mutta kun niin myös tai jos ole sen joka mitä vain kuin tämä nyt voi olla hänen siitä jo tässä'
+  },
+  ru: {
+    name: 'Russian',
+    searchConfig: 'russian',
+    stopWords: 'и в не на что с по это как к но из у за от о так же для все он она бы то был его или мы вы только'
+  },
+  tr: {
+    name: 'Turkish',
+    searchConfig: 'turkish',
+    stopWords: 've bir bu da de için ile çok olarak daha gibi olan ne ama en her o kadar sonra değil var ise ki mi göre veya şey yok diye'
+  },
+  hu: {
+    name: 'Hungarian',
+    searchConfig: 'hungarian',
+    stopWords: 'a az és hogy nem is egy meg de ez van volt csak mint már még el ki be azt vagy ha ami mert pedig lesz kell után sem'
+  },
+  ro: {
+    name: 'Romanian',
+    searchConfig: 'romanian',
+    stopWords: 'și în de la că cu pe nu din care se este pentru un o mai sunt sau ca dar al ce fost lui au a cel această acest dintre'
+  },
+  id: {
+    name: 'Indonesian',
+    searchConfig: 'indonesian',
+    stopWords: 'yang dan di ini itu dengan untuk dari dalam tidak akan pada adalah ke juga ada oleh karena atau bisa mereka sudah kami saya kita lebih telah seperti bahwa tersebut'
+  }
+};
+
+// Languages identified by their script (checked in this order)
+const SCRIPT_LANGUAGES = [
+  { language: 'ja', name: 'Japanese', pattern: /[\p{Script=Hiragana}\p{Script=Katakana}]/gu },
+  { language: 'ko', name: 'Korean', pattern: /\p{Script=Hangul}/gu },
+  { language: 'zh', name: 'Chinese', pattern: /\p{Script=Han}/gu },
+  { language: 'ar', name: 'Arabic', pattern: /\p{Script=Arabic}/gu, searchConfig: 'arabic' },
+  { language: 'he', name: 'Hebrew', pattern: /\p{Script=Hebrew}/gu },
+  { language: 'el', name: 'Greek', pattern: /\p{Script=Greek}/gu, searchConfig: 'greek' },
+  { language: 'hi', name: 'Hindi', pattern: /\p{Script=Devanagari}/gu },
+  { language: 'th', name: 'Thai', pattern: /\p{Script=Thai}/gu }
+];
+
+const STOP_WORDS = new Map(Object.entries(LANGUAGES).map(([code, { stopWords }]) => [code, new Set(stopWords.split(' '))]));
+const EMPTY_SET = new Set();
+
+const LANGUAGE_NAMES = {
+  ...Object.fromEntries(Object.entries(LANGUAGES).map(([code, { name }]) => [code, name])),
+  ...Object.fromEntries(SCRIPT_LANGUAGES.map(({ language, name }) => [language, name]))
+};
+
+// Codes that mean the same language as one above
+const CODE_ALIASES = { nb: 'no', nn: 'no', in: 'id', iw: 'he' };
+
+/**
+ * Normalize a language tag ("es-ES", "pt_BR", "nb") to a supported ISO 639-1 code
+ * @param {string} tag
+ * @returns {string|null} The code, or null when the language isn't supported
+ */
+function normalizeLanguageCode(tag) {
+  if (typeof tag !== 'string') return null;
+  const primary = tag.trim().toLowerCase().split(/[-_]/)[0];
+  const code = CODE_ALIASES[primary] || primary;
+  return LANGUAGE_NAMES[code] ? code : null;
+}
+
+/**
+ * Postgres text search config for a language ('simple' when it has none)
+ * @param {string} language - ISO 639-1 code, or null
+ * @returns {string}
+ */
+function searchConfigFor(language) {
+  return LANGUAGES[language]?.searchConfig
+    || SCRIPT_LANGUAGES.find(entry => entry.language === language)?.searchConfig
+    || DEFAULT_SEARCH_CONFIG;
+}
+
+/**
+ * English name of a language, for prompts ("es" → "Spanish")
+ * @param {string} language - ISO 639-1 code
+ * @returns {string|null}
+ */
+const languageName = (language) => LANGUAGE_NAMES[language] || null;
+
+/**
+ * Stop words of a language (empty for languages detected by script)
+ * @param {string} language - ISO 639-1 code
+ * @returns {Set<string>}
+ */
+const stopWordsFor = (language) => STOP_WORDS.get(language) || EMPTY_SET;
+
+// The non-Latin script most of the letters are in, if any
+function detectScript(text) {
+  const letters = (text.match(/\p{L}/gu) || []).length;
+  if (letters === 0) return null;
+
+  const share = (pattern) => (text.match(pattern) || []).length / letters;
+  for (const entry of SCRIPT_LANGUAGES) {
+    const minShare = entry.language === 'ja' ? MIN_KANA_SHARE : MIN_SCRIPT_SHARE;
+    if (share(entry.pattern) >= minShare) return entry;
+  }
+  return null;
+}
+
+/**
+ * Detect the language of a text
+ * @param {string} text - Plain text (markup is ignored as far as it isn't words)
+ * @param {Object} options - declared: the language the source says it is in (e.g. <html lang>)
+ * @returns {Object} { language (ISO 639-1 or null), searchConfig, source: 'script' | 'stop-words' | 'declared' | null }
+ */
+function detectLanguage(text, { declared = null } = {}) {
+  const sample = String(text || '').slice(0, SAMPLE_CHARS);
+  const declaredCode = normalizeLanguageCode(declared);
+  const result = (language, source) => ({ language, searchConfig: searchConfigFor(language), source });
+  const fallback = () => (declaredCode ? result(declaredCode, 'declared') : result(null, null));
+
+  const script = detectScript(sample);
+  if (script) return result(script.language, 'script');
+
+  const words = sample.toLowerCase().split(/[^\p{L}]+/u).filter(Boolean);
+  if (words.length < MIN_WORDS) return fallback();
+
+  const scores = [...STOP_WORDS].map(([language, stopWords]) => ({
+    language,
+    score: words.filter(word => stopWords.has(word)).length / words.length
+  })).sort((a, b) => b.score - a.score);
+
+  const [best] = scores;
+  if (best.score < MIN_STOPWORD_SHARE) return fallback();
+
+  // Close calls (Danish and Norwegian, say) go to the declared language
+  const declaredScore = scores.find(entry => entry.language === declaredCode)?.score || 0;
+  if (declaredCode && declaredScore >= best.score * DECLARED_MARGIN) return result(declaredCode, 'declared');
+
+  return result(best.language, 'stop-words');
+}
+
+/**
+ * The language a page declares: <html lang>, then Content-Language or og:locale meta tags
+ * @param {string} html
+ * @returns {string|null} ISO 639-1 code
+ */
+function extractDeclaredLanguage(html) {
+  if (typeof html !== 'string') return null;
+  const head = html.slice(0, 20000);
+
+  const patterns = [
+    /<html\b[^>]*\blang\s*=\s*["']?([\w-]+)/i,
+    /<meta\b[^>]*http-equiv\s*=\s*["']content-language["'][^>]*content\s*=\s*["']([\w-]+)/i,
+    /<meta\b[^>]*property\s*=\s*["']og:locale["'][^>]*content\s*=\s*["']([\w-]+)/i
+  ];
+  for (const pattern of patterns) {
+    const code = normalizeLanguageCode(pattern.exec(head)?.[1]);
+    if (code) return code;
+  }
+  return null;
+}
+
+/**
+ * Language columns for a user_content row, computed at ingest
+ * @param {Object} item - { title, text (plain text, Markdown or HTML), declared }
+ * @returns {Object} { language, search_config }
+ */
+function contentLanguage({ title = '', text = '', declared = null } = {}) {
+  const plainText = String(text || '')
+    .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ');
+  const { language, searchConfig } = detectLanguage(`${title || ''}\n${plainText}`, { declared });
+  return { language, search_config: searchConfig };
+}
+
+/**
+ * Check a preferred language setting
+ * @param {*} value - ISO 639-1 code, or null to clear it
+ * @returns {string|null} Error message, or null when valid
+ */
+function validatePreferredLanguage(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'string' || !LANGUAGE_NAMES[value]) {
+    return `preferredLanguage must be one of ${Object.keys(LANGUAGE_NAMES).join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * The language a user wants model output in, when it isn't English
+ * (English output is what every prompt produces without an instruction)
+ * @param {Object} userSettings
+ * @returns {string|null} ISO 639-1 code
+ */
+function outputLanguageOf(userSettings) {
+  const language = userSettings?.preferredLanguage;
+  return language && language !== 'en' && LANGUAGE_NAMES[language] ? language : null;
+}
+
+module.exports = {
+  LANGUAGE_NAMES,
+  DEFAULT_SEARCH_CONFIG,
+  normalizeLanguageCode,
+  searchConfigFor,
+  languageName,
+  stopWordsFor,
+  detectLanguage,
+  extractDeclaredLanguage,
+  contentLanguage,
+  validatePreferredLanguage,
+  outputLanguageOf
+};
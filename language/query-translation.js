@@ -0,0 +1,49 @@
+// Search query translation for cross-language keyword search
+// Vector search already matches across languages (the embedding model is multilingual);
+// Postgres full-text search doesn't, so the query is translated into the other languages
+// of the library and each item is matched with the query in its own language.
+const llm = require('../llm');
+const { renderPrompt } = require('../prompts');
+const { languageName } = require('./index');
+
+const TRANSLATE_MAX_TOKENS = 400;
+
+/**
+ * Translate a search query
+ * @param {Object} options
+ * @param {string} options.query - The query as the user typed it
+ * @param {Array<string>} options.languages - ISO 639-1 codes to translate into
+ * @param {Object} options.userSettings - For model selection and prompt overrides
+ * @returns {Promise<Object>} { translations: { [language]: query }, promptVersion, usage }
+ * @throws {LLMError}
+ */
+async function translateQuery({ query, languages, userSettings = null }) {
+  const prompt = renderPrompt('query-translation', {
+    query,
+    languages: languages.map(language => `${language} (${languageName(language)})`).join(', ')
+  }, { userSettings });
+
+  const result = await llm.completeJson({
+    route: 'query-translation',
+    userSettings,
+    prompt: prompt.text,
+    system: prompt.system,
+    schema: prompt.schema,
+    maxTokens: TRANSLATE_MAX_TOKENS
+  });
+
+  // Languages that weren't asked for are dropped; missing ones fall back to the query itself
+  const translations = {};
+  for (const { language, query: translated } of result.data.translations) {
+    const code = language.trim().toLowerCase();
+    if (languages.includes(code) && translated.trim()) translations[code] = translated.trim();
+  }
+
+  console.log(`🌐 Translated query into ${Object.keys(translations).join(', ') || 'no languages'}`);
+
+  return { translations, promptVersion: prompt.id, usage: result.usage };
+}
+
+module.exports = {
+  translateQuery
+};
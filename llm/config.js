@@ -0,0 +1,125 @@
+// Model selection for LLM calls
+// Resolution order: user settings → LLM_MODEL_<ROUTE> env → route default → LLM_DEFAULT_MODEL env → built-in default
+// User settings only count for models in LLM_ALLOWED_MODELS; without it the server picks every model.
+//
+// Model specs are "provider:model", e.g. "anthropic:claude-opus-4-1-20250805",
+// "openai:gpt-4o-mini" or "local:llama3.1:8b". A bare model name is matched to a provider by prefix.
+
+const PROVIDER_NAMES = ['anthropic', 'openai', 'local'];
+
+const BUILT_IN_DEFAULT = 'anthropic:claude-opus-4-1-20250805';
+
+// Lightweight routing/classification calls (and the per-section pass of long summaries) run on a fast model unless overridden
+const ROUTE_DEFAULTS = {
+  'classify-conversation': 'anthropic:claude-3-haiku-20240307',
+  'query-intent': 'anthropic:claude-3-haiku-20240307',
+  'query-translation': 'anthropic:claude-3-5-haiku-20241022',
+  'content-type-detection': 'anthropic:claude-3-5-haiku-20241022',
+  'pdf-formatting': 'anthropic:claude-3-5-haiku-20241022',
+  'summary-section': 'anthropic:claude-3-5-haiku-20241022',
+  'auto-tag': 'anthropic:claude-3-5-haiku-20241022',
+  'entity-extraction': 'anthropic:claude-3-5-haiku-20241022',
+  'timeline-extraction': 'anthropic:claude-3-5-haiku-20241022'
+};
+
+/**
+ * Parse a model spec into provider and model
+ * @param {string} spec - "provider:model" or bare model name
+ * @returns {Object|null} { provider, model }
+ */
+function parseModelSpec(spec) {
+  if (!spec || typeof spec !== 'string') return null;
+  const trimmed = spec.trim();
+
+  const separator = trimmed.indexOf(':');
+  if (separator > 0) {
+    const prefix = trimmed.slice(0, separator).toLowerCase();
+    if (PROVIDER_NAMES.includes(prefix)) {
+      return { provider: prefix, model: trimmed.slice(separator + 1) };
+    }
+  }
+
+  // Bare model names: infer the provider from well-known prefixes
+  if (/^claude/i.test(trimmed)) return { provider: 'anthropic', model: trimmed };
+  if (/^(gpt|o\d|chatgpt)/i.test(trimmed)) return { provider: 'openai', model: trimmed };
+  return { provider: 'local', model: trimmed };
+}
+
+/**
+ * Environment variable name for a route override, e.g. 'classify-conversation' → LLM_MODEL_CLASSIFY_CONVERSATION
+ * @param {string} route - Route/feature name
+ * @returns {string}
+ */
+function routeEnvKey(route) {
+  return `LLM_MODEL_${route.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
+}
+
+/**
+ * Models users may pick in their settings (LLM_ALLOWED_MODELS, comma separated)
+ * Unset means users can't pick models: calls are billed to the server's keys
+ * @returns {Array<string>}
+ */
+function getAllowedUserModels() {
+  return (process.env.LLM_ALLOWED_MODELS || '').split(',').map(spec => spec.trim()).filter(Boolean);
+}
+
+/**
+ * Check an llmModels setting
+ * @param {*} value - { default, <route>: spec }, or null to clear it
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateUserModels(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return 'llmModels must be an object of route → model';
+  }
+
+  const allowed = getAllowedUserModels();
+  for (const [route, spec] of Object.entries(value)) {
+    if (typeof spec !== 'string' || !allowed.includes(spec.trim())) {
+      return allowed.length > 0
+        ? `llmModels.${route} must be one of ${allowed.join(', ')}`
+        : 'Choosing models is not enabled on this server';
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve the model for a call
+ * @param {string} route - Route/feature name (e.g. 'chat', 'summary', 'query-intent')
+ * @param {Object} userSettings - The user's settings object (uses settings.llmModels)
+ * @returns {Object} { provider, model, source }
+ */
+function resolveModel(route, userSettings = null) {
+  const userModels = userSettings?.llmModels || {};
+  // A user's default model doesn't replace the fast model of classification routes; naming the route does
+  const userSpec = userModels[route] || (ROUTE_DEFAULTS[route] ? null : userModels.default);
+
+  if (typeof userSpec === 'string') {
+    if (getAllowedUserModels().includes(userSpec.trim())) {
+      const parsed = parseModelSpec(userSpec);
+      if (parsed) return { ...parsed, source: 'user' };
+    } else {
+      console.warn(`⚠️ User model "${userSpec}" is not in LLM_ALLOWED_MODELS, using server default`);
+    }
+  }
+
+  const envSpec = route ? process.env[routeEnvKey(route)] : null;
+  if (envSpec) return { ...parseModelSpec(envSpec), source: 'env-route' };
+
+  if (route && ROUTE_DEFAULTS[route]) return { ...parseModelSpec(ROUTE_DEFAULTS[route]), source: 'route-default' };
+
+  if (process.env.LLM_DEFAULT_MODEL) return { ...parseModelSpec(process.env.LLM_DEFAULT_MODEL), source: 'env-default' };
+
+  return { ...parseModelSpec(BUILT_IN_DEFAULT), source: 'built-in' };
+}
+
+module.exports = {
+  PROVIDER_NAMES,
+  ROUTE_DEFAULTS,
+  parseModelSpec,
+  routeEnvKey,
+  resolveModel,
+  validateUserModels
+};
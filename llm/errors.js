@@ -0,0 +1,96 @@
+// Shared error handling for LLM providers
+// Every adapter maps its raw API errors onto these types so routes only deal with one shape
+
+const ERROR_TYPES = {
+  RATE_LIMIT: 'rate_limit',
+  CONTEXT_LENGTH: 'context_length',
+  OVERLOADED: 'overloaded',
+  AUTH: 'auth',
+  INVALID_REQUEST: 'invalid_request',
+  NETWORK: 'network',
+  INVALID_OUTPUT: 'invalid_output', // Model answered, but not in the required format
+  UNKNOWN: 'unknown'
+};
+
+// Default user-facing copy; routes can override individual types
+const DEFAULT_MESSAGES = {
+  [ERROR_TYPES.RATE_LIMIT]: 'I\'m processing your content! Give me a moment and try again.',
+  [ERROR_TYPES.CONTEXT_LENGTH]: 'This content is rich! Try breaking it into smaller parts.',
+  [ERROR_TYPES.OVERLOADED]: 'I\'m a bit busy right now. Please try again in a moment.',
+  [ERROR_TYPES.INVALID_OUTPUT]: 'I couldn\'t put my answer into the right shape. Please try again.',
+  fallback: 'I\'m having a moment. Please try again - I\'m ready to help!'
+};
+
+class LLMError extends Error {
+  /**
+   * @param {string} message - Raw error message from the provider
+   * @param {Object} options - type, status, provider, model, raw
+   */
+  constructor(message, { type = ERROR_TYPES.UNKNOWN, status = 500, provider, model, raw } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.type = type;
+    this.status = status;
+    this.provider = provider;
+    this.model = model;
+    this.raw = raw;
+  }
+}
+
+/**
+ * Classify a provider error from its HTTP status and error body
+ * @param {number} status - HTTP status code
+ * @param {string} errorType - Provider error type/code (e.g. 'rate_limit_error', 'context_length_exceeded')
+ * @param {string} message - Provider error message
+ * @returns {string} One of ERROR_TYPES
+ */
+function classifyProviderError(status, errorType = '', message = '') {
+  const type = String(errorType || '').toLowerCase();
+  const text = String(message || '').toLowerCase();
+
+  if (status === 429 || type.includes('rate_limit')) return ERROR_TYPES.RATE_LIMIT;
+  if (status === 529 || status === 503 || type.includes('overloaded')) return ERROR_TYPES.OVERLOADED;
+  if (status === 401 || status === 403 || type.includes('authentication') || type.includes('permission')) return ERROR_TYPES.AUTH;
+  if (type.includes('context_length') || text.includes('token') || text.includes('too long')) return ERROR_TYPES.CONTEXT_LENGTH;
+  if (status === 400 || type.includes('invalid_request')) return ERROR_TYPES.INVALID_REQUEST;
+  return ERROR_TYPES.UNKNOWN;
+}
+
+/**
+ * Turn any error into a friendly message for the extension
+ * @param {Error} error - LLMError or unexpected error
+ * @param {Object} messages - Per-route overrides keyed by error type, plus `fallback`
+ * @returns {string}
+ */
+function getUserFriendlyMessage(error, messages = {}) {
+  const copy = { ...DEFAULT_MESSAGES, ...messages };
+  if (error instanceof LLMError && copy[error.type]) {
+    return copy[error.type];
+  }
+  return copy.fallback;
+}
+
+/**
+ * Standard JSON error body for a failed LLM call
+ * @param {Error} error - LLMError or unexpected error
+ * @param {Object} messages - Per-route message overrides
+ * @returns {Object} { status, body }
+ */
+function toErrorResponse(error, messages = {}) {
+  const status = error instanceof LLMError ? error.status : 500;
+  return {
+    status,
+    body: {
+      error: getUserFriendlyMessage(error, messages),
+      details: process.env.NODE_ENV === 'development' ? (error.raw || error.message) : undefined
+    }
+  };
+}
+
+module.exports = {
+  LLMError,
+  ERROR_TYPES,
+  classifyProviderError,
+  getUserFriendlyMessage,
+  toErrorResponse
+};
@@ -0,0 +1,180 @@
+// LLM provider layer
+// One entry point for every model call so routes never talk to a vendor API directly
+
+const anthropic = require('./providers/anthropic');
+const { createOpenAIProvider } = require('./providers/openai');
+const { resolveModel, validateUserModels } = require('./config');
+const { LLMError, ERROR_TYPES, getUserFriendlyMessage, toErrorResponse } = require('./errors');
+const { trackUsageContext, runForUser, onUsage, reportUsage } = require('./usage');
+const { parseStructuredOutput } = require('./structured-output');
+
+// Attempts for structured output before giving up (first try + corrections)
+const JSON_MAX_ATTEMPTS = 2;
+
+const providers = {
+  anthropic,
+  openai: createOpenAIProvider({
+    name: 'openai',
+    apiKey: () => process.env.OPENAI_API_KEY
+  }),
+  // Any OpenAI-compatible server, e.g. LOCAL_LLM_BASE_URL=http://localhost:11434/v1 for Ollama
+  local: createOpenAIProvider({
+    name: 'local',
+    apiKey: () => process.env.LOCAL_LLM_API_KEY || 'local',
+    baseURL: () => process.env.LOCAL_LLM_BASE_URL,
+    supportsStreamUsage: false
+  })
+};
+
+/**
+ * Look up the adapter for a resolved model
+ * @private
+ */
+function getProvider(providerName, model) {
+  const provider = providers[providerName];
+  if (!provider) {
+    throw new LLMError(`Unknown LLM provider "${providerName}"`, { type: ERROR_TYPES.INVALID_REQUEST, status: 500, model });
+  }
+  if (!provider.isConfigured()) {
+    throw new LLMError(`LLM provider "${providerName}" is not configured`, { type: ERROR_TYPES.AUTH, status: 500, provider: providerName, model });
+  }
+  return provider;
+}
+
+/**
+ * Normalise call options and pick the model
+ * @private
+ */
+function prepareCall({ route = 'default', userSettings = null, prompt, messages, maxTokens = 400, temperature, system, tools, toolChoice, signal }) {
+  const resolved = resolveModel(route, userSettings);
+  return {
+    resolved,
+    provider: getProvider(resolved.provider, resolved.model),
+    callOptions: {
+      model: resolved.model,
+      messages: messages || [{ role: 'user', content: prompt }],
+      maxTokens,
+      temperature,
+      system,
+      tools,
+      toolChoice,
+      signal
+    }
+  };
+}
+
+/**
+ * Run a completion on the model configured for a route
+ * With tools ([{ name, description, inputSchema }]) the model may answer with toolCalls
+ * ([{ id, name, input }]) instead of, or as well as, text. Tool turns go back in messages as
+ * { role: 'assistant', content, toolCalls } and { role: 'tool', toolCallId, content, isError }.
+ * @param {Object} options - route, userSettings, prompt | messages, maxTokens, temperature, system,
+ *   tools, toolChoice ('auto' | 'none' | 'any'), signal
+ * @returns {Promise<Object>} { text, toolCalls, usage, stopReason, provider, model }
+ * @throws {LLMError}
+ */
+async function complete(options) {
+  const { resolved, provider, callOptions } = prepareCall(options);
+  const result = await provider.complete(callOptions);
+
+  reportUsage({ route: options.route, provider: resolved.provider, model: resolved.model, usage: result.usage });
+
+  return {
+    ...result,
+    provider: resolved.provider,
+    model: resolved.model
+  };
+}
+
+/**
+ * Run a completion that must return JSON matching a schema
+ * Malformed output is repaired when possible; otherwise the model is shown the
+ * problems and asked again. Never returns unvalidated output.
+ * @param {Object} options - same as complete(), plus schema and maxAttempts
+ * @returns {Promise<Object>} { data, attempts, repaired, usage, provider, model }
+ * @throws {LLMError} INVALID_OUTPUT when every attempt failed validation
+ */
+async function completeJson(options) {
+  const { schema, maxAttempts = JSON_MAX_ATTEMPTS, prompt, messages, ...callOptions } = options;
+  const initialMessages = messages || [{ role: 'user', content: prompt }];
+  const usage = { inputTokens: 0, outputTokens: 0 };
+  let conversation = initialMessages;
+  let result;
+  let errors = [];
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    result = await complete({ ...callOptions, messages: conversation });
+    usage.inputTokens += result.usage?.inputTokens || 0;
+    usage.outputTokens += result.usage?.outputTokens || 0;
+
+    const parsed = parseStructuredOutput(result.text, schema);
+    errors = parsed.errors;
+
+    if (errors.length === 0) {
+      if (parsed.repaired) console.log(`🔧 Repaired malformed JSON from ${result.model}`);
+      return { data: parsed.value, attempts: attempt, repaired: parsed.repaired, usage, provider: result.provider, model: result.model };
+    }
+
+    if (result.stopReason === 'max_tokens' || result.stopReason === 'length') {
+      errors = [...errors, 'the response was cut off; keep every field shorter'];
+    }
+    console.warn(`⚠️ Structured output attempt ${attempt}/${maxAttempts} invalid: ${errors.slice(0, 3).join('; ')}`);
+
+    conversation = [
+      ...initialMessages,
+      { role: 'assistant', content: result.text || '(empty)' },
+      { role: 'user', content: `That response does not match the required JSON format:\n- ${errors.slice(0, 10).join('\n- ')}\n\nReply with the corrected JSON only, no other text.` }
+    ];
+  }
+
+  throw new LLMError(`Structured output invalid after ${maxAttempts} attempts: ${errors.slice(0, 3).join('; ')}`, {
+    type: ERROR_TYPES.INVALID_OUTPUT,
+    status: 502,
+    provider: result?.provider,
+    model: result?.model
+  });
+}
+
+/**
+ * Start a streamed completion on the model configured for a route
+ * Provider HTTP errors throw here, before any bytes are sent to the client
+ * @param {Object} options - same as complete()
+ * @returns {Promise<Object>} { provider, model, read({ onText }) }
+ * @throws {LLMError}
+ */
+async function openStream(options) {
+  const { resolved, provider, callOptions } = prepareCall(options);
+  const handle = await provider.openStream(callOptions);
+
+  return {
+    provider: resolved.provider,
+    model: resolved.model,
+    read: async (handlers) => {
+      const result = await handle.read(handlers);
+      // Cancelled streams are still billed for what was generated
+      reportUsage({ route: options.route, provider: resolved.provider, model: resolved.model, usage: result.usage });
+
+      return {
+        ...result,
+        provider: resolved.provider,
+        model: resolved.model
+      };
+    }
+  };
+}
+
+module.exports = {
+  complete,
+  completeJson,
+  openStream,
+  resolveModel,
+  validateUserModels,
+  trackUsageContext,
+  runForUser,
+  onUsage,
+  reportUsage,
+  LLMError,
+  ERROR_TYPES,
+  getUserFriendlyMessage,
+  toErrorResponse
+};
@@ -0,0 +1,74 @@
+// Minimal JSON Schema validation for structured model output
+// Supports the subset our output schemas use: type, properties, required,
+// additionalProperties: false, items, enum, minLength, minItems, maxItems
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+};
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Parsed JSON
+ * @param {Object} schema - JSON Schema (supported subset)
+ * @param {string} path - Location for error messages
+ * @returns {Array<string>} Problems found, empty when valid
+ */
+function validateSchema(value, schema, path = '$') {
+  if (!schema) return [];
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [`${path} should be ${schema.type}, got ${typeOf(value)}`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    errors.push(`${path} should not be empty`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} should have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} should have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+    }
+    if (schema.additionalProperties === false) {
+      const allowed = new Set(Object.keys(schema.properties || {}));
+      Object.keys(value)
+        .filter(key => !allowed.has(key))
+        .forEach(key => errors.push(`${path}.${key} is not allowed`));
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  validateSchema
+};
@@ -0,0 +1,81 @@
+// Estimated model pricing for usage accounting
+// USD per million tokens. Estimates only: the provider invoice is the source of truth.
+// Override or extend with LLM_PRICING_JSON, e.g. {"openai:gpt-4o-mini": {"input": 0.15, "output": 0.6}}
+
+const DEFAULT_PRICING = {
+  'anthropic:claude-opus-4': { input: 15, output: 75 },
+  'anthropic:claude-sonnet-4': { input: 3, output: 15 },
+  'anthropic:claude-3-7-sonnet': { input: 3, output: 15 },
+  'anthropic:claude-3-5-sonnet': { input: 3, output: 15 },
+  'anthropic:claude-3-5-haiku': { input: 0.8, output: 4 },
+  'anthropic:claude-3-haiku': { input: 0.25, output: 1.25 },
+  'openai:gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'openai:gpt-4o': { input: 2.5, output: 10 },
+  'openai:text-embedding-3-small': { input: 0.02, output: 0 },
+  'openai:text-embedding-3-large': { input: 0.13, output: 0 },
+  'openai:text-embedding-ada-002': { input: 0.1, output: 0 }
+};
+
+let pricingTable = null;
+
+/**
+ * Merge LLM_PRICING_JSON over the defaults (read once per process)
+ * @private
+ */
+function getPricingTable() {
+  if (pricingTable) return pricingTable;
+  pricingTable = { ...DEFAULT_PRICING };
+
+  if (process.env.LLM_PRICING_JSON) {
+    try {
+      Object.assign(pricingTable, JSON.parse(process.env.LLM_PRICING_JSON));
+    } catch (error) {
+      console.error('❌ Invalid LLM_PRICING_JSON, using default pricing:', error.message);
+    }
+  }
+
+  return pricingTable;
+}
+
+/**
+ * Find the price for a model. Keys match the exact "provider:model" spec or a
+ * prefix of it, so dated releases (claude-3-5-haiku-20241022) share one entry.
+ * Local models are free.
+ * @param {string} provider - Provider name
+ * @param {string} model - Model name
+ * @returns {Object|null} { input, output } per million tokens, null when unknown
+ */
+function getModelPricing(provider, model) {
+  if (provider === 'local') return { input: 0, output: 0 };
+
+  const spec = `${provider}:${model}`;
+  const table = getPricingTable();
+  if (table[spec]) return table[spec];
+
+  // Longest prefix wins, so gpt-4o-mini is not priced as gpt-4o
+  const prefix = Object.keys(table)
+    .filter(key => spec.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return prefix ? table[prefix] : null;
+}
+
+/**
+ * Estimate the cost of a call
+ * @param {string} provider - Provider name
+ * @param {string} model - Model name
+ * @param {Object} usage - { inputTokens, outputTokens }
+ * @returns {number|null} USD, null when the model has no known price
+ */
+function estimateCost(provider, model, usage = {}) {
+  const pricing = getModelPricing(provider, model);
+  if (!pricing) return null;
+
+  const cost = ((usage.inputTokens || 0) * pricing.input + (usage.outputTokens || 0) * pricing.output) / 1e6;
+  return Number(cost.toFixed(8));
+}
+
+module.exports = {
+  getModelPricing,
+  estimateCost
+};
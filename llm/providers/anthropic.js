@@ -0,0 +1,225 @@
+// Anthropic Messages API adapter
+const { LLMError, ERROR_TYPES, classifyProviderError } = require('../errors');
+
+const API_URL = 'https://api.anthropic.com/v1/messages';
+const API_VERSION = '2023-06-01';
+
+/**
+ * Convert provider-neutral messages to Messages API content
+ * Assistant tool calls become tool_use blocks; tool results are sent back in a user
+ * turn, with consecutive results grouped into one turn as the API requires
+ * @private
+ */
+function toAnthropicMessages(messages) {
+  const converted = [];
+
+  for (const message of messages) {
+    if (message.role === 'tool') {
+      const block = {
+        type: 'tool_result',
+        tool_use_id: message.toolCallId,
+        content: message.content,
+        ...(message.isError && { is_error: true })
+      };
+      const previous = converted[converted.length - 1];
+      if (previous?.role === 'user' && Array.isArray(previous.content) && previous.content.every(item => item.type === 'tool_result')) {
+        previous.content.push(block);
+      } else {
+        converted.push({ role: 'user', content: [block] });
+      }
+    } else if (message.role === 'assistant' && message.toolCalls?.length) {
+      converted.push({
+        role: 'assistant',
+        content: [
+          ...(message.content ? [{ type: 'text', text: message.content }] : []),
+          ...message.toolCalls.map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.input }))
+        ]
+      });
+    } else {
+      converted.push({ role: message.role, content: message.content });
+    }
+  }
+
+  return converted;
+}
+
+/**
+ * Build the request body shared by completion and streaming calls
+ * @private
+ */
+function buildBody({ model, messages, maxTokens, temperature, system, tools, toolChoice }, stream = false) {
+  const body = {
+    model,
+    max_tokens: maxTokens,
+    messages: toAnthropicMessages(messages)
+  };
+  if (system) body.system = system;
+  if (temperature !== undefined) body.temperature = temperature;
+  if (tools?.length) {
+    body.tools = tools.map(tool => ({ name: tool.name, description: tool.description, input_schema: tool.inputSchema }));
+    if (toolChoice) body.tool_choice = { type: toolChoice };
+  }
+  if (stream) body.stream = true;
+  return body;
+}
+
+/**
+ * POST to the Messages API and map failures onto LLMError
+ * @private
+ */
+async function post(body, signal) {
+  let response;
+  try {
+    response = await fetch(API_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': process.env.ANTHROPIC_API_KEY,
+        'anthropic-version': API_VERSION
+      },
+      body: JSON.stringify(body),
+      signal
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    throw new LLMError(error.message, { type: ERROR_TYPES.NETWORK, status: 502, provider: 'anthropic', model: body.model });
+  }
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error('Anthropic API error:', errorText);
+
+    let errorData = {};
+    try {
+      errorData = JSON.parse(errorText);
+    } catch (e) {
+      // Not JSON: the raw text is the message
+    }
+
+    throw new LLMError(errorData.error?.message || errorText, {
+      type: classifyProviderError(response.status, errorData.error?.type, errorData.error?.message),
+      status: response.status,
+      provider: 'anthropic',
+      model: body.model,
+      raw: errorText
+    });
+  }
+
+  return response;
+}
+
+/**
+ * Single-shot completion
+ * @param {Object} options - model, messages, maxTokens, temperature, system, tools, toolChoice, signal
+ * @returns {Promise<Object>} { text, toolCalls, usage, stopReason }
+ */
+async function complete(options) {
+  const response = await post(buildBody(options), options.signal);
+  const data = await response.json();
+  const blocks = data.content || [];
+
+  return {
+    text: blocks.filter(block => block.type === 'text').map(block => block.text).join('').trim(),
+    toolCalls: blocks
+      .filter(block => block.type === 'tool_use')
+      .map(block => ({ id: block.id, name: block.name, input: block.input || {} })),
+    usage: {
+      inputTokens: data.usage?.input_tokens || 0,
+      outputTokens: data.usage?.output_tokens || 0
+    },
+    stopReason: data.stop_reason || null
+  };
+}
+
+/**
+ * Start a streaming completion
+ * Resolves once response headers arrive so HTTP errors surface before any SSE is written
+ * @param {Object} options - model, messages, maxTokens, temperature, system, signal
+ * @returns {Promise<Object>} Stream handle with read({ onText })
+ */
+async function openStream(options) {
+  const response = await post(buildBody(options, true), options.signal);
+
+  return {
+    read: ({ onText } = {}) => readEventStream(response, { onText })
+  };
+}
+
+/**
+ * Read an Anthropic event stream to completion
+ * @private
+ * @returns {Promise<Object>} { text, usage, stopReason, aborted? }
+ */
+async function readEventStream(response, { onText } = {}) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let text = '';
+  let stopReason = null;
+  const usage = { inputTokens: 0, outputTokens: 0 };
+
+  try {
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+
+      // Events are separated by a blank line
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const rawEvent = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+
+        const dataLine = rawEvent.split('\n').find(line => line.startsWith('data:'));
+        if (!dataLine) continue;
+
+        let event;
+        try {
+          event = JSON.parse(dataLine.slice(5).trim());
+        } catch (e) {
+          continue;
+        }
+
+        switch (event.type) {
+          case 'message_start':
+            usage.inputTokens = event.message?.usage?.input_tokens || 0;
+            usage.outputTokens = event.message?.usage?.output_tokens || 0;
+            break;
+          case 'content_block_delta':
+            if (event.delta?.type === 'text_delta' && event.delta.text) {
+              text += event.delta.text;
+              if (onText) onText(event.delta.text);
+            }
+            break;
+          case 'message_delta':
+            stopReason = event.delta?.stop_reason || stopReason;
+            if (event.usage?.output_tokens !== undefined) {
+              usage.outputTokens = event.usage.output_tokens;
+            }
+            break;
+          case 'error':
+            console.error('Anthropic stream error event:', event.error);
+            throw new LLMError(event.error?.message || 'Stream error', {
+              type: classifyProviderError(500, event.error?.type, event.error?.message),
+              status: 502,
+              provider: 'anthropic',
+              raw: JSON.stringify(event)
+            });
+          default:
+            break;
+        }
+      }
+    }
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      return { aborted: true, text, usage, stopReason };
+    }
+    throw error;
+  }
+
+  return { text: text.trim(), usage, stopReason };
+}
+
+module.exports = {
+  name: 'anthropic',
+  isConfigured: () => !!process.env.ANTHROPIC_API_KEY,
+  complete,
+  openStream
+};
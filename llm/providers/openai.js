@@ -0,0 +1,183 @@
+// OpenAI Chat Completions adapter
+// Also serves any OpenAI-compatible endpoint (Ollama, vLLM, LM Studio) through a custom baseURL
+const OpenAI = require('openai');
+const { LLMError, ERROR_TYPES, classifyProviderError } = require('../errors');
+
+// Tool arguments arrive as a JSON string; malformed arguments become an empty input
+const parseToolArguments = (raw) => {
+  try {
+    const parsed = JSON.parse(raw || '{}');
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+/**
+ * Create an adapter bound to one OpenAI-compatible endpoint
+ * @param {Object} config - name, apiKey, baseURL, supportsStreamUsage
+ * @returns {Object} Provider adapter
+ */
+function createOpenAIProvider({ name, apiKey, baseURL, supportsStreamUsage = true }) {
+  let client = null;
+
+  // Lazily created so a missing key only matters when the provider is actually used
+  const getClient = () => {
+    if (!client) {
+      client = new OpenAI({ apiKey: apiKey(), baseURL: baseURL ? baseURL() : undefined });
+    }
+    return client;
+  };
+
+  // Provider-neutral tool calls and results → Chat Completions messages
+  const toOpenAIMessage = (message) => {
+    if (message.role === 'tool') {
+      return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+    }
+    if (message.role === 'assistant' && message.toolCalls?.length) {
+      return {
+        role: 'assistant',
+        content: message.content || null,
+        tool_calls: message.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.input || {}) }
+        }))
+      };
+    }
+    return { role: message.role, content: message.content };
+  };
+
+  const buildBody = ({ model, messages, maxTokens, temperature, system, tools, toolChoice }) => {
+    const converted = messages.map(toOpenAIMessage);
+    const body = {
+      model,
+      messages: system ? [{ role: 'system', content: system }, ...converted] : converted
+    };
+    if (tools?.length) {
+      body.tools = tools.map(tool => ({
+        type: 'function',
+        function: { name: tool.name, description: tool.description, parameters: tool.inputSchema }
+      }));
+      // 'any' (must call a tool) is 'required' here
+      if (toolChoice) body.tool_choice = toolChoice === 'any' ? 'required' : toolChoice;
+    }
+    // Official API moved to max_completion_tokens; compatible servers still expect max_tokens
+    if (name === 'openai') {
+      body.max_completion_tokens = maxTokens;
+    } else {
+      body.max_tokens = maxTokens;
+    }
+    if (temperature !== undefined) body.temperature = temperature;
+    return body;
+  };
+
+  const mapError = (error, model) => {
+    if (error instanceof OpenAI.APIUserAbortError || error.name === 'AbortError') {
+      const abortError = new Error('Request aborted');
+      abortError.name = 'AbortError';
+      return abortError;
+    }
+    if (error instanceof OpenAI.APIConnectionError) {
+      return new LLMError(error.message, { type: ERROR_TYPES.NETWORK, status: 502, provider: name, model });
+    }
+    if (error instanceof OpenAI.APIError) {
+      console.error(`${name} API error:`, error.status, error.message);
+      return new LLMError(error.message, {
+        type: classifyProviderError(error.status, error.code || error.type, error.message),
+        status: error.status || 500,
+        provider: name,
+        model,
+        raw: JSON.stringify(error.error || { message: error.message })
+      });
+    }
+    return error;
+  };
+
+  return {
+    name,
+
+    isConfigured: () => !!(apiKey() && (!baseURL || baseURL())),
+
+    /**
+     * Single-shot completion
+     * @param {Object} options - model, messages, maxTokens, temperature, system, tools, toolChoice, signal
+     * @returns {Promise<Object>} { text, toolCalls, usage, stopReason }
+     */
+    async complete(options) {
+      try {
+        const data = await getClient().chat.completions.create(buildBody(options), { signal: options.signal });
+        const message = data.choices?.[0]?.message;
+
+        return {
+          text: message?.content?.trim() || '',
+          toolCalls: (message?.tool_calls || []).map(call => ({
+            id: call.id,
+            name: call.function?.name,
+            input: parseToolArguments(call.function?.arguments)
+          })),
+          usage: {
+            inputTokens: data.usage?.prompt_tokens || 0,
+            outputTokens: data.usage?.completion_tokens || 0
+          },
+          stopReason: data.choices?.[0]?.finish_reason || null
+        };
+      } catch (error) {
+        throw mapError(error, options.model);
+      }
+    },
+
+    /**
+     * Start a streaming completion
+     * @param {Object} options - model, messages, maxTokens, temperature, system, signal
+     * @returns {Promise<Object>} Stream handle with read({ onText })
+     */
+    async openStream(options) {
+      let stream;
+      try {
+        stream = await getClient().chat.completions.create({
+          ...buildBody(options),
+          stream: true,
+          ...(supportsStreamUsage ? { stream_options: { include_usage: true } } : {})
+        }, { signal: options.signal });
+      } catch (error) {
+        throw mapError(error, options.model);
+      }
+
+      return {
+        read: async ({ onText } = {}) => {
+          let text = '';
+          let stopReason = null;
+          const usage = { inputTokens: 0, outputTokens: 0 };
+
+          try {
+            for await (const chunk of stream) {
+              const delta = chunk.choices?.[0]?.delta?.content;
+              if (delta) {
+                text += delta;
+                if (onText) onText(delta);
+              }
+              if (chunk.choices?.[0]?.finish_reason) {
+                stopReason = chunk.choices[0].finish_reason;
+              }
+              if (chunk.usage) {
+                usage.inputTokens = chunk.usage.prompt_tokens || 0;
+                usage.outputTokens = chunk.usage.completion_tokens || 0;
+              }
+            }
+          } catch (error) {
+            const mapped = mapError(error, options.model);
+            if (mapped.name === 'AbortError') {
+              return { aborted: true, text, usage, stopReason };
+            }
+            throw mapped;
+          }
+
+          return { text: text.trim(), usage, stopReason };
+        }
+      };
+    }
+  };
+}
+
+module.exports = { createOpenAIProvider };
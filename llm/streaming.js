@@ -0,0 +1,85 @@
+// Streaming helpers for LLM responses
+// Relays model token deltas to the extension as Server-Sent Events
+
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * Check whether the client asked for a streamed response
+ * Either `stream: true` in the body or an `Accept: text/event-stream` header
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+function wantsEventStream(req) {
+  if (req.body?.stream === true) return true;
+  const accept = req.headers.accept || '';
+  return accept.includes('text/event-stream');
+}
+
+/**
+ * Tie an AbortController to the client connection
+ * Aborts as soon as the extension closes the connection before we finished writing
+ * @param {Object} res - Express response
+ * @returns {AbortController}
+ */
+function createClientAbortController(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      console.log('🔌 Client closed connection, cancelling upstream request');
+      controller.abort();
+    }
+  });
+  return controller;
+}
+
+/**
+ * Switch the response into SSE mode
+ * @param {Object} res - Express response
+ * @returns {Object} Helpers to send events and end the stream
+ */
+function openEventStream(res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop proxies from buffering the stream
+  });
+  res.flushHeaders();
+
+  // Comment lines keep Render's proxy from closing idle connections during long generations
+  const heartbeat = setInterval(() => {
+    if (!res.writableEnded) res.write(': ping\n\n');
+  }, HEARTBEAT_INTERVAL_MS);
+  res.on('close', () => clearInterval(heartbeat));
+
+  return {
+    send(event, data) {
+      if (res.writableEnded || res.destroyed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      clearInterval(heartbeat);
+      if (!res.writableEnded) res.end();
+    }
+  };
+}
+
+/**
+ * Send a complete result as a one-event stream
+ * Used when a streaming route can answer without calling the model
+ * @param {Object} res - Express response
+ * @param {Object} payload - Final payload
+ */
+function sendSingleEvent(res, payload) {
+  const stream = openEventStream(res);
+  stream.send('done', payload);
+  stream.end();
+}
+
+module.exports = {
+  wantsEventStream,
+  createClientAbortController,
+  openEventStream,
+  sendSingleEvent
+};
@@ -0,0 +1,91 @@
+// Parsing and repair of JSON model output
+// Models often wrap JSON in code fences or prose, leave trailing commas, or put raw
+// newlines inside strings. Those are repaired here; anything else is reported so
+// the caller can ask the model to try again.
+const { validateSchema } = require('./json-schema');
+
+/**
+ * Cut the JSON object or array out of a model response
+ * @returns {string|null}
+ */
+const extractJson = (text) => {
+  if (!text || typeof text !== 'string') return null;
+
+  const unfenced = text.replace(/```(?:json)?\s*([\s\S]*?)```/i, '$1');
+  const start = unfenced.search(/[{[]/);
+  if (start === -1) return null;
+
+  const closer = unfenced[start] === '{' ? '}' : ']';
+  const end = unfenced.lastIndexOf(closer);
+  if (end <= start) return null;
+
+  return unfenced.substring(start, end + 1);
+};
+
+/**
+ * Fix common syntax slips: raw newlines and tabs inside strings, and trailing commas
+ */
+const repairJson = (json) => {
+  let repaired = '';
+  let inString = false;
+  let escaped = false;
+
+  for (const char of json) {
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      } else if (char === '\n') {
+        repaired += '\\n';
+        continue;
+      } else if (char === '\r' || char === '\t') {
+        repaired += char === '\t' ? '\\t' : '';
+        continue;
+      }
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '}' || char === ']') {
+      repaired = repaired.replace(/,\s*$/, '');
+    }
+    repaired += char;
+  }
+
+  return repaired;
+};
+
+/**
+ * Parse and validate a model response against a schema
+ * @param {string} text - Raw model output
+ * @param {Object} schema - JSON Schema for the expected value
+ * @returns {Object} { value, repaired, errors } - errors is empty when value is usable
+ */
+const parseStructuredOutput = (text, schema) => {
+  const json = extractJson(text);
+  if (!json) {
+    return { value: null, repaired: false, errors: ['response contains no JSON object'] };
+  }
+
+  let value;
+  let repaired = false;
+  try {
+    value = JSON.parse(json);
+  } catch (error) {
+    try {
+      value = JSON.parse(repairJson(json));
+      repaired = true;
+    } catch (repairError) {
+      return { value: null, repaired: false, errors: [`invalid JSON: ${repairError.message}`] };
+    }
+  }
+
+  return { value, repaired, errors: validateSchema(value, schema) };
+};
+
+module.exports = {
+  extractJson,
+  repairJson,
+  parseStructuredOutput
+};
@@ -0,0 +1,72 @@
+// Usage accounting for model calls
+// Every completion, stream and embedding call reports its token usage here.
+// The request that triggered the call is tracked with AsyncLocalStorage, so the
+// user is attributed without threading ids through every helper.
+const { AsyncLocalStorage } = require('async_hooks');
+const { estimateCost } = require('./pricing');
+
+const requestContext = new AsyncLocalStorage();
+const listeners = [];
+
+/**
+ * Express middleware: remember the request so usage can be attributed to req.user
+ * The user is read when usage is reported, so auth middleware may run after this
+ */
+function trackUsageContext(req, res, next) {
+  requestContext.run({ req }, next);
+}
+
+/**
+ * Attribute the model calls of work done outside a request (e.g. scheduled digests) to a user
+ * @param {string} userId
+ * @param {Function} fn - Work to run; its model calls report usage for userId
+ * @returns {*} What fn returns
+ */
+function runForUser(userId, fn) {
+  return requestContext.run({ req: { user: { id: userId } } }, fn);
+}
+
+/**
+ * Register a listener for usage records (e.g. to persist them)
+ * @param {Function} listener - Called with each usage record; may return a promise
+ */
+function onUsage(listener) {
+  listeners.push(listener);
+}
+
+/**
+ * Report the token usage of one model call
+ * Never throws: accounting must not break the call it describes
+ * @param {Object} entry - route, provider, model, usage { inputTokens, outputTokens }, userId (defaults to the request user)
+ * @returns {Object} The usage record passed to listeners
+ */
+function reportUsage({ route = 'default', provider, model, usage, userId }) {
+  const inputTokens = usage?.inputTokens || 0;
+  const outputTokens = usage?.outputTokens || 0;
+
+  const record = {
+    userId: userId !== undefined ? userId : (requestContext.getStore()?.req.user?.id || null),
+    route,
+    provider,
+    model,
+    inputTokens,
+    outputTokens,
+    estimatedCost: estimateCost(provider, model, { inputTokens, outputTokens }),
+    createdAt: new Date().toISOString()
+  };
+
+  for (const listener of listeners) {
+    Promise.resolve()
+      .then(() => listener(record))
+      .catch(error => console.error('❌ Usage listener failed:', error.message));
+  }
+
+  return record;
+}
+
+module.exports = {
+  trackUsageContext,
+  runForUser,
+  onUsage,
+  reportUsage
+};
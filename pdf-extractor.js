@@ -4,6 +4,8 @@
  */
 
 const pdf = require('pdf-parse');
+const llm = require('./llm');
+const { renderPrompt } = require('./prompts');
 
 class PDFExtractor {
   constructor() {
@@ -14,7 +16,7 @@ class PDFExtractor {
   /**
    * Extract content from a PDF URL
    * @param {string} url - The PDF URL
-   * @param {Object} options - Extraction options
+   * @param {Object} options - Extraction options; options.fetch replaces the global fetch for the download
    * @returns {Promise<Object>} Extracted content and metadata
    */
   async extractFromURL(url, options = {}) {
@@ -22,7 +24,7 @@ class PDFExtractor {
     
     try {
       // Step 1: Download PDF
-      const pdfBuffer = await this.downloadPDF(url);
+      const pdfBuffer = await this.downloadPDF(url, options.fetch);
       
       // Step 2: Extract content
       const extractedData = await this.extractContent(pdfBuffer, options);
@@ -55,11 +57,11 @@ class PDFExtractor {
    * Download PDF from URL
    * @private
    */
-  async downloadPDF(url) {
+  async downloadPDF(url, fetchImpl = fetch) {
     try {
       console.log(`⬇️ Downloading PDF from: ${url}`);
       
-      const response = await fetch(url, {
+      const response = await fetchImpl(url, {
         headers: {
           'User-Agent': 'Mozilla/5.0 (compatible; Glance/1.0)'
         },
@@ -186,19 +188,7 @@ class PDFExtractor {
 
     // Use Claude for intelligent formatting with new approach
     try {
-      const prompt = `You are a text formatter. Your job is to add paragraph breaks to this text that was extracted from a PDF. The text is currently all run together but should have proper paragraph breaks.
-
-RULES:
-1. Output EVERY SINGLE WORD from the input - do not remove, summarize, or skip anything
-2. Only add paragraph breaks (\\n\\n) where natural breaks should occur
-3. Do not change any words or content
-4. Do not add any commentary like "Text continues..." or similar
-5. If you see repetitive content, output ALL of it - do not summarize
-
-INPUT TEXT:
-${basicCleaned}
-
-FORMATTED OUTPUT:`;
+      const prompt = renderPrompt('pdf-formatting', { text: basicCleaned });
 
       // Smart token calculation based on input size
       const inputTokens = Math.ceil(basicCleaned.length / 4); // Rough estimate: 4 chars = 1 token
@@ -209,26 +199,12 @@ FORMATTED OUTPUT:`;
 
       console.log(`🧮 Token calculation: input ~${inputTokens} tokens, setting max_tokens to ${maxTokens}`);
 
-      const response = await fetch('https://api.anthropic.com/v1/messages', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': process.env.ANTHROPIC_API_KEY,
-          'anthropic-version': '2023-06-01'
-        },
-        body: JSON.stringify({
-          model: 'claude-3-5-haiku-20241022',
-          max_tokens: maxTokens,
-          messages: [{ role: 'user', content: prompt }]
-        })
+      const result = await llm.complete({
+        route: 'pdf-formatting',
+        prompt: prompt.text,
+        maxTokens
       });
-
-      if (!response.ok) {
-        throw new Error(`Claude API error: ${response.status}`);
-      }
-
-      const data = await response.json();
-      const cleanedText = data.content[0].text.trim();
+      const cleanedText = result.text;
       
       console.log(`🤖 Claude formatting complete: ${basicCleaned.length} → ${cleanedText.length} characters`);
       console.log(`📄 Claude output preview: "${cleanedText.substring(0, 200)}..."`);
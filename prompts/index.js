@@ -0,0 +1,277 @@
+// Prompt template registry
+// Named, versioned templates with typed {{variables}}. Templates can be overridden
+// per deployment (PROMPT_TEMPLATES_DIR) or per user (settings.promptOverrides),
+// so prompt wording can change without touching route code. Users may only override
+// templates marked userOverridable: prose they read themselves, never a template whose
+// output the server parses or acts on (classifiers, JSON schemas, the research agent).
+// Templates marked localized write for the reader; they are told to answer in the user's
+// preferred language (settings.preferredLanguage) when that isn't English.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { languageName, outputLanguageOf } = require('../language');
+
+const TEMPLATES = [
+  require('./templates/tldr'),
+  require('./templates/summary-json'),
+  require('./templates/page-summary'),
+  require('./templates/multi-tab-summary'),
+  require('./templates/tab-clusters'),
+  require('./templates/summary-section'),
+  require('./templates/recent-content-overview'),
+  require('./templates/reading-digest'),
+  require('./templates/content-comparison'),
+  require('./templates/timeline-events'),
+  require('./templates/content-tags'),
+  require('./templates/content-entities'),
+  require('./templates/flashcards'),
+  require('./templates/deep-dive'),
+  require('./templates/conversation-classifier'),
+  require('./templates/query-intent'),
+  require('./templates/query-translation'),
+  require('./templates/intent-classifier'),
+  require('./templates/content-type-detection'),
+  require('./templates/pdf-formatting'),
+  require('./templates/research-agent')
+];
+
+const registry = new Map(TEMPLATES.map(template => [template.name, template]));
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Longest user override (template and system text together)
+const MAX_USER_OVERRIDE_CHARS = 8000;
+
+let deploymentOverrides = null;
+
+/**
+ * Load deployment overrides from PROMPT_TEMPLATES_DIR (one <name>.json per template)
+ * Read once per process; restart to pick up edited files
+ * @private
+ */
+function loadDeploymentOverrides() {
+  if (deploymentOverrides) return deploymentOverrides;
+  deploymentOverrides = new Map();
+
+  const dir = process.env.PROMPT_TEMPLATES_DIR;
+  if (!dir) return deploymentOverrides;
+
+  try {
+    for (const file of fs.readdirSync(dir)) {
+      if (!file.endsWith('.json')) continue;
+      const name = path.basename(file, '.json');
+
+      try {
+        const override = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        deploymentOverrides.set(name, override);
+        console.log(`📝 Loaded prompt override "${name}" (version ${override.version || 'custom'}) from ${dir}`);
+      } catch (error) {
+        console.error(`❌ Invalid prompt override ${file}:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error(`❌ Could not read PROMPT_TEMPLATES_DIR ${dir}:`, error.message);
+  }
+
+  return deploymentOverrides;
+}
+
+/**
+ * Check an override only uses variables the template declares
+ * @private
+ * @returns {string|null} Problem description, or null when valid
+ */
+function validateOverride(base, override) {
+  if (!override || typeof override.template !== 'string' || !override.template.trim()) {
+    return 'template text is missing';
+  }
+
+  const texts = [override.template, override.system].filter(Boolean);
+  for (const text of texts) {
+    for (const [, variable] of text.matchAll(PLACEHOLDER)) {
+      if (!base.variables[variable]) return `unknown variable {{${variable}}}`;
+    }
+  }
+
+  return null;
+}
+
+// A bare string is shorthand for { template }
+const normalizeOverride = (override) => (typeof override === 'string' ? { template: override } : override);
+
+// Problem with a user override beyond the checks every override gets, or null
+function checkUserOverride(base, override) {
+  if (!base.userOverridable) return 'this template cannot be overridden by users';
+  const length = (override.template || '').length + (typeof override.system === 'string' ? override.system.length : 0);
+  if (length > MAX_USER_OVERRIDE_CHARS) return `override is longer than ${MAX_USER_OVERRIDE_CHARS} characters`;
+  return null;
+}
+
+/**
+ * Pick the template to use: user override → deployment override → built-in
+ * @private
+ */
+function resolveTemplate(name, userSettings) {
+  const base = registry.get(name);
+  if (!base) {
+    throw new Error(`Unknown prompt template "${name}"`);
+  }
+
+  const candidates = [
+    { source: 'user', override: userSettings?.promptOverrides?.[name] },
+    { source: 'deployment', override: loadDeploymentOverrides().get(name) }
+  ];
+
+  for (const { source, override } of candidates) {
+    if (!override) continue;
+
+    const normalized = normalizeOverride(override);
+    const problem = validateOverride(base, normalized) || (source === 'user' ? checkUserOverride(base, normalized) : null);
+    if (problem) {
+      console.warn(`⚠️ Ignoring ${source} override for prompt "${name}": ${problem}`);
+      continue;
+    }
+
+    return {
+      ...base,
+      template: normalized.template,
+      system: normalized.system !== undefined ? normalized.system : base.system,
+      version: String(normalized.version || 'custom'),
+      source
+    };
+  }
+
+  return { ...base, version: String(base.version), source: 'default' };
+}
+
+/**
+ * Check and coerce variables against the template's declared types
+ * @private
+ */
+function prepareVariables(template, variables) {
+  const values = {};
+
+  for (const [key, spec] of Object.entries(template.variables)) {
+    let value = variables[key];
+
+    if (value === undefined || value === null) {
+      if (spec.default !== undefined) {
+        value = spec.default;
+      } else if (spec.required) {
+        throw new Error(`Prompt "${template.name}" is missing required variable "${key}"`);
+      } else {
+        value = '';
+      }
+    } else if (spec.type && typeof value !== spec.type) {
+      throw new Error(`Prompt "${template.name}" variable "${key}" must be a ${spec.type}, got ${typeof value}`);
+    }
+
+    values[key] = String(value);
+  }
+
+  return values;
+}
+
+const fill = (text, values) => text.replace(PLACEHOLDER, (match, key) => (key in values ? values[key] : match));
+
+// Language a localized template should answer in, or null for English
+const outputLanguage = (template, userSettings) => (template.localized ? outputLanguageOf(userSettings) : null);
+
+const languageInstruction = (language) => `Write your response in ${languageName(language)}, whatever language the content is in. Text quoted word for word from the content stays in its original language, and JSON field names and fixed values stay exactly as specified.`;
+
+/**
+ * Render a prompt
+ * @param {string} name - Template name
+ * @param {Object} variables - Values for the template's variables
+ * @param {Object} options - userSettings (for per-user overrides and the output language)
+ * @returns {Object} { text, system, name, version, source, id, language, schema }
+ */
+function renderPrompt(name, variables = {}, options = {}) {
+  const template = resolveTemplate(name, options.userSettings);
+  const values = prepareVariables(template, variables);
+  const id = `${template.name}@${template.version}`;
+  const language = outputLanguage(template, options.userSettings);
+  const text = fill(template.template, values);
+
+  console.log(`📝 Prompt ${id} (${template.source}${language ? `, in ${languageName(language)}` : ''})`);
+
+  return {
+    text: language ? `${text}\n\n${languageInstruction(language)}` : text,
+    system: template.system ? fill(template.system, values) : undefined,
+    name: template.name,
+    version: template.version,
+    source: template.source,
+    id,
+    language,
+    // Output schema for structured templates (not overridable)
+    schema: template.schema
+  };
+}
+
+/**
+ * Identify the template a render would use, without rendering it
+ * The fingerprint changes with the template text, so edited overrides that keep
+ * their version number are still told apart (e.g. for cache keys), and so are output languages
+ * @param {string} name - Template name
+ * @param {Object} options - userSettings (for per-user overrides and the output language)
+ * @returns {Object} { name, version, source, id, language, fingerprint }
+ */
+function describePrompt(name, options = {}) {
+  const template = resolveTemplate(name, options.userSettings);
+  const language = outputLanguage(template, options.userSettings);
+  const hash = crypto
+    .createHash('sha256')
+    .update(`${template.template}\u0000${template.system || ''}`);
+  if (language) hash.update(`\u0000${language}`);
+  const fingerprint = hash.digest('hex').slice(0, 16);
+
+  return {
+    name: template.name,
+    version: template.version,
+    source: template.source,
+    id: `${template.name}@${template.version}`,
+    language,
+    fingerprint
+  };
+}
+
+/**
+ * Check a promptOverrides setting
+ * @param {*} value - { <template name>: override }, or null to clear it
+ * @returns {string|null} Error message, or null when valid
+ */
+function validatePromptOverrides(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return 'promptOverrides must be an object of template name → override';
+  }
+
+  for (const [name, override] of Object.entries(value)) {
+    const base = registry.get(name);
+    if (!base) return `promptOverrides: unknown template "${name}"`;
+    const normalized = normalizeOverride(override);
+    if (!normalized || typeof normalized !== 'object') return `promptOverrides.${name} must be a string or { version, template, system }`;
+    if (normalized.system !== undefined && typeof normalized.system !== 'string') return `promptOverrides.${name}.system must be a string`;
+
+    const problem = validateOverride(base, normalized) || checkUserOverride(base, normalized);
+    if (problem) return `promptOverrides.${name}: ${problem}`;
+  }
+  return null;
+}
+
+/**
+ * Describe registered templates (name, version, description, localized, userOverridable, variables)
+ * @returns {Array<Object>}
+ */
+function listTemplates() {
+  return TEMPLATES.map(({ name, version, description, localized = false, userOverridable = false, variables }) => ({
+    name, version, description, localized, userOverridable, variables
+  }));
+}
+
+module.exports = {
+  renderPrompt,
+  describePrompt,
+  validatePromptOverrides,
+  listTemplates
+};
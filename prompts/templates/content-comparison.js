@@ -0,0 +1,116 @@
+module.exports = {
+  name: 'content-comparison',
+  version: 1,
+  description: 'Structured compare-and-contrast of 2-6 saved items (/api/compare)',
+  localized: true,
+  variables: {
+    sourceCount: { type: 'number', required: true, description: 'Number of sources' },
+    sources: { type: 'string', required: true, description: 'The sources as [S1] title, then text' },
+    focus: { type: 'string', required: false, description: 'What the user wants compared, if they said' }
+  },
+  // Output contract, checked by llm.completeJson(); source numbers refer to [S1]..[Sn] in the prompt
+  schema: {
+    type: 'object',
+    required: ['summary', 'sharedClaims', 'disagreements', 'uniquePoints', 'table'],
+    additionalProperties: false,
+    properties: {
+      summary: { type: 'string', minLength: 1 },
+      sharedClaims: {
+        type: 'array',
+        maxItems: 10,
+        items: {
+          type: 'object',
+          required: ['claim', 'sources'],
+          additionalProperties: false,
+          properties: {
+            claim: { type: 'string', minLength: 1 },
+            sources: { type: 'array', minItems: 2, items: { type: 'integer' } }
+          }
+        }
+      },
+      disagreements: {
+        type: 'array',
+        maxItems: 8,
+        items: {
+          type: 'object',
+          required: ['topic', 'positions'],
+          additionalProperties: false,
+          properties: {
+            topic: { type: 'string', minLength: 1 },
+            positions: {
+              type: 'array',
+              minItems: 2,
+              items: {
+                type: 'object',
+                required: ['source', 'position'],
+                additionalProperties: false,
+                properties: {
+                  source: { type: 'integer' },
+                  position: { type: 'string', minLength: 1 }
+                }
+              }
+            }
+          }
+        }
+      },
+      uniquePoints: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['source', 'points'],
+          additionalProperties: false,
+          properties: {
+            source: { type: 'integer' },
+            points: { type: 'array', maxItems: 5, items: { type: 'string', minLength: 1 } }
+          }
+        }
+      },
+      table: {
+        type: 'array',
+        maxItems: 10,
+        items: {
+          type: 'object',
+          required: ['aspect', 'cells'],
+          additionalProperties: false,
+          properties: {
+            aspect: { type: 'string', minLength: 1 },
+            cells: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['source', 'value'],
+                additionalProperties: false,
+                properties: {
+                  source: { type: 'integer' },
+                  value: { type: 'string', minLength: 1 }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+  system: 'You compare saved articles and documents for a researcher, keeping track of which source says what. You respond with a single JSON object and nothing else.',
+  template: `Compare these {{sourceCount}} sources.
+
+Focus: {{focus}}
+
+{{sources}}
+
+Return a JSON object with exactly these fields:
+- "summary": 2-3 sentences on how the sources relate overall
+- "sharedClaims": claims that two or more sources make, as { "claim": "...", "sources": [source numbers] }
+- "disagreements": topics where sources conflict or reach different conclusions, as { "topic": "...", "positions": [{ "source": source number, "position": "what this source says" }] } with at least two positions
+- "uniquePoints": for each source, up to 5 points only that source makes, as { "source": source number, "points": ["..."] }
+- "table": 4-10 aspects the sources can be compared on (e.g. main argument, method, evidence, date, recommendation), as { "aspect": "...", "cells": [{ "source": source number, "value": "short answer for this source" }] } with one cell per source that covers the aspect
+
+Rules:
+- Source numbers are the numbers in [S1], [S2], ... above, without the "S"
+- Only attribute a claim or position to a source that actually makes it
+- A disagreement needs sources that contradict each other, not just different topics
+- Be specific: use the names, numbers and findings from the sources
+- Table values are a phrase or a short sentence
+- No markdown inside the strings
+- Respond with the JSON object only`
+};
@@ -0,0 +1,49 @@
+module.exports = {
+  name: 'content-entities',
+  version: 1,
+  description: 'People, organizations, products and places mentioned by a saved item (entity index)',
+  variables: {
+    title: { type: 'string', required: true, description: 'Item title' },
+    content: { type: 'string', required: true, description: 'Item text, truncated' },
+    maxEntities: { type: 'number', required: true, description: 'Most entities to return' }
+  },
+  // Output contract, checked by llm.completeJson()
+  schema: {
+    type: 'object',
+    required: ['entities'],
+    additionalProperties: false,
+    properties: {
+      entities: {
+        type: 'array',
+        maxItems: 50,
+        items: {
+          type: 'object',
+          required: ['name', 'type'],
+          additionalProperties: false,
+          properties: {
+            name: { type: 'string', minLength: 1 },
+            type: { type: 'string', enum: ['person', 'organization', 'product', 'place'] },
+            aliases: { type: 'array', items: { type: 'string' } }
+          }
+        }
+      }
+    }
+  },
+  system: 'You extract named entities from saved articles for a personal research library. You respond with a single JSON object and nothing else.',
+  template: `List up to {{maxEntities}} named entities this saved item mentions.
+
+Title: {{title}}
+
+Content:
+{{content}}
+
+Return a JSON object: { "entities": [{ "name": "Anthropic", "type": "organization", "aliases": ["Anthropic PBC"] }] }
+
+Rules:
+- type is "person", "organization", "product" or "place"
+- Use each entity's full, canonical name ("Dario Amodei", not "Amodei"; "United States", not "US")
+- "aliases" lists the other ways the item refers to it, spelled as in the text (may be empty)
+- Only named, specific entities: no generic concepts, topics, roles or dates
+- Most important entities first
+- Respond with the JSON object only`
+};
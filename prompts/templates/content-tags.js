@@ -0,0 +1,54 @@
+module.exports = {
+  name: 'content-tags',
+  version: 1,
+  description: 'Tag suggestions for a saved item, preferring the user\'s existing tags (auto-tagging)',
+  variables: {
+    title: { type: 'string', required: true, description: 'Item title' },
+    url: { type: 'string', required: false, description: 'Source URL' },
+    content: { type: 'string', required: true, description: 'Item text, truncated' },
+    vocabulary: { type: 'string', required: false, description: 'The user\'s tags, most used first, comma-separated' },
+    maxTags: { type: 'number', required: true, description: 'Most tags to suggest' }
+  },
+  // Output contract, checked by llm.completeJson()
+  schema: {
+    type: 'object',
+    required: ['tags'],
+    additionalProperties: false,
+    properties: {
+      tags: {
+        type: 'array',
+        maxItems: 10,
+        items: {
+          type: 'object',
+          required: ['name', 'confidence'],
+          additionalProperties: false,
+          properties: {
+            name: { type: 'string', minLength: 1 },
+            confidence: { type: 'number' }
+          }
+        }
+      }
+    }
+  },
+  system: 'You tag saved articles for a personal research library. You respond with a single JSON object and nothing else.',
+  template: `Suggest up to {{maxTags}} tags for this saved item.
+
+Title: {{title}}
+URL: {{url}}
+
+Content:
+{{content}}
+
+The user already uses these tags (most used first):
+{{vocabulary}}
+
+Return a JSON object: { "tags": [{ "name": "tag", "confidence": 0.0-1.0 }] }
+
+Rules:
+- Reuse the user's existing tags, spelled exactly as listed, whenever one fits
+- Only invent a new tag for a main topic none of the existing tags covers
+- Tags are short topics (1-3 words), not sentences; no "#"
+- Tag what the item is mainly about, not everything it mentions
+- confidence is how clearly the item belongs under the tag
+- Respond with the JSON object only`
+};
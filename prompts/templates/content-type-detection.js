@@ -0,0 +1,25 @@
+module.exports = {
+  name: 'content-type-detection',
+  version: 1,
+  description: 'Classify a webpage as article, product, social, video or other',
+  variables: {
+    url: { type: 'string', required: true, description: 'Page URL' },
+    snippet: { type: 'string', required: true, description: 'HTML snippet (head + start of body)' }
+  },
+  system: 'You are a webpage classifier. Respond with ONLY one word: article, product, social, video, or other.',
+  template: `Classify this webpage into ONE category:
+    
+Categories:
+- article: news articles, blog posts, documentation, tutorials, essays
+- product: e-commerce product pages, shopping items, things for sale
+- social: social media posts, tweets, reddit threads, forum discussions
+- video: video content pages, streaming platforms
+- other: anything that doesn't fit above categories
+
+URL: {{url}}
+
+HTML snippet:
+{{snippet}}
+
+Respond with ONLY the category word.`
+};
@@ -0,0 +1,64 @@
+module.exports = {
+  name: 'conversation-classifier',
+  version: 1,
+  description: 'Route a chat message to the current page, a previous page, library search or general chat',
+  variables: {
+    currentPageInfo: { type: 'string', required: true, description: 'Current page title and preview' },
+    openTabsInfo: { type: 'string', required: true, description: 'Open tab titles' },
+    referencedTabsInfo: { type: 'string', required: true, description: 'Tabs the user referenced' },
+    recentHistory: { type: 'string', description: 'Last messages with page context' },
+    userMessage: { type: 'string', required: true, description: 'Message to classify' }
+  },
+  template: `You are a tab-aware conversation classifier. Analyze this conversation to determine which tab/page the user is asking about.
+
+{{currentPageInfo}}
+
+{{openTabsInfo}}
+
+{{referencedTabsInfo}}
+
+Recent Conversation (with page context):
+{{recentHistory}}
+
+Current User Message: "{{userMessage}}"
+
+Task: Determine the user's intent and which content they want:
+1. CURRENT_PAGE - About the current active tab/page
+2. PREVIOUS_PAGE - About a different tab they discussed earlier
+3. LIBRARY_SEARCH - Search through their saved content library  
+4. GENERAL_CHAT - General conversation
+
+CRITICAL TAB CONTEXT ANALYSIS:
+- EXAMINE PAGE SNIPPETS: Look at the actual content in [Page snippet:...] to understand what each page is about
+- If user asks about a topic that matches content from a PREVIOUS page snippet → PREVIOUS_PAGE
+- If user says "tell me more" or asks follow-up about content in conversation history → check which page that content came from
+- If conversation history shows discussion about Page A, but current page is Page B → follow-ups likely about Page A (PREVIOUS_PAGE)
+- Only classify as CURRENT_PAGE if the question clearly relates to the current page's content/title
+
+CONTENT MATCHING LOGIC:
+- Does the current page content contain information about what the user is asking? 
+- Does a previous page snippet contain that information?
+- Match the user's question to the actual page content, not just page titles
+
+Examples:
+User on "Glance" page (about AI web tools), previously discussed "OpenAI Models" (contains model performance data):
+- "Tell me more about model performance" → PREVIOUS_PAGE (OpenAI page has performance data, Glance page doesn't)
+- "How does this AI tool work?" → CURRENT_PAGE (Glance page is about AI tools)
+- "What were the MMLU scores?" → PREVIOUS_PAGE (performance metrics are on OpenAI page)
+
+Other examples:
+- "Summarize the YouTube video" (YouTube tab open) → identify target tab
+- "What did that article say?" → PREVIOUS_PAGE (from conversation history)
+- "Find my notes on AI" → LIBRARY_SEARCH
+- "How's the weather?" → GENERAL_CHAT
+
+You must respond with ONLY a valid JSON object:
+{
+  "classification": "CURRENT_PAGE|PREVIOUS_PAGE|LIBRARY_SEARCH|GENERAL_CHAT",
+  "confidence": 0.0-1.0,
+  "reason": "brief explanation (max 15 words)",
+  "targetTab": "exact tab title if PREVIOUS_PAGE, null otherwise",
+  "isMetaConversation": true/false,
+  "metaContext": "if asking about AI's previous response"
+}`
+};
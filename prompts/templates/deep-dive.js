@@ -0,0 +1,33 @@
+module.exports = {
+  name: 'deep-dive',
+  version: 1,
+  description: 'Answer a question from saved content (/api/content-search)',
+  localized: true,
+  userOverridable: true,
+  variables: {
+    query: { type: 'string', required: true, description: 'User question' },
+    contentText: { type: 'string', required: true, description: 'Selected articles or passages' }
+  },
+  template: `User question: "{{query}}"
+
+Relevant content found:
+
+{{contentText}}
+
+Please provide a clear, conversational response that reads naturally. Write it like you're explaining to a smart colleague - informative but not robotic.
+
+Guidelines:
+- Connect the facts into a cohesive narrative that tells the complete story
+- Use smooth transitions between ideas, not just bullet points
+- Keep paragraphs short and readable
+- When referencing sources, use natural phrases like "Based on the TechCrunch article about..." or "According to what you saved about..."
+- Avoid formal citations like "Article 1" or "From Article 2" - weave sources naturally into the narrative
+- End with a thoughtful question or offer to explore specific aspects
+- Aim for a friendly, knowledgeable tone - like a helpful research assistant
+
+Avoid:
+- Disconnected bullet points that feel like notes
+- Overly formal or academic language
+- Listing facts without showing how they relate
+- Generic summaries - be specific and insightful`
+};
@@ -0,0 +1,55 @@
+module.exports = {
+  name: 'flashcards',
+  version: 1,
+  description: 'Question/answer flashcards from a saved item or PDF, each citing the passage it comes from (/api/flashcards/generate)',
+  localized: true,
+  variables: {
+    title: { type: 'string', required: true, description: 'Item or document title' },
+    passages: { type: 'string', required: true, description: 'The source text as numbered passages: [number] text' },
+    maxCards: { type: 'number', required: true, description: 'Most cards to write' },
+    existingQuestions: { type: 'string', required: false, description: 'Questions the user already has cards for, one per line' }
+  },
+  // Output contract, checked by llm.completeJson(); passage numbers refer to the list in the prompt
+  schema: {
+    type: 'object',
+    required: ['cards'],
+    additionalProperties: false,
+    properties: {
+      cards: {
+        type: 'array',
+        maxItems: 30,
+        items: {
+          type: 'object',
+          required: ['question', 'answer', 'passage', 'quote'],
+          additionalProperties: false,
+          properties: {
+            question: { type: 'string', minLength: 1 },
+            answer: { type: 'string', minLength: 1 },
+            passage: { type: 'integer' },
+            quote: { type: 'string', minLength: 1 }
+          }
+        }
+      }
+    }
+  },
+  system: 'You write flashcards that help a researcher remember what they read. You respond with a single JSON object and nothing else.',
+  template: `Write up to {{maxCards}} question/answer flashcards for "{{title}}".
+
+Source passages:
+{{passages}}
+
+The user already has cards with these questions (don't repeat them):
+{{existingQuestions}}
+
+Return a JSON object: { "cards": [{ "question": "...", "answer": "...", "passage": passage number, "quote": "..." }] }
+
+Rules:
+- Each card tests one fact, definition, finding or argument that is worth remembering, not trivia
+- Questions make sense on their own, without the source at hand
+- Answers are short: a phrase or 1-2 sentences, answerable from the passage alone
+- "passage" is the number of the passage the answer comes from
+- "quote" is copied word for word from that passage: the sentence (or shortest span) that supports the answer
+- Spread the cards over the whole source rather than the first passages
+- No markdown inside the strings
+- Respond with the JSON object only`
+};
@@ -0,0 +1,41 @@
+module.exports = {
+  name: 'intent-classifier',
+  version: 1,
+  description: 'Signal-based intent classification (/api/classify-intent)',
+  variables: {
+    message: { type: 'string', required: true, description: 'User message' },
+    hasHistory: { type: 'boolean', default: false, description: 'Has conversation history' },
+    messageLength: { type: 'number', default: 0, description: 'Message length' },
+    startsWithVerb: { type: 'boolean', default: false, description: 'Starts with a verb' },
+    containsTabReference: { type: 'boolean', default: false, description: 'References a tab' },
+    containsQuestionWord: { type: 'boolean', default: false, description: 'Contains a question word' },
+    containsSaveWords: { type: 'boolean', default: false, description: 'Contains save words' },
+    containsSearchWords: { type: 'boolean', default: false, description: 'Contains search words' }
+  },
+  template: `Classify the user's intent based on these signals.
+
+User message: "{{message}}"
+
+Signals:
+- Has conversation history: {{hasHistory}}
+- Message length: {{messageLength}}
+- Starts with verb: {{startsWithVerb}}
+- Contains tab reference: {{containsTabReference}}
+- Contains question word: {{containsQuestionWord}}
+- Contains save words: {{containsSaveWords}}
+- Contains search words: {{containsSearchWords}}
+
+Intent types:
+- general: General questions or chat
+- follow_up: Continuing from previous message
+- tab_specific: Asking about a specific browser tab
+- content_search: Looking for something in saved content
+- action_bookmark: User wants to bookmark/save something
+- analysis: Wants analysis or insights
+
+Based on the signals, classify the intent. Return ONLY the intent type and confidence score.
+Format: intent_type|confidence(0-1)
+Example: content_search|0.85
+
+Classification:`
+};
@@ -0,0 +1,22 @@
+module.exports = {
+  name: 'multi-tab-summary',
+  version: 1,
+  description: 'Browsing session summary across open tabs (/api/summary, type multi-tab-summary)',
+  localized: true,
+  userOverridable: true,
+  variables: {
+    tabCount: { type: 'number', required: true, description: 'Number of tabs' },
+    domainCount: { type: 'number', required: true, description: 'Number of domains' },
+    tabList: { type: 'string', required: true, description: 'Tabs grouped by domain, with key content and topics' }
+  },
+  template: `Analyze and summarize this browsing session with {{tabCount}} tabs across {{domainCount}} domains. Create a cohesive summary that identifies themes, patterns, and key insights across all tabs.
+
+{{tabList}}
+Provide a unified summary that:
+1. Identifies the main themes across all tabs
+2. Highlights connections between different domains/tabs
+3. Summarizes the key information from each domain
+4. Keeps the summary concise but informative (2-3 paragraphs max)
+
+Format the response with clear sections and use **bold** for emphasis where appropriate.`
+};
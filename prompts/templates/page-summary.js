@@ -0,0 +1,21 @@
+module.exports = {
+  name: 'page-summary',
+  version: 1,
+  description: '2-3 sentence page summary (/api/summary, type summary)',
+  localized: true,
+  userOverridable: true,
+  variables: {
+    pageTitle: { type: 'string', description: 'Page title' },
+    domain: { type: 'string', description: 'Page hostname' },
+    content: { type: 'string', required: true, description: 'Page text, or section notes for long documents' }
+  },
+  template: `Please provide a concise 2-3 sentence summary of this web page content.
+
+Page Title: {{pageTitle}}
+Domain: {{domain}}
+
+Content:
+{{content}}
+
+Summary:`
+};
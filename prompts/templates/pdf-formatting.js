@@ -0,0 +1,21 @@
+module.exports = {
+  name: 'pdf-formatting',
+  version: 1,
+  description: 'Restore paragraph breaks in text extracted from a PDF',
+  variables: {
+    text: { type: 'string', required: true, description: 'Extracted PDF text after basic cleanup' }
+  },
+  template: `You are a text formatter. Your job is to add paragraph breaks to this text that was extracted from a PDF. The text is currently all run together but should have proper paragraph breaks.
+
+RULES:
+1. Output EVERY SINGLE WORD from the input - do not remove, summarize, or skip anything
+2. Only add paragraph breaks (\\n\\n) where natural breaks should occur
+3. Do not change any words or content
+4. Do not add any commentary like "Text continues..." or similar
+5. If you see repetitive content, output ALL of it - do not summarize
+
+INPUT TEXT:
+{{text}}
+
+FORMATTED OUTPUT:`
+};
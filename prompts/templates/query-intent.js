@@ -0,0 +1,27 @@
+module.exports = {
+  name: 'query-intent',
+  version: 1,
+  description: 'Pick which matched articles a search query is about',
+  variables: {
+    query: { type: 'string', required: true, description: 'User query' },
+    matchContext: { type: 'string', required: true, description: 'Numbered matches with relevance' }
+  },
+  template: `You are a search intent analyzer. You must respond with ONLY valid JSON, no explanations.
+
+Query: "{{query}}"
+
+Articles:
+{{matchContext}}
+
+Context: User library has bookmarks (saved web pages) and insights (AI analysis).
+
+Rules:
+- Broad queries ("my library", "what have I been reading") -> include all numbers
+- Specific topics -> include most relevant only
+- Library overview requests -> include all numbers
+
+Respond with ONLY this JSON format:
+{"include": [1,2,3], "reason": "brief reason"}
+
+JSON:`
+};
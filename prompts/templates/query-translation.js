@@ -0,0 +1,43 @@
+module.exports = {
+  name: 'query-translation',
+  version: 1,
+  description: 'Translate a search query into the languages of the library, for cross-language keyword search',
+  variables: {
+    query: { type: 'string', required: true, description: 'User query' },
+    languages: { type: 'string', required: true, description: 'Target languages as "es (Spanish)", comma-separated' }
+  },
+  // Output contract, checked by llm.completeJson()
+  schema: {
+    type: 'object',
+    required: ['translations'],
+    additionalProperties: false,
+    properties: {
+      translations: {
+        type: 'array',
+        maxItems: 10,
+        items: {
+          type: 'object',
+          required: ['language', 'query'],
+          additionalProperties: false,
+          properties: {
+            language: { type: 'string', minLength: 2 },
+            query: { type: 'string', minLength: 1 }
+          }
+        }
+      }
+    }
+  },
+  system: 'You translate search queries for a multilingual research library. You respond with a single JSON object and nothing else.',
+  template: `Translate this search query into each of these languages: {{languages}}
+
+Query: "{{query}}"
+
+Return a JSON object: { "translations": [{ "language": "es", "query": "..." }] }
+
+Rules:
+- One entry per language, using the language code given above
+- Translate the meaning as someone would search for it in that language, not word for word
+- Keep names, product names, acronyms, codes and numbers as they are
+- No quotes, explanations or alternatives, just the translated query
+- Respond with the JSON object only`
+};
@@ -0,0 +1,63 @@
+module.exports = {
+  name: 'reading-digest',
+  version: 1,
+  description: 'Themes, top items and open questions for a reading digest (/api/digest)',
+  localized: true,
+  variables: {
+    from: { type: 'string', required: true, description: 'Start of the range, YYYY-MM-DD' },
+    to: { type: 'string', required: true, description: 'End of the range, YYYY-MM-DD' },
+    itemCount: { type: 'number', required: true, description: 'Number of items listed' },
+    contentSummaries: { type: 'string', required: true, description: 'One line per item: [number] title, type and preview' }
+  },
+  // Output contract, checked by llm.completeJson(); item numbers refer to the list in the prompt
+  schema: {
+    type: 'object',
+    required: ['themes', 'topItems', 'openQuestions'],
+    additionalProperties: false,
+    properties: {
+      themes: {
+        type: 'array',
+        maxItems: 6,
+        items: {
+          type: 'object',
+          required: ['name', 'summary', 'items'],
+          additionalProperties: false,
+          properties: {
+            name: { type: 'string', minLength: 1 },
+            summary: { type: 'string', minLength: 1 },
+            items: { type: 'array', items: { type: 'integer' } }
+          }
+        }
+      },
+      topItems: {
+        type: 'array',
+        maxItems: 5,
+        items: {
+          type: 'object',
+          required: ['item', 'reason'],
+          additionalProperties: false,
+          properties: {
+            item: { type: 'integer' },
+            reason: { type: 'string', minLength: 1 }
+          }
+        }
+      },
+      openQuestions: { type: 'array', maxItems: 5, items: { type: 'string', minLength: 1 } }
+    }
+  },
+  system: 'You write reading digests from a list of saved articles and notes. You respond with a single JSON object and nothing else.',
+  template: `Here is everything the user saved between {{from}} and {{to}} ({{itemCount}} items):
+
+{{contentSummaries}}
+
+Return a JSON object with exactly these fields:
+- "themes": 2-6 topics that connect several items, as { "name": "short topic name", "summary": "1-2 sentences on what the items say about it", "items": [item numbers] }
+- "topItems": the 3-5 items most worth revisiting, as { "item": item number, "reason": "one sentence on why" }
+- "openQuestions": up to 5 questions the reading raises but does not answer, worth following up on
+
+Rules:
+- Only use item numbers from the list above
+- Be specific: use the names, numbers and claims from the items rather than generic descriptions
+- No markdown inside the strings
+- Respond with the JSON object only`
+};
@@ -0,0 +1,25 @@
+module.exports = {
+  name: 'recent-content-overview',
+  version: 1,
+  description: 'Overview of recently saved content (/api/recent-content)',
+  localized: true,
+  userOverridable: true,
+  variables: {
+    itemCount: { type: 'number', required: true, description: 'Number of items' },
+    days: { type: 'number', required: true, description: 'Timeframe in days' },
+    contentSummaries: { type: 'string', required: true, description: 'One line per item: title, type and preview' }
+  },
+  template: `The user asked "What have I been reading lately?" - give them a helpful overview of their recent reading content.
+
+Recent content ({{itemCount}} items from last {{days}} days):
+
+{{contentSummaries}}
+
+Provide a helpful response that:
+1. Lists ALL the main topics/articles they've been reading 
+2. Identifies the different subject areas clearly
+3. Keeps it informative and direct
+4. Ends with an offer to dig deeper: "Want me to explore any specific topic in detail? I have the full content available."
+5. Keep it concise but comprehensive (2-3 paragraphs covering all topics)
+6. Avoid personal questions about their interests - just present what's available`
+};
@@ -0,0 +1,52 @@
+module.exports = {
+  name: 'summary-json',
+  version: 1,
+  description: 'Structured summary as JSON (/api/summary with format: json, types summary and tldr)',
+  localized: true,
+  variables: {
+    pageContext: { type: 'string', description: 'Page title and domain, if known' },
+    lengthGuidance: { type: 'string', default: '2-3 sentences', description: 'How long the summary field should be' },
+    keyPointCount: { type: 'string', default: '4-6', description: 'How many key points to give' },
+    content: { type: 'string', required: true, description: 'Page text, or section notes for long documents' }
+  },
+  // Output contract, checked by llm.completeJson(); overrides can reword the prompt but not change this
+  schema: {
+    type: 'object',
+    required: ['summary', 'keyPoints', 'entities', 'suggestedQuestions'],
+    additionalProperties: false,
+    properties: {
+      summary: { type: 'string', minLength: 1 },
+      keyPoints: { type: 'array', maxItems: 8, items: { type: 'string', minLength: 1 } },
+      entities: {
+        type: 'array',
+        maxItems: 15,
+        items: {
+          type: 'object',
+          required: ['name', 'type'],
+          additionalProperties: false,
+          properties: {
+            name: { type: 'string', minLength: 1 },
+            type: { type: 'string', enum: ['person', 'organization', 'place', 'product', 'technology', 'concept', 'event', 'other'] }
+          }
+        }
+      },
+      suggestedQuestions: { type: 'array', maxItems: 5, items: { type: 'string', minLength: 1 } }
+    }
+  },
+  system: 'You turn documents into structured summaries. You respond with a single JSON object and nothing else.',
+  template: `Summarize this content for a reader who wants to understand it quickly.{{pageContext}}
+
+Return a JSON object with exactly these fields:
+- "summary": {{lengthGuidance}} explaining the main idea and why it matters, in plain language
+- "keyPoints": {{keyPointCount}} short, specific takeaways (names, dates, numbers where relevant)
+- "entities": the most important people, organizations, places, products, technologies, concepts or events mentioned, as { "name": "...", "type": "person" | "organization" | "place" | "product" | "technology" | "concept" | "event" | "other" }
+- "suggestedQuestions": up to 3 follow-up questions the reader might ask about this content
+
+Rules:
+- Summarize only the content itself, with no meta-commentary about the source
+- No markdown inside the strings
+- Respond with the JSON object only
+
+Content:
+{{content}}`
+};
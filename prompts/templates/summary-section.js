@@ -0,0 +1,25 @@
+module.exports = {
+  name: 'summary-section',
+  version: 1,
+  description: 'Notes on one section of a long document (map step of long-document summaries)',
+  localized: true,
+  variables: {
+    sectionNumber: { type: 'number', required: true, description: '1-based section number' },
+    totalSections: { type: 'number', required: true, description: 'Number of sections' },
+    titleClause: { type: 'string', description: '\' titled "<title>"\' when the document has a title' },
+    sectionText: { type: 'string', required: true, description: 'Section text' }
+  },
+  template: `You are reading section {{sectionNumber}} of {{totalSections}} of a longer document{{titleClause}}.
+
+Write compact notes on this section for someone who will combine notes from every section into one summary:
+• The main points, in plain language
+• Specific names, dates, numbers and key terms
+• Any conclusions or decisions
+
+Write only the notes - no introduction, no commentary about the document.
+
+Section {{sectionNumber}}:
+{{sectionText}}
+
+Notes:`
+};
@@ -0,0 +1,32 @@
+module.exports = {
+  name: 'tab-clusters',
+  version: 1,
+  description: 'Label and summarize topic clusters of a browsing session (/api/summary, type multi-tab-summary)',
+  localized: true,
+  variables: {
+    tabCount: { type: 'number', required: true, description: 'Number of tabs' },
+    clusterCount: { type: 'number', required: true, description: 'Number of clusters' },
+    clusterList: { type: 'string', required: true, description: 'Clusters with their id and tabs (title, domain, key content)' },
+    linkList: { type: 'string', required: true, description: 'Candidate links between clusters, or "None"' }
+  },
+  template: `These {{tabCount}} browser tabs have been grouped into {{clusterCount}} topic clusters by content similarity.
+
+{{clusterList}}
+Candidate links between clusters (by similarity):
+{{linkList}}
+
+For each cluster, write:
+- label: a short topic name (2-5 words) describing what the tabs have in common, not the website names
+- summary: 1-3 sentences with the key information across its tabs
+
+For each candidate link, describe in one short sentence how the two clusters relate. Leave out links where the clusters are not meaningfully related.
+
+Also write an overview: 2-3 sentences on what this browsing session is about as a whole.
+
+Respond with JSON only, in this format:
+{
+  "overview": "...",
+  "clusters": [{ "id": "c1", "label": "...", "summary": "..." }],
+  "links": [{ "from": "c1", "to": "c2", "relationship": "..." }]
+}`
+};
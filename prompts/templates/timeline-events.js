@@ -0,0 +1,55 @@
+module.exports = {
+  name: 'timeline-events',
+  version: 1,
+  description: 'Dated events reported by one saved item, for a timeline (/api/timeline)',
+  localized: true,
+  variables: {
+    title: { type: 'string', required: true, description: 'Item title' },
+    savedOn: { type: 'string', required: true, description: 'When the item was saved, YYYY-MM-DD (anchors relative dates)' },
+    content: { type: 'string', required: true, description: 'Item text, truncated' },
+    maxEvents: { type: 'number', required: true, description: 'Most events to list' }
+  },
+  // Output contract, checked by llm.completeJson()
+  schema: {
+    type: 'object',
+    required: ['events'],
+    additionalProperties: false,
+    properties: {
+      events: {
+        type: 'array',
+        maxItems: 25,
+        items: {
+          type: 'object',
+          required: ['date', 'dateText', 'event', 'quote'],
+          additionalProperties: false,
+          properties: {
+            date: { type: 'string', minLength: 4 },
+            dateText: { type: 'string' },
+            event: { type: 'string', minLength: 1 },
+            quote: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+  system: 'You extract dated events from articles and notes to build timelines. You respond with a single JSON object and nothing else.',
+  template: `List up to {{maxEvents}} dated events reported in this saved item.
+
+Title: {{title}}
+Saved on: {{savedOn}}
+
+Content:
+{{content}}
+
+Return a JSON object: { "events": [{ "date": "YYYY-MM-DD", "dateText": "...", "event": "...", "quote": "..." }] }
+
+Rules:
+- Only events the text gives a date for: announcements, releases, decisions, publications, incidents, deals, milestones
+- "date" is the event's date as YYYY-MM-DD, or YYYY-MM / YYYY when the text is only that precise; never guess a more precise date than the text gives
+- Resolve relative dates ("last Tuesday", "earlier this year") against the saved-on date only when that is unambiguous; otherwise leave the event out
+- "dateText" is the date as written in the text
+- "event" is one sentence saying what happened, with the names involved, written so it reads on its own in a timeline
+- "quote" is copied word for word from the text: the shortest span that reports the event
+- One entry per event; no events that are only planned or predicted unless the plan itself was announced on that date
+- Respond with the JSON object only`
+};
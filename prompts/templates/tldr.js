@@ -0,0 +1,40 @@
+module.exports = {
+  name: 'tldr',
+  version: 1,
+  description: 'TL;DR with a quick summary and key points (/api/summary, type tldr)',
+  localized: true,
+  userOverridable: true,
+  variables: {
+    content: { type: 'string', required: true, description: 'Page text, or section notes for long documents' }
+  },
+  template: `You're an expert communicator helping me make sense of dense or formal text.
+
+Your job is to extract meaning and make it easy to scan and understand.
+I want two things:
+
+Quick Summary:
+• In 2–3 sentences, explain the main idea and why it matters
+• Focus on the "so what" — what's changing, or what's the big takeaway?
+• Keep it clear, casual, and easy on the eyes
+
+Key Points:
+• Give me 4–6 bullet points with the most important facts or takeaways
+• Use bold for names, dates, numbers, and key terms
+• Be specific and concrete — avoid vague summaries
+• Write in plain, natural language — like you're explaining to a smart friend
+• Skip fluff or jargon; focus on what actually matters
+
+CRITICAL Guidelines:
+• Don't use corporate-speak or abstract words like "landscape," "emergence," or "transformation"
+• No tables — just clean bullet points and a natural summary
+• Prioritize what the reader needs to know right away
+• NEVER add meta-commentary like "Note:", "The article appears to be", or "this may be"
+• DO NOT comment on dates, URLs, or technical details unless they're central to the content
+• Focus ONLY on summarizing the actual content - no editorial comments about the source
+• If you want to suggest saving it, use "💡 Tip:" format only
+
+Content to summarize:
+{{content}}
+
+Generate the TL;DR:`
+};
@@ -0,0 +1,152 @@
+// Per-user quotas for the API
+// Requests spend points from a token bucket keyed on the signed-in user (IP for
+// anonymous requests), weighted by endpoint. Model-backed endpoints are also
+// blocked once the user's plan has used its daily LLM token budget.
+const TokenBucketStore = require('./token-bucket');
+const { resolvePlan, getEndpointWeight } = require('./plans');
+
+const startOfUtcDay = (now = new Date()) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+
+const secondsUntilUtcMidnight = () => Math.ceil((startOfUtcDay().getTime() + 24 * 60 * 60 * 1000 - Date.now()) / 1000);
+
+// Client address for anonymous buckets: first X-Forwarded-For hop behind the production proxy
+const clientIp = (req) => {
+  if (process.env.NODE_ENV === 'production') {
+    return req.headers['x-forwarded-for']?.split(',')[0].trim() ||
+           req.connection.remoteAddress ||
+           'unknown';
+  }
+  return req.ip;
+};
+
+/**
+ * Tokens used per user today. Seeded from stored usage the first time a user is
+ * seen each day, then kept current from usage records as calls complete.
+ * Usage is stored as it is recorded here, so the seed only counts records created
+ * before it started loading and only later records are added in memory: a record
+ * that lands while the seed loads is counted once.
+ */
+class DailyTokenTracker {
+  constructor(loadTokensUsed) {
+    this.loadTokensUsed = loadTokensUsed;
+    this.entries = new Map();
+  }
+
+  async usedToday(userId) {
+    const day = startOfUtcDay().toISOString();
+    let entry = this.entries.get(userId);
+
+    if (!entry || entry.day !== day) {
+      const loadedUntil = new Date().toISOString();
+      entry = { day, loadedUntil, tokens: 0, loading: null };
+      entry.loading = Promise.resolve(this.loadTokensUsed(userId, day, loadedUntil))
+        .then(tokens => { entry.tokens += tokens || 0; })
+        .catch(error => console.error('❌ Could not load token usage, budget starts at 0:', error.message));
+      this.entries.set(userId, entry);
+    }
+
+    await entry.loading;
+    return entry.tokens;
+  }
+
+  /**
+   * Count a usage record
+   * @param {string} userId
+   * @param {number} tokens
+   * @param {string} createdAt - ISO time of the record; older records are in the stored seed
+   */
+  add(userId, tokens, createdAt = new Date().toISOString()) {
+    const entry = this.entries.get(userId);
+    if (entry && entry.day === startOfUtcDay().toISOString() && createdAt >= entry.loadedUntil) {
+      entry.tokens += tokens;
+    }
+  }
+}
+
+/**
+ * Create the quota middleware
+ * @param {Object} options
+ * @param {Function} options.getUserSettings - async (req) => settings | null (settings.plan picks the plan)
+ * @param {Function} options.loadTokensUsed - async (userId, sinceIso, untilIso) => tokens used in between
+ * @param {Function} [options.skip] - (req) => true to bypass limits
+ * @returns {Object} { middleware, recordUsage } - feed recordUsage with llm usage records
+ */
+function createQuotaLimiter({ getUserSettings, loadTokensUsed, skip = () => false }) {
+  const buckets = new TokenBucketStore();
+  const dailyTokens = new DailyTokenTracker(loadTokensUsed);
+
+  const middleware = async (req, res, next) => {
+    if (skip(req)) return next();
+
+    try {
+      const userId = req.user?.id || null;
+      const settings = userId ? await getUserSettings(req) : null;
+      const plan = resolvePlan(settings?.plan, Boolean(userId));
+      const { weight, usesModel } = getEndpointWeight(req.method, req.baseUrl + req.path);
+
+      // Daily token budget (signed-in plans only)
+      if (userId && plan.dailyTokenBudget !== null && plan.dailyTokenBudget !== undefined) {
+        const used = await dailyTokens.usedToday(userId);
+        const remaining = Math.max(0, plan.dailyTokenBudget - used);
+        const resetSeconds = secondsUntilUtcMidnight();
+
+        res.set({
+          'X-Token-Budget-Limit': String(plan.dailyTokenBudget),
+          'X-Token-Budget-Remaining': String(remaining),
+          'X-Token-Budget-Reset': String(resetSeconds)
+        });
+
+        if (usesModel && remaining === 0) {
+          console.log(`🚫 Daily token budget spent: user ${userId} (${plan.name}, ${used}/${plan.dailyTokenBudget})`);
+          res.set('Retry-After', String(resetSeconds));
+          return res.status(429).json({
+            error: 'Daily AI usage limit reached. It resets at midnight UTC.',
+            code: 'token_budget_exceeded',
+            plan: plan.name,
+            retryAfter: resetSeconds
+          });
+        }
+      }
+
+      // Request rate
+      const key = userId ? `user:${userId}` : `ip:${clientIp(req)}`;
+      const result = buckets.take(key, weight, plan);
+
+      res.set({
+        'RateLimit-Limit': String(result.limit),
+        'RateLimit-Remaining': String(result.remaining),
+        'RateLimit-Reset': String(result.resetSeconds)
+      });
+
+      if (!result.allowed) {
+        console.log(`🚫 Rate limited: ${key} (${plan.name}) on ${req.method} ${req.originalUrl}, weight ${weight}`);
+        res.set('Retry-After', String(result.retryAfterSeconds));
+        return res.status(429).json({
+          error: userId
+            ? 'Too many requests, please slow down.'
+            : 'Too many requests from this IP, please try again later or sign in for a higher limit.',
+          code: 'rate_limited',
+          plan: plan.name,
+          retryAfter: result.retryAfterSeconds
+        });
+      }
+
+      next();
+    } catch (error) {
+      // Limits fail open: a quota bug must not take the API down
+      console.error('❌ Quota check failed:', error);
+      next();
+    }
+  };
+
+  const recordUsage = (record) => {
+    if (record.userId) dailyTokens.add(record.userId, record.inputTokens + record.outputTokens, record.createdAt);
+  };
+
+  return { middleware, recordUsage };
+}
+
+module.exports = {
+  createQuotaLimiter,
+  DailyTokenTracker
+};
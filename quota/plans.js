@@ -0,0 +1,96 @@
+// Quota plans and per-endpoint request weights
+// A user's plan is `settings.plan` in user_settings (server-managed, see updateSettings).
+// Override or add plans with QUOTA_PLANS_JSON, e.g. {"pro": {"dailyTokenBudget": 5000000}}
+
+// capacity: burst size in request points; refillPerMinute: sustained rate
+// dailyTokenBudget: LLM + embedding tokens per UTC day, null for no budget
+const DEFAULT_PLANS = {
+  anonymous: { capacity: 60, refillPerMinute: 4, dailyTokenBudget: null },
+  free: { capacity: 120, refillPerMinute: 8, dailyTokenBudget: 200000 },
+  pro: { capacity: 600, refillPerMinute: 40, dailyTokenBudget: 2000000 }
+};
+
+const DEFAULT_PLAN = 'free';
+
+// Request points per endpoint, roughly in proportion to the model work behind it.
+// usesModel endpoints are also blocked once the daily token budget is spent.
+// Keys may start with a method ("POST /api/..."); a trailing /* matches any path below.
+const ENDPOINT_WEIGHTS = {
+  '/api/summary': { weight: 10, usesModel: true },
+  '/api/recent-content': { weight: 10, usesModel: true },
+  '/api/content-search': { weight: 8, usesModel: true },
+  '/api/chat': { weight: 5, usesModel: true },
+  '/api/compare': { weight: 8, usesModel: true },
+  '/api/timeline': { weight: 10, usesModel: true },
+  '/api/digest': { weight: 10, usesModel: true }, // A model call per item
+  '/api/generate-embeddings': { weight: 5, usesModel: true },
+  '/api/classify-conversation': { weight: 2, usesModel: true },
+  '/api/classify-intent': { weight: 2, usesModel: true },
+  '/api/extract-pdf': { weight: 3, usesModel: true }, // The text is formatted by a model
+  '/api/storage/search': { weight: 2, usesModel: false },
+  'POST /api/storage/content': { weight: 3, usesModel: true }, // PDFs are formatted by a model
+  'POST /api/storage/content/*': { weight: 3, usesModel: true }, // Tag suggestions call a model
+  'POST /api/flashcards/generate': { weight: 8, usesModel: true },
+  'POST /api/bookmarks/import-batch/*': { weight: 5, usesModel: true } // Starts background content fetching
+};
+
+const DEFAULT_WEIGHT = { weight: 1, usesModel: false };
+
+let plans = null;
+
+/**
+ * Merge QUOTA_PLANS_JSON over the default plans (read once per process)
+ * @private
+ */
+function getPlans() {
+  if (plans) return plans;
+  plans = { ...DEFAULT_PLANS };
+
+  if (process.env.QUOTA_PLANS_JSON) {
+    try {
+      for (const [name, overrides] of Object.entries(JSON.parse(process.env.QUOTA_PLANS_JSON))) {
+        plans[name] = { ...(plans[name] || plans[DEFAULT_PLAN]), ...overrides };
+      }
+    } catch (error) {
+      console.error('❌ Invalid QUOTA_PLANS_JSON, using default plans:', error.message);
+    }
+  }
+
+  return plans;
+}
+
+/**
+ * Look up a plan; signed-in users without a (known) plan get the default plan
+ * @param {string|null} name - settings.plan, or null for anonymous requests
+ * @param {boolean} signedIn - Whether the request has a user
+ * @returns {Object} { name, capacity, refillPerMinute, dailyTokenBudget }
+ */
+function resolvePlan(name, signedIn) {
+  const available = getPlans();
+  if (!signedIn) return { name: 'anonymous', ...available.anonymous };
+  if (name && available[name]) return { name, ...available[name] };
+  return { name: DEFAULT_PLAN, ...available[DEFAULT_PLAN] };
+}
+
+/**
+ * Weight of a request
+ * @param {string} method - HTTP method
+ * @param {string} path - Full request path, e.g. /api/summary
+ * @returns {Object} { weight, usesModel }
+ */
+function getEndpointWeight(method, path) {
+  for (const candidate of [`${method} ${path}`, path]) {
+    if (ENDPOINT_WEIGHTS[candidate]) return ENDPOINT_WEIGHTS[candidate];
+
+    const prefix = Object.keys(ENDPOINT_WEIGHTS)
+      .find(key => key.endsWith('/*') && candidate.startsWith(key.slice(0, -1)));
+    if (prefix) return ENDPOINT_WEIGHTS[prefix];
+  }
+
+  return DEFAULT_WEIGHT;
+}
+
+module.exports = {
+  resolvePlan,
+  getEndpointWeight
+};
@@ -0,0 +1,65 @@
+// In-memory token buckets for request limiting
+// Each key gets `capacity` points that refill continuously at `refillPerMinute`.
+// State is per process: with several instances each one enforces its own buckets.
+
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+class TokenBucketStore {
+  constructor() {
+    this.buckets = new Map();
+
+    // Drop buckets that have refilled completely; they carry no state
+    this.sweeper = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweeper.unref();
+  }
+
+  // Current bucket for a key, refilled up to now
+  refill(key, { capacity, refillPerMinute }, now = Date.now()) {
+    const bucket = this.buckets.get(key) || { points: capacity, updatedAt: now, capacity, refillPerMinute };
+    const elapsedMinutes = (now - bucket.updatedAt) / 60000;
+
+    // Plan changes take effect on the next request
+    bucket.capacity = capacity;
+    bucket.refillPerMinute = refillPerMinute;
+    bucket.points = Math.min(capacity, bucket.points + elapsedMinutes * refillPerMinute);
+    bucket.updatedAt = now;
+
+    this.buckets.set(key, bucket);
+    return bucket;
+  }
+
+  /**
+   * Take `cost` points from a key's bucket if it has enough
+   * @param {string} key - Bucket key (user or IP)
+   * @param {number} cost - Points for this request
+   * @param {Object} limits - { capacity, refillPerMinute }
+   * @returns {Object} { allowed, limit, remaining, resetSeconds, retryAfterSeconds }
+   */
+  take(key, cost, limits) {
+    const bucket = this.refill(key, limits);
+    // A request can never cost more than a full bucket
+    const needed = Math.min(cost, bucket.capacity);
+    const allowed = bucket.points >= needed;
+
+    if (allowed) bucket.points -= needed;
+
+    const secondsFor = points => (bucket.refillPerMinute > 0 ? Math.ceil((points / bucket.refillPerMinute) * 60) : 0);
+
+    return {
+      allowed,
+      limit: bucket.capacity,
+      remaining: Math.floor(bucket.points),
+      resetSeconds: secondsFor(bucket.capacity - bucket.points),
+      retryAfterSeconds: allowed ? 0 : Math.max(1, secondsFor(needed - bucket.points))
+    };
+  }
+
+  sweep(now = Date.now()) {
+    for (const [key, bucket] of this.buckets) {
+      const refilled = bucket.points + ((now - bucket.updatedAt) / 60000) * bucket.refillPerMinute;
+      if (refilled >= bucket.capacity) this.buckets.delete(key);
+    }
+  }
+}
+
+module.exports = TokenBucketStore;
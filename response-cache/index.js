@@ -0,0 +1,119 @@
+// Response cache for model output
+// Entries are keyed by a hash of everything that shapes the output (content, type,
+// prompt version, model), so a changed prompt or model never serves a stale answer.
+//
+// Backends: RESPONSE_CACHE_BACKEND=memory (default) | supabase | none, or pass any
+// store with async get(key), set(key, value, ttlSeconds) and delete(key).
+const crypto = require('crypto');
+const MemoryCacheStore = require('./memory-store');
+
+const DEFAULT_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Build the configured store
+ * @private
+ */
+function createStore(backend) {
+  switch (backend) {
+    case 'none':
+    case 'off':
+      return null;
+    case 'supabase': {
+      const SupabaseCacheStore = require('./supabase-store');
+      return new SupabaseCacheStore();
+    }
+    case 'memory':
+      return new MemoryCacheStore({ maxEntries: parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES) || undefined });
+    default:
+      console.warn(`⚠️ Unknown RESPONSE_CACHE_BACKEND "${backend}", using memory`);
+      return new MemoryCacheStore();
+  }
+}
+
+/**
+ * Create a response cache
+ * Lookups and writes never throw: a failing backend behaves like a cache miss
+ * @param {Object} options - store (custom backend), backend, ttlSeconds
+ * @returns {Object} { enabled, ttlSeconds, buildKey, get, set, delete }
+ */
+function createResponseCache(options = {}) {
+  const backend = options.backend || process.env.RESPONSE_CACHE_BACKEND || 'memory';
+  const store = options.store || createStore(backend);
+  const ttlSeconds = options.ttlSeconds || parseInt(process.env.RESPONSE_CACHE_TTL_SECONDS) || DEFAULT_TTL_SECONDS;
+
+  if (store) {
+    console.log(`💾 Response cache: ${options.store ? 'custom' : backend} backend, TTL ${ttlSeconds}s`);
+  }
+
+  return {
+    enabled: Boolean(store),
+    ttlSeconds,
+
+    /**
+     * Hash the inputs of a response into a cache key
+     * @param {string} namespace - e.g. 'summary'
+     * @param {Object} parts - Everything that shapes the output
+     * @returns {string}
+     */
+    buildKey(namespace, parts) {
+      const hash = crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+      return `${namespace}:${hash}`;
+    },
+
+    async get(key) {
+      if (!store) return null;
+      try {
+        return await store.get(key);
+      } catch (error) {
+        console.error('❌ Response cache read failed:', error.message);
+        return null;
+      }
+    },
+
+    async set(key, value) {
+      if (!store) return;
+      try {
+        await store.set(key, value, ttlSeconds);
+      } catch (error) {
+        console.error('❌ Response cache write failed:', error.message);
+      }
+    },
+
+    async delete(key) {
+      if (!store) return;
+      try {
+        await store.delete(key);
+      } catch (error) {
+        console.error('❌ Response cache delete failed:', error.message);
+      }
+    }
+  };
+}
+
+/**
+ * Parts of a /api/summary cache key
+ * Multi-tab keys always include the tabs, whichever template renders them: a clustered
+ * request's content is often empty, and the cache is shared by all users.
+ * @param {Object} request - type, format, content, structuredTabs, pageTitle, domain
+ * @param {Object} resolved - prompt (fingerprint), model, embeddingModel, longDocument
+ * @returns {Object} Parts for buildKey()
+ */
+function summaryKeyParts(request, resolved) {
+  return {
+    type: request.type,
+    format: request.format,
+    content: request.content || null,
+    structuredTabs: request.type === 'multi-tab-summary' ? request.structuredTabs || null : null,
+    pageTitle: request.pageTitle || null,
+    domain: request.domain || '',
+    prompt: resolved.prompt,
+    model: resolved.model,
+    embeddingModel: resolved.embeddingModel || null,
+    longDocument: resolved.longDocument || null
+  };
+}
+
+module.exports = {
+  createResponseCache,
+  summaryKeyParts
+};
@@ -0,0 +1,48 @@
+// Supabase cache store (response_cache table, see supabase/response-cache.sql)
+// Shared by every server instance and survives restarts
+const SupabaseClient = require('../supabase/supabase-client');
+
+class SupabaseCacheStore {
+  constructor() {
+    this.supabase = new SupabaseClient();
+  }
+
+  async get(key) {
+    const { data, error } = await this.supabase.adminClient
+      .from('response_cache')
+      .select('value, expires_at')
+      .eq('cache_key', key)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return null;
+
+    // Expired rows are overwritten on the next set()
+    if (new Date(data.expires_at).getTime() <= Date.now()) return null;
+
+    return data.value;
+  }
+
+  async set(key, value, ttlSeconds) {
+    const { error } = await this.supabase.adminClient
+      .from('response_cache')
+      .upsert({
+        cache_key: key,
+        value,
+        expires_at: new Date(Date.now() + ttlSeconds * 1000).toISOString()
+      });
+
+    if (error) throw error;
+  }
+
+  async delete(key) {
+    const { error } = await this.supabase.adminClient
+      .from('response_cache')
+      .delete()
+      .eq('cache_key', key);
+
+    if (error) throw error;
+  }
+}
+
+module.exports = SupabaseCacheStore;
@@ -1,14 +1,35 @@
 require('dotenv').config();
 const express = require('express');
+const crypto = require('crypto');
 const cors = require('cors');
-const rateLimit = require('express-rate-limit');
 const OpenAI = require('openai');
 
 // Import Supabase routes
-const { router: authRoutes, requireAuth } = require('./supabase/auth-routes');
+const { router: authRoutes, requireAuth, optionalAuth } = require('./supabase/auth-routes');
 const storageRoutes = require('./supabase/storage-routes');
+const { router: usageRoutes, usageService } = require('./supabase/usage-routes');
+const { router: conversationRoutes, conversationService } = require('./supabase/conversation-routes');
+const { router: tagRoutes, tagService } = require('./supabase/tag-routes');
+const { router: entityRoutes, entityService } = require('./supabase/entity-routes');
+const { router: flashcardRoutes } = require('./supabase/flashcard-routes');
 const bookmarkRoutes = require('./bookmarks/bookmarks-routes');
 const SupabaseStorageService = require('./supabase/storage-service');
+const {
+  wantsEventStream,
+  createClientAbortController,
+  openEventStream,
+  sendSingleEvent
+} = require('./llm/streaming');
+const llm = require('./llm');
+const { LLMError, getUserFriendlyMessage, toErrorResponse } = llm;
+const { renderPrompt, describePrompt } = require('./prompts');
+const { createQuotaLimiter } = require('./quota');
+const { createResponseCache, summaryKeyParts } = require('./response-cache');
+const { cosineSimilarity } = require('./content-processing/vector-math');
+const { createEmbeddingJobRunner, describeJob } = require('./embedding-jobs');
+const EmbeddingJobService = require('./supabase/embedding-job-service');
+const { createDigestScheduler } = require('./digest/scheduler');
+const DigestService = require('./supabase/digest-service');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -16,6 +37,12 @@ const PORT = process.env.PORT || 3000;
 // Initialize Supabase storage service
 const supabaseStorage = new SupabaseStorageService();
 
+// Cache for /api/summary results (RESPONSE_CACHE_BACKEND, RESPONSE_CACHE_TTL_SECONDS)
+const summaryCache = createResponseCache();
+
+// Persist the token usage of every model call
+llm.onUsage(record => usageService.recordUsage(record));
+
 // Initialize OpenAI client
 const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY // Add OPENAI_API_KEY=your_key_here to your .env file
@@ -31,7 +58,12 @@ const corsOptions = {
       callback(new Error('Not allowed by CORS'));
     }
   },
-  credentials: true
+  credentials: true,
+  // Let the extension read quota state
+  exposedHeaders: [
+    'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After',
+    'X-Token-Budget-Limit', 'X-Token-Budget-Remaining', 'X-Token-Budget-Reset'
+  ]
 };
 
 app.use(cors(corsOptions));
@@ -44,34 +76,31 @@ if (process.env.NODE_ENV === 'production') {
   app.set('trust proxy', 1);
 }
 
-// Rate limiting: 100 requests per 15 minutes per IP
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100,
-  message: 'Too many requests from this IP, please try again later.',
-  standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
-  legacyHeaders: false, // Disable the `X-RateLimit-*` headers
-  // Use the first IP in X-Forwarded-For when behind proxy
-  keyGenerator: (req) => {
-    if (process.env.NODE_ENV === 'production') {
-      // In production, use the X-Forwarded-For header
-      return req.headers['x-forwarded-for']?.split(',')[0].trim() || 
-             req.connection.remoteAddress || 
-             'unknown';
-    }
-    // In development, use the default
-    return req.ip;
-  },
-  // Skip rate limiting in development
+// Attach the signed-in user (if any) so AI routes can honour per-user settings
+app.use('/api/', optionalAuth);
+
+// Attribute model usage (tokens, estimated cost) to the request's user
+app.use('/api/', llm.trackUsageContext);
+
+// Per-user quotas: weighted token-bucket rate limit plus the plan's daily token budget
+const quota = createQuotaLimiter({
+  getUserSettings,
+  loadTokensUsed: async (userId, since, until) => (await usageService.getTokensUsedSince(userId, since, until)).tokens,
+  // Skip limits in development
   skip: () => process.env.NODE_ENV === 'development'
 });
-
-app.use('/api/', limiter);
+llm.onUsage(record => quota.recordUsage(record));
+app.use('/api/', quota.middleware);
 
 // Register Supabase routes
 app.use('/auth', authRoutes);
 app.use('/api/storage', storageRoutes);
 app.use('/api/bookmarks', bookmarkRoutes);
+app.use('/api/usage', usageRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/entities', entityRoutes);
+app.use('/api/flashcards', flashcardRoutes);
 
 // Content cleaning metrics endpoint
 app.get('/api/metrics', (req, res) => {
@@ -373,16 +402,28 @@ app.get('/metrics', (req, res) => {
 });
 
 // Embedding generation functions
-async function generateEmbedding(text) {
+// Stored next to each vector so switching models re-embeds existing content
+const EMBEDDING_MODEL = 'text-embedding-3-small'; // More cost-effective than ada-002
+
+// options.route tags the usage record; options.userId overrides the request user (background runs)
+async function generateEmbedding(text, options = {}) {
   try {
     const truncatedText = text.substring(0, 8000);
     console.log(`🔍 Generating embedding for ${text.length} chars (truncated to ${truncatedText.length})`);
     console.log(`📝 Text preview: "${truncatedText.substring(0, 200)}..."`);
     
     const response = await openai.embeddings.create({
-      model: "text-embedding-3-small", // More cost-effective than ada-002
+      model: EMBEDDING_MODEL,
       input: truncatedText
     });
+
+    llm.reportUsage({
+      route: options.route || 'embeddings',
+      provider: 'openai',
+      model: EMBEDDING_MODEL,
+      usage: { inputTokens: response.usage?.prompt_tokens || 0, outputTokens: 0 },
+      userId: options.userId
+    });
     
     const embedding = response.data[0].embedding;
     console.log(`✅ Embedding generated successfully: ${embedding.length} dimensions`);
@@ -399,93 +440,92 @@ async function generateEmbedding(text) {
   }
 }
 
-// Cosine similarity calculation
-function cosineSimilarity(vecA, vecB) {
-  if (!vecA || !vecB) {
-    console.log(`⚠️ Cosine similarity: Missing vectors (vecA: ${!!vecA}, vecB: ${!!vecB})`);
-    return 0;
-  }
-  
-  if (vecA.length !== vecB.length) {
-    console.log(`⚠️ Cosine similarity: Vector length mismatch (${vecA.length} vs ${vecB.length})`);
-    return 0;
-  }
-  
-  let dotProduct = 0;
-  let normA = 0;
-  let normB = 0;
-  
-  for (let i = 0; i < vecA.length; i++) {
-    dotProduct += vecA[i] * vecB[i];
-    normA += vecA[i] * vecA[i];
-    normB += vecB[i] * vecB[i];
-  }
-  
-  const similarity = dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
-  
-  // Log similarity calculation details occasionally for debugging
-  if (Math.random() < 0.1) { // 10% of the time
-    console.log(`🔍 Similarity calc: dotProduct=${dotProduct.toFixed(4)}, normA=${Math.sqrt(normA).toFixed(4)}, normB=${Math.sqrt(normB).toFixed(4)}, result=${similarity.toFixed(4)}`);
+// Inputs per embeddings request (the API accepts up to 2048)
+const EMBEDDING_BATCH_SIZE = 64;
+
+// Batch embedding generation, one request per EMBEDDING_BATCH_SIZE texts
+// Returns vectors in input order, or null if any batch fails
+async function generateEmbeddings(texts, options = {}) {
+  try {
+    const embeddings = [];
+
+    for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+      const batch = texts.slice(i, i + EMBEDDING_BATCH_SIZE).map(text => text.substring(0, 8000));
+      console.log(`🔍 Generating ${batch.length} embeddings (batch ${Math.floor(i / EMBEDDING_BATCH_SIZE) + 1}/${Math.ceil(texts.length / EMBEDDING_BATCH_SIZE)})`);
+
+      const response = await openai.embeddings.create({
+        model: EMBEDDING_MODEL,
+        input: batch
+      });
+
+      llm.reportUsage({
+        route: options.route || 'embeddings',
+        provider: 'openai',
+        model: EMBEDDING_MODEL,
+        usage: { inputTokens: response.usage?.prompt_tokens || 0, outputTokens: 0 },
+        userId: options.userId
+      });
+
+      response.data
+        .sort((a, b) => a.index - b.index)
+        .forEach(entry => embeddings.push(entry.embedding));
+    }
+
+    return embeddings;
+
+  } catch (error) {
+    console.error('❌ Batch embedding generation error:', error.message);
+    return null;
   }
-  
-  return similarity;
 }
 
-// Semantic content matching
-async function findSemanticMatches(userQuery, allItems) {
+// Hybrid content matching for client-supplied items
+// Items carry their own embeddings; keyword scores are computed from their text
+async function findSemanticMatches(userQuery, allItems, rankingOptions) {
   try {
     console.log(`\n🔍 === SEMANTIC SEARCH START ===`);
     console.log(`Query: "${userQuery}"`);
     console.log(`Total items to search: ${allItems.length}`);
     
+    const { rankHybrid } = require('./content-processing/hybrid-ranker');
+
     // Check how many items have embeddings
     const itemsWithEmbeddings = allItems.filter(item => item.embedding);
     console.log(`Items with embeddings: ${itemsWithEmbeddings.length}/${allItems.length}`);
     
-    if (itemsWithEmbeddings.length === 0) {
-      console.log(`⚠️ No items have embeddings! Need to generate embeddings first.`);
-      console.log(`📝 Sample item structure:`, JSON.stringify(allItems[0], null, 2));
-      return allItems.slice(0, 3); // Fallback to recent items
-    }
-    
-    // Generate embedding for user query
-    console.log(`🔄 Generating query embedding...`);
-    const queryEmbedding = await generateEmbedding(userQuery);
-    if (!queryEmbedding) {
-      console.log('❌ Query embedding failed, falling back to recent items');
-      return allItems.slice(0, 3);
+    let queryEmbedding = null;
+    if (itemsWithEmbeddings.length > 0) {
+      // Generate embedding for user query
+      console.log(`🔄 Generating query embedding...`);
+      queryEmbedding = await generateEmbedding(userQuery, { route: 'content-search' });
+      if (!queryEmbedding) {
+        console.log('❌ Query embedding failed, ranking by keywords only');
+      }
+    } else {
+      console.log(`⚠️ No items have embeddings, ranking by keywords only`);
     }
     
-    console.log(`✅ Query embedding generated successfully`);
-    
     // Calculate similarity with all content embeddings
-    console.log(`🔄 Calculating similarities...`);
-    const matches = itemsWithEmbeddings.map((item, index) => {
-      const similarity = cosineSimilarity(queryEmbedding, item.embedding);
-      
-      if (index < 5) { // Log first 5 for debugging
-        console.log(`  Item ${index + 1}: "${item.title}" → similarity: ${similarity.toFixed(4)}`);
-      }
-      
-      return {
-        ...item,
-        similarity: similarity
-      };
-    }).sort((a, b) => b.similarity - a.similarity);
+    const candidates = allItems.map(item => ({
+      ...item,
+      similarity: queryEmbedding && item.embedding ? cosineSimilarity(queryEmbedding, item.embedding) : 0
+    }));
     
-    console.log(`\n📊 TOP SEMANTIC MATCHES:`);
-    matches.slice(0, 5).forEach((match, i) => {
-      console.log(`  ${i + 1}. "${match.title}"`);
-      console.log(`     Similarity: ${match.similarity.toFixed(4)}`);
-      console.log(`     Type: ${match.type}`);
-      console.log(`     Has embedding: ${!!match.embedding}`);
-    });
+    // Without a query embedding the semantic half is always 0, so rank on keywords alone
+    const matches = rankHybrid(candidates, userQuery, queryEmbedding
+      ? rankingOptions
+      : { ...rankingOptions, weights: { semantic: 0, keyword: 1 } });
+
+    if (matches.length === 0 && !queryEmbedding) {
+      // Nothing to go on - keep the old behaviour of offering the most recent items
+      console.log(`🔍 === SEMANTIC SEARCH END (recent items fallback) ===\n`);
+      return allItems.slice(0, 3);
+    }
     
-    const topMatches = matches.slice(0, 3);
-    console.log(`\n✅ Returning top ${topMatches.length} matches`);
+    console.log(`\n✅ Returning ${matches.length} matches`);
     console.log(`🔍 === SEMANTIC SEARCH END ===\n`);
     
-    return topMatches;
+    return matches;
     
   } catch (error) {
     console.error('❌ Semantic search error:', error.message);
@@ -495,159 +535,440 @@ async function findSemanticMatches(userQuery, allItems) {
   }
 }
 
-// In-memory cache for embeddings (in production, use Redis or database)
-const embeddingCache = new Map();
+// Minimum cosine similarity for a stored passage to count as a match
+const PASSAGE_MATCH_THRESHOLD = 0.2;
+// Passages fetched per search, grouped by item
+const PASSAGE_MATCH_COUNT = 12;
+// Passages per item included in the deep-dive prompt
+const PASSAGES_PER_ARTICLE = 4;
+// Item candidates (vector neighbours + full-text hits) passed to the hybrid ranker
+const HYBRID_CANDIDATE_COUNT = 20;
+// Other languages of the library a search query is translated into, most items first
+const MAX_QUERY_TRANSLATIONS = 4;
+
+// Resolve an entity filter to the ids of the stored items mentioning every named entity
+// (filters.contentIds; left unset without an entity filter)
+async function withEntityFilter(userId, filters) {
+  if (!filters.entities?.length) return filters;
+
+  const result = await entityService.findContentIdsByName(userId, filters.entities);
+  if (!result.success) {
+    throw new Error(`Failed to resolve entity filter: ${result.error}`);
+  }
+
+  const [first, ...rest] = [...result.contentIdsByName.values()];
+  const contentIds = [...first].filter(id => rest.every(ids => ids.has(id)));
+  console.log(`🔖 Entity filter (${filters.entities.join(', ')}): ${contentIds.length} item(s)`);
+
+  return { ...filters, contentIds };
+}
+
+// The query in the other languages of the user's library ({ es: '...' }), so items in those
+// languages get keyword matches too; null when everything is in the query's language.
+// A failed translation only costs those keyword matches: vector search is cross-language anyway.
+async function translateQueryForLibrary(userId, userQuery) {
+  const { detectLanguage } = require('./language');
+  const { translateQuery } = require('./language/query-translation');
 
-// Background embedding generation with caching
-async function generateEmbeddingsInBackground(allItems) {
-  console.log(`\n🔄 === BACKGROUND EMBEDDING GENERATION START ===`);
-  console.log(`Processing ${allItems.length} items for embeddings...`);
-  
-  const { generateContentSummary } = require('./content-processing/basic-processor');
-  
-  let successCount = 0;
-  let cachedCount = 0;
-  let errorCount = 0;
-  
   try {
-    for (let i = 0; i < allItems.length; i++) {
-      const item = allItems[i];
-      
-      // Check if we already have embedding for this item
-      const cacheKey = `${item.id}_${item.timestamp}`;
-      if (embeddingCache.has(cacheKey)) {
-        console.log(`💾 Using cached embedding for "${item.title}"`);
-        // Add embedding to item for future use
-        item.embedding = embeddingCache.get(cacheKey);
-        cachedCount++;
-        continue;
-      }
-      
-      try {
-        console.log(`🔄 Generating embedding ${i + 1}/${allItems.length}: "${item.title}"`);
-        
-        // Extract proper text content using the same function as search
-        const { extractTextContent } = require('./content-processing/basic-processor');
-        const cleanText = extractTextContent(item);
-        
-        // Generate summary for embedding
-        const summary = generateContentSummary({
-          ...item,
-          cleanText: cleanText
-        });
-        
-        // Create searchable text
-        const searchableText = `${item.title} ${summary.preview}`;
-        
-        // Generate embedding
-        const embedding = await generateEmbedding(searchableText);
-        
-        if (embedding) {
-          // Cache the embedding
-          embeddingCache.set(cacheKey, embedding);
-          
-          // Add embedding to item
-          item.embedding = embedding;
-          item.searchableText = searchableText;
-          
-          successCount++;
-          console.log(`✅ Embedding cached for "${item.title}"`);
-        } else {
-          errorCount++;
-          console.log(`❌ Failed to generate embedding for "${item.title}"`);
-        }
-        
-        // Small delay to avoid rate limits
-        await new Promise(resolve => setTimeout(resolve, 100));
-        
-      } catch (error) {
-        console.error(`❌ Error processing "${item.title}":`, error.message);
-        errorCount++;
-      }
-    }
-    
-    console.log(`✅ Background embedding generation complete:`);
-    console.log(`   Success: ${successCount}`);
-    console.log(`   Cached: ${cachedCount}`);
-    console.log(`   Errors: ${errorCount}`);
-    console.log(`   Total processed: ${successCount + cachedCount + errorCount}/${allItems.length}`);
-    console.log(`🔄 === BACKGROUND EMBEDDING GENERATION END ===\n`);
-    
-    return {
-      success: successCount + cachedCount,
-      total: allItems.length,
-      cached: cachedCount,
-      errors: errorCount
-    };
-    
+    const [library, settings] = await Promise.all([
+      supabaseStorage.getContentLanguages(userId),
+      supabaseStorage.getSettings(userId)
+    ]);
+    const userSettings = settings.settings || null;
+
+    // Queries are often too short to detect; they are taken to be in the user's preferred language
+    const queryLanguage = detectLanguage(userQuery).language || userSettings?.preferredLanguage || 'en';
+    const languages = library.languages
+      .map(entry => entry.language)
+      .filter(language => language !== queryLanguage)
+      .slice(0, MAX_QUERY_TRANSLATIONS);
+    if (languages.length === 0) return null;
+
+    const cacheKey = summaryCache.buildKey('query-translation', {
+      query: userQuery,
+      languages,
+      prompt: describePrompt('query-translation', { userSettings }).fingerprint
+    });
+    const cached = await summaryCache.get(cacheKey);
+    if (cached) return cached;
+
+    const { translations } = await translateQuery({ query: userQuery, languages, userSettings });
+    summaryCache.set(cacheKey, translations);
+    return translations;
   } catch (error) {
-    console.error('❌ Background embedding generation failed:', error);
-    return {
-      success: successCount + cachedCount,
-      total: allItems.length,
-      cached: cachedCount,
-      errors: errorCount + 1
-    };
+    console.error('⚠️ Query translation failed, searching with the query as typed:', error.message);
+    return null;
   }
 }
 
-// Helper function for AI API calls
-async function generateAISummary(prompt, maxTokens = 400) {
-  try {
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': process.env.ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: 'claude-opus-4-1-20250805',
-        max_tokens: maxTokens,
-        messages: [{ role: 'user', content: prompt }]
-      })
+// Hybrid matching against the user's stored content (pgvector + Postgres full-text)
+// Passage hits let long articles match anywhere in their text; item candidates bring
+// the keyword rank. Both are fused by the hybrid ranker. Items in other languages are
+// keyword-matched with the query translated into their language.
+async function findStoredMatches(userId, userQuery, requestFilters, rankingOptions) {
+  const filters = await withEntityFilter(userId, requestFilters);
+  if (filters.contentIds?.length === 0) {
+    return [];
+  }
+
+  const [queryEmbedding, queryTranslations] = await Promise.all([
+    generateEmbedding(userQuery, { route: 'content-search' }),
+    translateQueryForLibrary(userId, userQuery)
+  ]);
+  if (!queryEmbedding) {
+    console.log('❌ Query embedding failed, skipping stored search');
+    return [];
+  }
+
+  const { groupPassagesByContent } = require('./content-processing/passage-chunker');
+  const { rankHybrid } = require('./content-processing/hybrid-ranker');
+
+  const [passageResult, hybridResult] = await Promise.all([
+    supabaseStorage.searchPassages(userId, queryEmbedding, PASSAGE_MATCH_COUNT, PASSAGE_MATCH_THRESHOLD, filters),
+    supabaseStorage.searchContentHybrid(userId, userQuery, queryEmbedding, HYBRID_CANDIDATE_COUNT, { ...filters, queryTranslations })
+  ]);
+
+  const candidates = new Map();
+  for (const row of hybridResult.matches || []) {
+    candidates.set(row.id, { ...storedContentToItem(row), keywordRank: row.keyword_rank });
+  }
+
+  // Passage similarity beats the item embedding (title + preview) when it is higher
+  for (const passageItem of groupPassagesByContent(passageResult.matches || [])) {
+    const existing = candidates.get(passageItem.id);
+    candidates.set(passageItem.id, {
+      keywordRank: 0,
+      ...existing,
+      ...(existing ? {} : passageItem),
+      similarity: Math.max(existing?.similarity || 0, passageItem.similarity),
+      passageCount: passageItem.passageCount,
+      passages: passageItem.passages.slice(0, PASSAGES_PER_ARTICLE)
     });
+  }
 
-    if (!response.ok) {
-      const error = await response.text();
-      console.error('Anthropic API error:', error);
-      
-      let userFriendlyMessage = 'I\'m having a moment. Please try again - I\'m ready to help!';
-      try {
-        const errorData = JSON.parse(error);
-        if (errorData.error?.type === 'rate_limit_error') {
-          userFriendlyMessage = 'I\'m processing your content! Give me a moment and try again.';
-        } else if (errorData.error?.message?.includes('token')) {
-          userFriendlyMessage = 'This content is rich! Try breaking it into smaller parts.';
-        }
-      } catch (e) {}
-      
-      return { 
-        success: false, 
-        error: userFriendlyMessage,
-        details: process.env.NODE_ENV === 'development' ? error : undefined
-      };
+  const matches = rankHybrid([...candidates.values()], userQuery, rankingOptions);
+  console.log(`📊 Stored hybrid search: ${matches.length} match(es) from ${candidates.size} candidate(s)`);
+
+  return matches;
+}
+
+// Build the text we embed for an item: title plus its summary preview
+function buildSearchableText(item, cleanText = null) {
+  const { extractTextContent, generateContentSummary } = require('./content-processing/basic-processor');
+  if (cleanText === null) cleanText = extractTextContent(item);
+
+  const summary = generateContentSummary({
+    ...item,
+    cleanText: cleanText
+  });
+
+  return `${item.title} ${summary.preview}`;
+}
+
+// Hash of the embedded text, stored next to the vector to detect stale embeddings
+function hashContent(...parts) {
+  const hash = crypto.createHash('sha256');
+  parts.forEach(part => hash.update(part || '').update('\0'));
+  return hash.digest('hex');
+}
+
+// Map a user_content row to the item shape the content processors expect
+function storedContentToItem(row) {
+  return {
+    ...row,
+    content: row.type === 'bookmark' ? row.content_text : row.insight_data,
+    source: {
+      title: row.source_title,
+      url: row.source_url,
+      hostname: row.source_hostname
+    }
+  };
+}
+
+// Columns needed to summarize library items (everything but the vectors)
+const LIBRARY_COLUMNS = 'id, title, content_text, preview, type, timestamp, source_title, source_url, source_hostname, insight_data, language';
+
+// Items for a library-wide request: the signed-in user's stored content, filtered in the query,
+// or the client's own items (anonymous/offline clients, or when nothing is stored yet)
+// The days window is applied later by processUserContent in both cases
+async function loadLibraryItems(req, clientItems, filters) {
+  const { matchesContentFilters } = require('./content-processing/content-filters');
+
+  if (req.user) {
+    const [stored, { contentIds }] = await Promise.all([
+      supabaseStorage.getAllContent(req.user.id, {
+        days: filters.days,
+        type: filters.type,
+        domain: filters.domain,
+        columns: LIBRARY_COLUMNS
+      }),
+      // Without the entity index (or when it fails) the items are loaded unfiltered
+      withEntityFilter(req.user.id, filters).catch(error => {
+        console.error('❌ Entity filter failed, continuing without it:', error.message);
+        return filters;
+      })
+    ]);
+    const mentioning = contentIds && new Set(contentIds);
+    const content = mentioning
+      ? stored.content.filter(row => mentioning.has(row.id))
+      : stored.content;
+
+    if (!stored.success) {
+      console.error('❌ Failed to load library:', stored.error);
+      if (!Array.isArray(clientItems)) return { success: false, items: [] };
+    } else if (content.length > 0 || !Array.isArray(clientItems)) {
+      console.log(`📚 Loaded ${content.length} stored item(s) for user ${req.user.id}`);
+      return { success: true, items: content.map(storedContentToItem), source: 'library' };
     }
+  }
+
+  return {
+    success: true,
+    items: (clientItems || []).filter(item => matchesContentFilters(item, filters)),
+    source: 'client'
+  };
+}
+
+// Work out whether a stored row's embeddings are current, keeping the text needed to embed it
+// The language is detected from the same text, with the stored one (if any) as the declared language
+function prepareStoredRow(row) {
+  const { extractTextContent } = require('./content-processing/basic-processor');
+  const { contentLanguage } = require('./language');
+
+  const item = storedContentToItem(row);
+  const fullText = extractTextContent(item);
+  const searchableText = buildSearchableText(item, fullText);
+  const contentHash = hashContent(searchableText, fullText);
+  const { language, search_config: searchConfig } = contentLanguage({ title: row.title, text: fullText, declared: row.language });
+
+  return {
+    id: row.id,
+    title: row.title,
+    fullText,
+    searchableText,
+    contentHash,
+    language,
+    searchConfig,
+    needsLanguage: !row.language && language !== null,
+    upToDate: row.content_hash === contentHash && row.embedding_model === EMBEDDING_MODEL
+  };
+}
+
+// Languages of up-to-date rows written at once
+const LANGUAGE_BACKFILL_CONCURRENCY = 10;
+
+// Work for an embedding job: stored rows with no embedding yet, or whose text or embedding model changed
+// Up-to-date rows without a language get theirs here, since they won't be embedded again
+async function loadEmbeddingWork(userId, options = {}) {
+  const stored = await supabaseStorage.getContentForEmbedding(userId, { days: options.days });
+  if (!stored.success) {
+    throw new Error(stored.error);
+  }
+
+  const prepared = stored.content.map(prepareStoredRow);
+  const items = prepared.filter(entry => !entry.upToDate);
+
+  const unlabeled = prepared.filter(entry => entry.upToDate && entry.needsLanguage);
+  for (let i = 0; i < unlabeled.length; i += LANGUAGE_BACKFILL_CONCURRENCY) {
+    await Promise.all(unlabeled.slice(i, i + LANGUAGE_BACKFILL_CONCURRENCY).map(entry =>
+      supabaseStorage.saveLanguage(userId, entry.id, entry)));
+  }
+  if (unlabeled.length > 0) {
+    console.log(`🌐 Detected the language of ${unlabeled.length} item(s)`);
+  }
+
+  return { items, upToDate: prepared.length - items.length };
+}
+
+// Embed one stored item and its passages; throws so the job runner can retry
+async function embedStoredItem(userId, entry) {
+  const { chunkIntoPassages } = require('./content-processing/passage-chunker');
 
-    const data = await response.json();
-    const text = data.content?.[0]?.text?.trim();
+  // Item embedding plus one per passage, generated in batches
+  const passages = chunkIntoPassages(entry.fullText);
+  console.log(`🔄 Generating embeddings for "${entry.title}" (${passages.length} passage(s))`);
 
-    if (!text) {
+  const embeddings = await generateEmbeddings([entry.searchableText, ...passages.map(passage => passage.text)], {
+    route: 'content-embedding',
+    userId
+  });
+  const embedding = embeddings?.[0];
+
+  if (!embedding) {
+    throw new Error('Embedding generation failed');
+  }
+
+  const passagesSaved = await supabaseStorage.replacePassages(
+    userId,
+    entry.id,
+    passages.map((passage, index) => ({ ...passage, embedding: embeddings[index + 1] })),
+    EMBEDDING_MODEL
+  );
+  if (!passagesSaved.success) {
+    throw new Error(`Failed to store passages: ${passagesSaved.error}`);
+  }
+
+  // Written last: the hash marks the item and its passages as up to date
+  const saved = await supabaseStorage.saveEmbedding(userId, entry.id, {
+    embedding,
+    model: EMBEDDING_MODEL,
+    contentHash: entry.contentHash,
+    searchableText: entry.searchableText,
+    language: entry.language,
+    searchConfig: entry.searchConfig
+  });
+  if (!saved.success) {
+    throw new Error(`Failed to store embedding: ${saved.error}`);
+  }
+
+  console.log(`✅ Embedding stored for "${entry.title}"`);
+}
+
+// Background embedding jobs for stored content (one active job per user)
+const embeddingJobs = createEmbeddingJobRunner({
+  jobService: new EmbeddingJobService(),
+  loadWork: loadEmbeddingWork,
+  processItem: embedStoredItem,
+  hasPendingWork: async (userId, options) => {
+    const result = await supabaseStorage.hasContentNeedingEmbedding(userId, { days: options.days, model: EMBEDDING_MODEL });
+    return result.pending;
+  }
+});
+
+// Embed newly saved items without holding the request open
+// Called on reads, so a job is only created when some item lacks an embedding and the
+// user's last job didn't just finish; edited items wait for /api/generate-embeddings
+function startBackgroundEmbedding(userId, options = {}) {
+  embeddingJobs.start(userId, options, { ifNeeded: true })
+    .then(result => {
+      if (!result.success) {
+        console.error('❌ Could not start background embedding job:', result.error);
+      } else if (!result.existing && !result.skipped) {
+        console.log(`🔄 Background embedding job ${result.job.id} started`);
+      }
+    });
+}
+
+// Build a scheduled digest from the user's library, in every format
+// Model usage is attributed to the user, as for their own requests
+async function generateScheduledDigest(userId, schedule, settings, range) {
+  const { daysToLoad, buildDigest } = require('./digest');
+  const { renderDigestMarkdown, renderDigestHtml } = require('./digest/render');
+
+  const stored = await supabaseStorage.getAllContent(userId, { days: daysToLoad(range), columns: LIBRARY_COLUMNS });
+  if (!stored.success) throw new Error(stored.error);
+
+  const digest = await llm.runForUser(userId, () => buildDigest({
+    items: stored.content.map(storedContentToItem),
+    range,
+    userSettings: settings
+  }));
+
+  return { digest, markdown: renderDigestMarkdown(digest), html: renderDigestHtml(digest) };
+}
+
+const digestService = new DigestService();
+
+// Weekly digests from settings.digest
+const digestScheduler = createDigestScheduler({
+  digestService,
+  generate: generateScheduledDigest
+});
+
+// Load the signed-in user's settings (model preferences etc.), null for anonymous requests
+async function getUserSettings(req) {
+  if (req.userSettings !== undefined) return req.userSettings;
+  if (!req.user) return null;
+
+  const result = await supabaseStorage.getSettings(req.user.id);
+  req.userSettings = result.settings || null;
+  return req.userSettings;
+}
+
+// Helper function for AI API calls
+async function generateAISummary(prompt, maxTokens = 400, options = {}) {
+  try {
+    const result = await llm.complete({
+      route: options.route,
+      userSettings: options.userSettings,
+      prompt,
+      maxTokens
+    });
+
+    if (!result.text) {
       return { success: false, error: 'No summary generated' };
     }
 
-    return { success: true, text };
+    return { success: true, text: result.text, usage: result.usage, model: result.model };
     
   } catch (error) {
     console.error('AI summary generation error:', error);
     return { 
       success: false, 
-      error: 'Internal server error',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      error: getUserFriendlyMessage(error, options.errorMessages),
+      details: process.env.NODE_ENV === 'development' ? (error.raw || error.message) : undefined
     };
   }
 }
 
+// Helper for streamed AI responses (Server-Sent Events)
+// Emits `delta` events with text chunks, then a `done` event with the final payload and usage
+// onDone(text) runs after a stream completes (not when the client cancels)
+async function streamAIResponse(req, res, { route, messages, maxTokens, buildDonePayload, onDone, errorMessages = {} }) {
+  const controller = createClientAbortController(res);
+
+  try {
+    const userSettings = await getUserSettings(req);
+    const upstream = await llm.openStream({
+      route,
+      userSettings,
+      messages,
+      maxTokens,
+      signal: controller.signal
+    });
+
+    const stream = openEventStream(res);
+    const result = await upstream.read({
+      onText: text => stream.send('delta', { text })
+    });
+
+    if (result.aborted) {
+      console.log(`🔌 Stream cancelled by client after ${result.text.length} chars`);
+      return stream.end();
+    }
+
+    if (!result.text) {
+      stream.send('error', { error: 'No response generated' });
+      return stream.end();
+    }
+
+    stream.send('done', {
+      ...buildDonePayload(result.text),
+      usage: result.usage,
+      stopReason: result.stopReason,
+      model: result.model
+    });
+    stream.end();
+
+    if (onDone) onDone(result.text);
+
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      console.log('🔌 Stream cancelled by client before response started');
+      return;
+    }
+
+    console.error('AI stream error:', error);
+    if (!res.headersSent) {
+      const { status, body } = toErrorResponse(error, errorMessages);
+      return res.status(status).json(body);
+    }
+    res.write(`event: error\ndata: ${JSON.stringify({ error: getUserFriendlyMessage(error, errorMessages) })}\n\n`);
+    res.end();
+  }
+}
+
 // Root endpoint - API information
 app.get('/', (req, res) => {
   res.json({
@@ -668,6 +989,12 @@ app.get('/', (req, res) => {
   });
 });
 
+// Prompt templates available for overrides (names, versions, variables)
+app.get('/api/prompts', (req, res) => {
+  const { listTemplates } = require('./prompts');
+  res.json({ success: true, templates: listTemplates() });
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', message: 'Research Assistant Proxy is running' });
@@ -692,15 +1019,170 @@ app.get('/api/config-status', (req, res) => {
   });
 });
 
+// User-facing copy for model errors on the summary endpoint
+const SUMMARY_ERROR_MESSAGES = {
+  fallback: 'I\'m having a moment. Please try again!',
+  rate_limit: 'I\'m working through your content! Give me a moment and try again.',
+  context_length: 'You have so much content! Try focusing on specific pages or topics.'
+};
+
 // AI Summary endpoint
 app.post('/api/summary', async (req, res) => {
   try {
-    const { content, pageTitle, pageUrl, type = 'summary', structuredTabs } = req.body;
+    const { content, pageTitle, pageUrl, type = 'summary', structuredTabs, forceRefresh = false, format = 'text' } = req.body;
 
     if (!content && !structuredTabs) {
       return res.status(400).json({ error: 'Content or structuredTabs is required' });
     }
 
+    if (format !== 'text' && format !== 'json') {
+      return res.status(400).json({ error: "format must be 'text' or 'json'" });
+    }
+
+    if (format === 'json' && type !== 'summary' && type !== 'tldr') {
+      return res.status(400).json({ error: "format 'json' is supported for summary and tldr" });
+    }
+
+    const userSettings = await getUserSettings(req);
+
+    const { isLongDocument, summarizeSections, formatSectionNotes, SINGLE_PASS_CHAR_LIMIT } = require('./content-processing/long-document-summarizer');
+    const useLongDocument = (type === 'summary' || type === 'tldr') && isLongDocument(content) && req.body.longDocument !== false;
+    const useTabClusters = type === 'multi-tab-summary' && Boolean(structuredTabs) && req.body.clusterTabs !== false;
+    const templateName = format === 'json'
+      ? 'summary-json'
+      : useTabClusters ? 'tab-clusters' : (type === 'multi-tab-summary' || type === 'tldr' ? type : 'page-summary');
+    const usesPageInfo = templateName === 'page-summary' || templateName === 'summary-json';
+    const domain = usesPageInfo && pageUrl ? new URL(pageUrl).hostname : '';
+
+    // Same content, prompt and model → same summary; forceRefresh regenerates it
+    const modelSpec = (route) => {
+      const { provider, model } = llm.resolveModel(route, userSettings);
+      return `${provider}:${model}`;
+    };
+    const cacheKey = summaryCache.buildKey('summary', summaryKeyParts({
+      type,
+      format,
+      content,
+      structuredTabs,
+      pageTitle: usesPageInfo ? pageTitle : null,
+      domain
+    }, {
+      prompt: describePrompt(templateName, { userSettings }).fingerprint,
+      model: modelSpec(type),
+      embeddingModel: useTabClusters ? EMBEDDING_MODEL : null,
+      longDocument: useLongDocument ? {
+        title: pageTitle || null,
+        prompt: describePrompt('summary-section', { userSettings }).fingerprint,
+        model: modelSpec('summary-section')
+      } : null
+    }));
+
+    if (!forceRefresh) {
+      const cachedSummary = await summaryCache.get(cacheKey);
+      if (cachedSummary) {
+        console.log(`💾 Summary cache hit (${type}, cached ${cachedSummary.cachedAt})`);
+        const payload = { success: true, ...cachedSummary, cached: true };
+        return wantsEventStream(req) ? sendSingleEvent(res, payload) : res.json(payload);
+      }
+    }
+
+    // Multi-tab sessions: cluster tabs by topic, falling back to the domain-grouped summary below
+    let cacheable = true;
+    if (useTabClusters) {
+      const { summarizeTabClusters, formatClusteredSummary } = require('./content-processing/tab-clusterer');
+      const clustered = await summarizeTabClusters(structuredTabs, {
+        embed: texts => generateEmbeddings(texts, { route: 'multi-tab-summary' }),
+        userSettings
+      });
+
+      if (clustered) {
+        const result = {
+          summary: formatClusteredSummary(clustered),
+          type,
+          overview: clustered.overview,
+          clusters: clustered.clusters,
+          links: clustered.links,
+          tabCount: clustered.tabCount,
+          promptVersion: clustered.promptVersion
+        };
+
+        // Only fully described sessions are cached
+        if (clustered.clusters.every(cluster => cluster.summary)) {
+          summaryCache.set(cacheKey, { ...result, cachedAt: new Date().toISOString() });
+        }
+
+        const payload = { success: true, ...result, cached: false };
+        return wantsEventStream(req) ? sendSingleEvent(res, payload) : res.json(payload);
+      }
+
+      // The fallback prose summary must not be served for later clustered requests
+      cacheable = false;
+    }
+
+    // Long documents: summarize each section first, then summarize the section notes
+    // Section calls stop once the client goes away
+    let longDocument = null;
+    const abortController = useLongDocument ? createClientAbortController(res) : null;
+    if (useLongDocument) {
+      longDocument = await summarizeSections(content, {
+        title: pageTitle,
+        userSettings,
+        signal: abortController.signal
+      });
+    }
+
+    const documentText = longDocument
+      ? `(Notes covering ${longDocument.sectionsCovered} of ${longDocument.totalSections} sections of a long document, in order)\n\n${formatSectionNotes(longDocument.notes, longDocument.totalSections)}`
+      : content && `${content.substring(0, SINGLE_PASS_CHAR_LIMIT)}${content.length > SINGLE_PASS_CHAR_LIMIT ? '...' : ''}`;
+
+    const longDocumentInfo = longDocument ? {
+      longDocument: true,
+      sectionsCovered: longDocument.sectionsCovered,
+      totalSections: longDocument.totalSections,
+      sectionUsage: longDocument.usage,
+      sectionPromptVersion: longDocument.promptVersion
+    } : {};
+
+    // Partial results (failed section calls, clustering fallback) are not cached
+    const cacheResult = (result) => {
+      if (!cacheable) return;
+      if (longDocument && longDocument.sectionsCovered < longDocument.totalSections) return;
+      summaryCache.set(cacheKey, { ...result, cachedAt: new Date().toISOString() });
+    };
+
+    // Structured output: validated JSON instead of markdown prose
+    if (format === 'json') {
+      const prompt = renderPrompt('summary-json', {
+        pageContext: pageTitle ? `\n\nPage: "${pageTitle}"${domain ? ` (${domain})` : ''}` : '',
+        lengthGuidance: type === 'tldr' ? '2-3 sentences' : '1-2 sentences',
+        keyPointCount: type === 'tldr' ? '4-6' : '2-4',
+        content: documentText
+      }, { userSettings });
+
+      const structured = await llm.completeJson({
+        route: type,
+        userSettings,
+        prompt: prompt.text,
+        system: prompt.system,
+        schema: prompt.schema,
+        maxTokens: type === 'tldr' ? 1200 : 800,
+        signal: abortController?.signal
+      });
+
+      const result = {
+        summary: structured.data.summary,
+        data: structured.data,
+        format,
+        type,
+        promptVersion: prompt.id,
+        ...longDocumentInfo
+      };
+      cacheResult(result);
+
+      const payload = { success: true, ...result, cached: false };
+      return wantsEventStream(req) ? sendSingleEvent(res, payload) : res.json(payload);
+    }
+
     // Determine which prompt to use based on type
     let prompt;
     let maxTokens = 300; // Default for summary
@@ -713,121 +1195,81 @@ app.post('/api/summary', async (req, res) => {
       const tabCount = Object.values(structuredTabs).reduce((sum, tabs) => sum + tabs.length, 0);
       const domainCount = Object.keys(structuredTabs).length;
       
-      prompt = `Analyze and summarize this browsing session with ${tabCount} tabs across ${domainCount} domains. Create a cohesive summary that identifies themes, patterns, and key insights across all tabs.\n\n`;
-      
+      let tabList = '';
       for (const [domain, tabs] of Object.entries(structuredTabs)) {
-        prompt += `\n**${domain}** (${tabs.length} tab${tabs.length > 1 ? 's' : ''}):\n`;
+        tabList += `\n**${domain}** (${tabs.length} tab${tabs.length > 1 ? 's' : ''}):\n`;
         tabs.forEach((tab, index) => {
-          prompt += `${index + 1}. "${tab.title}"\n`;
-          prompt += `   Key content: ${tab.content}\n`;
+          tabList += `${index + 1}. "${tab.title}"\n`;
+          tabList += `   Key content: ${tab.content}\n`;
           if (tab.topics && tab.topics.length > 0) {
-            prompt += `   Topics: ${tab.topics.join(', ')}\n`;
+            tabList += `   Topics: ${tab.topics.join(', ')}\n`;
           }
-          prompt += '\n';
+          tabList += '\n';
         });
       }
       
-      prompt += `\nProvide a unified summary that:
-1. Identifies the main themes across all tabs
-2. Highlights connections between different domains/tabs
-3. Summarizes the key information from each domain
-4. Keeps the summary concise but informative (2-3 paragraphs max)
-
-Format the response with clear sections and use **bold** for emphasis where appropriate.`;
+      prompt = renderPrompt('multi-tab-summary', { tabCount, domainCount, tabList }, { userSettings });
       
       maxTokens = 400; // Slightly more for multi-tab summaries
     } else if (type === 'tldr') {
       maxTokens = 1200; // More tokens for detailed TL;DR
-      prompt = `You're an expert communicator helping me make sense of dense or formal text.
-
-Your job is to extract meaning and make it easy to scan and understand.
-I want two things:
-
-Quick Summary:
-• In 2–3 sentences, explain the main idea and why it matters
-• Focus on the "so what" — what's changing, or what's the big takeaway?
-• Keep it clear, casual, and easy on the eyes
-
-Key Points:
-• Give me 4–6 bullet points with the most important facts or takeaways
-• Use bold for names, dates, numbers, and key terms
-• Be specific and concrete — avoid vague summaries
-• Write in plain, natural language — like you're explaining to a smart friend
-• Skip fluff or jargon; focus on what actually matters
-
-CRITICAL Guidelines:
-• Don't use corporate-speak or abstract words like "landscape," "emergence," or "transformation"
-• No tables — just clean bullet points and a natural summary
-• Prioritize what the reader needs to know right away
-• NEVER add meta-commentary like "Note:", "The article appears to be", or "this may be"
-• DO NOT comment on dates, URLs, or technical details unless they're central to the content
-• Focus ONLY on summarizing the actual content - no editorial comments about the source
-• If you want to suggest saving it, use "💡 Tip:" format only
-
-Content to summarize:
-${content.substring(0, 4000)}${content.length > 4000 ? '...' : ''}
-
-Generate the TL;DR:`;
+      prompt = renderPrompt('tldr', { content: documentText }, { userSettings });
     } else {
-      prompt = `Please provide a concise 2-3 sentence summary of this web page content.
-
-Page Title: ${pageTitle}
-Domain: ${pageUrl ? new URL(pageUrl).hostname : ''}
-
-Content:
-${content.substring(0, 4000)}${content.length > 4000 ? '...' : ''}
-
-Summary:`;
+      prompt = renderPrompt('page-summary', {
+        pageTitle,
+        domain,
+        content: documentText
+      }, { userSettings });
     }
 
-    // Call Anthropic API
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': process.env.ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: 'claude-opus-4-1-20250805',
-        max_tokens: maxTokens,
-        messages: [{ role: 'user', content: prompt }]
-      })
-    });
+    const cacheSummary = summary => cacheResult({ summary, type, promptVersion: prompt.id, ...longDocumentInfo });
 
-    if (!response.ok) {
-      const error = await response.text();
-      console.error('Anthropic API error:', error);
-      let userFriendlyMessage = 'I\'m having a moment. Please try again!';
-      try {
-        const errorData = JSON.parse(error);
-        if (errorData.error?.type === 'rate_limit_error') {
-          userFriendlyMessage = 'I\'m working through your content! Give me a moment and try again.';
-        } else if (errorData.error?.message?.includes('token')) {
-          userFriendlyMessage = 'You have so much content! Try focusing on specific pages or topics.';
-        }
-      } catch (e) {}
-      
-      return res.status(response.status).json({ 
-        error: userFriendlyMessage,
-        details: process.env.NODE_ENV === 'development' ? error : undefined
+    if (wantsEventStream(req)) {
+      return streamAIResponse(req, res, {
+        route: type,
+        messages: [{ role: 'user', content: prompt.text }],
+        maxTokens,
+        buildDonePayload: summary => ({ success: true, summary, type, promptVersion: prompt.id, ...longDocumentInfo, cached: false }),
+        onDone: cacheSummary,
+        errorMessages: SUMMARY_ERROR_MESSAGES
       });
     }
 
-    const data = await response.json();
-    const summary = data.content?.[0]?.text?.trim();
+    // Call the model configured for this summary type
+    const result = await llm.complete({
+      route: type,
+      userSettings,
+      prompt: prompt.text,
+      maxTokens,
+      signal: abortController?.signal
+    });
+    const summary = result.text;
 
     if (!summary) {
       return res.status(500).json({ error: 'No summary generated' });
     }
 
+    cacheSummary(summary);
+
     res.json({ 
       success: true, 
       summary,
-      type
+      type,
+      promptVersion: prompt.id,
+      ...longDocumentInfo,
+      cached: false
     });
 
   } catch (error) {
+    if (error.name === 'AbortError') {
+      console.log('🔌 Summary cancelled by client');
+      return;
+    }
+    if (error instanceof LLMError) {
+      const { status, body } = toErrorResponse(error, SUMMARY_ERROR_MESSAGES);
+      return res.status(status).json(body);
+    }
+
     console.error('Summary generation error:', error);
     res.status(500).json({ 
       error: 'Internal server error',
@@ -839,24 +1281,43 @@ Summary:`;
 // Recent content endpoint for /recent command
 app.post('/api/recent-content', async (req, res) => {
   try {
-    const { allItems, days = 30 } = req.body;
+    const { allItems } = req.body;
+    const hasClientItems = Array.isArray(allItems);
+    const { resolveContentFilters, describeContentFilters } = require('./content-processing/content-filters');
+    const { filters, error: filterError } = resolveContentFilters(req.body);
 
-    if (!allItems || !Array.isArray(allItems)) {
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
+
+    // Signed-in users are read from their library; anonymous users still send their items
+    if (!req.user && !hasClientItems) {
       return res.status(400).json({ error: 'allItems array is required' });
     }
 
+    const library = await loadLibraryItems(req, allItems, filters);
+    if (!library.success) {
+      return res.status(500).json({ error: 'Failed to load saved content' });
+    }
+
+    const { days } = filters;
+
     // Import our basic processor
     const { processUserContent } = require('./content-processing/basic-processor');
     
     // Process the user's content using summary-first approach
-    const processedContent = processUserContent(allItems, { days }); // Default to summary mode
+    const processedContent = processUserContent(library.items, { days }); // Default to summary mode
     
     if (processedContent.count === 0) {
       return res.json({
         success: true,
-        summary: `You haven't saved any pages or insights in the last ${days} days. Try saving some interesting content to get personalized insights!`,
+        summary: filters.type || filters.domain || filters.entities.length
+          ? `You haven't saved any ${describeContentFilters(filters)}. Try widening the filters or saving some more content!`
+          : `You haven't saved any pages or insights in the last ${days} days. Try saving some interesting content to get personalized insights!`,
         itemCount: 0,
-        timeframe: `${days} days`
+        timeframe: `${days} days`,
+        filters,
+        contentSource: library.source
       });
     }
 
@@ -867,25 +1328,21 @@ app.post('/api/recent-content', async (req, res) => {
       .map(item => `**${item.title}** (${item.type}): ${item.preview}`)
       .join('\n\n');
 
-    const prompt = `The user asked "What have I been reading lately?" - give them a helpful overview of their recent reading content.
-
-Recent content (${processedContent.count} items from last ${days} days):
-
-${contentSummaries}
-
-Provide a helpful response that:
-1. Lists ALL the main topics/articles they've been reading 
-2. Identifies the different subject areas clearly
-3. Keeps it informative and direct
-4. Ends with an offer to dig deeper: "Want me to explore any specific topic in detail? I have the full content available."
-5. Keep it concise but comprehensive (2-3 paragraphs covering all topics)
-6. Avoid personal questions about their interests - just present what's available`;
+    const userSettings = await getUserSettings(req);
+    const prompt = renderPrompt('recent-content-overview', {
+      itemCount: processedContent.count,
+      days,
+      contentSummaries
+    }, { userSettings });
 
-    console.log(`🔍 DEBUG: Prompt length: ${prompt.length} chars`);
+    console.log(`🔍 DEBUG: Prompt length: ${prompt.text.length} chars`);
     console.log(`🔍 DEBUG: Content summaries length: ${contentSummaries.length} chars`);
     console.log(`🔍 DEBUG: Estimated tokens: ~${processedContent.totalPreviewTokens}`);
 
-    const summary = await generateAISummary(prompt);
+    const summary = await generateAISummary(prompt.text, 400, {
+      route: 'recent-content',
+      userSettings
+    });
 
     if (!summary.success) {
       return res.status(500).json({ 
@@ -893,14 +1350,11 @@ Provide a helpful response that:
       });
     }
 
-    // Start background embedding generation (don't await - let it run async)
-    generateEmbeddingsInBackground(processedContent.fullItems || allItems)
-      .then(result => {
-        console.log(`✅ Background embedding generation completed: ${result.success}/${result.total} items`);
-      })
-      .catch(error => {
-        console.error('❌ Background embedding generation failed:', error.message);
-      });
+    // Start background embedding generation for stored content (don't await - let it run async)
+    // Anonymous users have nothing stored server-side, so there is nothing to embed
+    if (req.user) {
+      startBackgroundEmbedding(req.user.id, { days });
+    }
 
     res.json({ 
       success: true, 
@@ -911,7 +1365,10 @@ Provide a helpful response that:
       mode: processedContent.mode,
       totalPreviewTokens: processedContent.totalPreviewTokens,
       approach: 'summary-first',
-      embeddingsStatus: 'generating-in-background'
+      promptVersion: prompt.id,
+      filters,
+      contentSource: library.source,
+      embeddingsStatus: req.user ? 'generating-in-background' : 'not-stored'
     });
 
   } catch (error) {
@@ -961,7 +1418,8 @@ app.post('/api/classify-conversation', async (req, res) => {
       conversationHistory, 
       currentPageContext,
       openTabs,
-      referencedTabs
+      referencedTabs,
+      { userSettings: await getUserSettings(req) }
     );
     
     res.json({
@@ -972,7 +1430,8 @@ app.post('/api/classify-conversation', async (req, res) => {
       targetTab: result.targetTab,
       isMetaConversation: result.isMetaConversation,
       metaContext: result.metaContext,
-      method: result.method
+      method: result.method,
+      promptVersion: result.promptVersion
     });
 
   } catch (error) {
@@ -987,54 +1446,77 @@ app.post('/api/classify-conversation', async (req, res) => {
 // Content search endpoint for follow-up queries
 app.post('/api/content-search', async (req, res) => {
   try {
-    const { query, allItems, days = 30 } = req.body;
-
-    if (!query || !allItems || !Array.isArray(allItems)) {
+    const { query, allItems, ranking } = req.body;
+    const hasClientItems = Array.isArray(allItems);
+    const { resolveRankingOptions } = require('./content-processing/hybrid-ranker');
+    const { resolveContentFilters, matchesContentFilters, describeContentFilters } = require('./content-processing/content-filters');
+    const rankingOptions = resolveRankingOptions(ranking);
+    const { filters, error: filterError } = resolveContentFilters(req.body);
+
+    // Signed-in users are searched server-side; anonymous users still send their items
+    if (!query || (!req.user && !hasClientItems)) {
       return res.status(400).json({ error: 'Query and allItems array are required' });
     }
 
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
+
+    const { days } = filters;
+
     console.log(`🔍 Content search request: "${query}"`);
 
     // Import our basic processor
     const { processUserContent } = require('./content-processing/basic-processor');
     
-    // Get recent items and add cached embeddings
-    const recentContent = processUserContent(allItems, { days, useFullContent: false });
-    
-    if (recentContent.count === 0) {
-      return res.json({
-        success: true,
-        message: `No content found from last ${days} days.`,
-        matches: [],
-        itemCount: 0
-      });
+    let matches = [];
+
+    if (req.user) {
+      matches = await findStoredMatches(req.user.id, query, filters, rankingOptions);
+
+      // Embed anything saved since the last run so the next search can find it
+      startBackgroundEmbedding(req.user.id, { days });
     }
 
-    // Add cached embeddings to items
-    const itemsWithCachedEmbeddings = (recentContent.fullItems || recentContent.items).map(item => {
-      const cacheKey = `${item.id}_${item.timestamp}`;
-      if (embeddingCache.has(cacheKey)) {
-        return {
-          ...item,
-          embedding: embeddingCache.get(cacheKey)
+    if (matches.length === 0 && hasClientItems) {
+      // Client-supplied items carry their own embeddings (from /api/generate-embeddings)
+      const clientItems = allItems.filter(item => matchesContentFilters(item, filters));
+      const recentContent = processUserContent(clientItems, { days, useFullContent: false });
+      
+      if (recentContent.count === 0) {
+        const emptyResult = {
+          success: true,
+          message: filters.type || filters.domain || filters.entities.length
+            ? `No ${describeContentFilters(filters)} found.`
+            : `No content found from last ${days} days.`,
+          matches: [],
+          itemCount: 0,
+          filters
         };
+        return wantsEventStream(req) ? sendSingleEvent(res, emptyResult) : res.json(emptyResult);
       }
-      return item;
-    });
 
-    console.log(`📊 Content search: ${itemsWithCachedEmbeddings.filter(item => item.embedding).length}/${itemsWithCachedEmbeddings.length} items have embeddings`);
+      // processUserContent drops embeddings, so look them up on the original items
+      const embeddingsById = new Map(clientItems.filter(item => item.embedding).map(item => [item.id, item.embedding]));
+      const itemsWithEmbeddings = (recentContent.fullItems || recentContent.items).map(item => (
+        embeddingsById.has(item.id) ? { ...item, embedding: embeddingsById.get(item.id) } : item
+      ));
 
-    // Find semantically relevant content
-    const matches = await findSemanticMatches(query, itemsWithCachedEmbeddings);
+      console.log(`📊 Content search: ${embeddingsById.size}/${itemsWithEmbeddings.length} items have embeddings`);
+
+      // Find semantically relevant content
+      matches = await findSemanticMatches(query, itemsWithEmbeddings, rankingOptions);
+    }
     
     if (matches.length === 0) {
-      return res.json({
+      const noMatchResult = {
         success: true,
         message: "I couldn't find specific content matching your query. Could you try rephrasing or asking about a different topic?",
         matches: [],
         itemCount: 0,
         suggestion: "Did you mean to ask about the current page instead? I can help discuss what you're currently reading."
-      });
+      };
+      return wantsEventStream(req) ? sendSingleEvent(res, noMatchResult) : res.json(noMatchResult);
     }
 
     // Use LLM to intelligently determine which articles to include based on query intent
@@ -1043,7 +1525,9 @@ app.post('/api/content-search', async (req, res) => {
     let articlesToInclude;
     try {
       // Use LLM intent analysis for intelligent article selection
-      articlesToInclude = await analyzeQueryIntent(query, matches);
+      articlesToInclude = await analyzeQueryIntent(query, matches, {
+        userSettings: await getUserSettings(req)
+      });
     } catch (error) {
       console.error('Intent analysis failed, using fallback:', error.message);
       // Fallback to simple selection if LLM fails
@@ -1052,46 +1536,71 @@ app.post('/api/content-search', async (req, res) => {
     
     console.log(`📎 Selected ${articlesToInclude.length} article(s) for analysis based on query intent`);
 
-    // Get full content for selected items only
-    const fullContentMatches = processUserContent(articlesToInclude, { useFullContent: true });
+    // Stored matches bring their best passages; client items still need their full content
+    const passageArticles = articlesToInclude.filter(item => item.passages);
+    const fullContentMatches = processUserContent(articlesToInclude.filter(item => !item.passages), { useFullContent: true });
     
     // Import the content processing functions
     const { extractTextContent } = require('./content-processing/basic-processor');
     
     // Create content text for AI analysis
-    const contentText = fullContentMatches.items
-      .map((item, index) => {
-        const text = extractTextContent(item);
-        return `**Article ${index + 1}: ${item.title}**\n${text}`;
-      })
+    const contentText = [
+      ...passageArticles.map(item => ({
+        title: item.title,
+        text: item.passages
+          .map(passage => `[Passage ${passage.index + 1} of ${item.passageCount}, characters ${passage.startOffset}-${passage.endOffset}]\n${passage.text}`)
+          .join('\n\n')
+      })),
+      ...fullContentMatches.items.map(item => ({ title: item.title, text: extractTextContent(item) }))
+    ]
+      .map((item, index) => `**Article ${index + 1}: ${item.title}**\n${item.text}`)
       .join('\n\n---\n\n');
 
-    const prompt = `User question: "${query}"
-
-Relevant content found:
-
-${contentText}
-
-Please provide a clear, conversational response that reads naturally. Write it like you're explaining to a smart colleague - informative but not robotic.
-
-Guidelines:
-- Connect the facts into a cohesive narrative that tells the complete story
-- Use smooth transitions between ideas, not just bullet points
-- Keep paragraphs short and readable
-- When referencing sources, use natural phrases like "Based on the TechCrunch article about..." or "According to what you saved about..."
-- Avoid formal citations like "Article 1" or "From Article 2" - weave sources naturally into the narrative
-- End with a thoughtful question or offer to explore specific aspects
-- Aim for a friendly, knowledgeable tone - like a helpful research assistant
-
-Avoid:
-- Disconnected bullet points that feel like notes
-- Overly formal or academic language
-- Listing facts without showing how they relate
-- Generic summaries - be specific and insightful`;
+    const prompt = renderPrompt('deep-dive', { query, contentText }, { userSettings: await getUserSettings(req) });
 
     console.log(`📊 Deep-dive analysis: ${matches.length} matches, ~${contentText.length} chars`);
 
-    const summary = await generateAISummary(prompt, 800); // More tokens for detailed response
+    const matchSummaries = matches.map(m => ({
+      title: m.title,
+      type: m.type,
+      similarity: m.similarity?.toFixed(3) || 'N/A',
+      score: m.score?.toFixed(3) || 'N/A',
+      scoreBreakdown: m.scoreBreakdown,
+      timestamp: m.timestamp,
+      ...(m.passages && {
+        passageCount: m.passageCount,
+        passages: m.passages.map(passage => ({
+          index: passage.index,
+          startOffset: passage.startOffset,
+          endOffset: passage.endOffset,
+          similarity: passage.similarity.toFixed(3),
+          excerpt: passage.text.substring(0, 200)
+        }))
+      })
+    }));
+
+    if (wantsEventStream(req)) {
+      return streamAIResponse(req, res, {
+        route: 'content-search',
+        messages: [{ role: 'user', content: prompt.text }],
+        maxTokens: 800,
+        buildDonePayload: response => ({
+          success: true,
+          response,
+          matches: matchSummaries,
+          itemCount: matches.length,
+          approach: 'semantic-search',
+          ranking: { weights: rankingOptions.weights, minScore: rankingOptions.minScore },
+          filters,
+          promptVersion: prompt.id
+        })
+      });
+    }
+
+    const summary = await generateAISummary(prompt.text, 800, { // More tokens for detailed response
+      route: 'content-search',
+      userSettings: await getUserSettings(req)
+    });
 
     if (!summary.success) {
       return res.status(500).json({ 
@@ -1102,14 +1611,12 @@ Avoid:
     res.json({ 
       success: true, 
       response: summary.text,
-      matches: matches.map(m => ({
-        title: m.title,
-        type: m.type,
-        similarity: m.similarity?.toFixed(3) || 'N/A',
-        timestamp: m.timestamp
-      })),
+      matches: matchSummaries,
       itemCount: matches.length,
-      approach: 'semantic-search'
+      approach: 'semantic-search',
+      ranking: { weights: rankingOptions.weights, minScore: rankingOptions.minScore },
+      filters,
+      promptVersion: prompt.id
     });
 
   } catch (error) {
@@ -1124,7 +1631,27 @@ Avoid:
 // Generate embeddings for existing content (one-time setup)
 app.post('/api/generate-embeddings', async (req, res) => {
   try {
-    const { allItems } = req.body;
+    const { allItems, days } = req.body;
+
+    // Signed-in users: embed their stored content in a background job and persist the vectors
+    if (req.user && !allItems) {
+      const started = await embeddingJobs.start(req.user.id, { days });
+
+      if (!started.success) {
+        return res.status(500).json({
+          error: 'Failed to start embedding job',
+          details: process.env.NODE_ENV === 'development' ? started.error : undefined
+        });
+      }
+
+      return res.status(202).json({
+        success: true,
+        jobId: started.job.id,
+        message: started.existing ? 'Embedding job already in progress' : 'Embedding job started',
+        statusUrl: `/api/embedding-jobs/${started.job.id}`,
+        job: describeJob(started.job)
+      });
+    }
 
     if (!allItems || !Array.isArray(allItems)) {
       return res.status(400).json({ error: 'allItems array is required' });
@@ -1132,61 +1659,37 @@ app.post('/api/generate-embeddings', async (req, res) => {
 
     console.log(`🔄 Generating embeddings for ${allItems.length} items...`);
 
-    const { generateContentSummary } = require('./content-processing/basic-processor');
-    
-    // Process items and generate embeddings
-    const itemsWithEmbeddings = [];
+    const { extractTextContent, generateContentSummary } = require('./content-processing/basic-processor');
+
+    // Searchable text per item: title plus summary preview
+    const searchableTexts = allItems.map(item => {
+      const summary = generateContentSummary({
+        ...item,
+        cleanText: extractTextContent(item)
+      });
+      return `${item.title} ${summary.preview}`;
+    });
+
+    // One embeddings request per batch instead of one per item
+    const embeddings = await generateEmbeddings(searchableTexts, { route: 'content-embedding' });
+
     let successCount = 0;
     let errorCount = 0;
 
-    for (let i = 0; i < allItems.length; i++) {
-      const item = allItems[i];
-      try {
-        console.log(`\n🔄 Processing item ${i + 1}/${allItems.length}: "${item.title}"`);
-        
-        // Extract proper text content using the same function as search
-        const { extractTextContent } = require('./content-processing/basic-processor');
-        const cleanText = extractTextContent(item);
-        
-        // Generate summary for embedding
-        const summary = generateContentSummary({
-          ...item,
-          cleanText: cleanText
-        });
-        
-        console.log(`📝 Summary generated: ${summary.preview.length} chars`);
-        
-        // Create searchable text
-        const searchableText = `${item.title} ${summary.preview}`;
-        console.log(`🔍 Searchable text: ${searchableText.length} chars`);
-        console.log(`📄 Searchable preview: "${searchableText.substring(0, 150)}..."`);
-        
-        // Generate embedding
-        const embedding = await generateEmbedding(searchableText);
-        
-        if (embedding) {
-          itemsWithEmbeddings.push({
-            ...item,
-            embedding: embedding,
-            searchableText: searchableText
-          });
-          successCount++;
-          console.log(`✅ Embedding added for "${item.title}"`);
-        } else {
-          itemsWithEmbeddings.push(item); // Keep original item without embedding
-          errorCount++;
-          console.log(`❌ No embedding for "${item.title}"`);
-        }
-        
-        // Small delay to avoid rate limits
-        await new Promise(resolve => setTimeout(resolve, 200));
-        
-      } catch (error) {
-        console.error(`❌ Error processing item "${item.title}":`, error.message);
-        itemsWithEmbeddings.push(item); // Keep original item
+    const itemsWithEmbeddings = allItems.map((item, index) => {
+      const embedding = embeddings?.[index];
+      if (!embedding) {
         errorCount++;
+        return item; // Keep original item without embedding
       }
-    }
+
+      successCount++;
+      return {
+        ...item,
+        embedding,
+        searchableText: searchableTexts[index]
+      };
+    });
 
     console.log(`✅ Embedding generation complete: ${successCount} success, ${errorCount} errors`);
 
@@ -1210,6 +1713,323 @@ app.post('/api/generate-embeddings', async (req, res) => {
   }
 });
 
+// Progress of a background embedding job (own jobs only)
+app.get('/api/embedding-jobs/:id', requireAuth, async (req, res) => {
+  try {
+    if (!/^[0-9a-f-]{36}$/i.test(req.params.id)) {
+      return res.status(404).json({ error: 'Embedding job not found' });
+    }
+
+    const result = await embeddingJobs.getJob(req.user.id, req.params.id);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    if (!result.job) {
+      return res.status(404).json({ error: 'Embedding job not found' });
+    }
+
+    res.json({ success: true, job: result.job });
+  } catch (error) {
+    console.error('Embedding job status error:', error);
+    res.status(500).json({
+      error: 'Failed to get embedding job',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Reading digest over a date range: overview, themes, top items, unread bookmarks, open questions
+// Signed-in users are read from their library; anonymous users send allItems.
+// format: 'json' (default), 'markdown' or 'html' (a standalone document, ready to email)
+app.post('/api/digest', async (req, res) => {
+  try {
+    const { allItems, format = 'json' } = req.body;
+    const { resolveDigestRange, daysToLoad, buildDigest } = require('./digest');
+    const { DIGEST_FORMATS, renderDigest } = require('./digest/render');
+
+    if (!DIGEST_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of ${DIGEST_FORMATS.join(', ')}` });
+    }
+
+    const { range, error: rangeError } = resolveDigestRange(req.body);
+    if (rangeError) {
+      return res.status(400).json({ error: rangeError });
+    }
+
+    if (!req.user && !Array.isArray(allItems)) {
+      return res.status(400).json({ error: 'allItems array is required' });
+    }
+
+    const library = await loadLibraryItems(req, allItems, { days: daysToLoad(range), type: null, domain: null });
+    if (!library.success) {
+      return res.status(500).json({ error: 'Failed to load saved content' });
+    }
+
+    const digest = await buildDigest({
+      items: library.items,
+      range,
+      userSettings: await getUserSettings(req)
+    });
+
+    if (format === 'json') {
+      return res.json({ success: true, digest, contentSource: library.source });
+    }
+
+    const rendered = renderDigest(digest, format);
+    res.type(rendered.contentType).send(rendered.body);
+
+  } catch (error) {
+    if (error instanceof LLMError) {
+      const { status, body } = toErrorResponse(error);
+      return res.status(status).json(body);
+    }
+
+    console.error('Digest error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Scheduled digests (settings.digest), newest first
+app.get('/api/digests', requireAuth, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const result = await digestService.listDigests(req.user.id, { limit });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    res.json({ success: true, digests: result.digests });
+  } catch (error) {
+    console.error('Digest list error:', error);
+    res.status(500).json({
+      error: 'Failed to list digests',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// One scheduled digest; ?format=markdown or html returns the rendered document
+app.get('/api/digests/:id', requireAuth, async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    const { DIGEST_FORMATS, renderDigest } = require('./digest/render');
+
+    if (!DIGEST_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of ${DIGEST_FORMATS.join(', ')}` });
+    }
+
+    if (!/^[0-9a-f-]{36}$/i.test(req.params.id)) {
+      return res.status(404).json({ error: 'Digest not found' });
+    }
+
+    const result = await digestService.getDigest(req.user.id, req.params.id);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    if (!result.digest) {
+      return res.status(404).json({ error: 'Digest not found' });
+    }
+
+    const { markdown, html, ...stored } = result.digest;
+    if (format === 'json' || stored.status !== 'ready') {
+      return res.json({ success: true, digest: stored });
+    }
+
+    // Serve the copy rendered at generation time, the one that was delivered
+    const rendered = renderDigest(stored.digest, format);
+    res.type(rendered.contentType).send((format === 'html' ? html : markdown) || rendered.body);
+  } catch (error) {
+    console.error('Digest get error:', error);
+    res.status(500).json({
+      error: 'Failed to get digest',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Structured compare-and-contrast of 2-6 saved items: { contentIds, focus, format }
+// Shared claims, disagreements, unique points per item and a comparison table, each citing its item.
+// format: 'json' (default) or 'markdown'
+app.post('/api/compare', requireAuth, async (req, res) => {
+  try {
+    const { validateCompareRequest, buildComparison, renderComparisonMarkdown } = require('./comparison');
+    const { extractTextContent } = require('./content-processing/basic-processor');
+
+    const { contentIds, focus, format, error: requestError } = validateCompareRequest(req.body);
+    if (requestError) {
+      return res.status(400).json({ error: requestError });
+    }
+
+    const stored = await Promise.all(contentIds.map(contentId =>
+      supabaseStorage.getContentById(req.user.id, contentId, { columns: LIBRARY_COLUMNS })));
+    const failed = stored.find(result => !result.success);
+    if (failed) {
+      throw new Error(failed.error);
+    }
+    const missing = contentIds.filter((contentId, index) => !stored[index].content);
+    if (missing.length > 0) {
+      return res.status(404).json({ error: 'Content not found', missing });
+    }
+
+    const comparison = await buildComparison({
+      sources: stored.map(result => {
+        const item = storedContentToItem(result.content);
+        return { id: item.id, title: item.title, type: item.type, url: item.source_url, text: extractTextContent(item) };
+      }),
+      focus,
+      userSettings: await getUserSettings(req)
+    });
+
+    if (format === 'markdown') {
+      return res.type('text/markdown').send(renderComparisonMarkdown(comparison));
+    }
+    res.json({ success: true, comparison });
+
+  } catch (error) {
+    if (error instanceof LLMError) {
+      const { status, body } = toErrorResponse(error);
+      return res.status(status).json(body);
+    }
+
+    console.error('Compare error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Saved items for a timeline request: { contentIds }, { tag } or { query }, with the library filters
+// applied to tag and query. Returns { rows, status, error }; rows are user_content rows.
+async function loadTimelineRows(userId, body, filters, maxItems) {
+  const { contentIds, tag, query } = body;
+  const modes = [contentIds, tag, query].filter(value => value !== undefined && value !== null);
+  if (modes.length !== 1) {
+    return { status: 400, error: 'Provide one of contentIds, tag or query' };
+  }
+
+  if (contentIds !== undefined && contentIds !== null) {
+    if (!Array.isArray(contentIds) || contentIds.length === 0 || contentIds.length > maxItems
+      || !contentIds.every(id => typeof id === 'string' && /^[0-9a-f-]{36}$/i.test(id))) {
+      return { status: 400, error: `contentIds must list 1 to ${maxItems} content ids` };
+    }
+
+    const ids = [...new Set(contentIds)];
+    const stored = await Promise.all(ids.map(id => supabaseStorage.getContentById(userId, id, { columns: LIBRARY_COLUMNS })));
+    const failed = stored.find(result => !result.success);
+    if (failed) throw new Error(failed.error);
+
+    const missing = ids.filter((id, index) => !stored[index].content);
+    if (missing.length > 0) {
+      return { status: 404, error: 'Content not found', missing };
+    }
+    return { rows: stored.map(result => result.content) };
+  }
+
+  if (tag !== undefined && tag !== null) {
+    if (typeof tag !== 'string' || !tag.trim()) {
+      return { status: 400, error: 'tag must be a tag name (or names, comma-separated)' };
+    }
+
+    const tags = await tagService.findTags(userId, tag.split(','));
+    if (!tags.success) throw new Error(tags.error);
+
+    const { contentIds: entityContentIds } = await withEntityFilter(userId, filters);
+    const stored = await supabaseStorage.getAllContent(userId, {
+      tagIds: [...new Set([...tags.byKey.values()].map(row => row.id))],
+      days: filters.days,
+      type: filters.type,
+      domain: filters.domain,
+      // An entity filter is applied afterwards, so it needs every tagged item
+      limit: entityContentIds ? null : maxItems,
+      columns: LIBRARY_COLUMNS
+    });
+    if (!stored.success) throw new Error(stored.error);
+
+    const rows = entityContentIds
+      ? stored.content.filter(row => entityContentIds.includes(row.id))
+      : stored.content;
+    return { rows: rows.slice(0, maxItems) };
+  }
+
+  if (typeof query !== 'string' || !query.trim()) {
+    return { status: 400, error: 'query must be a search query' };
+  }
+
+  // Search matches may come from passages alone, so the full rows are loaded by id
+  const matches = await findStoredMatches(userId, query, filters);
+  const stored = await Promise.all(matches.slice(0, maxItems)
+    .map(match => supabaseStorage.getContentById(userId, match.id, { columns: LIBRARY_COLUMNS })));
+  return { rows: stored.filter(result => result.success && result.content).map(result => result.content) };
+}
+
+// Timeline of the dated events reported by saved items, oldest first, each citing the items that report it
+// Items: { contentIds } (up to 12), { tag } (a tag name, or names comma-separated) or { query } (the top search
+// results); tag and query take the library filters (days, type, domain, entities), with no days limit by default.
+// format: 'json' (default) or 'markdown'
+app.post('/api/timeline', requireAuth, async (req, res) => {
+  try {
+    const { format = 'json' } = req.body;
+    const { TIMELINE_FORMATS, MAX_TIMELINE_ITEMS, buildTimeline, renderTimelineMarkdown } = require('./timeline');
+    const { resolveContentFilters } = require('./content-processing/content-filters');
+    const { extractTextContent } = require('./content-processing/basic-processor');
+
+    if (!TIMELINE_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of ${TIMELINE_FORMATS.join(', ')}` });
+    }
+
+    const { filters, error: filterError } = resolveContentFilters(req.body);
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
+    if (req.body.days === undefined || req.body.days === null) {
+      filters.days = null;
+    }
+
+    const { rows, status, error, missing } = await loadTimelineRows(req.user.id, req.body, filters, MAX_TIMELINE_ITEMS);
+    if (error) {
+      return res.status(status).json({ error, ...(missing && { missing }) });
+    }
+
+    const { tag, query } = req.body;
+    const timeline = await buildTimeline({
+      items: rows.map(row => {
+        const item = storedContentToItem(row);
+        return {
+          id: item.id,
+          title: item.title,
+          type: item.type,
+          url: item.source_url,
+          timestamp: Number(item.timestamp),
+          text: extractTextContent(item)
+        };
+      }),
+      title: typeof query === 'string' ? query.trim() : typeof tag === 'string' ? tag.trim() : null,
+      userSettings: await getUserSettings(req)
+    });
+
+    if (format === 'markdown') {
+      return res.type('text/markdown').send(renderTimelineMarkdown(timeline));
+    }
+    res.json({ success: true, timeline });
+
+  } catch (error) {
+    if (error instanceof LLMError) {
+      const { status, body } = toErrorResponse(error);
+      return res.status(status).json(body);
+    }
+
+    console.error('Timeline error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // Intent classification endpoint - lightweight, signal-based classification
 app.post('/api/classify-intent', async (req, res) => {
   try {
@@ -1223,59 +2043,27 @@ app.post('/api/classify-intent', async (req, res) => {
     console.log('📊 Signals:', signals);
     
     // Build a minimal prompt for classification
-    const prompt = `Classify the user's intent based on these signals.
-
-User message: "${message}"
-
-Signals:
-- Has conversation history: ${signals.hasHistory}
-- Message length: ${signals.messageLength}
-- Starts with verb: ${signals.startsWithVerb}
-- Contains tab reference: ${signals.containsTabReference}
-- Contains question word: ${signals.containsQuestionWord}
-- Contains save words: ${signals.containsSaveWords}
-- Contains search words: ${signals.containsSearchWords}
-
-Intent types:
-- general: General questions or chat
-- follow_up: Continuing from previous message
-- tab_specific: Asking about a specific browser tab
-- content_search: Looking for something in saved content
-- action_bookmark: User wants to bookmark/save something
-- analysis: Wants analysis or insights
-
-Based on the signals, classify the intent. Return ONLY the intent type and confidence score.
-Format: intent_type|confidence(0-1)
-Example: content_search|0.85
-
-Classification:`;
+    const userSettings = await getUserSettings(req);
+    const prompt = renderPrompt('intent-classifier', { message, ...signals }, { userSettings });
 
     // Use minimal tokens for classification
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': process.env.ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: 'claude-opus-4-1-20250805',
-        max_tokens: 20, // Very small - just need the classification
-        messages: [{ role: 'user', content: prompt }]
-      })
-    });
-
-    if (!response.ok) {
-      console.error('Classification API error');
+    let result;
+    try {
+      const completion = await llm.complete({
+        route: 'classify-intent',
+        userSettings,
+        prompt: prompt.text,
+        maxTokens: 20 // Very small - just need the classification
+      });
+      result = completion.text;
+    } catch (error) {
+      console.error('Classification API error:', error.message);
       return res.json({ 
         intent: 'general',
         confidence: 0.5,
         method: 'fallback'
       });
     }
-
-    const data = await response.json();
-    const result = data.content?.[0]?.text?.trim();
     
     if (result) {
       const [intent, confidence] = result.split('|');
@@ -1283,7 +2071,8 @@ Classification:`;
         success: true,
         intent: intent.trim(),
         confidence: parseFloat(confidence) || 0.8,
-        method: 'ai'
+        method: 'ai',
+        promptVersion: prompt.id
       });
     }
     
@@ -1340,7 +2129,7 @@ app.post('/api/extract-pdf', async (req, res) => {
     // Optionally save to database if userId provided
     if (userId && process.env.SUPABASE_URL) {
       try {
-        const { data: saved } = await supabaseStorage.saveContent(userId, {
+        await supabaseStorage.saveContent(userId, {
           title: result.metadata?.info?.Title || 'PDF Document',
           content: result.text,
           preview: result.preview,
@@ -1374,15 +2163,224 @@ app.post('/api/extract-pdf', async (req, res) => {
   }
 });
 
+// User-facing copy for model errors on the chat endpoint
+const CHAT_ERROR_MESSAGES = {
+  rate_limit: 'I\'m analyzing a lot of your content right now! Give me a moment to catch up, then try again. You can also ask about specific topics to get faster responses.',
+  context_length: 'You have so much great content! Try asking about specific topics or time periods to help me give you the best insights.'
+};
+
+// Messages of a saved thread sent as history with each chat turn
+const CHAT_HISTORY_MESSAGES = 20;
+
+// Output tokens per model call in agent mode (tool calls need room as well as the answer)
+const AGENT_MAX_TOKENS = 1024;
+// Ceiling for a client's maxTokens in /api/chat; larger requests are lowered to it
+const MAX_CHAT_TOKENS = 4096;
+// Characters of the open page's text included in the agent's system prompt
+const AGENT_PAGE_CONTEXT_CHARS = 4000;
+
+// Data access for the research agent's tools, scoped to one user
+function buildResearchToolDeps(userId) {
+  const PDFExtractor = require('./pdf-extractor');
+  const { extractTextContent } = require('./content-processing/basic-processor');
+
+  return {
+    userId,
+    searchLibrary: (query, filters) => findStoredMatches(userId, query, filters),
+    getItem: async (contentId) => {
+      const stored = await supabaseStorage.getContentById(userId, contentId, { columns: LIBRARY_COLUMNS });
+      if (!stored.success || !stored.content) return stored;
+
+      const item = storedContentToItem(stored.content);
+      return {
+        success: true,
+        content: {
+          id: item.id,
+          title: item.title,
+          type: item.type,
+          url: item.source_url,
+          timestamp: item.timestamp,
+          text: extractTextContent(item)
+        }
+      };
+    },
+    listRecent: (filters, limit) => supabaseStorage.getAllContent(userId, {
+      days: filters.days,
+      type: filters.type,
+      domain: filters.domain,
+      limit,
+      columns: 'id, title, preview, type, timestamp, source_url'
+    }),
+    extractPdf: async (url, options) => {
+      if (!PDFExtractor.isPDFURL(url)) {
+        return { success: false, error: 'URL does not appear to be a PDF' };
+      }
+      return new PDFExtractor().extractFromURL(url, options);
+    }
+  };
+}
+
+// The page the user has open, as sent by the extension: { title, url, text } or plain text
+function formatPageContext(pageContext) {
+  if (!pageContext) return '';
+
+  const page = typeof pageContext === 'string' ? { text: pageContext } : pageContext;
+  const text = typeof page.text === 'string' ? page.text.substring(0, AGENT_PAGE_CONTEXT_CHARS) : '';
+
+  return [
+    'The user currently has this page open:',
+    typeof page.title === 'string' && page.title ? `Title: ${page.title}` : null,
+    typeof page.url === 'string' && page.url ? `URL: ${page.url}` : null,
+    text ? `\n${text}` : null
+  ].filter(Boolean).join('\n');
+}
+
+// Agent mode for /api/chat: the model calls research tools, then answers
+// Streams a `tool` event per finished tool call and a `done` event with the answer;
+// without streaming the tool calls come back in the JSON response
+async function answerWithAgent(req, res, { messages, maxTokens, pageContext, limits, saveExchange, conversationId }) {
+  const { runAgent } = require('./agent');
+  const { createResearchTools } = require('./agent/tools');
+
+  const controller = createClientAbortController(res);
+  const stream = wantsEventStream(req) ? openEventStream(res) : null;
+
+  try {
+    const userSettings = await getUserSettings(req);
+    const tools = createResearchTools(buildResearchToolDeps(req.user?.id || null));
+    const systemPrompt = renderPrompt('research-agent', {
+      today: new Date().toISOString().split('T')[0],
+      toolNames: tools.map(tool => tool.name).join(', '),
+      pageContext: formatPageContext(pageContext)
+    }, { userSettings });
+
+    const result = await runAgent({
+      messages,
+      system: systemPrompt.text.trim(),
+      tools,
+      userSettings,
+      maxSteps: limits.maxSteps,
+      tokenBudget: limits.tokenBudget,
+      maxTokens,
+      onToolCall: call => stream?.send('tool', call),
+      signal: controller.signal
+    });
+
+    if (!result.text) {
+      if (stream) {
+        stream.send('error', { error: 'No response generated' });
+        return stream.end();
+      }
+      return res.status(500).json({ error: 'No response generated' });
+    }
+
+    const savedMessages = await saveExchange(result.text, result.contentIds);
+
+    const payload = {
+      success: true,
+      response: result.text,
+      mode: 'agent',
+      toolCalls: result.toolCalls,
+      steps: result.steps,
+      stopReason: result.stopReason,
+      limits,
+      usage: result.usage,
+      citedContentIds: result.contentIds,
+      model: result.model,
+      promptVersion: systemPrompt.id,
+      ...(conversationId && { conversationId, messageIds: savedMessages?.map(message => message.id) || null })
+    };
+
+    if (stream) {
+      stream.send('done', payload);
+      return stream.end();
+    }
+    res.json(payload);
+
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      console.log('🔌 Agent run cancelled by client');
+      return stream?.end();
+    }
+
+    console.error('Agent chat error:', error);
+    if (stream) {
+      stream.send('error', { error: getUserFriendlyMessage(error, CHAT_ERROR_MESSAGES) });
+      return stream.end();
+    }
+    if (error instanceof LLMError) {
+      const { status, body } = toErrorResponse(error, CHAT_ERROR_MESSAGES);
+      return res.status(status).json(body);
+    }
+    res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
 // Chat endpoint
+// With conversationId the history comes from the saved thread and the exchange is appended to it;
+// otherwise the client sends conversationHistory itself.
+// mode: 'agent' lets the model search the library, open saved items and read PDFs before answering
 app.post('/api/chat', async (req, res) => {
   try {
-    const { prompt, conversationHistory = [], maxTokens = 300 } = req.body;
+    const { prompt, conversationId, citedContentIds, mode = 'chat', pageContext } = req.body;
+    let { conversationHistory = [] } = req.body;
 
     if (!prompt) {
       return res.status(400).json({ error: 'Prompt is required' });
     }
 
+    if (req.body.maxTokens !== undefined && (!Number.isInteger(req.body.maxTokens) || req.body.maxTokens < 1)) {
+      return res.status(400).json({ error: 'maxTokens must be a positive integer' });
+    }
+    const maxTokens = Math.min(req.body.maxTokens || (mode === 'agent' ? AGENT_MAX_TOKENS : 300), MAX_CHAT_TOKENS);
+
+    if (mode !== 'chat' && mode !== 'agent') {
+      return res.status(400).json({ error: 'mode must be "chat" or "agent"' });
+    }
+
+    // The agent's tools read the library and fetch URLs for the server, so it needs an account
+    if (mode === 'agent' && !req.user) {
+      return res.status(401).json({ error: 'Sign in to use agent mode' });
+    }
+
+    if (conversationId) {
+      if (!req.user) {
+        return res.status(401).json({ error: 'Sign in to use saved conversations' });
+      }
+
+      const thread = await conversationService.getConversation(req.user.id, conversationId, {
+        messageLimit: CHAT_HISTORY_MESSAGES
+      });
+      if (!thread.success) {
+        return res.status(500).json({ error: 'Failed to load conversation' });
+      }
+      if (!thread.conversation) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+
+      conversationHistory = thread.messages;
+    }
+
+    // Store the exchange on the thread; the answer is linked to the content it cited
+    // (the client's citedContentIds plus, in agent mode, the items its tools returned)
+    const saveExchange = async (aiResponse, toolContentIds = []) => {
+      if (!conversationId) return null;
+
+      const cited = [...new Set([...(Array.isArray(citedContentIds) ? citedContentIds : []), ...toolContentIds])];
+      const saved = await conversationService.appendMessages(req.user.id, conversationId, [
+        { role: 'user', content: prompt },
+        { role: 'assistant', content: aiResponse, citedContentIds: cited }
+      ]);
+      if (!saved.success) {
+        console.error('❌ Failed to save chat exchange:', saved.error);
+        return null;
+      }
+      return saved.messages;
+    };
+
     // Build messages array with conversation history
     const messages = [];
     
@@ -1399,66 +2397,57 @@ app.post('/api/chat', async (req, res) => {
     // Add current prompt
     messages.push({ role: 'user', content: prompt });
 
-    // Call Anthropic API
-    console.log('🔑 API Key exists:', !!process.env.ANTHROPIC_API_KEY);
-    console.log('🔑 API Key preview:', process.env.ANTHROPIC_API_KEY ? process.env.ANTHROPIC_API_KEY.substring(0, 20) + '...' : 'NOT SET');
-    
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': process.env.ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: 'claude-opus-4-1-20250805',
-        max_tokens: maxTokens,
-        messages: messages
-      })
-    });
+    if (mode === 'agent') {
+      const { resolveAgentLimits } = require('./agent');
+      return answerWithAgent(req, res, {
+        messages,
+        maxTokens,
+        pageContext,
+        limits: resolveAgentLimits(req.body),
+        saveExchange,
+        conversationId
+      });
+    }
 
-    if (!response.ok) {
-      const error = await response.text();
-      console.error('Anthropic API error:', error);
-      
-      // Parse error for rate limit issues
-      let userFriendlyMessage = 'Something went wrong. Please try again.';
-      try {
-        const errorData = JSON.parse(error);
-        if (errorData.error?.type === 'rate_limit_error') {
-          userFriendlyMessage = 'I\'m analyzing a lot of your content right now! Give me a moment to catch up, then try again. You can also ask about specific topics to get faster responses.';
-        } else if (errorData.error?.message) {
-          // Extract key information without technical details
-          if (errorData.error.message.includes('token')) {
-            userFriendlyMessage = 'You have so much great content! Try asking about specific topics or time periods to help me give you the best insights.';
-          } else {
-            userFriendlyMessage = 'I\'m having a moment. Please try again - I\'m ready to help!';
-          }
-        }
-      } catch (e) {
-        // If error parsing fails, use generic message]
-        console.log("Error in chat api endpoint", e)
-      }
-      
-      return res.status(response.status).json({ 
-        error: userFriendlyMessage,
-        details: process.env.NODE_ENV === 'development' ? error : undefined
+    if (wantsEventStream(req)) {
+      return streamAIResponse(req, res, {
+        route: 'chat',
+        messages,
+        maxTokens,
+        buildDonePayload: aiResponse => ({ success: true, response: aiResponse, ...(conversationId && { conversationId }) }),
+        onDone: saveExchange,
+        errorMessages: CHAT_ERROR_MESSAGES
       });
     }
 
-    const data = await response.json();
-    const aiResponse = data.content?.[0]?.text?.trim();
+    const result = await llm.complete({
+      route: 'chat',
+      userSettings: await getUserSettings(req),
+      messages,
+      maxTokens
+    });
+    console.log(`🤖 Chat answered by ${result.provider}:${result.model}`);
+
+    const aiResponse = result.text;
 
     if (!aiResponse) {
       return res.status(500).json({ error: 'No response generated' });
     }
 
+    const savedMessages = await saveExchange(aiResponse);
+
     res.json({ 
       success: true, 
-      response: aiResponse
+      response: aiResponse,
+      ...(conversationId && { conversationId, messageIds: savedMessages?.map(message => message.id) || null })
     });
 
   } catch (error) {
+    if (error instanceof LLMError) {
+      const { status, body } = toErrorResponse(error, CHAT_ERROR_MESSAGES);
+      return res.status(status).json(body);
+    }
+
     console.error('Chat error:', error);
     res.status(500).json({ 
       error: 'Internal server error',
@@ -1551,6 +2540,12 @@ app.listen(PORT, async () => {
     const connectionTest = await supabaseStorage.testConnection();
     if (connectionTest.success) {
       console.log('✅ Supabase connection successful');
+
+      // Pick up embedding jobs interrupted by a restart or crash
+      embeddingJobs.startResumeLoop();
+
+      // Generate weekly digests as they fall due
+      digestScheduler.start();
     } else {
       console.log('❌ Supabase connection failed:', connectionTest.error);
     }
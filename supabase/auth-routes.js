@@ -10,6 +10,11 @@ const migrationService = new MigrationService();
 // Middleware to verify authentication
 const requireAuth = async (req, res, next) => {
   try {
+    // Already verified by optionalAuth earlier in the chain
+    if (req.user && req.accessToken) {
+      return next();
+    }
+
     console.log('🚨 DEBUG: requireAuth middleware called');
     console.log('🚨 DEBUG: Request path:', req.path);
     console.log('🚨 DEBUG: Request method:', req.method);
@@ -44,6 +49,30 @@ const requireAuth = async (req, res, next) => {
   }
 };
 
+// Middleware that attaches the user when a valid token is sent, but never rejects
+// AI routes use it to pick up per-user settings while still serving anonymous clients
+const optionalAuth = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+
+  if (req.user || !authHeader || !authHeader.startsWith('Bearer ')) {
+    return next();
+  }
+
+  try {
+    const accessToken = authHeader.substring(7);
+    const authResult = await authService.verifySession(accessToken);
+
+    if (authResult.success) {
+      req.user = authResult.user;
+      req.accessToken = accessToken;
+    }
+  } catch (error) {
+    console.error('optionalAuth middleware error:', error.message);
+  }
+
+  next();
+};
+
 // Register new user
 router.post('/register', async (req, res) => {
   try {
@@ -462,4 +491,4 @@ router.post('/convert-anonymous', requireAuth, async (req, res) => {
   }
 });
 
-module.exports = { router, requireAuth };
\ No newline at end of file
+module.exports = { router, requireAuth, optionalAuth };
\ No newline at end of file
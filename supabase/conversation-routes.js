@@ -0,0 +1,194 @@
+// Conversation thread routes for Otto Research Assistant
+const express = require('express');
+const ConversationService = require('./conversation-service');
+const { requireAuth } = require('./auth-routes');
+
+const router = express.Router();
+const conversationService = new ConversationService();
+
+const MESSAGE_ROLES = ['user', 'assistant'];
+const MAX_LIST_LIMIT = 100;
+const MAX_MESSAGES_PER_REQUEST = 50;
+
+// All routes require authentication
+router.use(requireAuth);
+
+/**
+ * Check and normalize messages to append
+ * @returns {Object} { messages, error }
+ */
+const validateMessages = (messages) => {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return { messages: [], error: 'messages must be a non-empty array' };
+  }
+  if (messages.length > MAX_MESSAGES_PER_REQUEST) {
+    return { messages: [], error: `At most ${MAX_MESSAGES_PER_REQUEST} messages per request` };
+  }
+
+  for (const message of messages) {
+    if (!MESSAGE_ROLES.includes(message?.role)) {
+      return { messages: [], error: `message role must be one of ${MESSAGE_ROLES.join(', ')}` };
+    }
+    if (typeof message.content !== 'string' || !message.content.trim()) {
+      return { messages: [], error: 'message content is required' };
+    }
+    if (message.citedContentIds !== undefined && !Array.isArray(message.citedContentIds)) {
+      return { messages: [], error: 'citedContentIds must be an array of content ids' };
+    }
+  }
+
+  return {
+    messages: messages.map(message => ({
+      role: message.role,
+      content: message.content,
+      citedContentIds: [...new Set(message.citedContentIds || [])]
+    })),
+    error: null
+  };
+};
+
+// List threads, most recently active first
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_LIST_LIMIT);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const result = await conversationService.listConversations(req.user.id, { limit, offset });
+
+    if (result.success) {
+      res.json({ success: true, conversations: result.conversations });
+    } else {
+      res.status(500).json({ error: result.error });
+    }
+  } catch (error) {
+    console.error('List conversations error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a thread, optionally with a title and first messages
+router.post('/', async (req, res) => {
+  try {
+    const { title, messages } = req.body;
+
+    if (title !== undefined && title !== null && typeof title !== 'string') {
+      return res.status(400).json({ error: 'title must be a string' });
+    }
+
+    let validMessages = [];
+    if (messages !== undefined) {
+      const validation = validateMessages(messages);
+      if (validation.error) {
+        return res.status(400).json({ error: validation.error });
+      }
+      validMessages = validation.messages;
+    }
+
+    const result = await conversationService.createConversation(req.user.id, {
+      title: title?.trim() || null,
+      messages: validMessages
+    });
+
+    if (result.success) {
+      res.status(201).json({ success: true, conversation: result.conversation, messages: result.messages });
+    } else {
+      res.status(500).json({ error: result.error });
+    }
+  } catch (error) {
+    console.error('Create conversation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// A thread with its messages and cited content
+router.get('/:id', async (req, res) => {
+  try {
+    const result = await conversationService.getConversation(req.user.id, req.params.id);
+
+    if (!result.success) {
+      return res.status(500).json({ error: result.error });
+    }
+    if (!result.conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    res.json({
+      success: true,
+      conversation: result.conversation,
+      messages: result.messages,
+      citedContent: result.citedContent
+    });
+  } catch (error) {
+    console.error('Get conversation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rename a thread
+router.patch('/:id', async (req, res) => {
+  try {
+    const title = typeof req.body.title === 'string' ? req.body.title.trim() : '';
+
+    if (!title) {
+      return res.status(400).json({ error: 'title is required' });
+    }
+
+    const result = await conversationService.renameConversation(req.user.id, req.params.id, title);
+
+    if (!result.success) {
+      return res.status(500).json({ error: result.error });
+    }
+    if (!result.conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    res.json({ success: true, conversation: result.conversation });
+  } catch (error) {
+    console.error('Rename conversation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a thread and its messages
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await conversationService.deleteConversation(req.user.id, req.params.id);
+
+    if (!result.success) {
+      return res.status(500).json({ error: result.error });
+    }
+    if (!result.deleted) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    res.json({ success: true, message: 'Conversation deleted' });
+  } catch (error) {
+    console.error('Delete conversation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Append messages: { messages: [{ role, content, citedContentIds }] } or a single { role, content, citedContentIds }
+router.post('/:id/messages', async (req, res) => {
+  try {
+    const validation = validateMessages(req.body.messages || [req.body]);
+    if (validation.error) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    const result = await conversationService.appendMessages(req.user.id, req.params.id, validation.messages);
+
+    if (!result.success) {
+      return res.status(500).json({ error: result.error });
+    }
+    if (!result.conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    res.status(201).json({ success: true, conversation: result.conversation, messages: result.messages });
+  } catch (error) {
+    console.error('Append conversation messages error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = { router, conversationService };
@@ -0,0 +1,279 @@
+// Conversation threads: per-user chat history and the saved content each answer cited
+const SupabaseClient = require('./supabase-client');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_TITLE_LENGTH = 200;
+const AUTO_TITLE_LENGTH = 80;
+
+const isUuid = (value) => typeof value === 'string' && UUID_PATTERN.test(value);
+
+// Title from the first user message: first line, cut at a word boundary
+const titleFromMessage = (content) => {
+  const firstLine = content.trim().split('\n')[0];
+  if (firstLine.length <= AUTO_TITLE_LENGTH) return firstLine;
+  return `${firstLine.substring(0, AUTO_TITLE_LENGTH).replace(/\s+\S*$/, '')}…`;
+};
+
+const toConversation = (row) => ({
+  id: row.id,
+  title: row.title,
+  messageCount: row.message_count || 0,
+  lastMessageAt: row.last_message_at || null,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const toMessage = (row, citations = []) => ({
+  id: row.id,
+  role: row.role,
+  content: row.content,
+  citedContentIds: citations,
+  createdAt: row.created_at
+});
+
+class ConversationService {
+  constructor() {
+    this.supabase = new SupabaseClient();
+  }
+
+  // Create a thread, optionally with its first messages; the thread is removed again if they can't be saved
+  async createConversation(userId, { title = null, messages } = {}) {
+    try {
+      const { data, error } = await this.supabase.adminClient
+        .from('conversations')
+        .insert({
+          user_id: userId,
+          title: title ? title.substring(0, MAX_TITLE_LENGTH) : null
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      if (messages?.length) {
+        const appended = await this.appendMessages(userId, data.id, messages);
+        if (!appended.success) {
+          // Don't leave an empty thread behind for a request that failed
+          // (messages are removed with it by ON DELETE CASCADE)
+          const removed = await this.deleteConversation(userId, data.id);
+          if (!removed.success) console.error('Error removing conversation after a failed append:', removed.error);
+          throw new Error(appended.error);
+        }
+        return { success: true, conversation: appended.conversation, messages: appended.messages };
+      }
+
+      return { success: true, conversation: toConversation(data), messages: [] };
+    } catch (error) {
+      console.error('Error creating conversation:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // A user's threads, most recently active first
+  async listConversations(userId, { limit = 50, offset = 0 } = {}) {
+    try {
+      const { data, error } = await this.supabase.adminClient
+        .from('conversations')
+        .select('*')
+        .eq('user_id', userId)
+        .order('updated_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) throw error;
+
+      return { success: true, conversations: (data || []).map(toConversation) };
+    } catch (error) {
+      console.error('Error listing conversations:', error);
+      return { success: false, error: error.message, conversations: [] };
+    }
+  }
+
+  // Raw conversation row, null if it doesn't exist or belongs to someone else
+  async findConversation(userId, conversationId) {
+    if (!isUuid(conversationId)) return null;
+
+    const { data, error } = await this.supabase.adminClient
+      .from('conversations')
+      .select('*')
+      .eq('id', conversationId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * A thread with its messages (oldest first) and the content it cited
+   * @param {Object} options - messageLimit: only the most recent N messages
+   * @returns {Promise<Object>} { success, conversation (null if not found), messages, citedContent }
+   */
+  async getConversation(userId, conversationId, { messageLimit } = {}) {
+    try {
+      const row = await this.findConversation(userId, conversationId);
+      if (!row) return { success: true, conversation: null, messages: [], citedContent: [] };
+
+      let query = this.supabase.adminClient
+        .from('conversation_messages')
+        .select('id, role, content, created_at, sequence')
+        .eq('conversation_id', conversationId)
+        .order('sequence', { ascending: false });
+
+      if (messageLimit) {
+        query = query.limit(messageLimit);
+      }
+
+      const { data: messageRows, error: messageError } = await query;
+      if (messageError) throw messageError;
+
+      const { data: citationRows, error: citationError } = await this.supabase.adminClient
+        .from('conversation_citations')
+        .select('message_id, content_id, content:user_content(id, title, type, source_url)')
+        .eq('conversation_id', conversationId);
+      if (citationError) throw citationError;
+
+      const citationsByMessage = new Map();
+      const citedContent = new Map();
+      for (const citation of citationRows || []) {
+        citationsByMessage.set(citation.message_id, [...(citationsByMessage.get(citation.message_id) || []), citation.content_id]);
+        if (!citedContent.has(citation.content_id)) {
+          citedContent.set(citation.content_id, {
+            id: citation.content_id,
+            title: citation.content?.title || null,
+            type: citation.content?.type || null,
+            url: citation.content?.source_url || null
+          });
+        }
+      }
+
+      return {
+        success: true,
+        conversation: toConversation(row),
+        messages: (messageRows || [])
+          .reverse()
+          .map(message => toMessage(message, citationsByMessage.get(message.id))),
+        citedContent: [...citedContent.values()]
+      };
+    } catch (error) {
+      console.error('Error getting conversation:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async renameConversation(userId, conversationId, title) {
+    try {
+      if (!isUuid(conversationId)) return { success: true, conversation: null };
+
+      const { data, error } = await this.supabase.adminClient
+        .from('conversations')
+        .update({ title: title.substring(0, MAX_TITLE_LENGTH) })
+        .eq('id', conversationId)
+        .eq('user_id', userId)
+        .select();
+
+      if (error) throw error;
+
+      return { success: true, conversation: data?.[0] ? toConversation(data[0]) : null };
+    } catch (error) {
+      console.error('Error renaming conversation:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Messages and citations go with it (ON DELETE CASCADE)
+  async deleteConversation(userId, conversationId) {
+    try {
+      if (!isUuid(conversationId)) return { success: true, deleted: false };
+
+      const { data, error } = await this.supabase.adminClient
+        .from('conversations')
+        .delete()
+        .eq('id', conversationId)
+        .eq('user_id', userId)
+        .select('id');
+
+      if (error) throw error;
+
+      return { success: true, deleted: (data || []).length > 0 };
+    } catch (error) {
+      console.error('Error deleting conversation:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Append messages to a thread, linking each to the saved content it cited
+   * Cited ids that are not the user's content are dropped.
+   * @param {Array<Object>} messages - [{ role, content, citedContentIds }], validated by the caller
+   * @returns {Promise<Object>} { success, conversation (null if not found), messages }
+   */
+  async appendMessages(userId, conversationId, messages) {
+    try {
+      const row = await this.findConversation(userId, conversationId);
+      if (!row) return { success: true, conversation: null, messages: [] };
+
+      const citedIds = [...new Set(messages.flatMap(message => message.citedContentIds || []))].filter(isUuid);
+      let ownedIds = new Set();
+      if (citedIds.length > 0) {
+        const { data: owned, error: ownedError } = await this.supabase.adminClient
+          .from('user_content')
+          .select('id')
+          .eq('user_id', userId)
+          .in('id', citedIds);
+        if (ownedError) throw ownedError;
+        ownedIds = new Set((owned || []).map(content => content.id));
+      }
+
+      const { data: inserted, error: insertError } = await this.supabase.adminClient
+        .from('conversation_messages')
+        .insert(messages.map(message => ({
+          conversation_id: conversationId,
+          user_id: userId,
+          role: message.role,
+          content: message.content
+        })))
+        .select('id, role, content, created_at');
+      if (insertError) throw insertError;
+
+      // Rows come back in insert order
+      const citations = inserted.flatMap((message, index) => (messages[index].citedContentIds || [])
+        .filter(contentId => ownedIds.has(contentId))
+        .map(contentId => ({
+          message_id: message.id,
+          conversation_id: conversationId,
+          content_id: contentId,
+          user_id: userId
+        })));
+
+      if (citations.length > 0) {
+        const { error: citationError } = await this.supabase.adminClient
+          .from('conversation_citations')
+          .insert(citations);
+        if (citationError) throw citationError;
+      }
+
+      const firstUserMessage = messages.find(message => message.role === 'user');
+      const { data: updated, error: updateError } = await this.supabase.adminClient
+        .rpc('record_conversation_messages', {
+          conversation_id: conversationId,
+          user_id: userId,
+          added_count: inserted.length,
+          first_title: firstUserMessage ? titleFromMessage(firstUserMessage.content) : null
+        });
+      if (updateError) throw updateError;
+
+      return {
+        success: true,
+        conversation: toConversation(updated?.[0] || row),
+        messages: inserted.map(message => toMessage(message, citations
+          .filter(citation => citation.message_id === message.id)
+          .map(citation => citation.content_id)))
+      };
+    } catch (error) {
+      console.error('Error appending conversation messages:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = ConversationService;
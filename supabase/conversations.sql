@@ -0,0 +1,70 @@
+-- Conversation threads for Otto Research Assistant (/api/conversations, /api/chat conversationId)
+-- Safe to run on an existing database; schema.sql already creates the tables for new ones
+
+CREATE TABLE IF NOT EXISTS conversations (
+  id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
+  user_id uuid REFERENCES users(id) ON DELETE CASCADE,
+  title text,
+  message_count int NOT NULL DEFAULT 0,
+  last_message_at timestamp with time zone,
+  created_at timestamp with time zone DEFAULT NOW(),
+  updated_at timestamp with time zone DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS conversation_messages (
+  id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
+  conversation_id uuid REFERENCES conversations(id) ON DELETE CASCADE,
+  user_id uuid REFERENCES users(id) ON DELETE CASCADE,
+  sequence bigint GENERATED ALWAYS AS IDENTITY,
+  role varchar(20) NOT NULL,
+  content text NOT NULL,
+  created_at timestamp with time zone DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS conversation_citations (
+  message_id uuid REFERENCES conversation_messages(id) ON DELETE CASCADE,
+  conversation_id uuid REFERENCES conversations(id) ON DELETE CASCADE,
+  content_id uuid REFERENCES user_content(id) ON DELETE CASCADE,
+  user_id uuid REFERENCES users(id) ON DELETE CASCADE,
+  created_at timestamp with time zone DEFAULT NOW(),
+  PRIMARY KEY (message_id, content_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversations_user_updated ON conversations(user_id, updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_conversation_messages_conversation ON conversation_messages(conversation_id, sequence);
+CREATE INDEX IF NOT EXISTS idx_conversation_citations_conversation ON conversation_citations(conversation_id);
+CREATE INDEX IF NOT EXISTS idx_conversation_citations_content ON conversation_citations(content_id);
+
+ALTER TABLE conversations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE conversation_messages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE conversation_citations ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own conversations" ON conversations;
+CREATE POLICY "Users can view own conversations" ON conversations FOR SELECT USING (auth.uid() = user_id);
+DROP POLICY IF EXISTS "Users can view own conversation messages" ON conversation_messages;
+CREATE POLICY "Users can view own conversation messages" ON conversation_messages FOR SELECT USING (auth.uid() = user_id);
+DROP POLICY IF EXISTS "Users can view own conversation citations" ON conversation_citations;
+CREATE POLICY "Users can view own conversation citations" ON conversation_citations FOR SELECT USING (auth.uid() = user_id);
+
+DROP TRIGGER IF EXISTS update_conversations_updated_at ON conversations;
+CREATE TRIGGER update_conversations_updated_at BEFORE UPDATE ON conversations FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Count newly appended messages in one statement, so concurrent appends don't lose updates
+-- The title is only set when the thread has none yet
+CREATE OR REPLACE FUNCTION record_conversation_messages(
+  conversation_id uuid,
+  user_id uuid,
+  added_count int,
+  first_title text DEFAULT NULL
+)
+RETURNS SETOF conversations
+LANGUAGE sql
+AS $$
+  UPDATE conversations c
+  SET message_count = c.message_count + added_count,
+      last_message_at = NOW(),
+      title = COALESCE(c.title, first_title)
+  WHERE c.id = record_conversation_messages.conversation_id
+    AND c.user_id = record_conversation_messages.user_id
+  RETURNING c.*;
+$$;
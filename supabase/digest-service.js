@@ -0,0 +1,124 @@
+// Persistence for scheduled reading digests (see digest/)
+const SupabaseClient = require('./supabase-client');
+
+// Listing leaves out the rendered bodies
+const SUMMARY_COLUMNS = 'id, status, format, scheduled_for, range_from, range_to, error, created_at, updated_at';
+
+const toDigestSummary = (row) => ({
+  id: row.id,
+  status: row.status,
+  format: row.format,
+  scheduledFor: row.scheduled_for,
+  range: { from: row.range_from, to: row.range_to },
+  itemCount: row.item_count ?? row.digest?.itemCount ?? null,
+  error: row.error || null,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+class DigestService {
+  constructor() {
+    this.supabase = new SupabaseClient();
+  }
+
+  // Users with a digest schedule turned on, with their settings
+  async getScheduledUsers() {
+    try {
+      const { data, error } = await this.supabase.adminClient
+        .from('user_settings')
+        .select('user_id, settings')
+        .eq('settings->digest->>enabled', 'true');
+
+      if (error) throw error;
+
+      return { success: true, users: (data || []).map(row => ({ userId: row.user_id, settings: row.settings || {} })) };
+    } catch (error) {
+      console.error('Error listing scheduled digests:', error);
+      return { success: false, error: error.message, users: [] };
+    }
+  }
+
+  // Create the row for a scheduled run; digest is null when that run already has one
+  // (generated earlier, or by another process)
+  async claimScheduledDigest(userId, scheduledFor, range) {
+    try {
+      const { data, error } = await this.supabase.adminClient
+        .from('digests')
+        .upsert({
+          user_id: userId,
+          scheduled_for: scheduledFor,
+          range_from: new Date(range.from).toISOString(),
+          range_to: new Date(range.to).toISOString(),
+          status: 'generating'
+        }, { onConflict: 'user_id,scheduled_for', ignoreDuplicates: true })
+        .select('id');
+
+      if (error) throw error;
+
+      return { success: true, digest: data?.[0] || null };
+    } catch (error) {
+      console.error('Error claiming scheduled digest:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Store the result (or failure) of a run
+  async saveDigest(digestId, fields) {
+    try {
+      const { error } = await this.supabase.adminClient
+        .from('digests')
+        .update(fields)
+        .eq('id', digestId);
+
+      if (error) throw error;
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error saving digest:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // A user's scheduled digests, newest first
+  async listDigests(userId, { limit = 20 } = {}) {
+    try {
+      const { data, error } = await this.supabase.adminClient
+        .from('digests')
+        .select(`${SUMMARY_COLUMNS}, item_count:digest->itemCount`)
+        .eq('user_id', userId)
+        .order('scheduled_for', { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+
+      return { success: true, digests: (data || []).map(toDigestSummary) };
+    } catch (error) {
+      console.error('Error listing digests:', error);
+      return { success: false, error: error.message, digests: [] };
+    }
+  }
+
+  // One digest with its rendered bodies (null if it doesn't exist or belongs to someone else)
+  async getDigest(userId, digestId) {
+    try {
+      const { data, error } = await this.supabase.adminClient
+        .from('digests')
+        .select('*')
+        .eq('id', digestId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (error) throw error;
+
+      return {
+        success: true,
+        digest: data ? { ...toDigestSummary(data), digest: data.digest, markdown: data.markdown, html: data.html } : null
+      };
+    } catch (error) {
+      console.error('Error getting digest:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = DigestService;
@@ -0,0 +1,30 @@
+-- Scheduled reading digests for Otto Research Assistant (settings.digest, see digest/)
+-- Safe to run on an existing database; schema.sql already creates the table for new ones
+
+CREATE TABLE IF NOT EXISTS digests (
+  id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
+  user_id uuid REFERENCES users(id) ON DELETE CASCADE,
+  scheduled_for timestamp with time zone NOT NULL,
+  range_from timestamp with time zone NOT NULL,
+  range_to timestamp with time zone NOT NULL,
+  status varchar(20) NOT NULL DEFAULT 'generating',
+  format varchar(20),
+  digest jsonb,
+  markdown text,
+  html text,
+  error text,
+  created_at timestamp with time zone DEFAULT NOW(),
+  updated_at timestamp with time zone DEFAULT NOW(),
+  UNIQUE (user_id, scheduled_for)
+);
+
+CREATE INDEX IF NOT EXISTS idx_digests_user_scheduled ON digests(user_id, scheduled_for DESC);
+CREATE INDEX IF NOT EXISTS idx_user_settings_digest_enabled ON user_settings((settings->'digest'->>'enabled'));
+
+ALTER TABLE digests ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own digests" ON digests;
+CREATE POLICY "Users can view own digests" ON digests FOR SELECT USING (auth.uid() = user_id);
+
+DROP TRIGGER IF EXISTS update_digests_updated_at ON digests;
+CREATE TRIGGER update_digests_updated_at BEFORE UPDATE ON digests FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,102 @@
+-- Near-duplicate detection and merging for saved content (see content-processing/duplicate-detector.js)
+-- Safe to run on an existing database; schema.sql already has the columns for new ones
+
+-- Normalized URL and canonical link of each item (plus those of items merged into it),
+-- and a 64-bit simhash of its text as 16 hex characters. url_keys is NULL until computed.
+ALTER TABLE user_content ADD COLUMN IF NOT EXISTS url_keys TEXT[];
+ALTER TABLE user_content ADD COLUMN IF NOT EXISTS content_fingerprint VARCHAR(16);
+-- Set on a duplicate when it is merged into another item (the duplicate is then deleted)
+ALTER TABLE user_content ADD COLUMN IF NOT EXISTS merged_into UUID REFERENCES user_content(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_user_content_url_keys ON user_content USING GIN(url_keys);
+
+-- Items (of filter_type, if set) that may be the same article: a shared URL key, a fingerprint within
+-- max_fingerprint_distance bits, or an embedding at least similarity_threshold similar.
+-- The caller scores them; similarity is NULL when either side has no embedding.
+-- bit_count needs Postgres 14 or later.
+CREATE OR REPLACE FUNCTION find_duplicate_candidates(
+  user_id uuid,
+  exclude_id uuid DEFAULT NULL,
+  match_url_keys text[] DEFAULT NULL,
+  match_fingerprint text DEFAULT NULL,
+  max_fingerprint_distance int DEFAULT 10,
+  query_embedding vector(1536) DEFAULT NULL,
+  similarity_threshold float DEFAULT 0.9,
+  match_count int DEFAULT 20,
+  filter_type text DEFAULT NULL
+)
+RETURNS TABLE (
+  id uuid,
+  title text,
+  type varchar(50),
+  timestamp bigint,
+  source_url text,
+  url_keys text[],
+  content_fingerprint varchar(16),
+  similarity float
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    uc.id,
+    uc.title,
+    uc.type,
+    uc.timestamp,
+    uc.source_url,
+    uc.url_keys,
+    uc.content_fingerprint,
+    CASE
+      WHEN query_embedding IS NULL OR uc.embedding IS NULL THEN NULL
+      ELSE (1 - (uc.embedding <=> query_embedding))
+    END as similarity
+  FROM user_content uc
+  WHERE
+    uc.user_id = find_duplicate_candidates.user_id
+    AND uc.status != 'deleted'
+    AND (exclude_id IS NULL OR uc.id != exclude_id)
+    AND (filter_type IS NULL OR uc.type = filter_type)
+    AND (
+      (match_url_keys IS NOT NULL AND uc.url_keys && match_url_keys)
+      OR (
+        match_fingerprint IS NOT NULL
+        AND uc.content_fingerprint IS NOT NULL
+        AND bit_count(('x' || uc.content_fingerprint)::bit(64) # ('x' || match_fingerprint)::bit(64)) <= max_fingerprint_distance
+      )
+      OR (
+        query_embedding IS NOT NULL
+        AND uc.embedding IS NOT NULL
+        AND (1 - (uc.embedding <=> query_embedding)) >= similarity_threshold
+      )
+    )
+  ORDER BY (match_url_keys IS NOT NULL AND uc.url_keys && match_url_keys) DESC, uc.embedding <=> query_embedding NULLS LAST
+  LIMIT match_count;
+END;
+$$;
+
+-- Retire a duplicate after its fields were merged into primary_id: citations move to
+-- the kept item and the duplicate is deleted, pointing at the item it was merged into
+CREATE OR REPLACE FUNCTION mark_content_merged(
+  user_id uuid,
+  duplicate_id uuid,
+  primary_id uuid
+)
+RETURNS void
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  INSERT INTO conversation_citations (message_id, conversation_id, content_id, user_id, created_at)
+  SELECT cc.message_id, cc.conversation_id, primary_id, cc.user_id, cc.created_at
+  FROM conversation_citations cc
+  WHERE cc.content_id = duplicate_id AND cc.user_id = mark_content_merged.user_id
+  ON CONFLICT (message_id, content_id) DO NOTHING;
+
+  DELETE FROM conversation_citations cc
+  WHERE cc.content_id = duplicate_id AND cc.user_id = mark_content_merged.user_id;
+
+  UPDATE user_content uc
+  SET status = 'deleted', merged_into = primary_id
+  WHERE uc.id = duplicate_id AND uc.user_id = mark_content_merged.user_id;
+END;
+$$;
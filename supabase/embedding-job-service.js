@@ -0,0 +1,148 @@
+// Persistence for background embedding jobs (see embedding-jobs/)
+// Jobs live in the database so their progress survives restarts and can be resumed
+const SupabaseClient = require('./supabase-client');
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+class EmbeddingJobService {
+  constructor() {
+    this.supabase = new SupabaseClient();
+  }
+
+  // Create a queued job for a user
+  async createJob(userId, options = {}) {
+    try {
+      const { data, error } = await this.supabase.adminClient
+        .from('embedding_jobs')
+        .insert({
+          user_id: userId,
+          status: 'queued',
+          options
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return { success: true, job: data };
+    } catch (error) {
+      console.error('Error creating embedding job:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Get one of a user's jobs (null if it doesn't exist or belongs to someone else)
+  async getJob(userId, jobId) {
+    try {
+      const { data, error } = await this.supabase.adminClient
+        .from('embedding_jobs')
+        .select('*')
+        .eq('id', jobId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (error) throw error;
+
+      return { success: true, job: data || null };
+    } catch (error) {
+      console.error('Error getting embedding job:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // The user's queued or running job, if any
+  async getActiveJob(userId) {
+    try {
+      const { data, error } = await this.supabase.adminClient
+        .from('embedding_jobs')
+        .select('*')
+        .eq('user_id', userId)
+        .in('status', ACTIVE_STATUSES)
+        .order('created_at', { ascending: false })
+        .limit(1);
+
+      if (error) throw error;
+
+      return { success: true, job: data?.[0] || null };
+    } catch (error) {
+      console.error('Error getting active embedding job:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // The user's most recent job in any status, if any
+  async getLatestJob(userId) {
+    try {
+      const { data, error } = await this.supabase.adminClient
+        .from('embedding_jobs')
+        .select('*')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .limit(1);
+
+      if (error) throw error;
+
+      return { success: true, job: data?.[0] || null };
+    } catch (error) {
+      console.error('Error getting latest embedding job:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // All queued or running jobs, oldest first (for resuming after a restart)
+  async getActiveJobs() {
+    try {
+      const { data, error } = await this.supabase.adminClient
+        .from('embedding_jobs')
+        .select('*')
+        .in('status', ACTIVE_STATUSES)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      return { success: true, jobs: data || [] };
+    } catch (error) {
+      console.error('Error listing active embedding jobs:', error);
+      return { success: false, error: error.message, jobs: [] };
+    }
+  }
+
+  // Take over an abandoned job: only succeeds if its heartbeat is still the one we saw,
+  // so two processes resuming at once can't both run it
+  async claimJob(jobId, seenHeartbeat) {
+    try {
+      const { data, error } = await this.supabase.adminClient
+        .from('embedding_jobs')
+        .update({ heartbeat_at: new Date().toISOString() })
+        .eq('id', jobId)
+        .eq('heartbeat_at', seenHeartbeat)
+        .select('id');
+
+      if (error) throw error;
+
+      return { success: true, claimed: (data || []).length > 0 };
+    } catch (error) {
+      console.error('Error claiming embedding job:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Write progress or a status change
+  async updateJob(jobId, fields) {
+    try {
+      const { error } = await this.supabase.adminClient
+        .from('embedding_jobs')
+        .update(fields)
+        .eq('id', jobId);
+
+      if (error) throw error;
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error updating embedding job:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = EmbeddingJobService;
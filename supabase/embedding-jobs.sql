@@ -0,0 +1,33 @@
+-- Background embedding jobs for Otto Research Assistant (/api/generate-embeddings)
+-- Safe to run on an existing database; schema.sql already creates the table for new ones
+
+CREATE TABLE IF NOT EXISTS embedding_jobs (
+  id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
+  user_id uuid REFERENCES users(id) ON DELETE CASCADE,
+  status varchar(20) NOT NULL DEFAULT 'queued',
+  options jsonb NOT NULL DEFAULT '{}',
+  total int NOT NULL DEFAULT 0,
+  processed int NOT NULL DEFAULT 0,
+  embedded int NOT NULL DEFAULT 0,
+  up_to_date int NOT NULL DEFAULT 0,
+  failed int NOT NULL DEFAULT 0,
+  failures jsonb NOT NULL DEFAULT '[]',
+  error text,
+  attempts int NOT NULL DEFAULT 0,
+  created_at timestamp with time zone DEFAULT NOW(),
+  started_at timestamp with time zone,
+  heartbeat_at timestamp with time zone DEFAULT NOW(),
+  finished_at timestamp with time zone,
+  updated_at timestamp with time zone DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_embedding_jobs_user_created ON embedding_jobs(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_embedding_jobs_active ON embedding_jobs(status) WHERE status IN ('queued', 'running');
+
+ALTER TABLE embedding_jobs ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own embedding jobs" ON embedding_jobs;
+CREATE POLICY "Users can view own embedding jobs" ON embedding_jobs FOR SELECT USING (auth.uid() = user_id);
+
+DROP TRIGGER IF EXISTS update_embedding_jobs_updated_at ON embedding_jobs;
+CREATE TRIGGER update_embedding_jobs_updated_at BEFORE UPDATE ON embedding_jobs FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,157 @@
+-- Entity index for Otto Research Assistant (/api/entities, see entities/)
+-- People, organizations, products, places and dates mentioned by each saved item
+-- Safe to run on an existing database; schema.sql already creates the tables for new ones
+
+CREATE TABLE IF NOT EXISTS entities (
+  id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
+  user_id uuid REFERENCES users(id) ON DELETE CASCADE,
+  name text NOT NULL, -- Dates are ISO: 2024-03-05, or 2024-03 for a month
+  name_key text NOT NULL, -- Lowercased name
+  type varchar(20) NOT NULL, -- 'person', 'organization', 'product', 'place' or 'date'
+  created_at timestamp with time zone DEFAULT NOW(),
+  updated_at timestamp with time zone DEFAULT NOW(),
+  UNIQUE (user_id, type, name_key)
+);
+
+CREATE TABLE IF NOT EXISTS content_entities (
+  content_id uuid REFERENCES user_content(id) ON DELETE CASCADE,
+  entity_id uuid REFERENCES entities(id) ON DELETE CASCADE,
+  user_id uuid REFERENCES users(id) ON DELETE CASCADE,
+  mentions int NOT NULL DEFAULT 1,
+  context text, -- The sentence of the first mention
+  created_at timestamp with time zone DEFAULT NOW(),
+  PRIMARY KEY (content_id, entity_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_entities_user_name ON entities(user_id, name_key);
+CREATE INDEX IF NOT EXISTS idx_content_entities_entity ON content_entities(entity_id);
+CREATE INDEX IF NOT EXISTS idx_content_entities_user ON content_entities(user_id);
+
+ALTER TABLE entities ENABLE ROW LEVEL SECURITY;
+ALTER TABLE content_entities ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own entities" ON entities;
+CREATE POLICY "Users can view own entities" ON entities FOR SELECT USING (auth.uid() = user_id);
+DROP POLICY IF EXISTS "Users can view own content entities" ON content_entities;
+CREATE POLICY "Users can view own content entities" ON content_entities FOR SELECT USING (auth.uid() = user_id);
+
+DROP TRIGGER IF EXISTS update_entities_updated_at ON entities;
+CREATE TRIGGER update_entities_updated_at BEFORE UPDATE ON entities FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- A user's entities (of filter_type, names containing name_query) with the number of
+-- non-deleted items mentioning each, most mentioned first; entities only in deleted items are left out
+CREATE OR REPLACE FUNCTION list_entities(
+  user_id uuid,
+  filter_type text DEFAULT NULL,
+  name_query text DEFAULT NULL,
+  match_count int DEFAULT 50,
+  match_offset int DEFAULT 0
+)
+RETURNS TABLE (
+  id uuid,
+  name text,
+  type varchar(20),
+  item_count bigint,
+  mention_count bigint,
+  last_saved bigint
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    e.id,
+    e.name,
+    e.type,
+    COUNT(uc.id) as item_count,
+    SUM(ce.mentions)::bigint as mention_count,
+    MAX(uc.timestamp) as last_saved
+  FROM entities e
+  JOIN content_entities ce ON ce.entity_id = e.id
+  JOIN user_content uc ON uc.id = ce.content_id AND uc.status != 'deleted'
+  WHERE
+    e.user_id = list_entities.user_id
+    AND (filter_type IS NULL OR e.type = filter_type)
+    AND (name_query IS NULL OR e.name_key LIKE '%' || lower(name_query) || '%')
+  GROUP BY e.id
+  ORDER BY COUNT(uc.id) DESC, SUM(ce.mentions) DESC, e.name
+  LIMIT match_count
+  OFFSET match_offset;
+END;
+$$;
+
+-- Items mentioning an entity, newest first, with the sentence of the first mention
+CREATE OR REPLACE FUNCTION get_entity_content(
+  user_id uuid,
+  entity_id uuid,
+  match_count int DEFAULT 50,
+  match_offset int DEFAULT 0
+)
+RETURNS TABLE (
+  id uuid,
+  title text,
+  preview text,
+  type varchar(50),
+  timestamp bigint,
+  source_url text,
+  mentions int,
+  context text
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    uc.id,
+    uc.title,
+    uc.preview,
+    uc.type,
+    uc.timestamp,
+    uc.source_url,
+    ce.mentions,
+    ce.context
+  FROM content_entities ce
+  JOIN user_content uc ON uc.id = ce.content_id
+  WHERE
+    ce.entity_id = get_entity_content.entity_id
+    AND ce.user_id = get_entity_content.user_id
+    AND uc.status != 'deleted'
+  ORDER BY uc.timestamp DESC
+  LIMIT match_count
+  OFFSET match_offset;
+END;
+$$;
+
+-- Entities mentioned in the same items as an entity, most shared items first
+CREATE OR REPLACE FUNCTION get_related_entities(
+  user_id uuid,
+  entity_id uuid,
+  match_count int DEFAULT 10
+)
+RETURNS TABLE (
+  id uuid,
+  name text,
+  type varchar(20),
+  shared_count bigint
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    e.id,
+    e.name,
+    e.type,
+    COUNT(DISTINCT other.content_id) as shared_count
+  FROM content_entities target
+  JOIN user_content uc ON uc.id = target.content_id AND uc.status != 'deleted'
+  JOIN content_entities other ON other.content_id = target.content_id AND other.entity_id != target.entity_id
+  JOIN entities e ON e.id = other.entity_id
+  WHERE
+    target.entity_id = get_related_entities.entity_id
+    AND target.user_id = get_related_entities.user_id
+  GROUP BY e.id
+  ORDER BY COUNT(DISTINCT other.content_id) DESC, e.name
+  LIMIT match_count;
+END;
+$$;
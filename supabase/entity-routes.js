@@ -0,0 +1,99 @@
+// Entity index routes for Otto Research Assistant
+const express = require('express');
+const EntityService = require('./entity-service');
+const { requireAuth } = require('./auth-routes');
+const { ENTITY_TYPES } = require('../entities');
+
+const router = express.Router();
+const entityService = new EntityService();
+
+const MAX_LIST_LIMIT = 100;
+const MAX_QUERY_LENGTH = 100;
+const RELATED_ENTITY_COUNT = 10;
+
+const isEntityId = (id) => typeof id === 'string' && /^[0-9a-f-]{36}$/i.test(id);
+
+// All routes require authentication
+router.use(requireAuth);
+
+// limit and offset from a query string
+const pageFrom = (query) => ({
+  limit: Math.min(Math.max(parseInt(query.limit) || 50, 1), MAX_LIST_LIMIT),
+  offset: Math.max(parseInt(query.offset) || 0, 0)
+});
+
+// List entities across the library, most mentioned first
+// ?type (person, organization, product, place, date), ?q (part of the name), ?limit, ?offset
+router.get('/', async (req, res) => {
+  try {
+    const { type, q } = req.query;
+
+    if (type !== undefined && !ENTITY_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of ${ENTITY_TYPES.join(', ')}` });
+    }
+    if (q !== undefined && (typeof q !== 'string' || q.length > MAX_QUERY_LENGTH)) {
+      return res.status(400).json({ error: `q must be at most ${MAX_QUERY_LENGTH} characters` });
+    }
+
+    const result = await entityService.listEntities(req.user.id, {
+      type: type || null,
+      query: q?.trim() || null,
+      ...pageFrom(req.query)
+    });
+
+    if (result.success) {
+      res.json({ success: true, entities: result.entities });
+    } else {
+      res.status(500).json({ error: result.error });
+    }
+  } catch (error) {
+    console.error('List entities error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// An entity with the items mentioning it (newest first, ?limit, ?offset) and the entities it appears with
+router.get('/:id', async (req, res) => {
+  try {
+    if (!isEntityId(req.params.id)) {
+      return res.status(404).json({ error: 'Entity not found' });
+    }
+
+    const result = await entityService.getEntity(req.user.id, req.params.id);
+    if (!result.success) {
+      return res.status(500).json({ error: result.error });
+    }
+    if (!result.entity) {
+      return res.status(404).json({ error: 'Entity not found' });
+    }
+
+    const [content, related] = await Promise.all([
+      entityService.getEntityContent(req.user.id, req.params.id, pageFrom(req.query)),
+      entityService.getRelatedEntities(req.user.id, req.params.id, RELATED_ENTITY_COUNT)
+    ]);
+    if (!content.success) {
+      return res.status(500).json({ error: content.error });
+    }
+
+    res.json({
+      success: true,
+      entity: result.entity,
+      items: content.content.map(item => ({
+        id: item.id,
+        title: item.title,
+        type: item.type,
+        url: item.source_url,
+        timestamp: Number(item.timestamp),
+        preview: item.preview,
+        mentions: item.mentions,
+        context: item.context
+      })),
+      relatedEntities: related.entities
+    });
+  } catch (error) {
+    console.error('Get entity error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = { router, entityService };
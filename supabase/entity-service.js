@@ -0,0 +1,215 @@
+// Entity index: the people, organizations, products, places and dates each saved item mentions
+// (see entities/ for extraction)
+const SupabaseClient = require('./supabase-client');
+const { entityKey } = require('../entities');
+
+const toEntity = (row) => ({
+  id: row.id,
+  name: row.name,
+  type: row.type,
+  itemCount: Number(row.item_count || 0),
+  mentionCount: Number(row.mention_count || 0),
+  lastSaved: row.last_saved ? Number(row.last_saved) : null
+});
+
+class EntityService {
+  constructor() {
+    this.supabase = new SupabaseClient();
+  }
+
+  // Entities with item counts, most mentioned first; type and query (part of the name) narrow the list
+  async listEntities(userId, { type = null, query = null, limit = 50, offset = 0 } = {}) {
+    try {
+      const { data, error } = await this.supabase.adminClient
+        .rpc('list_entities', {
+          user_id: userId,
+          filter_type: type,
+          name_query: query,
+          match_count: limit,
+          match_offset: offset
+        });
+
+      if (error) throw error;
+
+      return { success: true, entities: (data || []).map(toEntity) };
+    } catch (error) {
+      console.error('Error listing entities:', error);
+      return { success: false, error: error.message, entities: [] };
+    }
+  }
+
+  // One entity, null if it doesn't exist or belongs to someone else
+  async getEntity(userId, entityId) {
+    try {
+      const { data, error } = await this.supabase.adminClient
+        .from('entities')
+        .select('id, name, type, created_at')
+        .eq('id', entityId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (error) throw error;
+
+      return {
+        success: true,
+        entity: data ? { id: data.id, name: data.name, type: data.type, createdAt: data.created_at } : null
+      };
+    } catch (error) {
+      return { success: false, error: error.message, entity: null };
+    }
+  }
+
+  // Items mentioning an entity, newest first
+  async getEntityContent(userId, entityId, { limit = 50, offset = 0 } = {}) {
+    try {
+      const { data, error } = await this.supabase.adminClient
+        .rpc('get_entity_content', {
+          user_id: userId,
+          entity_id: entityId,
+          match_count: limit,
+          match_offset: offset
+        });
+
+      if (error) throw error;
+
+      return { success: true, content: data || [] };
+    } catch (error) {
+      console.error('Error loading entity content:', error);
+      return { success: false, error: error.message, content: [] };
+    }
+  }
+
+  // Entities mentioned in the same items, most shared items first
+  async getRelatedEntities(userId, entityId, limit = 10) {
+    try {
+      const { data, error } = await this.supabase.adminClient
+        .rpc('get_related_entities', {
+          user_id: userId,
+          entity_id: entityId,
+          match_count: limit
+        });
+
+      if (error) throw error;
+
+      return {
+        success: true,
+        entities: (data || []).map(row => ({
+          id: row.id,
+          name: row.name,
+          type: row.type,
+          sharedCount: Number(row.shared_count || 0)
+        }))
+      };
+    } catch (error) {
+      return { success: false, error: error.message, entities: [] };
+    }
+  }
+
+  /**
+   * Ids of the items mentioning each of the given names (entities of any type)
+   * @param {string} userId
+   * @param {Array<string>} names - Entity names
+   * @returns {Promise<Object>} { success, contentIdsByName: Map of entityKey(name) → Set of content ids }
+   */
+  async findContentIdsByName(userId, names) {
+    try {
+      const keys = [...new Set(names.map(entityKey))].filter(Boolean);
+      const contentIdsByName = new Map(keys.map(key => [key, new Set()]));
+      if (keys.length === 0) return { success: true, contentIdsByName };
+
+      const { data: entities, error } = await this.supabase.adminClient
+        .from('entities')
+        .select('id, name_key')
+        .eq('user_id', userId)
+        .in('name_key', keys);
+
+      if (error) throw error;
+      if (!entities?.length) return { success: true, contentIdsByName };
+
+      const { data: mentions, error: mentionError } = await this.supabase.adminClient
+        .from('content_entities')
+        .select('content_id, entity_id')
+        .eq('user_id', userId)
+        .in('entity_id', entities.map(entity => entity.id));
+
+      if (mentionError) throw mentionError;
+
+      const keyById = new Map(entities.map(entity => [entity.id, entity.name_key]));
+      for (const mention of mentions || []) {
+        contentIdsByName.get(keyById.get(mention.entity_id))?.add(mention.content_id);
+      }
+
+      return { success: true, contentIdsByName };
+    } catch (error) {
+      console.error('Error finding entity content:', error);
+      return { success: false, error: error.message, contentIdsByName: new Map() };
+    }
+  }
+
+  /**
+   * Replace the entities recorded for an item
+   * @param {string} userId
+   * @param {string} contentId
+   * @param {Array<Object>} entities - [{ name, type, mentions, context }]
+   */
+  async saveContentEntities(userId, contentId, entities) {
+    try {
+      const rows = [...new Map(entities.map(entity => [
+        `${entity.type}:${entityKey(entity.name)}`,
+        { user_id: userId, name: entity.name, name_key: entityKey(entity.name), type: entity.type }
+      ])).values()];
+
+      if (rows.length > 0) {
+        const { error } = await this.supabase.adminClient
+          .from('entities')
+          .upsert(rows, { onConflict: 'user_id,type,name_key', ignoreDuplicates: true });
+
+        if (error) throw error;
+      }
+
+      // Existing entities aren't returned by an ignored upsert, so read the ids back
+      const { data: stored, error: readError } = await this.supabase.adminClient
+        .from('entities')
+        .select('id, name_key, type')
+        .eq('user_id', userId)
+        .in('name_key', [...new Set(rows.map(row => row.name_key))]);
+
+      if (readError) throw readError;
+
+      const idByKey = new Map((stored || []).map(row => [`${row.type}:${row.name_key}`, row.id]));
+
+      const { error: deleteError } = await this.supabase.adminClient
+        .from('content_entities')
+        .delete()
+        .eq('content_id', contentId)
+        .eq('user_id', userId);
+
+      if (deleteError) throw deleteError;
+
+      const mentions = [...new Map(entities
+        .map(entity => ({ entity, id: idByKey.get(`${entity.type}:${entityKey(entity.name)}`) }))
+        .filter(({ id }) => id)
+        .map(({ entity, id }) => [id, {
+          content_id: contentId,
+          entity_id: id,
+          user_id: userId,
+          mentions: entity.mentions || 1,
+          context: entity.context || null
+        }])).values()];
+
+      if (mentions.length > 0) {
+        const { error } = await this.supabase.adminClient
+          .from('content_entities')
+          .insert(mentions);
+
+        if (error) throw error;
+      }
+
+      return { success: true, count: mentions.length };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = EntityService;
@@ -0,0 +1,239 @@
+// Flashcard routes for Otto Research Assistant: card generation and spaced-repetition review
+const express = require('express');
+const FlashcardService = require('./flashcard-service');
+const SupabaseStorageService = require('./storage-service');
+const { requireAuth } = require('./auth-routes');
+const PDFExtractor = require('../pdf-extractor');
+const llm = require('../llm');
+const {
+  DEFAULT_CARDS,
+  MAX_CARDS,
+  sourceTextOf,
+  pdfTextOf,
+  generateFlashcards,
+  validateGrade,
+  scheduleReview,
+  isTimeZone,
+  endOfDay
+} = require('../flashcards');
+
+const router = express.Router();
+const flashcardService = new FlashcardService();
+const storageService = new SupabaseStorageService();
+const pdfExtractor = new PDFExtractor();
+
+const MAX_LIST_LIMIT = 100;
+// Shortest source worth writing cards from
+const MIN_SOURCE_CHARS = 200;
+
+const isId = (id) => typeof id === 'string' && /^[0-9a-f-]{36}$/i.test(id);
+
+// All routes require authentication
+router.use(requireAuth);
+
+// limit and offset from a query string
+const pageFrom = (query) => ({
+  limit: Math.min(Math.max(parseInt(query.limit) || 50, 1), MAX_LIST_LIMIT),
+  offset: Math.max(parseInt(query.offset) || 0, 0)
+});
+
+/**
+ * The source a generate request names: a saved item ({ contentId }) or a PDF ({ url })
+ * @returns {Promise<Object>} { source: { contentId, sourceUrl, title }, text, status, error }
+ */
+async function loadSource(userId, { contentId, url }) {
+  if (contentId !== undefined) {
+    if (!isId(contentId)) return { status: 404, error: 'Content not found' };
+
+    const item = await storageService.getContentById(userId, contentId, {
+      columns: 'id, title, content_text, preview, type, source_url, insight_data'
+    });
+    if (!item.success) return { status: 500, error: item.error };
+    if (!item.content) return { status: 404, error: 'Content not found' };
+
+    return {
+      source: { contentId, sourceUrl: item.content.source_url || null, title: item.content.title },
+      text: sourceTextOf(item.content)
+    };
+  }
+
+  if (typeof url !== 'string' || !PDFExtractor.isPDFURL(url)) {
+    return { status: 400, error: 'Provide a contentId, or a url that points to a PDF' };
+  }
+
+  const pdf = await pdfExtractor.extractFromURL(url);
+  if (!pdf.success) return { status: 500, error: `Could not extract the PDF: ${pdf.error}` };
+
+  return {
+    source: { contentId: null, sourceUrl: url, title: pdf.metadata?.info?.Title || pdfExtractor.getFilenameFromURL(url) },
+    text: pdfTextOf(pdf)
+  };
+}
+
+// Write cards from a saved item or a PDF: { contentId } or { url }, count (default 10), replace
+// Cards the source already has are kept (and not repeated) unless replace is true
+router.post('/generate', async (req, res) => {
+  try {
+    const { contentId, url, replace = false } = req.body;
+    const count = req.body.count === undefined ? DEFAULT_CARDS : req.body.count;
+
+    if (!Number.isInteger(count) || count < 1 || count > MAX_CARDS) {
+      return res.status(400).json({ error: `count must be between 1 and ${MAX_CARDS}` });
+    }
+    if (typeof replace !== 'boolean') {
+      return res.status(400).json({ error: 'replace must be true or false' });
+    }
+
+    const { source, text, status, error } = await loadSource(req.user.id, { contentId, url });
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    if (text.length < MIN_SOURCE_CHARS) {
+      return res.status(422).json({ error: 'There isn\'t enough text in this source to write flashcards from' });
+    }
+
+    const [existing, settings] = await Promise.all([
+      replace ? { success: true, questions: [] } : flashcardService.getQuestions(req.user.id, source),
+      storageService.getSettings(req.user.id)
+    ]);
+    if (!existing.success) {
+      return res.status(500).json({ error: existing.error });
+    }
+
+    const cards = await generateFlashcards({
+      title: source.title,
+      text,
+      count,
+      existingQuestions: existing.questions,
+      userSettings: settings.settings || null
+    });
+
+    const saved = await flashcardService.saveCards(req.user.id, source, cards, { replace });
+    if (!saved.success) {
+      return res.status(500).json({ error: saved.error });
+    }
+
+    console.log(`🃏 Generated ${saved.cards.length} flashcard(s) for "${source.title}"`);
+    res.status(201).json({
+      success: true,
+      source: { contentId: source.contentId, url: source.sourceUrl, title: source.title },
+      cards: saved.cards
+    });
+  } catch (error) {
+    if (error instanceof llm.LLMError) {
+      const { status, body } = llm.toErrorResponse(error);
+      return res.status(status).json(body);
+    }
+    console.error('Generate flashcards error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List cards, newest first: ?contentId, ?limit, ?offset
+router.get('/', async (req, res) => {
+  try {
+    const { contentId } = req.query;
+    if (contentId !== undefined && !isId(contentId)) {
+      return res.status(400).json({ error: 'contentId must be a content id' });
+    }
+
+    const result = await flashcardService.listCards(req.user.id, {
+      contentId: contentId || null,
+      ...pageFrom(req.query)
+    });
+
+    if (result.success) {
+      res.json({ success: true, cards: result.cards });
+    } else {
+      res.status(500).json({ error: result.error });
+    }
+  } catch (error) {
+    console.error('List flashcards error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Cards due today, most overdue first: ?timezone (IANA name, default UTC) sets when today ends, ?limit
+router.get('/due', async (req, res) => {
+  try {
+    const timezone = req.query.timezone || 'UTC';
+    if (typeof timezone !== 'string' || !isTimeZone(timezone)) {
+      return res.status(400).json({ error: 'timezone must be a time zone name such as "Europe/Berlin"' });
+    }
+
+    const until = new Date(endOfDay(timezone)).toISOString();
+    const result = await flashcardService.getDueCards(req.user.id, {
+      before: until,
+      limit: pageFrom(req.query).limit
+    });
+
+    if (result.success) {
+      res.json({ success: true, dueCount: result.total, until, timezone, cards: result.cards });
+    } else {
+      res.status(500).json({ error: result.error });
+    }
+  } catch (error) {
+    console.error('Due flashcards error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Grade a review: { grade } from 0 (no recall) to 5 (perfect recall); returns the card with its next due date
+router.post('/:id/review', async (req, res) => {
+  try {
+    if (!isId(req.params.id)) {
+      return res.status(404).json({ error: 'Flashcard not found' });
+    }
+    const { grade, error: gradeError } = validateGrade(req.body.grade);
+    if (gradeError) {
+      return res.status(400).json({ error: gradeError });
+    }
+
+    const current = await flashcardService.getCard(req.user.id, req.params.id);
+    if (!current.success) {
+      return res.status(500).json({ error: current.error });
+    }
+    if (!current.card) {
+      return res.status(404).json({ error: 'Flashcard not found' });
+    }
+
+    const result = await flashcardService.saveReview(req.user.id, req.params.id, scheduleReview(current.card.review, grade));
+
+    if (!result.success) {
+      return res.status(500).json({ error: result.error });
+    }
+    if (!result.card) {
+      return res.status(404).json({ error: 'Flashcard not found' });
+    }
+
+    res.json({ success: true, card: result.card });
+  } catch (error) {
+    console.error('Review flashcard error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a card
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!isId(req.params.id)) {
+      return res.status(404).json({ error: 'Flashcard not found' });
+    }
+
+    const result = await flashcardService.deleteCard(req.user.id, req.params.id);
+
+    if (!result.success) {
+      return res.status(500).json({ error: result.error });
+    }
+    if (!result.deleted) {
+      return res.status(404).json({ error: 'Flashcard not found' });
+    }
+
+    res.json({ success: true, message: 'Flashcard deleted' });
+  } catch (error) {
+    console.error('Delete flashcard error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = { router, flashcardService };
@@ -0,0 +1,210 @@
+// Flashcards and their SM-2 review schedule (see flashcards/)
+const SupabaseClient = require('./supabase-client');
+
+const toCard = (row) => ({
+  id: row.id,
+  question: row.question,
+  answer: row.answer,
+  source: {
+    contentId: row.content_id || null,
+    url: row.source_url || null,
+    title: row.source_title || null
+  },
+  citation: {
+    quote: row.citation_quote,
+    startOffset: row.citation_start,
+    endOffset: row.citation_end
+  },
+  review: {
+    easeFactor: Number(row.ease_factor),
+    intervalDays: row.interval_days,
+    repetitions: row.repetitions,
+    lapses: row.lapses,
+    dueAt: row.due_at,
+    lastReviewedAt: row.last_reviewed_at || null,
+    lastGrade: row.last_grade ?? null
+  },
+  createdAt: row.created_at
+});
+
+// Cards of one source: a saved item, or a PDF by URL
+const bySource = (query, { contentId, sourceUrl }) => (contentId
+  ? query.eq('content_id', contentId)
+  : query.is('content_id', null).eq('source_url', sourceUrl));
+
+class FlashcardService {
+  constructor() {
+    this.supabase = new SupabaseClient();
+  }
+
+  // Questions the user already has for a source ({ contentId } or { sourceUrl })
+  async getQuestions(userId, source) {
+    try {
+      const { data, error } = await bySource(this.supabase.adminClient
+        .from('flashcards')
+        .select('question')
+        .eq('user_id', userId), source);
+
+      if (error) throw error;
+
+      return { success: true, questions: (data || []).map(row => row.question) };
+    } catch (error) {
+      return { success: false, error: error.message, questions: [] };
+    }
+  }
+
+  /**
+   * Store generated cards for a source, due for their first review now
+   * @param {string} userId
+   * @param {Object} source - { contentId, sourceUrl, title }
+   * @param {Array<Object>} cards - [{ question, answer, citation: { quote, startOffset, endOffset } }]
+   * @param {Object} options - replace: delete the source's existing cards first
+   */
+  async saveCards(userId, source, cards, { replace = false } = {}) {
+    try {
+      if (replace) {
+        const { error } = await bySource(this.supabase.adminClient
+          .from('flashcards')
+          .delete()
+          .eq('user_id', userId), source);
+
+        if (error) throw error;
+      }
+
+      if (cards.length === 0) return { success: true, cards: [] };
+
+      const { data, error } = await this.supabase.adminClient
+        .from('flashcards')
+        .insert(cards.map(card => ({
+          user_id: userId,
+          content_id: source.contentId || null,
+          source_url: source.sourceUrl || null,
+          source_title: source.title || null,
+          question: card.question,
+          answer: card.answer,
+          citation_quote: card.citation.quote,
+          citation_start: card.citation.startOffset,
+          citation_end: card.citation.endOffset
+        })))
+        .select();
+
+      if (error) throw error;
+
+      return { success: true, cards: (data || []).map(toCard) };
+    } catch (error) {
+      console.error('Error saving flashcards:', error);
+      return { success: false, error: error.message, cards: [] };
+    }
+  }
+
+  // Cards, newest first; contentId narrows them to one saved item
+  async listCards(userId, { contentId = null, limit = 50, offset = 0 } = {}) {
+    try {
+      let query = this.supabase.adminClient
+        .from('flashcards')
+        .select('*')
+        .eq('user_id', userId);
+
+      if (contentId) {
+        query = query.eq('content_id', contentId);
+      }
+
+      const { data, error } = await query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) throw error;
+
+      return { success: true, cards: (data || []).map(toCard) };
+    } catch (error) {
+      console.error('Error listing flashcards:', error);
+      return { success: false, error: error.message, cards: [] };
+    }
+  }
+
+  // Cards due before a time (ISO), most overdue first, with how many are due in all
+  async getDueCards(userId, { before, limit = 50 }) {
+    try {
+      const { data, error, count } = await this.supabase.adminClient
+        .from('flashcards')
+        .select('*', { count: 'exact' })
+        .eq('user_id', userId)
+        .lt('due_at', before)
+        .order('due_at', { ascending: true })
+        .limit(limit);
+
+      if (error) throw error;
+
+      const cards = (data || []).map(toCard);
+      return { success: true, cards, total: count ?? cards.length };
+    } catch (error) {
+      console.error('Error loading due flashcards:', error);
+      return { success: false, error: error.message, cards: [], total: 0 };
+    }
+  }
+
+  // One card, null if it doesn't exist or belongs to someone else
+  async getCard(userId, cardId) {
+    try {
+      const { data, error } = await this.supabase.adminClient
+        .from('flashcards')
+        .select('*')
+        .eq('id', cardId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (error) throw error;
+
+      return { success: true, card: data ? toCard(data) : null };
+    } catch (error) {
+      return { success: false, error: error.message, card: null };
+    }
+  }
+
+  // Store the schedule from a review (see scheduleReview)
+  async saveReview(userId, cardId, schedule) {
+    try {
+      const { data, error } = await this.supabase.adminClient
+        .from('flashcards')
+        .update({
+          ease_factor: schedule.easeFactor,
+          interval_days: schedule.intervalDays,
+          repetitions: schedule.repetitions,
+          lapses: schedule.lapses,
+          due_at: schedule.dueAt,
+          last_reviewed_at: schedule.lastReviewedAt,
+          last_grade: schedule.lastGrade
+        })
+        .eq('id', cardId)
+        .eq('user_id', userId)
+        .select()
+        .maybeSingle();
+
+      if (error) throw error;
+
+      return { success: true, card: data ? toCard(data) : null };
+    } catch (error) {
+      console.error('Error saving flashcard review:', error);
+      return { success: false, error: error.message, card: null };
+    }
+  }
+
+  async deleteCard(userId, cardId) {
+    try {
+      const { data, error } = await this.supabase.adminClient
+        .from('flashcards')
+        .delete()
+        .eq('id', cardId)
+        .eq('user_id', userId)
+        .select('id');
+
+      if (error) throw error;
+
+      return { success: true, deleted: (data || []).length > 0 };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = FlashcardService;
@@ -0,0 +1,38 @@
+-- Flashcards for Otto Research Assistant (/api/flashcards, see flashcards/)
+-- Cards cite the passage of a saved item (content_id) or a PDF (source_url) they were written from,
+-- and carry their SM-2 review schedule
+-- Safe to run on an existing database; schema.sql already creates the table for new ones
+
+CREATE TABLE IF NOT EXISTS flashcards (
+  id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
+  user_id uuid REFERENCES users(id) ON DELETE CASCADE,
+  content_id uuid REFERENCES user_content(id) ON DELETE CASCADE, -- NULL for PDFs that aren't saved
+  source_url text,
+  source_title text,
+  question text NOT NULL,
+  answer text NOT NULL,
+  citation_quote text NOT NULL, -- The cited passage, or the sentence within it
+  citation_start int NOT NULL, -- Character offsets into the source's plain text
+  citation_end int NOT NULL,
+  ease_factor real NOT NULL DEFAULT 2.5,
+  interval_days int NOT NULL DEFAULT 0,
+  repetitions int NOT NULL DEFAULT 0,
+  lapses int NOT NULL DEFAULT 0,
+  due_at timestamp with time zone NOT NULL DEFAULT NOW(),
+  last_reviewed_at timestamp with time zone,
+  last_grade smallint,
+  created_at timestamp with time zone DEFAULT NOW(),
+  updated_at timestamp with time zone DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_flashcards_user_due ON flashcards(user_id, due_at);
+CREATE INDEX IF NOT EXISTS idx_flashcards_content ON flashcards(content_id);
+CREATE INDEX IF NOT EXISTS idx_flashcards_user_source_url ON flashcards(user_id, source_url);
+
+ALTER TABLE flashcards ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own flashcards" ON flashcards;
+CREATE POLICY "Users can view own flashcards" ON flashcards FOR SELECT USING (auth.uid() = user_id);
+
+DROP TRIGGER IF EXISTS update_flashcards_updated_at ON flashcards;
+CREATE TRIGGER update_flashcards_updated_at BEFORE UPDATE ON flashcards FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
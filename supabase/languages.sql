@@ -0,0 +1,43 @@
+-- Per-item language for saved content (see language/)
+-- Each item's full-text index uses the text search config of its language instead of 'english'.
+-- Safe to run on an existing database; schema.sql already has the columns for new ones.
+-- Re-run vector-search.sql afterwards: search_content_hybrid reads these columns.
+
+-- ISO 639-1 code detected at ingest, NULL when unknown. Existing items are detected by the
+-- next embedding job; until then they keep the 'english' config they were indexed with.
+ALTER TABLE user_content ADD COLUMN IF NOT EXISTS language VARCHAR(8);
+-- Text search config of the language ('simple' when it has none, e.g. Chinese or Japanese)
+-- The arabic, greek and indonesian configs need Postgres 13 or later
+ALTER TABLE user_content ADD COLUMN IF NOT EXISTS search_config REGCONFIG NOT NULL DEFAULT 'english';
+
+-- The full-text index, by each item's own config (replaces the 'english' one)
+DROP INDEX IF EXISTS idx_user_content_search;
+CREATE INDEX idx_user_content_search ON user_content USING GIN(to_tsvector(search_config, title || ' ' || COALESCE(preview, '') || ' ' || COALESCE(searchable_text, '')));
+
+CREATE INDEX IF NOT EXISTS idx_user_content_language ON user_content(user_id, language);
+
+-- Languages of a user's (non-deleted) items, most items first
+-- Search translates queries into these for keyword matching
+CREATE OR REPLACE FUNCTION get_content_languages(
+  user_id uuid
+)
+RETURNS TABLE (
+  language varchar(8),
+  item_count bigint
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    uc.language,
+    COUNT(*) as item_count
+  FROM user_content uc
+  WHERE
+    uc.user_id = get_content_languages.user_id
+    AND uc.status != 'deleted'
+    AND uc.language IS NOT NULL
+  GROUP BY uc.language
+  ORDER BY COUNT(*) DESC, uc.language;
+END;
+$$;
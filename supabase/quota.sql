@@ -0,0 +1,24 @@
+-- Quota plans for Otto Research Assistant
+-- A user's plan lives in user_settings.settings.plan ('free' when unset).
+-- Safe to run on an existing database; schema.sql already includes this for new ones
+
+-- Users may update their own settings through the API, so stop them from
+-- changing their plan: only the service role and admins may set settings.plan
+CREATE OR REPLACE FUNCTION protect_user_settings_plan()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF auth.role() IN ('authenticated', 'anon') THEN
+    NEW.settings = NEW.settings - 'plan';
+    IF TG_OP = 'UPDATE' AND OLD.settings ? 'plan' THEN
+      NEW.settings = NEW.settings || jsonb_build_object('plan', OLD.settings->'plan');
+    END IF;
+  END IF;
+  RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS protect_user_settings_plan ON user_settings;
+CREATE TRIGGER protect_user_settings_plan BEFORE INSERT OR UPDATE ON user_settings FOR EACH ROW EXECUTE FUNCTION protect_user_settings_plan();
+
+-- Put a user on a plan (run as an admin):
+-- UPDATE user_settings SET settings = settings || '{"plan": "pro"}' WHERE user_id = '<user id>';
@@ -0,0 +1,18 @@
+-- Response cache for Otto Research Assistant (RESPONSE_CACHE_BACKEND=supabase)
+-- Safe to run on an existing database; schema.sql already creates the table for new ones
+
+CREATE TABLE IF NOT EXISTS response_cache (
+  cache_key varchar(200) PRIMARY KEY,
+  value jsonb NOT NULL,
+  expires_at timestamp with time zone NOT NULL,
+  created_at timestamp with time zone DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_response_cache_expires_at ON response_cache(expires_at);
+
+-- No policies: only the server (service role) reads and writes the cache
+ALTER TABLE response_cache ENABLE ROW LEVEL SECURITY;
+
+-- Expired rows are ignored on read and replaced on write; to reclaim space run
+-- (or schedule with pg_cron):
+-- DELETE FROM response_cache WHERE expires_at < NOW();
@@ -46,6 +46,8 @@ CREATE TABLE user_content (
     
     -- Search and AI features (without vector for now)
     searchable_text TEXT, -- Preprocessed text for embedding generation
+    language VARCHAR(8), -- ISO 639-1 code detected at ingest, NULL when unknown
+    search_config REGCONFIG NOT NULL DEFAULT 'english', -- Text search config of the language, for the full-text index
     
     -- Insight-specific fields (JSON for flexibility)
     insight_data JSONB, -- For storing takeaways, significance, questions, etc.
@@ -80,8 +82,8 @@ CREATE INDEX idx_user_content_status ON user_content(status);
 CREATE INDEX idx_user_content_source_url ON user_content(source_url);
 CREATE INDEX idx_user_content_created_at ON user_content(created_at DESC);
 
--- Full-text search index
-CREATE INDEX idx_user_content_search ON user_content USING GIN(to_tsvector('english', title || ' ' || COALESCE(preview, '') || ' ' || COALESCE(searchable_text, '')));
+-- Full-text search index, by each item's own text search config
+CREATE INDEX idx_user_content_search ON user_content USING GIN(to_tsvector(search_config, title || ' ' || COALESCE(preview, '') || ' ' || COALESCE(searchable_text, '')));
 
 -- RLS (Row Level Security) policies
 ALTER TABLE users ENABLE ROW LEVEL SECURITY;
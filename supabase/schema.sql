@@ -47,7 +47,18 @@ CREATE TABLE user_content (
     
     -- Search and AI features
     embedding VECTOR(1536), -- OpenAI embedding vector for semantic search
+    embedding_model VARCHAR(100), -- Model that produced the embedding
+    content_hash VARCHAR(64), -- SHA-256 of the text the item and passage embeddings were generated from
     searchable_text TEXT, -- Preprocessed text for embedding generation
+
+    -- Duplicate detection (duplicates.sql)
+    url_keys TEXT[], -- Normalized URL and canonical link, plus those of items merged into this one
+    content_fingerprint VARCHAR(16), -- 64-bit simhash of the text, as hex
+    merged_into UUID REFERENCES user_content(id) ON DELETE SET NULL, -- Set on duplicates merged into another item
+
+    -- Language (languages.sql)
+    language VARCHAR(8), -- ISO 639-1 code detected at ingest, NULL when unknown
+    search_config REGCONFIG NOT NULL DEFAULT 'english', -- Text search config of the language, for the full-text index
     
     -- Insight-specific fields (JSON for flexibility)
     insight_data JSONB, -- For storing takeaways, significance, questions, etc.
@@ -65,6 +76,182 @@ CREATE TABLE user_settings (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Overlapping passages of long content, each with its own embedding
+CREATE TABLE content_passages (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    content_id UUID REFERENCES user_content(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    passage_index INT NOT NULL, -- Position of the passage within the item
+    passage_text TEXT NOT NULL,
+    start_offset INT NOT NULL, -- Character offsets into the extracted plain text
+    end_offset INT NOT NULL,
+    embedding VECTOR(1536),
+    embedding_model VARCHAR(100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (content_id, passage_index)
+);
+
+-- Token usage of every LLM and embedding call, for cost accounting
+-- user_id is NULL for anonymous requests and kept (as NULL) when a user is deleted
+CREATE TABLE llm_usage (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    route VARCHAR(100) NOT NULL, -- Feature that made the call, e.g. 'summary', 'chat', 'embeddings'
+    provider VARCHAR(50) NOT NULL,
+    model VARCHAR(100) NOT NULL,
+    input_tokens INT NOT NULL DEFAULT 0,
+    output_tokens INT NOT NULL DEFAULT 0,
+    estimated_cost NUMERIC(12, 8), -- USD at the time of the call, NULL when the model has no known price
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Cached model responses (e.g. summaries), keyed by a hash of their inputs
+-- Shared across users: a key can only be produced by sending the same content
+CREATE TABLE response_cache (
+    cache_key VARCHAR(200) PRIMARY KEY,
+    value JSONB NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Background embedding jobs (/api/generate-embeddings), resumed after a server restart
+CREATE TABLE embedding_jobs (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued', -- 'queued', 'running', 'completed', 'failed'
+    options JSONB NOT NULL DEFAULT '{}', -- e.g. { "days": 30 }
+    total INT NOT NULL DEFAULT 0,
+    processed INT NOT NULL DEFAULT 0,
+    embedded INT NOT NULL DEFAULT 0,
+    up_to_date INT NOT NULL DEFAULT 0,
+    failed INT NOT NULL DEFAULT 0,
+    failures JSONB NOT NULL DEFAULT '[]', -- [{ contentId, title, error, attempts }]
+    error TEXT, -- Why the whole job failed, if it did
+    attempts INT NOT NULL DEFAULT 0, -- Runs, including resumes
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    started_at TIMESTAMP WITH TIME ZONE,
+    heartbeat_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(), -- Written while running; a stale heartbeat means the job was abandoned
+    finished_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Conversation threads (/api/conversations); messages are ordered by sequence
+CREATE TABLE conversations (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    title TEXT, -- Set from the first message when not given
+    message_count INT NOT NULL DEFAULT 0,
+    last_message_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE conversation_messages (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    sequence BIGINT GENERATED ALWAYS AS IDENTITY,
+    role VARCHAR(20) NOT NULL, -- 'user' or 'assistant'
+    content TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Saved content items a message cited
+CREATE TABLE conversation_citations (
+    message_id UUID REFERENCES conversation_messages(id) ON DELETE CASCADE,
+    conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE,
+    content_id UUID REFERENCES user_content(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (message_id, content_id)
+);
+
+-- Scheduled reading digests (settings.digest); one per user and scheduled time
+CREATE TABLE digests (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    scheduled_for TIMESTAMP WITH TIME ZONE NOT NULL,
+    range_from TIMESTAMP WITH TIME ZONE NOT NULL,
+    range_to TIMESTAMP WITH TIME ZONE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'generating', -- 'generating', 'ready', 'failed'
+    format VARCHAR(20), -- Format the user asked for: 'markdown', 'html' or 'json'
+    digest JSONB, -- The digest itself; markdown and html are rendered from it
+    markdown TEXT,
+    html TEXT,
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (user_id, scheduled_for)
+);
+
+-- Tags (see tagging/); a tag's aliases are its former names and tags merged into it
+CREATE TABLE tags (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    name_key TEXT NOT NULL, -- Lowercased name, unique per user
+    aliases TEXT[] NOT NULL DEFAULT '{}',
+    color VARCHAR(20),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (user_id, name_key)
+);
+
+CREATE TABLE content_tags (
+    content_id UUID REFERENCES user_content(id) ON DELETE CASCADE,
+    tag_id UUID REFERENCES tags(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    source VARCHAR(20) NOT NULL DEFAULT 'user', -- 'user' or 'auto'
+    confidence FLOAT, -- For auto tags
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (content_id, tag_id)
+);
+
+-- Entity index (see entities/): people, organizations, products, places and dates mentioned by each item
+CREATE TABLE entities (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL, -- Dates are ISO: 2024-03-05, or 2024-03 for a month
+    name_key TEXT NOT NULL, -- Lowercased name
+    type VARCHAR(20) NOT NULL, -- 'person', 'organization', 'product', 'place' or 'date'
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (user_id, type, name_key)
+);
+
+CREATE TABLE content_entities (
+    content_id UUID REFERENCES user_content(id) ON DELETE CASCADE,
+    entity_id UUID REFERENCES entities(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    mentions INT NOT NULL DEFAULT 1,
+    context TEXT, -- The sentence of the first mention
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (content_id, entity_id)
+);
+
+-- Flashcards (see flashcards/): each cites a passage of a saved item or PDF and carries its SM-2 schedule
+CREATE TABLE flashcards (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    content_id UUID REFERENCES user_content(id) ON DELETE CASCADE, -- NULL for PDFs that aren't saved
+    source_url TEXT,
+    source_title TEXT,
+    question TEXT NOT NULL,
+    answer TEXT NOT NULL,
+    citation_quote TEXT NOT NULL, -- The cited passage, or the sentence within it
+    citation_start INT NOT NULL, -- Character offsets into the source's plain text
+    citation_end INT NOT NULL,
+    ease_factor REAL NOT NULL DEFAULT 2.5,
+    interval_days INT NOT NULL DEFAULT 0,
+    repetitions INT NOT NULL DEFAULT 0,
+    lapses INT NOT NULL DEFAULT 0,
+    due_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    last_reviewed_at TIMESTAMP WITH TIME ZONE,
+    last_grade SMALLINT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Sync metadata table for offline/online sync
 CREATE TABLE sync_metadata (
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
@@ -81,18 +268,55 @@ CREATE INDEX idx_user_content_type ON user_content(type);
 CREATE INDEX idx_user_content_status ON user_content(status);
 CREATE INDEX idx_user_content_source_url ON user_content(source_url);
 CREATE INDEX idx_user_content_created_at ON user_content(created_at DESC);
+CREATE INDEX idx_user_content_url_keys ON user_content USING GIN(url_keys);
 
--- Full-text search index
-CREATE INDEX idx_user_content_search ON user_content USING GIN(to_tsvector('english', title || ' ' || COALESCE(preview, '') || ' ' || COALESCE(searchable_text, '')));
+-- Full-text search index, by each item's own text search config
+CREATE INDEX idx_user_content_search ON user_content USING GIN(to_tsvector(search_config, title || ' ' || COALESCE(preview, '') || ' ' || COALESCE(searchable_text, '')));
+CREATE INDEX idx_user_content_language ON user_content(user_id, language);
 
 -- Vector similarity search index (for semantic search)
 CREATE INDEX ON user_content USING ivfflat (embedding vector_cosine_ops) WITH (lists = 100);
+CREATE INDEX idx_content_passages_user_id ON content_passages(user_id);
+CREATE INDEX ON content_passages USING ivfflat (embedding vector_cosine_ops) WITH (lists = 100);
+CREATE INDEX idx_llm_usage_user_created ON llm_usage(user_id, created_at DESC);
+CREATE INDEX idx_response_cache_expires_at ON response_cache(expires_at);
+CREATE INDEX idx_embedding_jobs_user_created ON embedding_jobs(user_id, created_at DESC);
+CREATE INDEX idx_embedding_jobs_active ON embedding_jobs(status) WHERE status IN ('queued', 'running');
+CREATE INDEX idx_conversations_user_updated ON conversations(user_id, updated_at DESC);
+CREATE INDEX idx_conversation_messages_conversation ON conversation_messages(conversation_id, sequence);
+CREATE INDEX idx_conversation_citations_conversation ON conversation_citations(conversation_id);
+CREATE INDEX idx_conversation_citations_content ON conversation_citations(content_id);
+CREATE INDEX idx_digests_user_scheduled ON digests(user_id, scheduled_for DESC);
+CREATE INDEX idx_user_settings_digest_enabled ON user_settings((settings->'digest'->>'enabled'));
+CREATE INDEX idx_tags_user ON tags(user_id);
+CREATE INDEX idx_tags_aliases ON tags USING GIN(aliases);
+CREATE INDEX idx_content_tags_tag ON content_tags(tag_id);
+CREATE INDEX idx_content_tags_user ON content_tags(user_id);
+CREATE INDEX idx_entities_user_name ON entities(user_id, name_key);
+CREATE INDEX idx_content_entities_entity ON content_entities(entity_id);
+CREATE INDEX idx_content_entities_user ON content_entities(user_id);
+CREATE INDEX idx_flashcards_user_due ON flashcards(user_id, due_at);
+CREATE INDEX idx_flashcards_content ON flashcards(content_id);
+CREATE INDEX idx_flashcards_user_source_url ON flashcards(user_id, source_url);
 
 -- RLS (Row Level Security) policies
 ALTER TABLE users ENABLE ROW LEVEL SECURITY;
 ALTER TABLE user_content ENABLE ROW LEVEL SECURITY;
 ALTER TABLE user_settings ENABLE ROW LEVEL SECURITY;
 ALTER TABLE sync_metadata ENABLE ROW LEVEL SECURITY;
+ALTER TABLE content_passages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE llm_usage ENABLE ROW LEVEL SECURITY;
+ALTER TABLE response_cache ENABLE ROW LEVEL SECURITY; -- No policies: server (service role) only
+ALTER TABLE embedding_jobs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE conversations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE conversation_messages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE conversation_citations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE digests ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tags ENABLE ROW LEVEL SECURITY;
+ALTER TABLE content_tags ENABLE ROW LEVEL SECURITY;
+ALTER TABLE entities ENABLE ROW LEVEL SECURITY;
+ALTER TABLE content_entities ENABLE ROW LEVEL SECURITY;
+ALTER TABLE flashcards ENABLE ROW LEVEL SECURITY;
 
 -- Users can only access their own data
 CREATE POLICY "Users can view own profile" ON users FOR SELECT USING (auth.uid() = id);
@@ -109,6 +333,32 @@ CREATE POLICY "Users can view own settings" ON user_settings FOR SELECT USING (a
 CREATE POLICY "Users can insert own settings" ON user_settings FOR INSERT WITH CHECK (auth.uid() = user_id);
 CREATE POLICY "Users can update own settings" ON user_settings FOR UPDATE USING (auth.uid() = user_id);
 
+-- Passage policies
+CREATE POLICY "Users can view own passages" ON content_passages FOR SELECT USING (auth.uid() = user_id);
+
+-- Usage policies (rows are written by the server with the service role)
+CREATE POLICY "Users can view own usage" ON llm_usage FOR SELECT USING (auth.uid() = user_id);
+
+-- Embedding job policies (jobs are created and updated by the server)
+CREATE POLICY "Users can view own embedding jobs" ON embedding_jobs FOR SELECT USING (auth.uid() = user_id);
+
+-- Conversation policies (threads are written through the API with the service role)
+CREATE POLICY "Users can view own conversations" ON conversations FOR SELECT USING (auth.uid() = user_id);
+CREATE POLICY "Users can view own conversation messages" ON conversation_messages FOR SELECT USING (auth.uid() = user_id);
+CREATE POLICY "Users can view own conversation citations" ON conversation_citations FOR SELECT USING (auth.uid() = user_id);
+CREATE POLICY "Users can view own digests" ON digests FOR SELECT USING (auth.uid() = user_id);
+
+-- Tag policies (tags are written through the API with the service role)
+CREATE POLICY "Users can view own tags" ON tags FOR SELECT USING (auth.uid() = user_id);
+CREATE POLICY "Users can view own content tags" ON content_tags FOR SELECT USING (auth.uid() = user_id);
+
+-- Entity policies (the index is written by the server)
+CREATE POLICY "Users can view own entities" ON entities FOR SELECT USING (auth.uid() = user_id);
+CREATE POLICY "Users can view own content entities" ON content_entities FOR SELECT USING (auth.uid() = user_id);
+
+-- Flashcard policies (cards are written and reviewed through the API with the service role)
+CREATE POLICY "Users can view own flashcards" ON flashcards FOR SELECT USING (auth.uid() = user_id);
+
 -- Sync metadata policies
 CREATE POLICY "Users can view own sync data" ON sync_metadata FOR SELECT USING (auth.uid() = user_id);
 CREATE POLICY "Users can insert own sync data" ON sync_metadata FOR INSERT WITH CHECK (auth.uid() = user_id);
@@ -123,10 +373,31 @@ BEGIN
 END;
 $$ language 'plpgsql';
 
+-- The quota plan (settings.plan) is server-managed: API users cannot set it, the service role and admins can
+CREATE OR REPLACE FUNCTION protect_user_settings_plan()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF auth.role() IN ('authenticated', 'anon') THEN
+        NEW.settings = NEW.settings - 'plan';
+        IF TG_OP = 'UPDATE' AND OLD.settings ? 'plan' THEN
+            NEW.settings = NEW.settings || jsonb_build_object('plan', OLD.settings->'plan');
+        END IF;
+    END IF;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
 -- Triggers for updated_at
 CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_user_content_updated_at BEFORE UPDATE ON user_content FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_user_settings_updated_at BEFORE UPDATE ON user_settings FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_embedding_jobs_updated_at BEFORE UPDATE ON embedding_jobs FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_conversations_updated_at BEFORE UPDATE ON conversations FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_digests_updated_at BEFORE UPDATE ON digests FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_tags_updated_at BEFORE UPDATE ON tags FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_entities_updated_at BEFORE UPDATE ON entities FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_flashcards_updated_at BEFORE UPDATE ON flashcards FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER protect_user_settings_plan BEFORE INSERT OR UPDATE ON user_settings FOR EACH ROW EXECUTE FUNCTION protect_user_settings_plan();
 
 -- Sample default settings for new users
 INSERT INTO user_settings (user_id, settings) 
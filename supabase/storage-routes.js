@@ -1,16 +1,84 @@
 // Storage routes for Otto Research Assistant - Supabase version
 const express = require('express');
 const SupabaseStorageService = require('./storage-service');
+const TagService = require('./tag-service');
+const EntityService = require('./entity-service');
 const { requireAuth } = require('./auth-routes');
 const PDFExtractor = require('../pdf-extractor');
+const llm = require('../llm');
+const { resolveDigestSchedule } = require('../digest/scheduler');
+const { resolveRelatedOptions, rankRelatedContent } = require('../content-processing/related-content');
+const {
+  MAX_FINGERPRINT_DISTANCE,
+  MIN_EMBEDDING_SIMILARITY,
+  duplicateKeys,
+  rankDuplicates,
+  mergeContentRecords
+} = require('../content-processing/duplicate-detector');
+const { validateTagName, suggestTags, createAutoTagger } = require('../tagging');
+const { createEntityIndexer } = require('../entities');
+const { validatePreferredLanguage } = require('../language');
+const { validatePromptOverrides } = require('../prompts');
 
 const router = express.Router();
 const storageService = new SupabaseStorageService();
 const pdfExtractor = new PDFExtractor();
+const tagService = new TagService();
+const getUserSettings = async (userId) => (await storageService.getSettings(userId)).settings || null;
+const autoTagger = createAutoTagger({ tagService, getSettings: getUserSettings });
+const entityIndexer = createEntityIndexer({ entityService: new EntityService(), getSettings: getUserSettings });
+
+// Nearest neighbours fetched before near-duplicate removal and diversity re-ranking
+const RELATED_CANDIDATE_COUNT = 30;
+
+// Items given duplicate keys per check, and how many are written at once
+const DUPLICATE_BACKFILL_BATCH = 100;
+const DUPLICATE_BACKFILL_CONCURRENCY = 10;
+
+const MAX_TAGS_PER_ITEM = 20;
+
+const isContentId = (id) => typeof id === 'string' && /^[0-9a-f-]{36}$/i.test(id);
 
 // All routes require authentication
 router.use(requireAuth);
 
+// Give items saved before duplicate detection (or edited since) their URL keys and
+// fingerprint, a batch at a time, so they can be found as duplicates
+async function backfillDuplicateKeys(userId) {
+  const missing = await storageService.getContentWithoutDuplicateKeys(userId, DUPLICATE_BACKFILL_BATCH);
+  if (!missing.success || missing.content.length === 0) return;
+
+  for (let i = 0; i < missing.content.length; i += DUPLICATE_BACKFILL_CONCURRENCY) {
+    await Promise.all(missing.content.slice(i, i + DUPLICATE_BACKFILL_CONCURRENCY).map(row =>
+      storageService.saveDuplicateKeys(userId, row.id, duplicateKeys({ url: row.source_url, text: row.content_text }))));
+  }
+  console.log(`🔑 Computed duplicate keys for ${missing.content.length} item(s)`);
+}
+
+// Ranked duplicate candidates for an item ({ url_keys, content_fingerprint }, optional embedding)
+// Only items of the same type count: an insight about a page doesn't duplicate its bookmark
+async function findDuplicates(userId, item, { excludeId, type, embedding } = {}) {
+  await backfillDuplicateKeys(userId);
+
+  const result = await storageService.findDuplicateCandidates(userId, {
+    excludeId,
+    type,
+    urlKeys: item.url_keys,
+    fingerprint: item.content_fingerprint,
+    embedding,
+    maxFingerprintDistance: MAX_FINGERPRINT_DISTANCE,
+    similarityThreshold: MIN_EMBEDDING_SIMILARITY
+  });
+  if (!result.success) return result;
+
+  return { success: true, candidates: rankDuplicates({ id: excludeId, ...item }, result.candidates) };
+}
+
+// A stored row with its duplicate keys, computing them if it has none yet
+const withDuplicateKeys = (row) => (row.url_keys
+  ? row
+  : { ...row, ...duplicateKeys({ url: row.source_url, text: row.content_text }) });
+
 // Helper function to detect PDF URLs
 function isPDFUrl(url) {
   if (!url) return false;
@@ -32,15 +100,25 @@ function isPDFUrl(url) {
 }
 
 // Get all content for user
+// ?tag: comma-separated tag names (or former names); items with any of them
 router.get('/content', async (req, res) => {
   try {
-    const { limit, type, days } = req.query;
+    const { limit, type, days, tag } = req.query;
     const options = {};
 
     if (limit) options.limit = parseInt(limit);
     if (type) options.type = type;
     if (days) options.days = parseInt(days);
 
+    if (typeof tag === 'string' && tag.trim()) {
+      const tags = await tagService.findTags(req.user.id, tag.split(','));
+      if (!tags.success) {
+        return res.status(500).json({ error: tags.error });
+      }
+      // Unknown tags match nothing
+      options.tagIds = [...new Set([...tags.byKey.values()].map(row => row.id))];
+    }
+
     const result = await storageService.getAllContent(req.user.id, options);
 
     if (result.success) {
@@ -127,6 +205,8 @@ router.post('/content', async (req, res) => {
     const result = await storageService.saveContent(req.user.id, contentData);
 
     if (result.success) {
+      autoTagger.tagInBackground(req.user.id, result.entry);
+      entityIndexer.indexInBackground(req.user.id, result.entry);
       res.json({
         success: true,
         entry: result.entry
@@ -140,6 +220,289 @@ router.post('/content', async (req, res) => {
   }
 });
 
+// Saved items related to one item, each with a reason for the match
+// ?limit (1-20, default 5), ?diversity (0-1, default 0.3: higher trades closeness for variety)
+router.get('/content/:contentId/related', async (req, res) => {
+  try {
+    const { contentId } = req.params;
+    const { options, error: optionsError } = resolveRelatedOptions(req.query);
+
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+
+    if (!isContentId(contentId)) {
+      return res.status(404).json({ error: 'Content not found' });
+    }
+
+    const target = await storageService.getContentById(req.user.id, contentId, {
+      columns: 'id, title, type, source_url, content_hash, insight_data, embedding'
+    });
+    if (!target.success) {
+      return res.status(500).json({ error: target.error });
+    }
+    if (!target.content) {
+      return res.status(404).json({ error: 'Content not found' });
+    }
+
+    if (!target.content.embedding) {
+      return res.json({
+        success: true,
+        contentId,
+        related: [],
+        message: 'This item has no embedding yet. Related items appear once embeddings are generated.'
+      });
+    }
+
+    const candidates = await storageService.findRelatedContent(req.user.id, contentId, RELATED_CANDIDATE_COUNT);
+    if (!candidates.success) {
+      return res.status(500).json({ error: candidates.error });
+    }
+
+    res.json({
+      success: true,
+      contentId,
+      related: rankRelatedContent(target.content, candidates.matches, options),
+      diversity: options.diversity
+    });
+  } catch (error) {
+    console.error('Related content error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Likely duplicates of a saved item (same story from another outlet, tracking parameters, ...)
+router.get('/content/:contentId/duplicates', async (req, res) => {
+  try {
+    const { contentId } = req.params;
+
+    if (!isContentId(contentId)) {
+      return res.status(404).json({ error: 'Content not found' });
+    }
+
+    const target = await storageService.getContentById(req.user.id, contentId, {
+      columns: 'id, type, source_url, content_text, url_keys, content_fingerprint, embedding'
+    });
+    if (!target.success) {
+      return res.status(500).json({ error: target.error });
+    }
+    if (!target.content) {
+      return res.status(404).json({ error: 'Content not found' });
+    }
+
+    const result = await findDuplicates(req.user.id, withDuplicateKeys(target.content), {
+      excludeId: contentId,
+      type: target.content.type,
+      embedding: target.content.embedding
+    });
+    if (!result.success) {
+      return res.status(500).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      contentId,
+      candidates: result.candidates
+    });
+  } catch (error) {
+    console.error('Find duplicates error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Merge a duplicate into this item: it fills gaps here, its citations move here, and it is deleted
+router.post('/content/:contentId/merge', async (req, res) => {
+  try {
+    const { contentId } = req.params;
+    const { duplicateId } = req.body || {};
+
+    if (!isContentId(duplicateId)) {
+      return res.status(400).json({ error: 'duplicateId must be the id of a saved item' });
+    }
+    if (duplicateId === contentId) {
+      return res.status(400).json({ error: 'An item cannot be merged into itself' });
+    }
+    if (!isContentId(contentId)) {
+      return res.status(404).json({ error: 'Content not found' });
+    }
+
+    const [keep, duplicate] = await Promise.all([
+      storageService.getContentById(req.user.id, contentId),
+      storageService.getContentById(req.user.id, duplicateId)
+    ]);
+    if (!keep.success || !duplicate.success) {
+      return res.status(500).json({ error: keep.error || duplicate.error });
+    }
+    if (!keep.content || !duplicate.content) {
+      return res.status(404).json({ error: 'Content not found' });
+    }
+
+    const updates = mergeContentRecords(withDuplicateKeys(keep.content), withDuplicateKeys(duplicate.content));
+    const updated = await storageService.updateContent(req.user.id, contentId, updates);
+    if (!updated.success) {
+      return res.status(500).json({ error: updated.error });
+    }
+
+    // The kept item also gets the duplicate's tags
+    const duplicateTags = await tagService.getContentTags(req.user.id, duplicateId);
+    const tagged = duplicateTags.success
+      ? await tagService.addContentTags(req.user.id, contentId, duplicateTags.tags.map(tag => ({
+        tagId: tag.id,
+        source: tag.source,
+        confidence: tag.confidence
+      })))
+      : duplicateTags;
+    if (!tagged.success) {
+      return res.status(500).json({ error: tagged.error });
+    }
+
+    const merged = await storageService.markContentMerged(req.user.id, duplicateId, contentId);
+    if (!merged.success) {
+      return res.status(500).json({ error: merged.error });
+    }
+
+    if (updates.content_text !== undefined) {
+      entityIndexer.indexInBackground(req.user.id, updated.content);
+    }
+
+    console.log(`🔗 Merged ${duplicateId} into ${contentId} (${Object.keys(updates).join(', ')})`);
+    res.json({
+      success: true,
+      content: updated.content,
+      mergedId: duplicateId,
+      updatedFields: Object.keys(updates)
+    });
+  } catch (error) {
+    console.error('Merge content error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// An item's tags; source is 'user' or 'auto' (with the auto-tagger's confidence)
+router.get('/content/:contentId/tags', async (req, res) => {
+  try {
+    const { contentId } = req.params;
+
+    if (!isContentId(contentId)) {
+      return res.status(404).json({ error: 'Content not found' });
+    }
+    const item = await storageService.getContentById(req.user.id, contentId, { columns: 'id' });
+    if (!item.success) {
+      return res.status(500).json({ error: item.error });
+    }
+    if (!item.content) {
+      return res.status(404).json({ error: 'Content not found' });
+    }
+
+    const result = await tagService.getContentTags(req.user.id, contentId);
+
+    if (result.success) {
+      res.json({ success: true, tags: result.tags });
+    } else {
+      res.status(500).json({ error: result.error });
+    }
+  } catch (error) {
+    console.error('Get content tags error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Set an item's tags: { tags: [names] }; new names create tags, former names map to the renamed tag
+router.put('/content/:contentId/tags', async (req, res) => {
+  try {
+    const { contentId } = req.params;
+    const { tags } = req.body || {};
+
+    if (!Array.isArray(tags)) {
+      return res.status(400).json({ error: 'tags must be an array of tag names' });
+    }
+    if (tags.length > MAX_TAGS_PER_ITEM) {
+      return res.status(400).json({ error: `At most ${MAX_TAGS_PER_ITEM} tags per item` });
+    }
+    const names = [];
+    for (const tag of tags) {
+      const { name, error } = validateTagName(tag);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      names.push(name);
+    }
+
+    if (!isContentId(contentId)) {
+      return res.status(404).json({ error: 'Content not found' });
+    }
+    const item = await storageService.getContentById(req.user.id, contentId, { columns: 'id' });
+    if (!item.success) {
+      return res.status(500).json({ error: item.error });
+    }
+    if (!item.content) {
+      return res.status(404).json({ error: 'Content not found' });
+    }
+
+    const resolved = await tagService.ensureTags(req.user.id, names);
+    if (!resolved.success) {
+      return res.status(500).json({ error: resolved.error });
+    }
+    const tagIds = [...new Set([...resolved.byKey.values()].map(row => row.id))];
+
+    const result = await tagService.setContentTags(req.user.id, contentId, tagIds);
+    if (!result.success) {
+      return res.status(500).json({ error: result.error });
+    }
+
+    const updated = await tagService.getContentTags(req.user.id, contentId);
+    res.json({ success: true, tags: updated.tags });
+  } catch (error) {
+    console.error('Set content tags error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Tag suggestions for an item, without applying them
+router.post('/content/:contentId/tags/suggest', async (req, res) => {
+  try {
+    const { contentId } = req.params;
+
+    if (!isContentId(contentId)) {
+      return res.status(404).json({ error: 'Content not found' });
+    }
+    const item = await storageService.getContentById(req.user.id, contentId, {
+      columns: 'id, title, content_text, preview, source_url'
+    });
+    if (!item.success) {
+      return res.status(500).json({ error: item.error });
+    }
+    if (!item.content) {
+      return res.status(404).json({ error: 'Content not found' });
+    }
+
+    const [vocabulary, current, settings] = await Promise.all([
+      tagService.listTags(req.user.id),
+      tagService.getContentTags(req.user.id, contentId),
+      storageService.getSettings(req.user.id)
+    ]);
+    if (!vocabulary.success || !current.success) {
+      return res.status(500).json({ error: vocabulary.error || current.error });
+    }
+
+    const suggestions = await llm.runForUser(req.user.id, () => suggestTags({
+      item: { title: item.content.title, text: item.content.content_text || item.content.preview, url: item.content.source_url },
+      vocabulary: vocabulary.tags,
+      userSettings: settings.settings || null
+    }));
+
+    // Tags the item already has aren't suggested again
+    const currentIds = new Set(current.tags.map(tag => tag.id));
+    res.json({
+      success: true,
+      suggestions: suggestions.filter(suggestion => !currentIds.has(suggestion.tagId))
+    });
+  } catch (error) {
+    console.error('Suggest tags error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Update existing content
 router.put('/content/:contentId', async (req, res) => {
   try {
@@ -149,6 +512,10 @@ router.put('/content/:contentId', async (req, res) => {
     const result = await storageService.updateContent(req.user.id, contentId, updates);
 
     if (result.success) {
+      // Edited text may mention other entities
+      if (updates.content_text !== undefined || updates.title !== undefined) {
+        entityIndexer.indexInBackground(req.user.id, result.content);
+      }
       res.json({
         success: true,
         content: result.content
@@ -207,6 +574,29 @@ router.put('/settings', async (req, res) => {
   try {
     const newSettings = req.body;
 
+    // A digest schedule is checked here so a bad one fails now, not at the next scheduled run
+    const { error: digestError } = resolveDigestSchedule(newSettings?.digest);
+    if (digestError) {
+      return res.status(400).json({ error: digestError });
+    }
+    for (const flag of ['autoTagging', 'entityExtraction']) {
+      if (newSettings?.[flag] !== undefined && typeof newSettings[flag] !== 'boolean') {
+        return res.status(400).json({ error: `${flag} must be true or false` });
+      }
+    }
+    const languageError = validatePreferredLanguage(newSettings?.preferredLanguage);
+    if (languageError) {
+      return res.status(400).json({ error: languageError });
+    }
+    const modelsError = llm.validateUserModels(newSettings?.llmModels);
+    if (modelsError) {
+      return res.status(400).json({ error: modelsError });
+    }
+    const overridesError = validatePromptOverrides(newSettings?.promptOverrides);
+    if (overridesError) {
+      return res.status(400).json({ error: overridesError });
+    }
+
     const result = await storageService.updateSettings(req.user.id, newSettings);
 
     if (result.success) {
@@ -223,21 +613,27 @@ router.put('/settings', async (req, res) => {
   }
 });
 
-// Check for duplicate URL
+// Check whether a page is already saved (as a bookmark, unless type says otherwise)
+// isDuplicate: a likely duplicate was saved in the last timeWindowHours; candidates cover the whole library
 router.post('/check-duplicate', async (req, res) => {
   try {
-    const { url, timeWindowHours = 24 } = req.body;
+    const { url, canonicalUrl, content, embedding, type = 'bookmark', timeWindowHours = 24 } = req.body;
 
     if (!url) {
       return res.status(400).json({ error: 'URL is required' });
     }
+    if (embedding !== undefined && !Array.isArray(embedding)) {
+      return res.status(400).json({ error: 'embedding must be an array' });
+    }
 
-    const result = await storageService.checkDuplicateUrl(req.user.id, url, timeWindowHours);
+    const result = await findDuplicates(req.user.id, duplicateKeys({ url, canonicalUrl, text: content }), { type, embedding });
 
     if (result.success) {
+      const since = Date.now() - (timeWindowHours * 60 * 60 * 1000);
       res.json({
         success: true,
-        isDuplicate: result.isDuplicate
+        isDuplicate: result.candidates.some(candidate => candidate.isDuplicate && Date.parse(candidate.savedAt) >= since),
+        candidates: result.candidates
       });
     } else {
       res.status(500).json({ error: result.error });
@@ -1,5 +1,18 @@
 // Supabase storage service to replace Chrome storage
 const SupabaseClient = require('./supabase-client');
+const { duplicateKeys } = require('../content-processing/duplicate-detector');
+const { contentLanguage } = require('../language');
+
+// Settings only the server (or an admin) may change
+const SERVER_MANAGED_SETTINGS = ['plan'];
+
+// Optional type/domain/content id filters for the search functions, only sent when set
+// so databases without the filter parameters (older vector-search.sql) keep working
+const searchFilterParams = (options) => ({
+  ...(options.type && { filter_type: options.type }),
+  ...(options.domain && { filter_domain: options.domain }),
+  ...(options.contentIds && { filter_content_ids: options.contentIds })
+});
 
 class SupabaseStorageService {
   constructor() {
@@ -154,7 +167,18 @@ Industry observers are watching closely to see whether this dispute will lead to
         insight_data: contentData.insight_data,
         sources: contentData.sources,
         searchable_text: contentData.searchableText,
-        embedding: contentData.embedding
+        embedding: contentData.embedding,
+        ...duplicateKeys({
+          url: contentData.source?.url || contentData.url,
+          canonicalUrl: contentData.canonicalUrl,
+          text: contentData.content || contentData.text
+        }),
+        // contentData.language is the language the page declares, if the client sent it
+        ...contentLanguage({
+          title: contentData.title,
+          text: contentData.content || contentData.text || contentData.preview || contentData.summary,
+          declared: contentData.language
+        })
       };
 
       const { data, error } = await this.supabase.adminClient
@@ -174,13 +198,24 @@ Industry observers are watching closely to see whether this dispute will lead to
   // Get all content for user (replaces getAllContent)
   async getAllContent(userId, options = {}) {
     try {
+      const columns = options.columns || '*';
+      const byTag = Array.isArray(options.tagIds);
+      if (byTag && options.tagIds.length === 0) {
+        return { success: true, content: [] };
+      }
+
       let query = this.supabase.adminClient
         .from('user_content')
-        .select('*')
+        // Items carrying any of the tags; the inner join drops the others
+        .select(byTag ? `${columns}, content_tags!inner(tag_id)` : columns)
         .eq('user_id', userId)
         .neq('status', 'deleted')
         .order('timestamp', { ascending: false });
 
+      if (byTag) {
+        query = query.in('content_tags.tag_id', options.tagIds);
+      }
+
       if (options.limit) {
         query = query.limit(options.limit);
       }
@@ -189,6 +224,11 @@ Industry observers are watching closely to see whether this dispute will lead to
         query = query.eq('type', options.type);
       }
 
+      // Hostname or any of its subdomains (expects a normalized hostname, see content-filters.js)
+      if (options.domain) {
+        query = query.or(`source_hostname.eq.${options.domain},source_hostname.like.*.${options.domain}`);
+      }
+
       if (options.days) {
         const timeWindow = Date.now() - (options.days * 24 * 60 * 60 * 1000);
         query = query.gte('timestamp', timeWindow);
@@ -198,16 +238,39 @@ Industry observers are watching closely to see whether this dispute will lead to
 
       if (error) throw error;
 
-      return { success: true, content: data || [] };
+      const content = byTag
+        ? (data || []).map(({ content_tags, ...row }) => row)
+        : data || [];
+
+      return { success: true, content };
     } catch (error) {
       return { success: false, error: error.message, content: [] };
     }
   }
 
+  // Get one content item (null if it doesn't exist, is deleted or belongs to someone else)
+  async getContentById(userId, contentId, options = {}) {
+    try {
+      const { data, error } = await this.supabase.adminClient
+        .from('user_content')
+        .select(options.columns || '*')
+        .eq('id', contentId)
+        .eq('user_id', userId)
+        .neq('status', 'deleted')
+        .maybeSingle();
+
+      if (error) throw error;
+
+      return { success: true, content: data || null };
+    } catch (error) {
+      return { success: false, error: error.message, content: null };
+    }
+  }
+
   // Get user settings
   async getSettings(userId) {
     try {
-      const { data, error } = await this.supabase.adminClient
+      const { data } = await this.supabase.adminClient
         .from('user_settings')
         .select('settings')
         .eq('user_id', userId)
@@ -240,13 +303,26 @@ Industry observers are watching closely to see whether this dispute will lead to
   }
 
   // Update user settings
+  // Server-managed keys (the quota plan) keep their stored value whatever the client sends
   async updateSettings(userId, newSettings) {
     try {
+      const { data: current } = await this.supabase.adminClient
+        .from('user_settings')
+        .select('settings')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      const settings = { ...newSettings };
+      for (const key of SERVER_MANAGED_SETTINGS) {
+        delete settings[key];
+        if (current?.settings?.[key] !== undefined) settings[key] = current.settings[key];
+      }
+
       const { data, error } = await this.supabase.adminClient
         .from('user_settings')
         .upsert({
           user_id: userId,
-          settings: newSettings
+          settings
         })
         .select('settings')
         .single();
@@ -262,9 +338,18 @@ Industry observers are watching closely to see whether this dispute will lead to
   // Update content (for adding embeddings, editing, etc.)
   async updateContent(userId, contentId, updates) {
     try {
+      // New text or URL: duplicate keys are recomputed the next time duplicates are checked
+      const staleKeys = ('content_text' in updates || 'source_url' in updates) && !('url_keys' in updates);
+      // New text: its language is detected again
+      const newLanguage = 'content_text' in updates && !('language' in updates);
+
       const { data, error } = await this.supabase.adminClient
         .from('user_content')
-        .update(updates)
+        .update({
+          ...updates,
+          ...(staleKeys && { url_keys: null, content_fingerprint: null }),
+          ...(newLanguage && contentLanguage({ title: updates.title, text: updates.content_text }))
+        })
         .eq('user_id', userId)
         .eq('id', contentId)
         .select()
@@ -295,15 +380,210 @@ Industry observers are watching closely to see whether this dispute will lead to
     }
   }
 
+  // Get content with its embedding state (without the vectors themselves)
+  async getContentForEmbedding(userId, options = {}) {
+    try {
+      let query = this.supabase.adminClient
+        .from('user_content')
+        .select('id, title, content_text, preview, type, timestamp, source_title, source_url, source_hostname, insight_data, embedding_model, content_hash, language')
+        .eq('user_id', userId)
+        .neq('status', 'deleted')
+        .order('timestamp', { ascending: false });
+
+      if (options.days) {
+        const timeWindow = Date.now() - (options.days * 24 * 60 * 60 * 1000);
+        query = query.gte('timestamp', timeWindow);
+      }
+
+      if (options.limit) {
+        query = query.limit(options.limit);
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+
+      return { success: true, content: data || [] };
+    } catch (error) {
+      return { success: false, error: error.message, content: [] };
+    }
+  }
+
+  // Whether any item has no embedding from this model yet, without loading the items
+  // (edited items are only found by hashing their text, see loadEmbeddingWork in server.js)
+  async hasContentNeedingEmbedding(userId, { days, model } = {}) {
+    try {
+      let query = this.supabase.adminClient
+        .from('user_content')
+        .select('id')
+        .eq('user_id', userId)
+        .neq('status', 'deleted')
+        .or(`content_hash.is.null,embedding_model.neq.${model}`)
+        .limit(1);
+
+      if (days) {
+        query = query.gte('timestamp', Date.now() - (days * 24 * 60 * 60 * 1000));
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+
+      return { success: true, pending: (data || []).length > 0 };
+    } catch (error) {
+      return { success: false, error: error.message, pending: false };
+    }
+  }
+
+  // Store an embedding with the model and content hash it was generated from
+  // language and searchConfig come from the same text (see language/), and are kept when not given
+  async saveEmbedding(userId, contentId, { embedding, model, contentHash, searchableText, language, searchConfig }) {
+    try {
+      const { error } = await this.supabase.adminClient
+        .from('user_content')
+        .update({
+          embedding,
+          embedding_model: model,
+          content_hash: contentHash,
+          searchable_text: searchableText,
+          ...(searchConfig && { language, search_config: searchConfig })
+        })
+        .eq('user_id', userId)
+        .eq('id', contentId);
+
+      if (error) throw error;
+
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Store the detected language of an item (items saved before language detection)
+  async saveLanguage(userId, contentId, { language, searchConfig }) {
+    try {
+      const { error } = await this.supabase.adminClient
+        .from('user_content')
+        .update({ language, search_config: searchConfig })
+        .eq('user_id', userId)
+        .eq('id', contentId);
+
+      if (error) throw error;
+
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Languages of the user's items with their item counts, most items first
+  async getContentLanguages(userId) {
+    try {
+      const { data, error } = await this.supabase.adminClient
+        .rpc('get_content_languages', { user_id: userId });
+
+      if (error) throw error;
+
+      return { success: true, languages: (data || []).map(row => ({ language: row.language, itemCount: Number(row.item_count) })) };
+    } catch (error) {
+      return { success: false, error: error.message, languages: [] };
+    }
+  }
+
+  // Replace the stored passages of an item (after its text or embedding model changed)
+  async replacePassages(userId, contentId, passages, model) {
+    try {
+      const { error: deleteError } = await this.supabase.adminClient
+        .from('content_passages')
+        .delete()
+        .eq('user_id', userId)
+        .eq('content_id', contentId);
+
+      if (deleteError) throw deleteError;
+
+      if (passages.length === 0) {
+        return { success: true, count: 0 };
+      }
+
+      const rows = passages.map(passage => ({
+        content_id: contentId,
+        user_id: userId,
+        passage_index: passage.index,
+        passage_text: passage.text,
+        start_offset: passage.startOffset,
+        end_offset: passage.endOffset,
+        embedding: passage.embedding,
+        embedding_model: model
+      }));
+
+      const { error } = await this.supabase.adminClient
+        .from('content_passages')
+        .insert(rows);
+
+      if (error) throw error;
+
+      return { success: true, count: rows.length };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Search passages with vector similarity
+  async searchPassages(userId, queryEmbedding, limit = 10, threshold = 0.3, options = {}) {
+    try {
+      const { data, error } = await this.supabase.adminClient
+        .rpc('search_passages_by_embedding', {
+          query_embedding: queryEmbedding,
+          user_id: userId,
+          match_threshold: threshold,
+          match_count: limit,
+          since_timestamp: options.days ? Date.now() - (options.days * 24 * 60 * 60 * 1000) : null,
+          ...searchFilterParams(options)
+        });
+
+      if (error) throw error;
+
+      return { success: true, matches: data || [] };
+    } catch (error) {
+      console.error('Passage search error:', error);
+      return { success: false, error: error.message, matches: [] };
+    }
+  }
+
+  // Hybrid search candidates: nearest embeddings plus full-text matches, with both scores
+  async searchContentHybrid(userId, queryText, queryEmbedding, limit = 20, options = {}) {
+    try {
+      const { data, error } = await this.supabase.adminClient
+        .rpc('search_content_hybrid', {
+          query_text: queryText,
+          query_embedding: queryEmbedding,
+          user_id: userId,
+          match_count: limit,
+          since_timestamp: options.days ? Date.now() - (options.days * 24 * 60 * 60 * 1000) : null,
+          ...searchFilterParams(options),
+          // The query in other languages of the library, for items in those languages
+          ...(options.queryTranslations && { query_translations: options.queryTranslations })
+        });
+
+      if (error) throw error;
+
+      return { success: true, matches: data || [] };
+    } catch (error) {
+      console.error('Hybrid search error:', error);
+      return { success: false, error: error.message, matches: [] };
+    }
+  }
+
   // Search content with vector similarity
-  async searchContent(userId, queryEmbedding, limit = 10, threshold = 0.5) {
+  async searchContent(userId, queryEmbedding, limit = 10, threshold = 0.5, options = {}) {
     try {
       const { data, error } = await this.supabase.adminClient
         .rpc('search_content_by_embedding', {
           query_embedding: queryEmbedding,
           user_id: userId,
           match_threshold: threshold,
-          match_count: limit
+          match_count: limit,
+          since_timestamp: options.days ? Date.now() - (options.days * 24 * 60 * 60 * 1000) : null
         });
 
       if (error) throw error;
@@ -317,26 +597,102 @@ Industry observers are watching closely to see whether this dispute will lead to
     }
   }
 
-  // Check for duplicate URLs (for saved pages)
-  async checkDuplicateUrl(userId, url, timeWindowHours = 24) {
+  // Nearest stored neighbours of one item, with their embeddings (empty if it has none)
+  async findRelatedContent(userId, contentId, limit = 30) {
     try {
-      const timeWindow = Date.now() - (timeWindowHours * 60 * 60 * 1000);
+      const { data, error } = await this.supabase.adminClient
+        .rpc('find_related_content', {
+          target_id: contentId,
+          user_id: userId,
+          match_count: limit
+        });
+
+      if (error) throw error;
+
+      return { success: true, matches: data || [] };
+    } catch (error) {
+      console.error('Related content search error:', error);
+      return { success: false, error: error.message, matches: [] };
+    }
+  }
 
+  // Items whose duplicate keys haven't been computed yet (saved before duplicate detection, or edited)
+  async getContentWithoutDuplicateKeys(userId, limit = 100) {
+    try {
       const { data, error } = await this.supabase.adminClient
         .from('user_content')
-        .select('id')
+        .select('id, source_url, content_text')
         .eq('user_id', userId)
-        .eq('type', 'bookmark')
-        .eq('source_url', url)
-        .gte('timestamp', timeWindow)
+        .is('url_keys', null)
         .neq('status', 'deleted')
-        .limit(1);
+        .limit(limit);
+
+      if (error) throw error;
+
+      return { success: true, content: data || [] };
+    } catch (error) {
+      return { success: false, error: error.message, content: [] };
+    }
+  }
+
+  // Store the URL keys and text fingerprint of an item
+  async saveDuplicateKeys(userId, contentId, keys) {
+    try {
+      const { error } = await this.supabase.adminClient
+        .from('user_content')
+        .update({ url_keys: keys.url_keys, content_fingerprint: keys.content_fingerprint })
+        .eq('user_id', userId)
+        .eq('id', contentId);
+
+      if (error) throw error;
+
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Possible duplicates of an item: shared URL keys, a close fingerprint or a close embedding
+  async findDuplicateCandidates(userId, { excludeId, type, urlKeys, fingerprint, embedding, maxFingerprintDistance, similarityThreshold, limit = 20 }) {
+    try {
+      const { data, error } = await this.supabase.adminClient
+        .rpc('find_duplicate_candidates', {
+          user_id: userId,
+          exclude_id: excludeId || null,
+          match_url_keys: urlKeys && urlKeys.length > 0 ? urlKeys : null,
+          match_fingerprint: fingerprint || null,
+          max_fingerprint_distance: maxFingerprintDistance,
+          query_embedding: embedding || null,
+          similarity_threshold: similarityThreshold,
+          match_count: limit,
+          ...searchFilterParams({ type })
+        });
 
       if (error) throw error;
 
-      return { success: true, isDuplicate: data && data.length > 0 };
+      return { success: true, candidates: data || [] };
     } catch (error) {
-      return { success: false, error: error.message, isDuplicate: false };
+      console.error('Duplicate search error:', error);
+      return { success: false, error: error.message, candidates: [] };
+    }
+  }
+
+  // Move a merged duplicate's citations to the kept item and delete the duplicate
+  async markContentMerged(userId, duplicateId, primaryId) {
+    try {
+      const { error } = await this.supabase.adminClient
+        .rpc('mark_content_merged', {
+          user_id: userId,
+          duplicate_id: duplicateId,
+          primary_id: primaryId
+        });
+
+      if (error) throw error;
+
+      return { success: true };
+    } catch (error) {
+      console.error('Merge content error:', error);
+      return { success: false, error: error.message };
     }
   }
 
@@ -36,7 +36,7 @@ class SupabaseClient {
   // Test connection
   async testConnection() {
     try {
-      const { data, error } = await this.client.from('users').select('count').limit(1);
+      const { error } = await this.client.from('users').select('count').limit(1);
       if (error) throw error;
       return { success: true, message: 'Connected to Supabase successfully' };
     } catch (error) {
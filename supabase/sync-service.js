@@ -201,7 +201,6 @@ class SyncService {
       }
 
       const serverContent = serverContentResult.content || [];
-      const conflicts = [];
       const updates = [];
 
       // Compare local and server content
@@ -0,0 +1,198 @@
+// Tag routes for Otto Research Assistant (tags on items are under /api/storage/content/:id/tags)
+const express = require('express');
+const TagService = require('./tag-service');
+const { requireAuth } = require('./auth-routes');
+const { validateTagName } = require('../tagging');
+
+const router = express.Router();
+const tagService = new TagService();
+
+const MAX_COLOR_LENGTH = 20;
+const MAX_MERGE_SOURCES = 50;
+
+const isTagId = (id) => typeof id === 'string' && /^[0-9a-f-]{36}$/i.test(id);
+
+// All routes require authentication
+router.use(requireAuth);
+
+/**
+ * Check a color from a request (undefined: leave as is, null: remove)
+ * @returns {Object} { color, error }
+ */
+const validateColor = (color) => {
+  if (color === undefined || color === null) return { color, error: null };
+  if (typeof color !== 'string' || !color.trim() || color.trim().length > MAX_COLOR_LENGTH) {
+    return { color: null, error: `color must be a string of at most ${MAX_COLOR_LENGTH} characters` };
+  }
+  return { color: color.trim(), error: null };
+};
+
+// A tag as listed, with its item counts (the tag itself if listing fails)
+const withCounts = async (userId, tag) => {
+  const result = await tagService.listTags(userId);
+  return result.tags.find(entry => entry.id === tag.id) || tag;
+};
+
+// List tags with item counts, most used first
+router.get('/', async (req, res) => {
+  try {
+    const result = await tagService.listTags(req.user.id);
+
+    if (result.success) {
+      res.json({ success: true, tags: result.tags });
+    } else {
+      res.status(500).json({ error: result.error });
+    }
+  } catch (error) {
+    console.error('List tags error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a tag: { name, color }
+router.post('/', async (req, res) => {
+  try {
+    const { name, error: nameError } = validateTagName(req.body.name);
+    if (nameError) {
+      return res.status(400).json({ error: nameError });
+    }
+    const { color, error: colorError } = validateColor(req.body.color);
+    if (colorError) {
+      return res.status(400).json({ error: colorError });
+    }
+
+    const result = await tagService.createTag(req.user.id, { name, color });
+
+    if (result.success) {
+      res.status(201).json({ success: true, tag: result.tag });
+    } else if (result.conflict) {
+      res.status(409).json({ error: `A tag named "${name}" already exists` });
+    } else {
+      res.status(500).json({ error: result.error });
+    }
+  } catch (error) {
+    console.error('Create tag error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rename and/or recolor a tag: { name, color }
+// The old name becomes an alias, so auto-tagging keeps mapping it to this tag
+router.patch('/:id', async (req, res) => {
+  try {
+    const updates = {};
+
+    if (req.body.name !== undefined) {
+      const { name, error } = validateTagName(req.body.name);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      updates.name = name;
+    }
+    if (req.body.color !== undefined) {
+      const { color, error } = validateColor(req.body.color);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      updates.color = color;
+    }
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'name or color is required' });
+    }
+
+    if (!isTagId(req.params.id)) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+    const existing = await tagService.getTag(req.user.id, req.params.id);
+    if (!existing.success) {
+      return res.status(500).json({ error: existing.error });
+    }
+    if (!existing.tag) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    const result = await tagService.updateTag(req.user.id, existing.tag, updates);
+
+    if (result.success) {
+      res.json({ success: true, tag: await withCounts(req.user.id, result.tag) });
+    } else if (result.conflict) {
+      res.status(409).json({ error: `A tag named "${updates.name}" already exists; merge the tags instead` });
+    } else {
+      res.status(500).json({ error: result.error });
+    }
+  } catch (error) {
+    console.error('Update tag error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a tag, removing it from every item
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!isTagId(req.params.id)) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    const result = await tagService.deleteTag(req.user.id, req.params.id);
+
+    if (!result.success) {
+      return res.status(500).json({ error: result.error });
+    }
+    if (!result.deleted) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    res.json({ success: true, message: 'Tag deleted' });
+  } catch (error) {
+    console.error('Delete tag error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Merge other tags into this one: { sourceIds: [...] }
+// Their items get this tag, their names become its aliases, and they are deleted
+router.post('/:id/merge', async (req, res) => {
+  try {
+    const { sourceIds } = req.body || {};
+
+    if (!Array.isArray(sourceIds) || sourceIds.length === 0 || !sourceIds.every(isTagId)) {
+      return res.status(400).json({ error: 'sourceIds must be a non-empty array of tag ids' });
+    }
+    if (sourceIds.length > MAX_MERGE_SOURCES) {
+      return res.status(400).json({ error: `At most ${MAX_MERGE_SOURCES} tags can be merged at once` });
+    }
+
+    const targetId = req.params.id;
+    const ids = [...new Set(sourceIds)].filter(id => id !== targetId);
+    if (ids.length === 0) {
+      return res.status(400).json({ error: 'A tag cannot be merged into itself' });
+    }
+    if (!isTagId(targetId)) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    const found = await Promise.all([targetId, ...ids].map(id => tagService.getTag(req.user.id, id)));
+    const failed = found.find(result => !result.success);
+    if (failed) {
+      return res.status(500).json({ error: failed.error });
+    }
+    if (found.some(result => !result.tag)) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    const result = await tagService.mergeTags(req.user.id, targetId, ids);
+    if (!result.success) {
+      return res.status(500).json({ error: result.error });
+    }
+
+    const tag = await withCounts(req.user.id, { id: targetId, name: found[0].tag.name });
+
+    console.log(`🏷️ Merged ${ids.length} tag(s) into "${tag.name}"`);
+    res.json({ success: true, tag, mergedIds: ids });
+  } catch (error) {
+    console.error('Merge tags error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = { router, tagService };
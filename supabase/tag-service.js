@@ -0,0 +1,288 @@
+// Tags and the tags on each saved item (see tagging/ for auto-tagging)
+const SupabaseClient = require('./supabase-client');
+const { tagKey } = require('../tagging');
+
+// Postgres unique_violation: a tag with that name already exists
+const UNIQUE_VIOLATION = '23505';
+
+const toTag = (row) => ({
+  id: row.id,
+  name: row.name,
+  aliases: row.aliases || [],
+  color: row.color || null,
+  itemCount: Number(row.item_count || 0),
+  autoCount: Number(row.auto_count || 0),
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+class TagService {
+  constructor() {
+    this.supabase = new SupabaseClient();
+  }
+
+  // A user's tags with item counts, most used first
+  async listTags(userId) {
+    try {
+      const { data, error } = await this.supabase.adminClient
+        .rpc('list_tags', { user_id: userId });
+
+      if (error) throw error;
+
+      return { success: true, tags: (data || []).map(toTag) };
+    } catch (error) {
+      console.error('Error listing tags:', error);
+      return { success: false, error: error.message, tags: [] };
+    }
+  }
+
+  // Raw tag row, null if it doesn't exist or belongs to someone else
+  async getTag(userId, tagId) {
+    try {
+      const { data, error } = await this.supabase.adminClient
+        .from('tags')
+        .select('*')
+        .eq('id', tagId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (error) throw error;
+
+      return { success: true, tag: data || null };
+    } catch (error) {
+      return { success: false, error: error.message, tag: null };
+    }
+  }
+
+  // conflict is true when the user already has a tag with that name
+  async createTag(userId, { name, color = null }) {
+    try {
+      const { data, error } = await this.supabase.adminClient
+        .from('tags')
+        .insert({ user_id: userId, name, name_key: tagKey(name), color })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return { success: true, tag: toTag(data) };
+    } catch (error) {
+      return { success: false, conflict: error.code === UNIQUE_VIOLATION, error: error.message };
+    }
+  }
+
+  // Rename and/or recolor; a former name is kept as an alias so auto-tagging still maps it here
+  async updateTag(userId, tag, { name, color }) {
+    try {
+      const updates = {};
+      if (color !== undefined) updates.color = color;
+      if (name !== undefined && name !== tag.name) {
+        const key = tagKey(name);
+        updates.name = name;
+        updates.name_key = key;
+        updates.aliases = [...new Set([...(tag.aliases || []), tag.name_key])].filter(alias => alias !== key);
+      }
+
+      const { data, error } = await this.supabase.adminClient
+        .from('tags')
+        .update(updates)
+        .eq('id', tag.id)
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return { success: true, tag: toTag(data) };
+    } catch (error) {
+      return { success: false, conflict: error.code === UNIQUE_VIOLATION, error: error.message };
+    }
+  }
+
+  // Item tags go with it (ON DELETE CASCADE)
+  async deleteTag(userId, tagId) {
+    try {
+      const { data, error } = await this.supabase.adminClient
+        .from('tags')
+        .delete()
+        .eq('id', tagId)
+        .eq('user_id', userId)
+        .select('id');
+
+      if (error) throw error;
+
+      return { success: true, deleted: (data || []).length > 0 };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Merge tags into targetId: their items move over and their names become its aliases
+  async mergeTags(userId, targetId, sourceIds) {
+    try {
+      const { error } = await this.supabase.adminClient
+        .rpc('merge_tags', {
+          user_id: userId,
+          target_id: targetId,
+          source_ids: sourceIds
+        });
+
+      if (error) throw error;
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error merging tags:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Existing tags for a list of names; a name matching a tag's alias resolves to that tag
+   * @param {string} userId
+   * @param {Array<string>} names - Tag names
+   * @returns {Promise<Object>} { success, byKey: Map of tagKey(name) → tag row }
+   */
+  async findTags(userId, names) {
+    try {
+      const keys = [...new Set(names.map(tagKey))].filter(Boolean);
+      const byKey = new Map();
+      if (keys.length === 0) return { success: true, byKey };
+
+      const quoted = keys.map(key => JSON.stringify(key)).join(',');
+      const { data, error } = await this.supabase.adminClient
+        .from('tags')
+        .select('*')
+        .eq('user_id', userId)
+        .or(`name_key.in.(${quoted}),aliases.ov.{${quoted}}`);
+
+      if (error) throw error;
+
+      for (const tag of data || []) {
+        if (keys.includes(tag.name_key)) byKey.set(tag.name_key, tag);
+      }
+      for (const tag of data || []) {
+        for (const alias of tag.aliases || []) {
+          if (keys.includes(alias) && !byKey.has(alias)) byKey.set(alias, tag);
+        }
+      }
+
+      return { success: true, byKey };
+    } catch (error) {
+      console.error('Error finding tags:', error);
+      return { success: false, error: error.message, byKey: new Map() };
+    }
+  }
+
+  // Like findTags, creating the tags that don't exist yet
+  async ensureTags(userId, names) {
+    const existing = await this.findTags(userId, names);
+    if (!existing.success) return existing;
+
+    const missing = [...new Map(names
+      .filter(name => tagKey(name) && !existing.byKey.has(tagKey(name)))
+      .map(name => [tagKey(name), { user_id: userId, name, name_key: tagKey(name) }])).values()];
+    if (missing.length === 0) return existing;
+
+    try {
+      const { error } = await this.supabase.adminClient
+        .from('tags')
+        .upsert(missing, { onConflict: 'user_id,name_key', ignoreDuplicates: true });
+
+      if (error) throw error;
+    } catch (error) {
+      console.error('Error creating tags:', error);
+      return { success: false, error: error.message, byKey: new Map() };
+    }
+
+    // Re-read: tags created by a concurrent request aren't returned by an ignored upsert
+    return this.findTags(userId, names);
+  }
+
+  // Tags on one item
+  async getContentTags(userId, contentId) {
+    try {
+      const { data, error } = await this.supabase.adminClient
+        .from('content_tags')
+        .select('source, confidence, created_at, tag:tags(id, name, color)')
+        .eq('content_id', contentId)
+        .eq('user_id', userId)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      return {
+        success: true,
+        tags: (data || []).filter(row => row.tag).map(row => ({
+          id: row.tag.id,
+          name: row.tag.name,
+          color: row.tag.color || null,
+          source: row.source,
+          confidence: row.confidence ?? null
+        }))
+      };
+    } catch (error) {
+      return { success: false, error: error.message, tags: [] };
+    }
+  }
+
+  // Replace an item's tags with the given ones, as chosen by the user
+  async setContentTags(userId, contentId, tagIds) {
+    try {
+      let remove = this.supabase.adminClient
+        .from('content_tags')
+        .delete()
+        .eq('content_id', contentId)
+        .eq('user_id', userId);
+
+      if (tagIds.length > 0) {
+        remove = remove.not('tag_id', 'in', `(${tagIds.join(',')})`);
+      }
+
+      const { error: deleteError } = await remove;
+      if (deleteError) throw deleteError;
+
+      if (tagIds.length > 0) {
+        const { error } = await this.supabase.adminClient
+          .from('content_tags')
+          .upsert(tagIds.map(tagId => ({
+            content_id: contentId,
+            tag_id: tagId,
+            user_id: userId,
+            source: 'user',
+            confidence: null
+          })), { onConflict: 'content_id,tag_id' });
+
+        if (error) throw error;
+      }
+
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Add tags to an item, leaving tags it already has untouched
+  async addContentTags(userId, contentId, entries) {
+    try {
+      if (entries.length === 0) return { success: true };
+
+      const { error } = await this.supabase.adminClient
+        .from('content_tags')
+        .upsert(entries.map(entry => ({
+          content_id: contentId,
+          tag_id: entry.tagId,
+          user_id: userId,
+          source: entry.source,
+          confidence: entry.confidence ?? null
+        })), { onConflict: 'content_id,tag_id', ignoreDuplicates: true });
+
+      if (error) throw error;
+
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = TagService;
@@ -0,0 +1,109 @@
+-- Tags for Otto Research Assistant (/api/tags, /api/storage/content/:id/tags, see tagging/)
+-- Safe to run on an existing database; schema.sql already creates the tables for new ones
+
+CREATE TABLE IF NOT EXISTS tags (
+  id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
+  user_id uuid REFERENCES users(id) ON DELETE CASCADE,
+  name text NOT NULL,
+  name_key text NOT NULL, -- Lowercased name, unique per user
+  aliases text[] NOT NULL DEFAULT '{}', -- Former names and merged tags (lowercased), mapped to this tag when auto-tagging
+  color varchar(20),
+  created_at timestamp with time zone DEFAULT NOW(),
+  updated_at timestamp with time zone DEFAULT NOW(),
+  UNIQUE (user_id, name_key)
+);
+
+CREATE TABLE IF NOT EXISTS content_tags (
+  content_id uuid REFERENCES user_content(id) ON DELETE CASCADE,
+  tag_id uuid REFERENCES tags(id) ON DELETE CASCADE,
+  user_id uuid REFERENCES users(id) ON DELETE CASCADE,
+  source varchar(20) NOT NULL DEFAULT 'user', -- 'user' or 'auto'
+  confidence float, -- For auto tags
+  created_at timestamp with time zone DEFAULT NOW(),
+  PRIMARY KEY (content_id, tag_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tags_user ON tags(user_id);
+CREATE INDEX IF NOT EXISTS idx_tags_aliases ON tags USING GIN(aliases);
+CREATE INDEX IF NOT EXISTS idx_content_tags_tag ON content_tags(tag_id);
+CREATE INDEX IF NOT EXISTS idx_content_tags_user ON content_tags(user_id);
+
+ALTER TABLE tags ENABLE ROW LEVEL SECURITY;
+ALTER TABLE content_tags ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own tags" ON tags;
+CREATE POLICY "Users can view own tags" ON tags FOR SELECT USING (auth.uid() = user_id);
+DROP POLICY IF EXISTS "Users can view own content tags" ON content_tags;
+CREATE POLICY "Users can view own content tags" ON content_tags FOR SELECT USING (auth.uid() = user_id);
+
+DROP TRIGGER IF EXISTS update_tags_updated_at ON tags;
+CREATE TRIGGER update_tags_updated_at BEFORE UPDATE ON tags FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- A user's tags with the number of (non-deleted) items carrying each, most used first
+CREATE OR REPLACE FUNCTION list_tags(
+  user_id uuid
+)
+RETURNS TABLE (
+  id uuid,
+  name text,
+  aliases text[],
+  color varchar(20),
+  item_count bigint,
+  auto_count bigint,
+  created_at timestamp with time zone,
+  updated_at timestamp with time zone
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    t.id,
+    t.name,
+    t.aliases,
+    t.color,
+    COUNT(uc.id) as item_count,
+    COUNT(uc.id) FILTER (WHERE ct.source = 'auto') as auto_count,
+    t.created_at,
+    t.updated_at
+  FROM tags t
+  LEFT JOIN content_tags ct ON ct.tag_id = t.id
+  LEFT JOIN user_content uc ON uc.id = ct.content_id AND uc.status != 'deleted'
+  WHERE t.user_id = list_tags.user_id
+  GROUP BY t.id
+  ORDER BY COUNT(uc.id) DESC, t.name;
+END;
+$$;
+
+-- Merge tags into target_id: their items get the target tag, their names become its
+-- aliases, and they are deleted
+CREATE OR REPLACE FUNCTION merge_tags(
+  user_id uuid,
+  target_id uuid,
+  source_ids uuid[]
+)
+RETURNS void
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  INSERT INTO content_tags (content_id, tag_id, user_id, source, confidence, created_at)
+  SELECT ct.content_id, target_id, ct.user_id, ct.source, ct.confidence, ct.created_at
+  FROM content_tags ct
+  WHERE ct.tag_id = ANY(source_ids) AND ct.user_id = merge_tags.user_id
+  ON CONFLICT (content_id, tag_id) DO NOTHING;
+
+  UPDATE tags t
+  SET aliases = ARRAY(
+    SELECT DISTINCT merged.alias FROM (
+      SELECT unnest(t.aliases) AS alias
+      UNION SELECT s.name_key FROM tags s WHERE s.id = ANY(source_ids) AND s.user_id = merge_tags.user_id
+      UNION SELECT unnest(s.aliases) FROM tags s WHERE s.id = ANY(source_ids) AND s.user_id = merge_tags.user_id
+    ) merged
+    WHERE merged.alias != t.name_key
+  )
+  WHERE t.id = target_id AND t.user_id = merge_tags.user_id;
+
+  DELETE FROM tags t
+  WHERE t.id = ANY(source_ids) AND t.id != target_id AND t.user_id = merge_tags.user_id;
+END;
+$$;
@@ -0,0 +1,34 @@
+// LLM usage routes for Otto Research Assistant
+const express = require('express');
+const UsageService = require('./usage-service');
+const { requireAuth } = require('./auth-routes');
+
+const router = express.Router();
+const usageService = new UsageService();
+
+const MAX_USAGE_DAYS = 365;
+
+// All routes require authentication
+router.use(requireAuth);
+
+// Token usage and estimated cost per day and per feature
+router.get('/', async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), MAX_USAGE_DAYS);
+    const result = await usageService.getUsageSummary(req.user.id, { days });
+
+    if (result.success) {
+      res.json({
+        success: true,
+        ...result.usage
+      });
+    } else {
+      res.status(500).json({ error: result.error });
+    }
+  } catch (error) {
+    console.error('Get usage error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = { router, usageService };
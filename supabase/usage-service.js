@@ -0,0 +1,122 @@
+// LLM usage accounting: per-call token records and per-user totals
+const SupabaseClient = require('./supabase-client');
+
+const roundCost = (cost) => Number(cost.toFixed(8));
+
+// Add one aggregate row's counts to a running total
+const addTotals = (target, row) => {
+  target.calls += Number(row.calls) || 0;
+  target.inputTokens += Number(row.input_tokens) || 0;
+  target.outputTokens += Number(row.output_tokens) || 0;
+  target.estimatedCost += Number(row.estimated_cost) || 0;
+  target.unpricedCalls += Number(row.unpriced_calls) || 0;
+  return target;
+};
+
+const emptyTotals = () => ({ calls: 0, inputTokens: 0, outputTokens: 0, estimatedCost: 0, unpricedCalls: 0 });
+
+const finishTotals = (totals) => ({ ...totals, estimatedCost: roundCost(totals.estimatedCost) });
+
+class UsageService {
+  constructor() {
+    this.supabase = new SupabaseClient();
+  }
+
+  // Persist one usage record (see llm/usage.js reportUsage)
+  async recordUsage(record) {
+    try {
+      const { error } = await this.supabase.adminClient
+        .from('llm_usage')
+        .insert({
+          user_id: record.userId,
+          route: record.route,
+          provider: record.provider,
+          model: record.model,
+          input_tokens: record.inputTokens,
+          output_tokens: record.outputTokens,
+          estimated_cost: record.estimatedCost,
+          // The server's time, which daily budgets compare against (see quota/)
+          ...(record.createdAt && { created_at: record.createdAt })
+        });
+
+      if (error) throw error;
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error recording LLM usage:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Input + output tokens a user has used since a point in time, and before `until` if given (for daily budgets)
+  async getTokensUsedSince(userId, since, until = null) {
+    try {
+      const { data, error } = await this.supabase.adminClient
+        .rpc('get_llm_usage_summary', {
+          p_user_id: userId,
+          since_time: new Date(since).toISOString(),
+          ...(until && { until_time: new Date(until).toISOString() })
+        });
+
+      if (error) throw error;
+
+      const tokens = (data || []).reduce((sum, row) => sum + (Number(row.input_tokens) || 0) + (Number(row.output_tokens) || 0), 0);
+      return { success: true, tokens };
+    } catch (error) {
+      console.error('Error getting token usage:', error);
+      return { success: false, error: error.message, tokens: 0 };
+    }
+  }
+
+  // Per-day and per-feature totals for a user over the last `days` days (UTC days)
+  async getUsageSummary(userId, options = {}) {
+    try {
+      const days = options.days || 30;
+      const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+      // Aggregated in Postgres: one row per day, route and model
+      const { data, error } = await this.supabase.adminClient
+        .rpc('get_llm_usage_summary', {
+          p_user_id: userId,
+          since_time: since.toISOString()
+        });
+
+      if (error) throw error;
+
+      const totals = emptyTotals();
+      const byDay = new Map();
+      const byFeature = new Map();
+
+      for (const row of data || []) {
+        addTotals(totals, row);
+
+        if (!byDay.has(row.day)) byDay.set(row.day, { date: row.day, ...emptyTotals() });
+        addTotals(byDay.get(row.day), row);
+
+        if (!byFeature.has(row.route)) byFeature.set(row.route, { feature: row.route, ...emptyTotals(), models: new Set() });
+        addTotals(byFeature.get(row.route), row).models.add(`${row.provider}:${row.model}`);
+      }
+
+      return {
+        success: true,
+        usage: {
+          days,
+          since: since.toISOString(),
+          currency: 'USD',
+          totals: finishTotals(totals),
+          byDay: [...byDay.values()]
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .map(finishTotals),
+          byFeature: [...byFeature.values()]
+            .sort((a, b) => b.estimatedCost - a.estimatedCost || b.calls - a.calls)
+            .map(feature => finishTotals({ ...feature, models: [...feature.models] }))
+        }
+      };
+    } catch (error) {
+      console.error('Error getting LLM usage:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = UsageService;
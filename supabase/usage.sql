@@ -0,0 +1,63 @@
+-- LLM usage accounting for Otto Research Assistant
+-- Safe to run on an existing database; schema.sql already creates the table for new ones
+
+CREATE TABLE IF NOT EXISTS llm_usage (
+  id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
+  user_id uuid REFERENCES users(id) ON DELETE SET NULL,
+  route varchar(100) NOT NULL,
+  provider varchar(50) NOT NULL,
+  model varchar(100) NOT NULL,
+  input_tokens int NOT NULL DEFAULT 0,
+  output_tokens int NOT NULL DEFAULT 0,
+  estimated_cost numeric(12, 8),
+  created_at timestamp with time zone DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_llm_usage_user_created ON llm_usage(user_id, created_at DESC);
+
+ALTER TABLE llm_usage ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own usage" ON llm_usage;
+CREATE POLICY "Users can view own usage" ON llm_usage FOR SELECT USING (auth.uid() = user_id);
+
+-- Usage totals per UTC day, route and model since a point in time (and before until_time, if given)
+-- The signature gained until_time; drop the old one so the RPC isn't ambiguous
+DROP FUNCTION IF EXISTS get_llm_usage_summary(uuid, timestamp with time zone);
+CREATE OR REPLACE FUNCTION get_llm_usage_summary(
+  p_user_id uuid,
+  since_time timestamp with time zone,
+  until_time timestamp with time zone DEFAULT NULL
+)
+RETURNS TABLE (
+  day text,
+  route varchar(100),
+  provider varchar(50),
+  model varchar(100),
+  calls bigint,
+  input_tokens bigint,
+  output_tokens bigint,
+  estimated_cost numeric,
+  unpriced_calls bigint
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    to_char(date_trunc('day', lu.created_at AT TIME ZONE 'UTC'), 'YYYY-MM-DD') as day,
+    lu.route,
+    lu.provider,
+    lu.model,
+    COUNT(*) as calls,
+    SUM(lu.input_tokens)::bigint as input_tokens,
+    SUM(lu.output_tokens)::bigint as output_tokens,
+    COALESCE(SUM(lu.estimated_cost), 0) as estimated_cost,
+    COUNT(*) FILTER (WHERE lu.estimated_cost IS NULL) as unpriced_calls
+  FROM llm_usage lu
+  WHERE lu.user_id = p_user_id
+    AND lu.created_at >= since_time
+    AND (until_time IS NULL OR lu.created_at < until_time)
+  GROUP BY 1, lu.route, lu.provider, lu.model
+  ORDER BY 1;
+END;
+$$;
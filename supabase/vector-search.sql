@@ -1,11 +1,20 @@
 -- Vector search function for semantic similarity in Supabase
 -- This function performs cosine similarity search on user content embeddings
 
+-- Embeddings are persisted with the model that produced them and a hash of the
+-- text they were generated from, so unchanged content is never re-embedded
+ALTER TABLE user_content ADD COLUMN IF NOT EXISTS embedding_model VARCHAR(100);
+ALTER TABLE user_content ADD COLUMN IF NOT EXISTS content_hash VARCHAR(64);
+
+-- Return type changed (insight_data, source_hostname, since_timestamp filter)
+DROP FUNCTION IF EXISTS search_content_by_embedding(vector, uuid, float, int);
+
 CREATE OR REPLACE FUNCTION search_content_by_embedding(
   query_embedding vector(1536),
   user_id uuid,
   match_threshold float DEFAULT 0.5,
-  match_count int DEFAULT 10
+  match_count int DEFAULT 10,
+  since_timestamp bigint DEFAULT NULL
 )
 RETURNS TABLE (
   id uuid,
@@ -16,6 +25,8 @@ RETURNS TABLE (
   timestamp bigint,
   source_url text,
   source_title text,
+  source_hostname text,
+  insight_data jsonb,
   similarity float
 )
 LANGUAGE plpgsql
@@ -31,18 +42,208 @@ BEGIN
     uc.timestamp,
     uc.source_url,
     uc.source_title,
+    uc.source_hostname,
+    uc.insight_data,
     (1 - (uc.embedding <=> query_embedding)) as similarity
   FROM user_content uc
   WHERE 
     uc.user_id = search_content_by_embedding.user_id
     AND uc.status != 'deleted'
     AND uc.embedding IS NOT NULL
+    AND (since_timestamp IS NULL OR uc.timestamp > since_timestamp)
     AND (1 - (uc.embedding <=> query_embedding)) > match_threshold
   ORDER BY uc.embedding <=> query_embedding
   LIMIT match_count;
 END;
 $$;
 
+-- Signature changed (filter_type, filter_domain, filter_content_ids, then query_translations)
+DROP FUNCTION IF EXISTS search_content_hybrid(text, vector, uuid, int, bigint);
+DROP FUNCTION IF EXISTS search_content_hybrid(text, vector, uuid, int, bigint, text, text);
+DROP FUNCTION IF EXISTS search_content_hybrid(text, vector, uuid, int, bigint, text, text, uuid[]);
+
+-- Hybrid search candidates: vector neighbours plus full-text matches
+-- Returns both scores unfused; weighting happens in content-processing/hybrid-ranker.js
+-- The keyword match runs once per (language, search_config) group of the library: with the
+-- config and query fixed per group, the tsvector expression matches idx_user_content_search
+-- and the GIN index is used (a per-row config would filter every item of the user instead)
+-- filter_domain matches the hostname and its subdomains; filter_content_ids limits the search
+-- to those items (e.g. the ones mentioning an entity)
+-- Each item is matched in its own text search config (languages.sql), with the query in its
+-- language when query_translations has one ({ "es": "..." }) and as typed otherwise
+CREATE OR REPLACE FUNCTION search_content_hybrid(
+  query_text text,
+  query_embedding vector(1536),
+  user_id uuid,
+  match_count int DEFAULT 20,
+  since_timestamp bigint DEFAULT NULL,
+  filter_type text DEFAULT NULL,
+  filter_domain text DEFAULT NULL,
+  filter_content_ids uuid[] DEFAULT NULL,
+  query_translations jsonb DEFAULT NULL
+)
+RETURNS TABLE (
+  id uuid,
+  title text,
+  preview text,
+  content_text text,
+  type varchar(50),
+  timestamp bigint,
+  source_url text,
+  source_title text,
+  source_hostname text,
+  insight_data jsonb,
+  language varchar(8),
+  similarity float,
+  keyword_rank float
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  WITH semantic AS (
+    SELECT uc.id
+    FROM user_content uc
+    WHERE
+      uc.user_id = search_content_hybrid.user_id
+      AND uc.status != 'deleted'
+      AND uc.embedding IS NOT NULL
+      AND (since_timestamp IS NULL OR uc.timestamp > since_timestamp)
+      AND (filter_type IS NULL OR uc.type = filter_type)
+      AND (filter_domain IS NULL OR uc.source_hostname = filter_domain OR uc.source_hostname LIKE '%.' || filter_domain)
+      AND (filter_content_ids IS NULL OR uc.id = ANY(filter_content_ids))
+    ORDER BY uc.embedding <=> query_embedding
+    LIMIT match_count
+  ),
+  keyword AS (
+    SELECT k.id
+    FROM (
+      SELECT DISTINCT uc.language, uc.search_config
+      FROM user_content uc
+      WHERE uc.user_id = search_content_hybrid.user_id AND uc.status != 'deleted'
+    ) configs
+    CROSS JOIN LATERAL (
+      SELECT uc.id
+      FROM user_content uc
+      WHERE
+        uc.user_id = search_content_hybrid.user_id
+        AND uc.status != 'deleted'
+        AND uc.search_config = configs.search_config
+        AND uc.language IS NOT DISTINCT FROM configs.language
+        AND (since_timestamp IS NULL OR uc.timestamp > since_timestamp)
+        AND (filter_type IS NULL OR uc.type = filter_type)
+        AND (filter_domain IS NULL OR uc.source_hostname = filter_domain OR uc.source_hostname LIKE '%.' || filter_domain)
+        AND (filter_content_ids IS NULL OR uc.id = ANY(filter_content_ids))
+        AND to_tsvector(uc.search_config, uc.title || ' ' || COALESCE(uc.preview, '') || ' ' || COALESCE(uc.searchable_text, ''))
+          @@ websearch_to_tsquery(configs.search_config, COALESCE(query_translations ->> configs.language, query_text))
+      LIMIT match_count
+    ) k
+    LIMIT match_count
+  )
+  SELECT
+    uc.id,
+    uc.title,
+    uc.preview,
+    uc.content_text,
+    uc.type,
+    uc.timestamp,
+    uc.source_url,
+    uc.source_title,
+    uc.source_hostname,
+    uc.insight_data,
+    uc.language,
+    COALESCE(1 - (uc.embedding <=> query_embedding), 0)::float as similarity,
+    -- Normalisation 32 maps rank into 0-1 (rank / (rank + 1))
+    ts_rank_cd(
+      to_tsvector(uc.search_config, uc.title || ' ' || COALESCE(uc.preview, '') || ' ' || COALESCE(uc.searchable_text, '')),
+      websearch_to_tsquery(uc.search_config, COALESCE(query_translations ->> uc.language, query_text)),
+      32
+    )::float as keyword_rank
+  FROM user_content uc
+  WHERE uc.id IN (SELECT semantic.id FROM semantic UNION SELECT keyword.id FROM keyword);
+END;
+$$;
+
+-- Passage-level embeddings for long articles and PDFs
+CREATE TABLE IF NOT EXISTS content_passages (
+  id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
+  content_id uuid REFERENCES user_content(id) ON DELETE CASCADE,
+  user_id uuid REFERENCES users(id) ON DELETE CASCADE,
+  passage_index int NOT NULL,
+  passage_text text NOT NULL,
+  start_offset int NOT NULL,
+  end_offset int NOT NULL,
+  embedding vector(1536),
+  embedding_model varchar(100),
+  created_at timestamp with time zone DEFAULT NOW(),
+  UNIQUE (content_id, passage_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_content_passages_user_id ON content_passages(user_id);
+CREATE INDEX IF NOT EXISTS idx_content_passages_embedding ON content_passages USING ivfflat (embedding vector_cosine_ops) WITH (lists = 100);
+
+-- Signature changed (filter_type, filter_domain, then filter_content_ids)
+DROP FUNCTION IF EXISTS search_passages_by_embedding(vector, uuid, float, int, bigint);
+DROP FUNCTION IF EXISTS search_passages_by_embedding(vector, uuid, float, int, bigint, text, text);
+
+-- Find the passages closest to a query, with their position in the source item
+CREATE OR REPLACE FUNCTION search_passages_by_embedding(
+  query_embedding vector(1536),
+  user_id uuid,
+  match_threshold float DEFAULT 0.3,
+  match_count int DEFAULT 10,
+  since_timestamp bigint DEFAULT NULL,
+  filter_type text DEFAULT NULL,
+  filter_domain text DEFAULT NULL,
+  filter_content_ids uuid[] DEFAULT NULL
+)
+RETURNS TABLE (
+  content_id uuid,
+  passage_index int,
+  passage_text text,
+  start_offset int,
+  end_offset int,
+  passage_count bigint,
+  title text,
+  type varchar(50),
+  timestamp bigint,
+  source_url text,
+  source_title text,
+  similarity float
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    cp.content_id,
+    cp.passage_index,
+    cp.passage_text,
+    cp.start_offset,
+    cp.end_offset,
+    (SELECT COUNT(*) FROM content_passages cp2 WHERE cp2.content_id = cp.content_id) as passage_count,
+    uc.title,
+    uc.type,
+    uc.timestamp,
+    uc.source_url,
+    uc.source_title,
+    (1 - (cp.embedding <=> query_embedding)) as similarity
+  FROM content_passages cp
+  JOIN user_content uc ON uc.id = cp.content_id
+  WHERE
+    cp.user_id = search_passages_by_embedding.user_id
+    AND uc.status != 'deleted'
+    AND cp.embedding IS NOT NULL
+    AND (since_timestamp IS NULL OR uc.timestamp > since_timestamp)
+    AND (filter_type IS NULL OR uc.type = filter_type)
+    AND (filter_domain IS NULL OR uc.source_hostname = filter_domain OR uc.source_hostname LIKE '%.' || filter_domain)
+    AND (filter_content_ids IS NULL OR cp.content_id = ANY(filter_content_ids))
+    AND (1 - (cp.embedding <=> query_embedding)) > match_threshold
+  ORDER BY cp.embedding <=> query_embedding
+  LIMIT match_count;
+END;
+$$;
+
 -- Function to get content recommendations based on user's reading patterns
 CREATE OR REPLACE FUNCTION get_content_recommendations(
   user_id uuid,
@@ -114,6 +315,63 @@ BEGIN
 END;
 $$;
 
+-- Nearest neighbours of one saved item, with their embeddings so the caller can
+-- re-rank for diversity (GET /api/storage/content/:id/related)
+CREATE OR REPLACE FUNCTION find_related_content(
+  target_id uuid,
+  user_id uuid,
+  match_count int DEFAULT 30
+)
+RETURNS TABLE (
+  id uuid,
+  title text,
+  preview text,
+  type varchar(50),
+  timestamp bigint,
+  source_url text,
+  source_hostname text,
+  content_hash varchar(64),
+  insight_data jsonb,
+  embedding vector(1536),
+  similarity float
+)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  target_embedding vector(1536);
+BEGIN
+  SELECT uc.embedding INTO target_embedding
+  FROM user_content uc
+  WHERE uc.id = target_id AND uc.user_id = find_related_content.user_id;
+
+  IF target_embedding IS NULL THEN
+    RETURN;
+  END IF;
+
+  RETURN QUERY
+  SELECT
+    uc.id,
+    uc.title,
+    uc.preview,
+    uc.type,
+    uc.timestamp,
+    uc.source_url,
+    uc.source_hostname,
+    uc.content_hash,
+    uc.insight_data,
+    uc.embedding,
+    (1 - (uc.embedding <=> target_embedding)) as similarity
+  FROM user_content uc
+  WHERE
+    uc.user_id = find_related_content.user_id
+    AND uc.id != target_id
+    AND uc.status != 'deleted'
+    AND uc.embedding IS NOT NULL
+  ORDER BY uc.embedding <=> target_embedding
+  LIMIT match_count;
+END;
+$$;
+
 -- Function to find duplicate content based on embedding similarity
 CREATE OR REPLACE FUNCTION find_duplicate_content(
   user_id uuid,
@@ -0,0 +1,241 @@
+// Automatic tagging of saved content
+// Suggestions come from two sources that are merged:
+// - keywords: the user's tags (and their aliases) that appear in the title or text
+// - the content-tags prompt, which is shown the user's tags and asked to reuse them
+// Suggestions that map to an existing tag or alias become that tag, so auto-tagging
+// follows the user's own vocabulary, including renames and merges.
+const llm = require('../llm');
+const { renderPrompt } = require('../prompts');
+const { cleanHtmlContent } = require('../content-processing/basic-processor');
+
+const MAX_TAG_LENGTH = 50;
+const MAX_SUGGESTIONS = 5;
+// Tags listed in the prompt, most used first
+const MAX_VOCABULARY_IN_PROMPT = 100;
+const PROMPT_CONTENT_CHARS = 4000;
+const SUGGEST_MAX_TOKENS = 300;
+
+// Applied automatically at or above these confidences; new tags need more and are capped per item
+const AUTO_TAG_MIN_CONFIDENCE = 0.6;
+const NEW_TAG_MIN_CONFIDENCE = 0.8;
+const MAX_NEW_TAGS_PER_ITEM = 2;
+
+/**
+ * Tidy a tag name: no leading "#" or commas, single spaces, at most MAX_TAG_LENGTH characters
+ * @returns {string} '' if nothing is left
+ */
+const normalizeTagName = (name) => (typeof name === 'string'
+  ? name.trim().replace(/^#+/, '').replace(/[,\s]+/g, ' ').trim().slice(0, MAX_TAG_LENGTH).trim()
+  : '');
+
+// Case-insensitive identity of a tag name (tags.name_key)
+const tagKey = (name) => normalizeTagName(name).toLowerCase();
+
+/**
+ * Check a tag name from a request
+ * @returns {Object} { name, error }
+ */
+function validateTagName(name) {
+  if (typeof name === 'string' && /[,\n]/.test(name)) return { name: null, error: 'Tag names cannot contain commas or line breaks' };
+  const normalized = normalizeTagName(name);
+  if (!normalized) return { name: null, error: 'Tag name is required' };
+  return { name: normalized, error: null };
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-word, case-insensitive occurrences of a phrase
+const countPhrase = (text, phrase) => {
+  if (!phrase) return 0;
+  const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(phrase)}(?=$|[^\\p{L}\\p{N}])`, 'giu');
+  return (text.match(pattern) || []).length;
+};
+
+/**
+ * The user's tags that appear in an item, by name or alias
+ * A title match is strong evidence; mentions in the text add up
+ * @param {Object} item - { title, text } (plain text)
+ * @param {Array<Object>} vocabulary - Tags: { id, name, aliases }
+ * @returns {Array<Object>} [{ tagId, name, confidence }]
+ */
+function matchVocabulary(item, vocabulary) {
+  const title = (item.title || '').toLowerCase();
+  const text = (item.text || '').toLowerCase();
+  const matches = [];
+
+  for (const tag of vocabulary) {
+    const phrases = [tag.name.toLowerCase(), ...(tag.aliases || [])];
+    // Very short names ("ai", "go") only count in the title; in body text they match too much
+    const inTitle = phrases.some(phrase => countPhrase(title, phrase) > 0);
+    const mentions = phrases
+      .filter(phrase => phrase.length >= 3)
+      .reduce((total, phrase) => total + countPhrase(text, phrase), 0);
+
+    if (inTitle) {
+      matches.push({ tagId: tag.id, name: tag.name, confidence: 0.9 });
+    } else if (mentions >= 2) {
+      matches.push({ tagId: tag.id, name: tag.name, confidence: Math.min(0.85, 0.5 + 0.05 * mentions) });
+    }
+  }
+
+  return matches;
+}
+
+// Existing tag for a suggested name, by name or alias
+const findInVocabulary = (vocabulary, name) => {
+  const key = tagKey(name);
+  return vocabulary.find(tag => tag.name.toLowerCase() === key)
+    || vocabulary.find(tag => (tag.aliases || []).includes(key))
+    || null;
+};
+
+const clampConfidence = (value) => (Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : 0.5);
+
+/**
+ * Suggest tags for an item
+ * @param {Object} options
+ * @param {Object} options.item - { title, text (plain text or HTML), url }
+ * @param {Array<Object>} options.vocabulary - The user's tags, most used first: { id, name, aliases }
+ * @param {Object} options.userSettings - For model selection and prompt overrides
+ * @param {boolean} options.useModel - false for keyword matches only
+ * @returns {Promise<Array<Object>>} [{ name, tagId (null for a new tag), confidence, source: 'keyword' | 'llm' | 'both' }], best first
+ */
+async function suggestTags({ item, vocabulary = [], userSettings = null, useModel = true }) {
+  const text = cleanHtmlContent(item.text || '');
+  const suggestions = new Map();
+  const add = (suggestion, source) => {
+    const key = suggestion.tagId || tagKey(suggestion.name);
+    const existing = suggestions.get(key);
+    if (!existing) {
+      suggestions.set(key, { ...suggestion, source });
+    } else {
+      // Both sources agreeing is stronger than either
+      existing.confidence = Math.min(0.99, Math.max(existing.confidence, suggestion.confidence) + 0.1);
+      existing.source = 'both';
+    }
+  };
+
+  for (const match of matchVocabulary({ title: item.title, text }, vocabulary)) {
+    add(match, 'keyword');
+  }
+
+  if (useModel) {
+    const names = vocabulary.slice(0, MAX_VOCABULARY_IN_PROMPT).map(tag => tag.name);
+    const prompt = renderPrompt('content-tags', {
+      title: item.title || 'Untitled',
+      url: item.url || '',
+      content: text.slice(0, PROMPT_CONTENT_CHARS),
+      vocabulary: names.length > 0 ? names.join(', ') : '(none yet)',
+      maxTags: MAX_SUGGESTIONS
+    }, { userSettings });
+
+    const result = await llm.completeJson({
+      route: 'auto-tag',
+      userSettings,
+      prompt: prompt.text,
+      system: prompt.system,
+      schema: prompt.schema,
+      maxTokens: SUGGEST_MAX_TOKENS
+    });
+
+    for (const suggestion of result.data.tags) {
+      const name = normalizeTagName(suggestion.name);
+      if (!name) continue;
+      const tag = findInVocabulary(vocabulary, name);
+      add({ tagId: tag?.id || null, name: tag?.name || name, confidence: clampConfidence(suggestion.confidence) }, 'llm');
+    }
+  }
+
+  return [...suggestions.values()]
+    .map(suggestion => ({ ...suggestion, confidence: Number(suggestion.confidence.toFixed(2)) }))
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, MAX_SUGGESTIONS);
+}
+
+/**
+ * Suggestions confident enough to apply without asking
+ * @returns {Array<Object>} Subset of suggestions
+ */
+function selectAutoTags(suggestions) {
+  let newTags = 0;
+  return suggestions.filter(suggestion => {
+    if (suggestion.tagId) return suggestion.confidence >= AUTO_TAG_MIN_CONFIDENCE;
+    if (suggestion.confidence < NEW_TAG_MIN_CONFIDENCE || newTags >= MAX_NEW_TAGS_PER_ITEM) return false;
+    newTags++;
+    return true;
+  });
+}
+
+/**
+ * Create the auto-tagger used when content is saved
+ * @param {Object} options
+ * @param {Object} options.tagService - TagService
+ * @param {Function} options.getSettings - async (userId) → user settings or null
+ * @returns {Object} { tagContent, tagInBackground }
+ */
+function createAutoTagger({ tagService, getSettings }) {
+  /**
+   * Suggest and apply tags for a saved item (settings.autoTagging: false turns this off)
+   * @param {string} userId
+   * @param {Object} content - user_content row (id, title, content_text, preview, source_url)
+   * @returns {Promise<Array<Object>>} Applied tags: [{ id, name, confidence }]
+   */
+  async function tagContent(userId, content) {
+    const settings = await getSettings(userId);
+    if (settings?.autoTagging === false) return [];
+
+    const vocabulary = await tagService.listTags(userId);
+    if (!vocabulary.success) throw new Error(vocabulary.error);
+
+    const suggestions = await llm.runForUser(userId, () => suggestTags({
+      item: { title: content.title, text: content.content_text || content.preview, url: content.source_url },
+      vocabulary: vocabulary.tags,
+      userSettings: settings
+    }));
+
+    const selected = selectAutoTags(suggestions);
+    if (selected.length === 0) return [];
+
+    const tags = await tagService.ensureTags(userId, selected.map(suggestion => suggestion.name));
+    if (!tags.success) throw new Error(tags.error);
+
+    const applied = selected
+      .map(suggestion => ({ tag: tags.byKey.get(tagKey(suggestion.name)), confidence: suggestion.confidence }))
+      .filter(entry => entry.tag);
+
+    const saved = await tagService.addContentTags(userId, content.id, applied.map(entry => ({
+      tagId: entry.tag.id,
+      source: 'auto',
+      confidence: entry.confidence
+    })));
+    if (!saved.success) throw new Error(saved.error);
+
+    return applied.map(entry => ({ id: entry.tag.id, name: entry.tag.name, confidence: entry.confidence }));
+  }
+
+  // Tag without holding up the save; failures are only logged
+  function tagInBackground(userId, content) {
+    tagContent(userId, content)
+      .then(applied => {
+        if (applied.length > 0) {
+          console.log(`🏷️ Auto-tagged "${content.title}": ${applied.map(tag => tag.name).join(', ')}`);
+        }
+      })
+      .catch(error => console.error(`❌ Auto-tagging failed for "${content.title}":`, error.message));
+  }
+
+  return {
+    tagContent,
+    tagInBackground
+  };
+}
+
+module.exports = {
+  normalizeTagName,
+  tagKey,
+  validateTagName,
+  matchVocabulary,
+  suggestTags,
+  selectAutoTags,
+  createAutoTagger
+};
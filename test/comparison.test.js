@@ -0,0 +1,83 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const llm = require('../llm');
+const { validateCompareRequest, buildComparison, renderComparisonMarkdown } = require('../comparison');
+
+mock.method(console, 'log', () => {});
+
+const ID_A = '11111111-1111-1111-1111-111111111111';
+const ID_B = '22222222-2222-2222-2222-222222222222';
+const ID_C = '33333333-3333-3333-3333-333333333333';
+
+const sources = [
+  { id: ID_A, title: 'Pro | case', type: 'article', url: 'https://example.com/a', text: 'Rates should fall.' },
+  { id: ID_B, title: 'Con case', type: 'article', url: null, text: 'Rates should rise.' },
+  { id: ID_C, title: 'Notes', type: 'note', text: '' }
+];
+
+const modelReply = {
+  summary: 'The sources disagree on rates.',
+  sharedClaims: [
+    { claim: 'Inflation is high', sources: [1, 2, 2] },
+    { claim: 'Only one source', sources: [1, 9] }
+  ],
+  disagreements: [
+    { topic: 'Rates', positions: [{ source: 1, position: 'Cut' }, { source: 2, position: 'Raise' }, { source: 7, position: 'Invented' }] },
+    { topic: 'One-sided', positions: [{ source: 1, position: 'Alone' }, { source: 1, position: 'Still alone' }] }
+  ],
+  uniquePoints: [{ source: 2, points: ['Wages are rising'] }, { source: 5, points: ['Nobody said this'] }],
+  table: [{ aspect: 'Rates', cells: [{ source: 1, value: 'Down | soon' }, { source: 2, value: 'Up' }] }]
+};
+
+test('validateCompareRequest checks ids, repeats, focus and format', () => {
+  assert.deepEqual(validateCompareRequest({ contentIds: [ID_A, ID_B], focus: '  rates  ' }),
+    { contentIds: [ID_A, ID_B], focus: 'rates', format: 'json', error: null });
+  assert.match(validateCompareRequest({ contentIds: [ID_A] }).error, /2 to 6/);
+  assert.match(validateCompareRequest({ contentIds: [ID_A, 'nope'] }).error, /content ids/);
+  assert.match(validateCompareRequest({ contentIds: [ID_A, ID_A] }).error, /repeat/);
+  assert.match(validateCompareRequest({ contentIds: [ID_A, ID_B], focus: 'x'.repeat(301) }).error, /focus/);
+  assert.match(validateCompareRequest({ contentIds: [ID_A, ID_B], format: 'pdf' }).error, /format/);
+});
+
+test('buildComparison maps source numbers to ids and drops made-up citations', async (t) => {
+  t.mock.method(llm, 'completeJson', async () => ({ data: modelReply, usage: { inputTokens: 10, outputTokens: 5 } }));
+
+  const comparison = await buildComparison({ sources, focus: 'rates' });
+
+  assert.deepEqual(comparison.sharedClaims, [{ claim: 'Inflation is high', sources: [ID_A, ID_B] }]);
+  assert.deepEqual(comparison.disagreements, [{
+    topic: 'Rates',
+    positions: [{ contentId: ID_A, position: 'Cut' }, { contentId: ID_B, position: 'Raise' }]
+  }]);
+  assert.deepEqual(comparison.uniquePoints, [
+    { contentId: ID_A, points: [] },
+    { contentId: ID_B, points: ['Wages are rising'] },
+    { contentId: ID_C, points: [] }
+  ]);
+  assert.deepEqual(comparison.table[0].cells.map(cell => cell.value), ['Down | soon', 'Up', null]);
+  assert.deepEqual(comparison.sources.map(source => [source.number, source.url]), [[1, 'https://example.com/a'], [2, null], [3, null]]);
+});
+
+test('the prompt numbers each source and marks ones with no text', async (t) => {
+  const completeJson = t.mock.method(llm, 'completeJson', async () => ({ data: modelReply, usage: null }));
+
+  await buildComparison({ sources });
+
+  const { prompt, route } = completeJson.mock.calls[0].arguments[0];
+  assert.equal(route, 'content-comparison');
+  assert.match(prompt, /\[S1\] Pro \| case \(article\)\nRates should fall\./);
+  assert.match(prompt, /\[S3\] Notes \(note\)\n\(no text saved\)/);
+});
+
+test('renderComparisonMarkdown cites sources as [Sn] and escapes table cells', async (t) => {
+  t.mock.method(llm, 'completeJson', async () => ({ data: modelReply, usage: null }));
+
+  const markdown = renderComparisonMarkdown(await buildComparison({ sources, focus: 'rates' }));
+
+  assert.match(markdown, /^# Comparison\n\n_Focus: rates_\n/);
+  assert.match(markdown, /- \*\*\[S1\]\*\* \[Pro \| case\]\(https:\/\/example\.com\/a\)/);
+  assert.match(markdown, /- Inflation is high \[S1\] \[S2\]/);
+  assert.match(markdown, /### \[S2\] Con case\n\n- Wages are rising/);
+  assert.match(markdown, /\| Rates \| Down \\\| soon \| Up \| — \|/);
+  assert.doesNotMatch(markdown, /### \[S3\]/);
+});
@@ -0,0 +1,61 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDigestScheduler } = require('../digest/scheduler');
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+const NOW = new Date(Date.UTC(2026, 2, 10, 12));
+const SETTINGS = { digest: { enabled: true, dayOfWeek: 1, hour: 8, days: 7, format: 'html' } };
+
+// Digest service stub: every user is due, and saves for users in failingSaves throw
+const stubDigestService = (userIds, { failingSaves = [], failingClaims = [] } = {}) => {
+  const saves = [];
+  return {
+    saves,
+    getScheduledUsers: async () => ({ success: true, users: userIds.map(userId => ({ userId, settings: SETTINGS })) }),
+    claimScheduledDigest: async (userId) => {
+      if (failingClaims.includes(userId)) throw new Error('claim failed');
+      return { success: true, digest: { id: `digest-${userId}` } };
+    },
+    saveDigest: async (digestId, fields) => {
+      if (failingSaves.some(userId => digestId === `digest-${userId}`)) throw new Error('save failed');
+      saves.push({ digestId, status: fields.status });
+      return { success: true };
+    }
+  };
+};
+
+const generate = async (userId) => {
+  if (userId === 'broken') throw new Error('generation failed');
+  return { digest: { itemCount: 3 }, markdown: '', html: '' };
+};
+
+test('runDue generates a digest for every due user', async () => {
+  const digestService = stubDigestService(['a', 'b']);
+  const attempted = await createDigestScheduler({ digestService, generate }).runDue(NOW);
+
+  assert.equal(attempted, 2);
+  assert.deepEqual(digestService.saves, [
+    { digestId: 'digest-a', status: 'ready' },
+    { digestId: 'digest-b', status: 'ready' }
+  ]);
+});
+
+test('a failed run is marked failed and the other users still run', async () => {
+  const digestService = stubDigestService(['broken', 'b']);
+  await createDigestScheduler({ digestService, generate }).runDue(NOW);
+
+  assert.deepEqual(digestService.saves, [
+    { digestId: 'digest-broken', status: 'failed' },
+    { digestId: 'digest-b', status: 'ready' }
+  ]);
+});
+
+test('a save that throws does not stop the remaining users', async () => {
+  const digestService = stubDigestService(['a', 'b', 'c'], { failingSaves: ['a'], failingClaims: ['b'] });
+  const attempted = await createDigestScheduler({ digestService, generate }).runDue(NOW);
+
+  assert.equal(attempted, 2);
+  assert.deepEqual(digestService.saves, [{ digestId: 'digest-c', status: 'ready' }]);
+});
@@ -0,0 +1,187 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeUrl,
+  extractCanonicalUrl,
+  contentFingerprint,
+  fingerprintDistance,
+  duplicateKeys,
+  scoreDuplicate,
+  rankDuplicates,
+  mergeContentRecords
+} = require('../content-processing/duplicate-detector');
+
+const story = Array.from({ length: 80 }, (_, i) => `word${i % 40} story${i}`).join(' ');
+
+test('normalizeUrl removes tracking parameters, www., fragments and trailing slashes', () => {
+  assert.equal(normalizeUrl('https://www.example.com/story/?utm_source=x&b=2&a=1#top'), 'example.com/story?a=1&b=2');
+  assert.equal(normalizeUrl('http://m.example.com/story/amp/?fbclid=abc'), 'example.com/story');
+  assert.equal(normalizeUrl('https://EXAMPLE.com/Story'), 'example.com/Story');
+  assert.equal(normalizeUrl('https://example.com/?ref=home'), 'example.com');
+});
+
+test('normalizeUrl rejects anything that is not an http(s) URL', () => {
+  assert.equal(normalizeUrl('ftp://example.com/file'), null);
+  assert.equal(normalizeUrl('not a url'), null);
+  assert.equal(normalizeUrl(''), null);
+  assert.equal(normalizeUrl(undefined), null);
+});
+
+test('extractCanonicalUrl reads the canonical link, then og:url, relative to the page', () => {
+  assert.equal(extractCanonicalUrl('<head><link href="/a?x=1&amp;y=2" rel="canonical"></head>', 'https://example.com/b'), 'https://example.com/a?x=1&y=2');
+  assert.equal(extractCanonicalUrl('<meta property="og:url" content="https://example.com/c">', 'https://example.com/b'), 'https://example.com/c');
+  assert.equal(extractCanonicalUrl('<link rel="stylesheet" href="/s.css">', 'https://example.com/b'), null);
+  assert.equal(extractCanonicalUrl(null), null);
+});
+
+test('contentFingerprint is stable, ignores markup and needs enough words', () => {
+  const fingerprint = contentFingerprint(story);
+  assert.match(fingerprint, /^[0-9a-f]{16}$/);
+  assert.equal(contentFingerprint(`<p>${story}</p><script>var tracking = 1;</script>`), fingerprint);
+  assert.equal(contentFingerprint('too short to fingerprint'), null);
+});
+
+test('fingerprintDistance is small for small edits and large for different texts', () => {
+  const original = contentFingerprint(story);
+  const republished = contentFingerprint(`Breaking news from the wire desk. ${story} Copyright Example Media.`);
+  const other = contentFingerprint(Array.from({ length: 80 }, (_, i) => `other${i} text${i % 9}`).join(' '));
+
+  assert.equal(fingerprintDistance(original, original), 0);
+  assert.ok(fingerprintDistance(original, republished) <= 10);
+  assert.ok(fingerprintDistance(original, other) > 10);
+  assert.equal(fingerprintDistance(original, null), null);
+});
+
+test('duplicateKeys combines the page and canonical URLs', () => {
+  const keys = duplicateKeys({ url: 'https://www.example.com/a?utm_medium=x', canonicalUrl: 'https://example.com/a/', text: story });
+  assert.deepEqual(keys.url_keys, ['example.com/a']);
+  assert.equal(keys.content_fingerprint, contentFingerprint(story));
+});
+
+test('scoreDuplicate combines signals with a noisy-OR', () => {
+  const item = { url_keys: ['example.com/a'], content_fingerprint: contentFingerprint(story) };
+
+  const sameUrl = scoreDuplicate(item, { url_keys: ['example.com/a'], content_fingerprint: null, similarity: null });
+  assert.equal(sameUrl.confidence, 0.97);
+  assert.equal(sameUrl.signals.url, 'example.com/a');
+
+  const similarMeaning = scoreDuplicate(item, { url_keys: [], content_fingerprint: null, similarity: 0.95 });
+  assert.equal(similarMeaning.confidence, 0.675);
+
+  const both = scoreDuplicate(item, { url_keys: ['example.com/a'], content_fingerprint: null, similarity: 0.95 });
+  assert.equal(both.confidence, Number((1 - 0.03 * 0.325).toFixed(4)));
+  assert.equal(both.reasons.length, 2);
+
+  assert.equal(scoreDuplicate(item, { url_keys: ['example.com/b'], similarity: 0.5 }).confidence, 0);
+});
+
+test('rankDuplicates drops the item itself and weak candidates', () => {
+  const item = { id: '1', url_keys: ['example.com/a'], content_fingerprint: null };
+  const ranked = rankDuplicates(item, [
+    { id: '1', url_keys: ['example.com/a'] },
+    { id: '2', url_keys: [], similarity: 0.93, title: 'Rewrite' },
+    { id: '3', url_keys: ['example.com/a'], title: 'Same page', timestamp: 0 },
+    { id: '4', url_keys: [], similarity: 0.5 }
+  ]);
+
+  assert.deepEqual(ranked.map(entry => entry.id), ['3', '2']);
+  assert.equal(ranked[0].isDuplicate, true);
+  assert.equal(ranked[1].isDuplicate, false);
+});
+
+test('mergeContentRecords keeps the kept values, fills gaps and takes the longer text', () => {
+  const keep = {
+    preview: 'Kept preview',
+    source_url: null,
+    content_text: '<p>Short</p>',
+    url_keys: ['example.com/a'],
+    insight_data: { tags: ['AI', 'policy'], summary: 'kept' },
+    sources: [{ url: 'https://example.com/a' }]
+  };
+  const duplicate = {
+    preview: 'Other preview',
+    source_url: 'https://example.com/b',
+    content_text: 'A much longer text of the same story',
+    content_fingerprint: 'abc',
+    is_readable: true,
+    url_keys: ['example.com/b', 'example.com/a'],
+    insight_data: { tags: ['ai', 'Europe'], summary: 'other', entities: [{ name: 'EU' }] },
+    sources: [{ url: 'https://example.com/a' }, { url: 'https://example.com/b' }]
+  };
+
+  const updates = mergeContentRecords(keep, duplicate);
+  assert.equal(updates.preview, undefined);
+  assert.equal(updates.source_url, 'https://example.com/b');
+  assert.equal(updates.content_text, duplicate.content_text);
+  assert.equal(updates.content_fingerprint, 'abc');
+  assert.equal(updates.is_readable, true);
+  assert.deepEqual(updates.url_keys, ['example.com/a', 'example.com/b']);
+  assert.deepEqual(updates.insight_data, { tags: ['AI', 'policy', 'Europe'], summary: 'kept', entities: [{ name: 'EU' }] });
+  assert.deepEqual(updates.sources, [{ url: 'https://example.com/a' }, { url: 'https://example.com/b' }]);
+});
+
+test('mergeContentRecords keeps the longer kept text', () => {
+  const updates = mergeContentRecords({ content_text: 'A long kept text', url_keys: [] }, { content_text: 'Short', url_keys: ['x.com'] });
+  assert.equal(updates.content_text, undefined);
+  assert.equal(updates.insight_data, undefined);
+  assert.deepEqual(updates.url_keys, ['x.com']);
+});
+
+// Fingerprint of all zero bits but the lowest `bits`, spread over both halves
+const withBits = (bits) => {
+  const low = bits > 32 ? 32 : bits;
+  const high = bits - low;
+  const half = (count) => (count === 32 ? 0xffffffff : (2 ** count) - 1).toString(16).padStart(8, '0');
+  return `${half(high)}${half(low)}`;
+};
+
+test('normalizeUrl keeps query parameters that select content and drops every tracking prefix', () => {
+  assert.equal(normalizeUrl('https://www2.example.com/watch?v=abc&pk_campaign=x&itm_source=y&at_medium=z'), 'example.com/watch?v=abc');
+  assert.equal(normalizeUrl('https://amp.example.com/news/story/amp'), 'example.com/news/story');
+  assert.equal(normalizeUrl('https://example.com/a?id=1'), normalizeUrl('https://example.com/a/?id=1&utm_campaign=spring#comments'));
+  assert.notEqual(normalizeUrl('https://example.com/a?id=1'), normalizeUrl('https://example.com/a?id=2'));
+  assert.notEqual(normalizeUrl('https://blog.example.com/a'), normalizeUrl('https://example.com/a'));
+});
+
+test('fingerprintDistance counts differing bits across both halves', () => {
+  assert.equal(fingerprintDistance(withBits(0), withBits(3)), 3);
+  assert.equal(fingerprintDistance(withBits(0), withBits(40)), 40);
+  assert.equal(fingerprintDistance(withBits(64), withBits(0)), 64);
+});
+
+test('the fingerprint signal fades with distance and stops after 10 bits', () => {
+  const item = { url_keys: [], content_fingerprint: withBits(0) };
+  const confidenceAt = (bits) => scoreDuplicate(item, { url_keys: [], content_fingerprint: withBits(bits), similarity: null }).confidence;
+
+  assert.equal(confidenceAt(0), 0.95);
+  assert.equal(confidenceAt(3), 0.95);
+  assert.equal(confidenceAt(4), 0.87);
+  assert.equal(confidenceAt(10), 0.39);
+  assert.equal(confidenceAt(11), 0);
+});
+
+test('the embedding signal starts at 0.9 similarity and is capped', () => {
+  const item = { url_keys: [], content_fingerprint: null };
+  const confidenceAt = (similarity) => scoreDuplicate(item, { url_keys: [], similarity }).confidence;
+
+  assert.equal(confidenceAt(0.89), 0);
+  assert.equal(confidenceAt(0.9), 0.3);
+  assert.equal(confidenceAt(0.99), 0.9);
+  assert.equal(confidenceAt(1), 0.9);
+});
+
+test('rankDuplicates reports from 0.5 confidence and flags duplicates from 0.8', () => {
+  const item = { id: 'a', url_keys: [], content_fingerprint: withBits(0) };
+  const ranked = rankDuplicates(item, [
+    { id: 'b', url_keys: [], content_fingerprint: withBits(9) },
+    { id: 'c', url_keys: [], content_fingerprint: withBits(5) },
+    { id: 'd', url_keys: [], content_fingerprint: withBits(8) },
+    { id: 'e', url_keys: [], content_fingerprint: withBits(4) }
+  ]);
+
+  assert.deepEqual(ranked.map(entry => [entry.id, entry.confidence, entry.isDuplicate]), [
+    ['e', 0.87, true],
+    ['c', 0.79, false],
+    ['d', 0.55, false]
+  ]);
+});
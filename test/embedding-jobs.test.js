@@ -0,0 +1,62 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEmbeddingJobRunner } = require('../embedding-jobs');
+
+mock.method(console, 'log', () => {});
+
+const MINUTE_MS = 60 * 1000;
+
+// Job service stub: no active job, the given latest job, and a record of created jobs
+const stubJobService = (latestJob = null) => {
+  const created = [];
+  return {
+    created,
+    getActiveJob: async () => ({ success: true, job: null }),
+    getLatestJob: async () => ({ success: true, job: latestJob }),
+    createJob: async (userId, options) => {
+      const job = { id: `job-${created.length + 1}`, user_id: userId, options, status: 'queued' };
+      created.push(job);
+      return { success: true, job };
+    },
+    updateJob: async () => ({ success: true })
+  };
+};
+
+const createRunner = (jobService, pending) => createEmbeddingJobRunner({
+  jobService,
+  loadWork: async () => ({ items: [], upToDate: 0 }),
+  processItem: async () => {},
+  hasPendingWork: async () => pending
+});
+
+test('start({ ifNeeded }) skips users with nothing to embed', async () => {
+  const jobService = stubJobService();
+  const result = await createRunner(jobService, false).start('user-1', { days: 7 }, { ifNeeded: true });
+
+  assert.equal(result.skipped, true);
+  assert.equal(jobService.created.length, 0);
+});
+
+test('start({ ifNeeded }) skips users whose last job just finished', async () => {
+  const jobService = stubJobService({ id: 'job-0', status: 'completed', finished_at: new Date(Date.now() - MINUTE_MS).toISOString() });
+  const result = await createRunner(jobService, true).start('user-1', {}, { ifNeeded: true });
+
+  assert.equal(result.skipped, true);
+  assert.equal(jobService.created.length, 0);
+});
+
+test('start({ ifNeeded }) creates a job when items lack embeddings', async () => {
+  const jobService = stubJobService({ id: 'job-0', status: 'completed', finished_at: new Date(Date.now() - 30 * MINUTE_MS).toISOString() });
+  const result = await createRunner(jobService, true).start('user-1', { days: 7 }, { ifNeeded: true });
+
+  assert.equal(result.existing, false);
+  assert.equal(result.job.id, 'job-1');
+  assert.deepEqual(jobService.created[0].options, { days: 7 });
+});
+
+test('an explicit start always creates a job', async () => {
+  const jobService = stubJobService({ id: 'job-0', status: 'completed', finished_at: new Date().toISOString() });
+  const result = await createRunner(jobService, false).start('user-1');
+
+  assert.equal(result.job.id, 'job-1');
+});
@@ -0,0 +1,61 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const llm = require('../llm');
+const { normalizeEntityName, entityKey, extractDates, extractEntities } = require('../entities');
+
+mock.method(console, 'log', () => {});
+
+test('entity names are trimmed, collapsed and capped; keys ignore case', () => {
+  assert.equal(normalizeEntityName('  Open \n AI  '), 'Open AI');
+  assert.equal(normalizeEntityName('x'.repeat(150)).length, 100);
+  assert.equal(normalizeEntityName(42), '');
+  assert.equal(entityKey(' OpenAI '), entityKey('openai'));
+});
+
+test('extractDates reads the common ways of writing a date as ISO dates', () => {
+  const dates = extractDates('Filed on 2024-03-05. Hearing on March 7th, 2024. Ruling due 9 Apr 2024.');
+  assert.deepEqual(dates.map(date => date.name), ['2024-03-05', '2024-03-07', '2024-04-09']);
+  assert.equal(dates[1].context, 'Hearing on March 7th, 2024.');
+});
+
+test('the same day written differently is one date, most mentioned first', () => {
+  const dates = extractDates('The launch was in Sept. 2023. It shipped on 5 March 2024, that is March 5, 2024.');
+  assert.deepEqual(dates.map(date => [date.name, date.mentions]), [['2024-03-05', 2], ['2023-09', 1]]);
+});
+
+test('a full date does not also count as its month, and impossible dates are skipped', () => {
+  assert.deepEqual(extractDates('Due 5 March 2024.').map(date => date.name), ['2024-03-05']);
+  assert.deepEqual(extractDates('Due 2024-02-30 or 31 April 2024.'), []);
+});
+
+test('extractEntities counts mentions, including aliases, and adds dates', async (t) => {
+  t.mock.method(llm, 'completeJson', async () => ({
+    data: {
+      entities: [
+        { name: 'OpenAI', type: 'organization', aliases: ['Open AI'] },
+        { name: 'openai', type: 'organization' },
+        { name: 'Sam Altman', type: 'person' },
+        { name: '  ', type: 'person' }
+      ]
+    }
+  }));
+
+  const entities = await extractEntities({
+    item: { title: 'OpenAI news', text: '<p>Open AI said on 2024-05-13 that OpenAI would ship.</p><p>Nothing about its CEO.</p>' }
+  });
+
+  assert.deepEqual(entities.map(({ name, type, mentions }) => [name, type, mentions]), [
+    ['OpenAI', 'organization', 3],
+    ['Sam Altman', 'person', 1],
+    ['2024-05-13', 'date', 1]
+  ]);
+  assert.equal(entities[1].context, null);
+});
+
+test('extractEntities without the model only finds dates', async (t) => {
+  const completeJson = t.mock.method(llm, 'completeJson', async () => ({ data: { entities: [] } }));
+  const entities = await extractEntities({ item: { title: 'Notes', text: 'Met Ada on June 1, 2024.' }, useModel: false });
+
+  assert.equal(completeJson.mock.callCount(), 0);
+  assert.deepEqual(entities.map(entity => entity.name), ['2024-06-01']);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scheduleReview, validateGrade, endOfDay, isTimeZone } = require('../flashcards');
+
+const NOW = Date.UTC(2026, 2, 10, 12, 0, 0);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NEW_CARD = { easeFactor: 2.5, intervalDays: 0, repetitions: 0, lapses: 0 };
+
+test('passing reviews go 1 day, 6 days, then interval × ease', () => {
+  const first = scheduleReview(NEW_CARD, 4, NOW);
+  assert.equal(first.intervalDays, 1);
+  assert.equal(first.repetitions, 1);
+  assert.equal(first.dueAt, new Date(NOW + DAY_MS).toISOString());
+
+  const second = scheduleReview(first, 4, NOW);
+  assert.equal(second.intervalDays, 6);
+
+  const third = scheduleReview(second, 4, NOW);
+  assert.equal(third.intervalDays, 15);
+  assert.equal(third.repetitions, 3);
+});
+
+test('the ease factor follows the SM-2 formula', () => {
+  assert.equal(scheduleReview(NEW_CARD, 5, NOW).easeFactor, 2.6);
+  assert.equal(scheduleReview(NEW_CARD, 4, NOW).easeFactor, 2.5);
+  assert.equal(scheduleReview(NEW_CARD, 3, NOW).easeFactor, 2.36);
+  assert.equal(scheduleReview(NEW_CARD, 0, NOW).easeFactor, 1.7);
+});
+
+test('the ease factor never drops below 1.3', () => {
+  let card = NEW_CARD;
+  for (let i = 0; i < 5; i++) card = scheduleReview(card, 0, NOW);
+  assert.equal(card.easeFactor, 1.3);
+});
+
+test('a failed recall starts the card over and counts a lapse', () => {
+  const learned = { easeFactor: 2.5, intervalDays: 15, repetitions: 3, lapses: 1 };
+  const failed = scheduleReview(learned, 2, NOW);
+
+  assert.equal(failed.intervalDays, 1);
+  assert.equal(failed.repetitions, 0);
+  assert.equal(failed.lapses, 2);
+  assert.equal(failed.lastGrade, 2);
+  assert.equal(failed.lastReviewedAt, new Date(NOW).toISOString());
+});
+
+test('cards without scheduling fields get the defaults', () => {
+  const scheduled = scheduleReview({}, 5, NOW);
+  assert.equal(scheduled.intervalDays, 1);
+  assert.equal(scheduled.easeFactor, 2.6);
+  assert.equal(scheduled.lapses, 0);
+});
+
+test('validateGrade accepts whole numbers from 0 to 5', () => {
+  assert.deepEqual(validateGrade(0), { grade: 0, error: null });
+  assert.deepEqual(validateGrade(5), { grade: 5, error: null });
+  for (const grade of [-1, 6, 2.5, '3', null]) {
+    assert.equal(validateGrade(grade).grade, null);
+  }
+});
+
+test('endOfDay is the next local midnight of the time zone', () => {
+  assert.equal(endOfDay('UTC', NOW), Date.UTC(2026, 2, 11));
+  // Berlin is UTC+1 in March before daylight saving time
+  assert.equal(endOfDay('Europe/Berlin', NOW), Date.UTC(2026, 2, 10, 23));
+  // 20:00 in New York (UTC-4 after the March switch) is already March 11 in UTC
+  assert.equal(endOfDay('America/New_York', Date.UTC(2026, 2, 11, 0, 0)), Date.UTC(2026, 2, 11, 4));
+});
+
+test('isTimeZone knows IANA names', () => {
+  assert.equal(isTimeZone('Europe/Berlin'), true);
+  assert.equal(isTimeZone('Mars/Olympus'), false);
+});
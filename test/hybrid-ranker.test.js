@@ -0,0 +1,66 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveRankingOptions, tokenizeQuery, keywordScore, rankHybrid } = require('../content-processing/hybrid-ranker');
+
+mock.method(console, 'log', () => {});
+
+test('tokenizeQuery drops stop words and keeps codes intact', () => {
+  assert.deepEqual(tokenizeQuery('What did I read about RAG and gpt-4o?'), ['rag', 'gpt-4o']);
+  assert.deepEqual(tokenizeQuery('error E1234 error'), ['error', 'e1234']);
+  assert.deepEqual(tokenizeQuery(''), []);
+  assert.deepEqual(tokenizeQuery(null), []);
+});
+
+test('tokenizeQuery drops the stop words of the query language', () => {
+  assert.deepEqual(tokenizeQuery('la inflación de los precios en el mercado'), ['inflación', 'precios', 'mercado']);
+});
+
+test('keywordScore counts the share of terms found as whole words', () => {
+  assert.equal(keywordScore('rust async', 'Notes on Rust and async runtimes'), 1);
+  assert.equal(keywordScore('rust async', 'Rusty asynchronous code'), 0);
+  assert.equal(keywordScore('rust tokio', 'Rust without a runtime'), 0.5);
+  assert.equal(keywordScore('tokio runtime', 'the tokio runtime explained'), 1);
+  assert.equal(keywordScore('rust', ''), 0);
+});
+
+test('resolveRankingOptions normalizes weights and applies overrides', () => {
+  const options = resolveRankingOptions({ semanticWeight: 3, keywordWeight: 1, minScore: 0.1, maxResults: '2' });
+  assert.deepEqual(options.weights, { semantic: 0.75, keyword: 0.25 });
+  assert.equal(options.minScore, 0.1);
+  assert.equal(options.maxResults, 2);
+
+  const zero = resolveRankingOptions({ semanticWeight: 0, keywordWeight: 0 });
+  assert.deepEqual(zero.weights, { semantic: 0, keyword: 0 });
+  assert.equal(resolveRankingOptions({ maxResults: 'x' }).maxResults, 5);
+});
+
+test('rankHybrid scales keyword ranks to the best candidate', () => {
+  const options = resolveRankingOptions({ semanticWeight: 0.5, keywordWeight: 0.5, minScore: 0 });
+  const ranked = rankHybrid([
+    { title: 'A', similarity: 0.4, keywordRank: 0.02 },
+    { title: 'B', similarity: 0.4, keywordRank: 0.08 }
+  ], 'query', options);
+
+  assert.deepEqual(ranked.map(item => item.title), ['B', 'A']);
+  assert.equal(ranked[0].scoreBreakdown.keyword, 1);
+  assert.equal(ranked[1].scoreBreakdown.keyword, 0.25);
+  assert.equal(ranked[0].score, 0.7);
+});
+
+test('rankHybrid lets an exact code outrank a closer meaning and drops weak matches', () => {
+  const options = resolveRankingOptions({ semanticWeight: 0.7, keywordWeight: 0.3, minScore: 0.3, maxResults: 5 });
+  const ranked = rankHybrid([
+    { title: 'Exact code', text: 'Fix for error E1234', similarity: 0.1 },
+    { title: 'Close meaning', text: 'Troubleshooting failures', similarity: 0.5 },
+    { title: 'Unrelated', text: 'Gardening tips', similarity: 0.05 }
+  ], 'E1234', options);
+
+  assert.deepEqual(ranked.map(item => item.title), ['Exact code', 'Close meaning']);
+  assert.equal(ranked[0].scoreBreakdown.keyword, 1);
+  assert.equal(ranked[1].scoreBreakdown.keyword, 0);
+});
+
+test('rankHybrid returns at most maxResults items', () => {
+  const items = Array.from({ length: 8 }, (_, i) => ({ title: `Item ${i}`, similarity: 0.9 - i / 100, keywordRank: 0 }));
+  assert.equal(rankHybrid(items, 'q', resolveRankingOptions({ maxResults: 3 })).length, 3);
+});
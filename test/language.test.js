@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeLanguageCode,
+  searchConfigFor,
+  detectLanguage,
+  extractDeclaredLanguage,
+  contentLanguage,
+  validatePreferredLanguage,
+  outputLanguageOf
+} = require('../language');
+
+const SAMPLES = {
+  en: 'The central bank raised interest rates again on Tuesday, citing persistent inflation in services and housing.',
+  es: 'La inflación en España subió en marzo, según el instituto de estadística, y los precios de la energía fueron los que más subieron.',
+  fr: 'La banque centrale a relevé ses taux mardi, et les économistes pensent que la hausse des prix dans les services va durer.',
+  de: 'Die Zukunft der Arbeit wird sich durch KI stark verändern, und viele Unternehmen sind noch nicht darauf vorbereitet.',
+  it: 'La banca centrale ha alzato i tassi di interesse per la terza volta, e gli analisti non sono sorpresi dalla decisione.',
+  pt: 'O banco central aumentou a taxa de juros pela terceira vez, e os analistas não ficaram surpresos com a decisão.',
+  nl: 'De centrale bank heeft de rente opnieuw verhoogd, en volgens economen is dat nog niet het einde van de stijging.',
+  ru: 'Центральный банк снова повысил ставку, и аналитики считают, что это не последнее повышение в этом году.',
+  ja: '中央銀行は火曜日に再び金利を引き上げ、サービスと住宅のインフレが続いていることを理由に挙げた。',
+  zh: '中央银行周二再次加息，理由是服务业和住房领域的通货膨胀持续存在。',
+  ko: '중앙은행은 화요일에 서비스와 주택 부문의 지속적인 인플레이션을 이유로 금리를 다시 인상했다.',
+  ar: 'رفع البنك المركزي أسعار الفائدة مرة أخرى يوم الثلاثاء بسبب استمرار التضخم في الخدمات والإسكان.'
+};
+
+test('detectLanguage identifies common languages', () => {
+  for (const [language, text] of Object.entries(SAMPLES)) {
+    assert.equal(detectLanguage(text).language, language, `sample in ${language}`);
+  }
+});
+
+test('detectLanguage reports how it decided and the search config', () => {
+  assert.deepEqual(detectLanguage(SAMPLES.es), { language: 'es', searchConfig: 'spanish', source: 'stop-words' });
+  assert.deepEqual(detectLanguage(SAMPLES.zh), { language: 'zh', searchConfig: 'simple', source: 'script' });
+  assert.deepEqual(detectLanguage(SAMPLES.ar), { language: 'ar', searchConfig: 'arabic', source: 'script' });
+});
+
+test('short or unscorable text falls back to the declared language', () => {
+  assert.deepEqual(detectLanguage('KI', { declared: 'de-AT' }), { language: 'de', searchConfig: 'german', source: 'declared' });
+  assert.deepEqual(detectLanguage('KI'), { language: null, searchConfig: 'simple', source: null });
+  assert.deepEqual(detectLanguage('1234 5678 90 12 34 56', { declared: 'xx' }), { language: null, searchConfig: 'simple', source: null });
+});
+
+test('the declared language wins close calls but not clear ones', () => {
+  const danish = 'Det er ikke let at sige, om det er en god ide, men vi har talt om det, og de er enige med os.';
+  assert.equal(detectLanguage(danish, { declared: 'no' }).language, 'no');
+  assert.equal(detectLanguage(SAMPLES.es, { declared: 'en' }).language, 'es');
+});
+
+test('normalizeLanguageCode maps tags and aliases to supported codes', () => {
+  assert.equal(normalizeLanguageCode('es-ES'), 'es');
+  assert.equal(normalizeLanguageCode('pt_BR'), 'pt');
+  assert.equal(normalizeLanguageCode('nb'), 'no');
+  assert.equal(normalizeLanguageCode(' EN '), 'en');
+  assert.equal(normalizeLanguageCode('xx'), null);
+  assert.equal(normalizeLanguageCode(42), null);
+});
+
+test('searchConfigFor falls back to simple', () => {
+  assert.equal(searchConfigFor('fr'), 'french');
+  assert.equal(searchConfigFor('el'), 'greek');
+  assert.equal(searchConfigFor('hi'), 'simple');
+  assert.equal(searchConfigFor(null), 'simple');
+});
+
+test('extractDeclaredLanguage reads html lang, then Content-Language, then og:locale', () => {
+  assert.equal(extractDeclaredLanguage('<html class="x" lang="fr-CA"><head>'), 'fr');
+  assert.equal(extractDeclaredLanguage('<html><meta http-equiv="Content-Language" content="de">'), 'de');
+  assert.equal(extractDeclaredLanguage('<html><meta property="og:locale" content="pt_BR">'), 'pt');
+  assert.equal(extractDeclaredLanguage('<html lang="xx"><meta property="og:locale" content="it_IT">'), 'it');
+  assert.equal(extractDeclaredLanguage('<html>'), null);
+  assert.equal(extractDeclaredLanguage(null), null);
+});
+
+test('contentLanguage ignores markup and scripts', () => {
+  const html = `<script>var the = "and of to in is";</script><p>${SAMPLES.de}</p>`;
+  assert.deepEqual(contentLanguage({ title: 'Arbeit', text: html }), { language: 'de', search_config: 'german' });
+  assert.deepEqual(contentLanguage(), { language: null, search_config: 'simple' });
+});
+
+test('validatePreferredLanguage accepts supported codes and clearing', () => {
+  assert.equal(validatePreferredLanguage('es'), null);
+  assert.equal(validatePreferredLanguage(null), null);
+  assert.equal(validatePreferredLanguage(undefined), null);
+  assert.match(validatePreferredLanguage('xx'), /preferredLanguage must be one of/);
+  assert.match(validatePreferredLanguage(3), /preferredLanguage must be one of/);
+});
+
+test('outputLanguageOf ignores English and unknown languages', () => {
+  assert.equal(outputLanguageOf({ preferredLanguage: 'es' }), 'es');
+  assert.equal(outputLanguageOf({ preferredLanguage: 'en' }), null);
+  assert.equal(outputLanguageOf({ preferredLanguage: 'xx' }), null);
+  assert.equal(outputLanguageOf(null), null);
+});
@@ -0,0 +1,64 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveModel, validateUserModels, parseModelSpec } = require('../llm/config');
+
+mock.method(console, 'warn', () => {});
+
+const withAllowed = (value, fn) => {
+  const previous = process.env.LLM_ALLOWED_MODELS;
+  if (value === undefined) delete process.env.LLM_ALLOWED_MODELS;
+  else process.env.LLM_ALLOWED_MODELS = value;
+  try {
+    return fn();
+  } finally {
+    if (previous === undefined) delete process.env.LLM_ALLOWED_MODELS;
+    else process.env.LLM_ALLOWED_MODELS = previous;
+  }
+};
+
+const OPUS = 'anthropic:claude-opus-4-1-20250805';
+
+test('parseModelSpec infers the provider of bare model names', () => {
+  assert.deepEqual(parseModelSpec('openai:gpt-4o-mini'), { provider: 'openai', model: 'gpt-4o-mini' });
+  assert.deepEqual(parseModelSpec('local:llama3.1:8b'), { provider: 'local', model: 'llama3.1:8b' });
+  assert.deepEqual(parseModelSpec('claude-3-haiku-20240307'), { provider: 'anthropic', model: 'claude-3-haiku-20240307' });
+  assert.equal(parseModelSpec(''), null);
+});
+
+test('user models are ignored without LLM_ALLOWED_MODELS', () => {
+  withAllowed(undefined, () => {
+    const resolved = resolveModel('chat', { llmModels: { chat: OPUS } });
+    assert.notEqual(resolved.source, 'user');
+  });
+});
+
+test('user models on the allowlist are used', () => {
+  withAllowed(`${OPUS},openai:gpt-4o-mini`, () => {
+    assert.deepEqual(resolveModel('chat', { llmModels: { chat: 'openai:gpt-4o-mini' } }),
+      { provider: 'openai', model: 'gpt-4o-mini', source: 'user' });
+    assert.notEqual(resolveModel('chat', { llmModels: { chat: 'openai:gpt-4o' } }).source, 'user');
+  });
+});
+
+test('a user default does not replace the fast model of classification routes', () => {
+  withAllowed(OPUS, () => {
+    const settings = { llmModels: { default: OPUS } };
+    assert.equal(resolveModel('summary', settings).source, 'user');
+    assert.equal(resolveModel('classify-conversation', settings).source, 'route-default');
+    assert.equal(resolveModel('classify-conversation', { llmModels: { 'classify-conversation': OPUS } }).source, 'user');
+  });
+});
+
+test('validateUserModels rejects models off the allowlist', () => {
+  withAllowed(undefined, () => {
+    assert.equal(validateUserModels(undefined), null);
+    assert.equal(validateUserModels(null), null);
+    assert.match(validateUserModels({ chat: OPUS }), /not enabled/);
+  });
+  withAllowed(OPUS, () => {
+    assert.equal(validateUserModels({ default: OPUS }), null);
+    assert.match(validateUserModels({ chat: 'openai:gpt-4o' }), /llmModels\.chat must be one of/);
+    assert.match(validateUserModels({ chat: 42 }), /llmModels\.chat/);
+    assert.match(validateUserModels(['x']), /must be an object/);
+  });
+});
@@ -0,0 +1,75 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const llm = require('../llm');
+const {
+  isLongDocument,
+  splitIntoSections,
+  summarizeSections,
+  formatSectionNotes
+} = require('../content-processing/long-document-summarizer');
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+mock.method(console, 'warn', () => {});
+
+const paragraph = (n) => `Paragraph ${n} explains one part of the report in plain words. `.repeat(6).trim();
+const document = (paragraphs) => Array.from({ length: paragraphs }, (_, i) => paragraph(i)).join('\n\n');
+
+test('isLongDocument is true above the single-pass limit', () => {
+  assert.equal(isLongDocument('x'.repeat(4000)), false);
+  assert.equal(isLongDocument('x'.repeat(4001)), true);
+  assert.equal(isLongDocument(null), false);
+});
+
+test('splitIntoSections keeps every paragraph, in order, without cutting any', () => {
+  const text = document(120);
+  const sections = splitIntoSections(text);
+
+  assert.ok(sections.length > 1);
+  const paragraphs = sections.join('\n\n').split(/\n\n/);
+  assert.deepEqual(paragraphs, text.split(/\n\n/));
+});
+
+test('splitIntoSections never makes more than 12 sections', () => {
+  assert.ok(splitIntoSections(document(1200)).length <= 12);
+});
+
+test('formatSectionNotes labels each note with its place in the document', () => {
+  const merged = formatSectionNotes([{ section: 1, text: 'Intro' }, { section: 3, text: 'Results' }], 3);
+  assert.equal(merged, '[Section 1 of 3]\nIntro\n\n[Section 3 of 3]\nResults');
+});
+
+test('summarizeSections skips failed sections and adds up usage', async (t) => {
+  const sections = splitIntoSections(document(120));
+  t.mock.method(llm, 'complete', async ({ prompt }) => {
+    if (prompt.includes('section 2 ')) throw new Error('rate limited');
+    return { text: 'notes', usage: { inputTokens: 10, outputTokens: 2 } };
+  });
+
+  const result = await summarizeSections(document(120), { title: 'Report' });
+
+  assert.equal(result.totalSections, sections.length);
+  assert.equal(result.sectionsCovered, sections.length - 1);
+  assert.deepEqual(result.notes.map(note => note.section).includes(2), false);
+  assert.deepEqual(result.usage, { inputTokens: 10 * (sections.length - 1), outputTokens: 2 * (sections.length - 1) });
+});
+
+test('summarizeSections passes the signal on and stops when it aborts', async (t) => {
+  const controller = new AbortController();
+  const signals = [];
+  t.mock.method(llm, 'complete', async ({ signal }) => {
+    signals.push(signal);
+    controller.abort();
+    const error = new Error('aborted');
+    error.name = 'AbortError';
+    throw error;
+  });
+
+  await assert.rejects(summarizeSections(document(120), { signal: controller.signal }), { name: 'AbortError' });
+  assert.ok(signals.every(signal => signal === controller.signal));
+});
+
+test('summarizeSections fails when no section could be summarized', async (t) => {
+  t.mock.method(llm, 'complete', async () => { throw new Error('provider down'); });
+  await assert.rejects(summarizeSections(document(120)), /provider down/);
+});
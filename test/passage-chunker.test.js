@@ -0,0 +1,72 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { chunkIntoPassages, groupPassagesByContent } = require('../content-processing/passage-chunker');
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+
+const sentences = (count) => Array.from({ length: count }, (_, i) => `Sentence number ${i} talks about topic ${i % 7}.`).join(' ');
+
+test('short text is a single passage', () => {
+  const passages = chunkIntoPassages('  A short note.  ');
+  assert.equal(passages.length, 1);
+  assert.deepEqual(passages[0], { index: 0, text: 'A short note.', startOffset: 0, endOffset: 17 });
+});
+
+test('empty or non-string text has no passages', () => {
+  assert.deepEqual(chunkIntoPassages(''), []);
+  assert.deepEqual(chunkIntoPassages('   '), []);
+  assert.deepEqual(chunkIntoPassages(null), []);
+});
+
+test('passages overlap, stay within size and map back to the text', () => {
+  const text = sentences(120);
+  const passages = chunkIntoPassages(text, { passageChars: 500, overlapChars: 100 });
+
+  assert.ok(passages.length > 1);
+  passages.forEach((passage, i) => {
+    assert.equal(passage.index, i);
+    assert.ok(passage.endOffset - passage.startOffset <= 500);
+    assert.equal(text.slice(passage.startOffset, passage.endOffset).trim(), passage.text);
+    if (i > 0) assert.ok(passage.startOffset < passages[i - 1].endOffset, 'consecutive passages overlap');
+  });
+  assert.equal(passages[passages.length - 1].endOffset, text.length);
+});
+
+test('passages end on sentence boundaries and start on a new sentence', () => {
+  const passages = chunkIntoPassages(sentences(60), { passageChars: 400, overlapChars: 120 });
+  for (const passage of passages) {
+    assert.match(passage.text, /^Sentence number \d+/);
+    assert.match(passage.text, /\.$/);
+  }
+});
+
+test('paragraph breaks are preferred over sentence breaks', () => {
+  const text = `${'First paragraph sentence. '.repeat(12)}\n\n${'Second paragraph sentence. '.repeat(12)}`;
+  const [first] = chunkIntoPassages(text, { passageChars: 400, overlapChars: 50 });
+  assert.equal(first.endOffset, text.indexOf('\n\n') + 2);
+});
+
+test('text without spaces is cut hard', () => {
+  const passages = chunkIntoPassages('x'.repeat(1000), { passageChars: 300, overlapChars: 50 });
+  assert.equal(passages[0].text.length, 300);
+  assert.equal(passages[passages.length - 1].endOffset, 1000);
+});
+
+test('chunking stops at maxPassages', () => {
+  const passages = chunkIntoPassages(sentences(200), { passageChars: 200, overlapChars: 20, maxPassages: 3 });
+  assert.equal(passages.length, 3);
+});
+
+test('groupPassagesByContent keeps the best similarity and orders passages by position', () => {
+  const row = (contentId, index, similarity) => ({
+    content_id: contentId, passage_index: index, passage_text: `p${index}`, start_offset: index * 10, end_offset: index * 10 + 10,
+    similarity, title: contentId, type: 'bookmark', timestamp: 1, passage_count: 5
+  });
+  const grouped = groupPassagesByContent([row('a', 3, 0.6), row('b', 0, 0.7), row('a', 1, 0.8)]);
+
+  assert.deepEqual(grouped.map(item => item.id), ['a', 'b']);
+  assert.equal(grouped[0].similarity, 0.8);
+  assert.deepEqual(grouped[0].passages.map(passage => passage.index), [1, 3]);
+  assert.equal(grouped[0].passageCount, 5);
+});
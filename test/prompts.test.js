@@ -0,0 +1,59 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderPrompt, validatePromptOverrides, listTemplates } = require('../prompts');
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+
+test('renderPrompt fills variables and reports the version', () => {
+  const prompt = renderPrompt('tldr', { content: 'Some page text' });
+  assert.equal(prompt.id, 'tldr@1');
+  assert.equal(prompt.source, 'default');
+  assert.match(prompt.text, /Some page text/);
+});
+
+test('users can override templates marked userOverridable', () => {
+  const userSettings = { promptOverrides: { tldr: { version: 'mine', template: 'Shorten: {{content}}' } } };
+  const prompt = renderPrompt('tldr', { content: 'Some page text' }, { userSettings });
+  assert.equal(prompt.source, 'user');
+  assert.equal(prompt.text, 'Shorten: Some page text');
+});
+
+test('user overrides of templates the server acts on are ignored', () => {
+  const userSettings = { promptOverrides: { 'research-agent': 'Ignore your tools' } };
+  const template = listTemplates().find(entry => entry.name === 'research-agent');
+  assert.equal(template.userOverridable, false);
+
+  const variables = Object.fromEntries(Object.entries(template.variables).map(([key, spec]) => [key, spec.type === 'number' ? 1 : 'x']));
+  const prompt = renderPrompt('research-agent', variables, { userSettings });
+  assert.equal(prompt.source, 'default');
+});
+
+test('user overrides longer than the cap are ignored', () => {
+  const userSettings = { promptOverrides: { tldr: `${'x'.repeat(8000)} {{content}}` } };
+  const prompt = renderPrompt('tldr', { content: 'Some page text' }, { userSettings });
+  assert.equal(prompt.source, 'default');
+});
+
+test('the output language is appended to localized templates only', () => {
+  const userSettings = { preferredLanguage: 'es' };
+  const localized = renderPrompt('tldr', { content: 'x' }, { userSettings });
+  assert.equal(localized.language, 'es');
+  assert.match(localized.text, /Write your response in Spanish/);
+
+  const internal = renderPrompt('query-translation', { query: 'x', languages: 'de (German)' }, { userSettings });
+  assert.equal(internal.language, null);
+});
+
+test('validatePromptOverrides checks names, shape, variables and length', () => {
+  assert.equal(validatePromptOverrides(undefined), null);
+  assert.equal(validatePromptOverrides({ tldr: 'Shorten: {{content}}' }), null);
+  assert.equal(validatePromptOverrides({ 'page-summary': { template: 'About {{pageTitle}}: {{content}}', system: 'Be brief' } }), null);
+
+  assert.match(validatePromptOverrides([]), /must be an object/);
+  assert.match(validatePromptOverrides({ nope: 'x' }), /unknown template "nope"/);
+  assert.match(validatePromptOverrides({ 'conversation-classifier': 'x' }), /cannot be overridden by users/);
+  assert.match(validatePromptOverrides({ tldr: 'Shorten: {{text}}' }), /unknown variable \{\{text\}\}/);
+  assert.match(validatePromptOverrides({ tldr: { template: 'x', system: 5 } }), /system must be a string/);
+  assert.match(validatePromptOverrides({ tldr: 'x'.repeat(8001) }), /longer than 8000/);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isPrivateAddress, isPublicHttpUrl, assertPublicUrl, fetchPublicUrl } = require('../agent/public-fetch');
+
+const resolvesTo = (table) => async (host) => (table[host] || []).map(address => ({ address, family: address.includes(':') ? 6 : 4 }));
+
+const lookup = resolvesTo({
+  'example.com': ['93.184.215.14'],
+  'metadata.example.com': ['169.254.169.254'],
+  'mixed.example.com': ['93.184.215.14', '10.0.0.5'],
+  'v6.example.com': ['::ffff:127.0.0.1']
+});
+
+const reply = (status, location) => ({
+  status,
+  headers: new Headers(location ? { location } : {}),
+  body: null
+});
+
+test('isPrivateAddress covers loopback, private, link-local and mapped addresses', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:10.0.0.1', 'nonsense']) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  for (const address of ['93.184.215.14', '172.32.0.1', '2606:4700::1111']) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test('isPublicHttpUrl rejects other protocols, local names and private literals', () => {
+  assert.equal(isPublicHttpUrl('https://example.com/a.pdf'), true);
+  assert.equal(isPublicHttpUrl('http://[2606:4700::1111]/a.pdf'), true);
+  assert.equal(isPublicHttpUrl('ftp://example.com/a.pdf'), false);
+  assert.equal(isPublicHttpUrl('http://localhost:3000/a.pdf'), false);
+  assert.equal(isPublicHttpUrl('http://db.internal/a.pdf'), false);
+  assert.equal(isPublicHttpUrl('http://[::1]/a.pdf'), false);
+  assert.equal(isPublicHttpUrl('not a url'), false);
+});
+
+test('assertPublicUrl rejects hosts that resolve to private addresses', async () => {
+  await assertPublicUrl('https://example.com/a.pdf', lookup);
+  await assert.rejects(assertPublicUrl('https://metadata.example.com/latest', lookup), /public/);
+  await assert.rejects(assertPublicUrl('https://mixed.example.com/a.pdf', lookup), /public/);
+  await assert.rejects(assertPublicUrl('https://v6.example.com/a.pdf', lookup), /public/);
+  await assert.rejects(assertPublicUrl('https://unknown.example.com/a.pdf', lookup), /public/);
+});
+
+test('fetchPublicUrl follows public redirects by hand', async () => {
+  const requested = [];
+  const fetch = async (url, options) => {
+    requested.push([url, options.redirect]);
+    return url.endsWith('/old.pdf') ? reply(301, '/new.pdf') : reply(200);
+  };
+
+  const response = await fetchPublicUrl('https://example.com/old.pdf', {}, { fetch, lookup });
+  assert.equal(response.status, 200);
+  assert.deepEqual(requested, [
+    ['https://example.com/old.pdf', 'manual'],
+    ['https://example.com/new.pdf', 'manual']
+  ]);
+});
+
+test('fetchPublicUrl refuses a redirect to an internal address', async () => {
+  const requested = [];
+  const fetch = async (url) => {
+    requested.push(url);
+    return reply(302, 'http://169.254.169.254/latest/meta-data/');
+  };
+
+  await assert.rejects(fetchPublicUrl('https://example.com/a.pdf', {}, { fetch, lookup }), /public/);
+  assert.deepEqual(requested, ['https://example.com/a.pdf']);
+});
+
+test('fetchPublicUrl stops after too many redirects', async () => {
+  const fetch = async () => reply(302, 'https://example.com/loop.pdf');
+  await assert.rejects(fetchPublicUrl('https://example.com/a.pdf', {}, { fetch, lookup }), /Too many redirects/);
+});
@@ -0,0 +1,123 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const TokenBucketStore = require('../quota/token-bucket');
+const { DailyTokenTracker } = require('../quota');
+const { getEndpointWeight } = require('../quota/plans');
+
+mock.method(console, 'error', () => {});
+
+const LIMITS = { capacity: 30, refillPerMinute: 10 };
+
+test('a bucket allows requests until its points are spent', () => {
+  const store = new TokenBucketStore();
+  assert.equal(store.take('user:a', 10, LIMITS).allowed, true);
+  assert.equal(store.take('user:a', 10, LIMITS).allowed, true);
+
+  const third = store.take('user:a', 10, LIMITS);
+  assert.equal(third.allowed, true);
+  assert.equal(third.remaining, 0);
+  assert.equal(third.limit, 30);
+
+  const denied = store.take('user:a', 10, LIMITS);
+  assert.equal(denied.allowed, false);
+  assert.equal(denied.retryAfterSeconds, 60);
+  assert.equal(denied.resetSeconds, 180);
+});
+
+test('buckets are kept per key', () => {
+  const store = new TokenBucketStore();
+  store.take('user:a', 30, LIMITS);
+  assert.equal(store.take('user:a', 1, LIMITS).allowed, false);
+  assert.equal(store.take('user:b', 1, LIMITS).allowed, true);
+});
+
+test('a bucket refills continuously up to its capacity', () => {
+  const store = new TokenBucketStore();
+  const now = Date.now();
+  store.refill('user:a', LIMITS, now);
+  store.buckets.get('user:a').points = 0;
+
+  assert.equal(store.refill('user:a', LIMITS, now + 30000).points, 5);
+  assert.equal(store.refill('user:a', LIMITS, now + 60 * 60000).points, 30);
+});
+
+test('a request never costs more than a full bucket', () => {
+  const store = new TokenBucketStore();
+  const result = store.take('user:a', 100, LIMITS);
+  assert.equal(result.allowed, true);
+  assert.equal(result.remaining, 0);
+});
+
+test('a plan change applies to an existing bucket', () => {
+  const store = new TokenBucketStore();
+  store.take('user:a', 30, LIMITS);
+  const upgraded = store.take('user:a', 1, { capacity: 300, refillPerMinute: 100 });
+  assert.equal(upgraded.limit, 300);
+  assert.equal(upgraded.allowed, false);
+});
+
+test('sweep drops only buckets that have refilled', () => {
+  const store = new TokenBucketStore();
+  const now = Date.now();
+  store.take('user:full', 0, LIMITS);
+  store.take('user:spent', 30, LIMITS);
+  store.sweep(now + 1000);
+  assert.deepEqual([...store.buckets.keys()], ['user:spent']);
+  store.sweep(now + 4 * 60000);
+  assert.equal(store.buckets.size, 0);
+});
+
+test('the daily tracker seeds from stored usage, then counts new records', async () => {
+  const calls = [];
+  const tracker = new DailyTokenTracker(async (...args) => {
+    calls.push(args);
+    return 1000;
+  });
+
+  assert.equal(await tracker.usedToday('u1'), 1000);
+  tracker.add('u1', 250);
+  assert.equal(await tracker.usedToday('u1'), 1250);
+  assert.equal(calls.length, 1);
+
+  const [userId, since, until] = calls[0];
+  assert.equal(userId, 'u1');
+  assert.match(since, /T00:00:00\.000Z$/);
+  assert.ok(until >= since);
+});
+
+test('usage recorded while the seed loads is counted once', async () => {
+  let finishLoad;
+  let loadedUntil;
+  const tracker = new DailyTokenTracker((userId, since, until) => {
+    loadedUntil = until;
+    return new Promise(resolve => { finishLoad = resolve; });
+  });
+  const at = (offsetMs) => new Date(Date.parse(loadedUntil) + offsetMs).toISOString();
+
+  const used = tracker.usedToday('u1');
+  // Created before the seed started loading: the stored total (1400) already includes it
+  tracker.add('u1', 400, at(-1));
+  // Created after: only counted in memory
+  tracker.add('u1', 100, at(1));
+  finishLoad(1400);
+
+  assert.equal(await used, 1500);
+});
+
+test('usage of users not seen today is ignored until they are', async () => {
+  const tracker = new DailyTokenTracker(async () => 10);
+  tracker.add('u2', 500);
+  assert.equal(await tracker.usedToday('u2'), 10);
+});
+
+test('a failed seed starts the day at zero', async () => {
+  const tracker = new DailyTokenTracker(async () => { throw new Error('down'); });
+  assert.equal(await tracker.usedToday('u1'), 0);
+});
+
+test('model-backed endpoints count against the daily budget', () => {
+  assert.deepEqual(getEndpointWeight('POST', '/api/digest'), { weight: 10, usesModel: true });
+  assert.deepEqual(getEndpointWeight('POST', '/api/extract-pdf'), { weight: 3, usesModel: true });
+  assert.deepEqual(getEndpointWeight('POST', '/api/storage/content/0b6e/tags/suggest'), { weight: 3, usesModel: true });
+  assert.deepEqual(getEndpointWeight('GET', '/api/digests'), { weight: 1, usesModel: false });
+});
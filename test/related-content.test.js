@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveRelatedOptions, itemLabels, rankRelatedContent } = require('../content-processing/related-content');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const target = {
+  id: 'target',
+  source_url: 'https://www.example.com/story?utm_source=x',
+  content_hash: 'hash-target',
+  embedding: [1, 0, 0],
+  insight_data: { tags: ['AI'], entities: [{ name: 'OpenAI' }, 'GPT-5'] }
+};
+
+const candidate = (id, similarity, embedding, extra = {}) => ({
+  id,
+  title: id,
+  type: 'bookmark',
+  similarity,
+  embedding,
+  timestamp: Date.now() - 21 * DAY_MS,
+  ...extra
+});
+
+test('resolveRelatedOptions applies defaults and rejects out-of-range values', () => {
+  assert.deepEqual(resolveRelatedOptions({}), { options: { limit: 5, diversity: 0.3 }, error: null });
+  assert.deepEqual(resolveRelatedOptions({ limit: '10', diversity: '0' }).options, { limit: 10, diversity: 0 });
+  assert.match(resolveRelatedOptions({ limit: '21' }).error, /limit must be between 1 and 20/);
+  assert.match(resolveRelatedOptions({ diversity: '1.5' }).error, /diversity must be between 0 and 1/);
+});
+
+test('itemLabels merges tags and entities case-insensitively', () => {
+  const labels = itemLabels({ tags: ['ai'], insight_data: { tags: ['AI', 'Policy'], entities: [{ name: 'OpenAI' }, ' '] } });
+  assert.deepEqual([...labels.entries()], [
+    ['ai', { kind: 'tag', name: 'ai' }],
+    ['policy', { kind: 'tag', name: 'Policy' }],
+    ['openai', { kind: 'entity', name: 'OpenAI' }]
+  ]);
+});
+
+test('the item itself, weak matches and copies of the same article are dropped', () => {
+  const ranked = rankRelatedContent(target, [
+    candidate('target', 1, [1, 0, 0]),
+    candidate('weak', 0.2, [0, 1, 0]),
+    candidate('near-copy', 0.96, [1, 0, 0]),
+    candidate('same-hash', 0.6, [0.6, 0.8, 0], { content_hash: 'hash-target' }),
+    candidate('same-url', 0.6, [0.6, 0, 0.8], { source_url: 'http://example.com/story/' }),
+    candidate('related', 0.7, [0.7, 0.7, 0])
+  ]);
+
+  assert.deepEqual(ranked.map(item => item.id), ['related']);
+});
+
+test('shared tags and entities raise the score and explain the match', () => {
+  const ranked = rankRelatedContent(target, [
+    candidate('plain', 0.7, [0.7, 0.7, 0]),
+    candidate('shares', 0.65, [0.65, 0, 0.75], { insight_data: { tags: ['ai'], entities: ['OpenAI'] } })
+  ], { diversity: 0 });
+
+  assert.deepEqual(ranked.map(item => item.id), ['shares', 'plain']);
+  assert.equal(ranked[0].score, 0.75);
+  assert.deepEqual(ranked[0].sharedTags, ['AI']);
+  assert.deepEqual(ranked[0].sharedEntities, ['OpenAI']);
+  assert.equal(ranked[0].reason, 'You saved something similar 3 weeks ago (65% match). Both mention OpenAI. Both tagged AI.');
+});
+
+test('diversity trades closeness for variety', () => {
+  const candidates = [
+    candidate('close-a', 0.9, [0.9, 0.43, 0]),
+    candidate('close-b', 0.88, [0.88, 0.2, 0.43]),
+    candidate('different', 0.75, [0.75, -0.4, -0.53])
+  ];
+
+  assert.deepEqual(rankRelatedContent(target, candidates, { diversity: 0 }).map(item => item.id), ['close-a', 'close-b', 'different']);
+  assert.deepEqual(rankRelatedContent(target, candidates, { diversity: 0.7 }).map(item => item.id), ['close-a', 'different', 'close-b']);
+});
+
+test('at most limit items are returned', () => {
+  const candidates = Array.from({ length: 8 }, (_, i) => candidate(`item-${i}`, 0.8 - i / 100, [0.8, 0.6 - i / 20, i / 10]));
+  assert.equal(rankRelatedContent(target, candidates, { limit: 3 }).length, 3);
+});
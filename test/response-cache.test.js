@@ -0,0 +1,85 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createResponseCache, summaryKeyParts } = require('../response-cache');
+const MemoryCacheStore = require('../response-cache/memory-store');
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+test('buildKey is stable for the same parts and namespaced', () => {
+  const cache = createResponseCache({ backend: 'none' });
+  const parts = { type: 'tldr', content: 'Some text', prompt: 'tldr@1', model: 'anthropic:m' };
+
+  const key = cache.buildKey('summary', parts);
+  assert.equal(key, cache.buildKey('summary', { ...parts }));
+  assert.match(key, /^summary:[0-9a-f]{64}$/);
+  assert.notEqual(key, cache.buildKey('query-translation', parts));
+});
+
+test('buildKey changes with any part that shapes the output', () => {
+  const cache = createResponseCache({ backend: 'none' });
+  const parts = { type: 'tldr', content: 'Some text', prompt: 'tldr@1', model: 'anthropic:m' };
+  const key = cache.buildKey('summary', parts);
+
+  assert.notEqual(key, cache.buildKey('summary', { ...parts, content: 'Other text' }));
+  assert.notEqual(key, cache.buildKey('summary', { ...parts, prompt: 'tldr@2' }));
+  assert.notEqual(key, cache.buildKey('summary', { ...parts, model: 'openai:m' }));
+});
+
+test('a disabled cache misses and ignores writes', async () => {
+  const cache = createResponseCache({ backend: 'none' });
+  assert.equal(cache.enabled, false);
+  await cache.set('k', { summary: 'x' });
+  assert.equal(await cache.get('k'), null);
+});
+
+test('a failing store behaves like a miss', async () => {
+  const failing = {
+    get: async () => { throw new Error('down'); },
+    set: async () => { throw new Error('down'); },
+    delete: async () => { throw new Error('down'); }
+  };
+  const cache = createResponseCache({ store: failing });
+  await cache.set('k', { summary: 'x' });
+  assert.equal(await cache.get('k'), null);
+});
+
+test('memory store evicts the least recently used entry', async () => {
+  const store = new MemoryCacheStore({ maxEntries: 2 });
+  await store.set('a', 1, 60);
+  await store.set('b', 2, 60);
+  await store.get('a');
+  await store.set('c', 3, 60);
+
+  assert.equal(await store.get('a'), 1);
+  assert.equal(await store.get('b'), null);
+  assert.equal(await store.get('c'), 3);
+});
+
+test('memory store drops expired entries', async () => {
+  const store = new MemoryCacheStore();
+  await store.set('a', 1, -1);
+  assert.equal(await store.get('a'), null);
+});
+
+test('summary keys of multi-tab sessions include the tabs, clustered or not', () => {
+  const cache = createResponseCache({ backend: 'none' });
+  const resolved = { prompt: 'tab-clusters@1', model: 'anthropic:m', embeddingModel: 'openai:e' };
+  const request = (tabs) => ({ type: 'multi-tab-summary', format: 'text', content: '', structuredTabs: tabs });
+
+  const first = cache.buildKey('summary', summaryKeyParts(request([{ title: 'Rust async', url: 'https://a.test' }]), resolved));
+  const second = cache.buildKey('summary', summaryKeyParts(request([{ title: 'VC trends', url: 'https://b.test' }]), resolved));
+  assert.notEqual(first, second);
+
+  const unclustered = { ...resolved, prompt: 'multi-tab-summary@1', embeddingModel: null };
+  assert.notEqual(
+    cache.buildKey('summary', summaryKeyParts(request([{ title: 'Rust async' }]), unclustered)),
+    cache.buildKey('summary', summaryKeyParts(request([{ title: 'VC trends' }]), unclustered))
+  );
+});
+
+test('summary keys of other types ignore stray tabs', () => {
+  const resolved = { prompt: 'tldr@1', model: 'anthropic:m' };
+  const parts = summaryKeyParts({ type: 'tldr', format: 'text', content: 'x', structuredTabs: [{ title: 'a' }] }, resolved);
+  assert.equal(parts.structuredTabs, null);
+});
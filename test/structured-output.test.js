@@ -0,0 +1,106 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateSchema } = require('../llm/json-schema');
+const { extractJson, repairJson, parseStructuredOutput } = require('../llm/structured-output');
+const anthropic = require('../llm/providers/anthropic');
+const llm = require('../llm');
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+
+// Every completeJson call below goes to the stubbed Anthropic adapter
+process.env.LLM_MODEL_JSON_TEST = 'anthropic:claude-test';
+mock.method(anthropic, 'isConfigured', () => true);
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: { type: 'string', minLength: 1 },
+    keyPoints: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 3 },
+    sentiment: { type: 'string', enum: ['positive', 'neutral', 'negative'] },
+    score: { type: 'number' }
+  },
+  required: ['summary', 'keyPoints'],
+  additionalProperties: false
+};
+
+const VALID = { summary: 'Rates rose.', keyPoints: ['Inflation'], sentiment: 'neutral', score: 0.5 };
+
+// Adapter stub answering with the given texts in turn, recording the messages it was sent
+const answerWith = (t, texts) => {
+  const calls = [];
+  t.mock.method(anthropic, 'complete', async (options) => {
+    calls.push(options.messages);
+    return { text: texts[calls.length - 1], usage: { inputTokens: 100, outputTokens: 20 }, stopReason: 'end_turn' };
+  });
+  return calls;
+};
+
+test('validateSchema accepts a matching value', () => {
+  assert.deepEqual(validateSchema(VALID, SCHEMA), []);
+  assert.deepEqual(validateSchema({ ...VALID, score: 2 }, SCHEMA), []);
+});
+
+test('validateSchema reports every problem with its path', () => {
+  const errors = validateSchema({ summary: '  ', keyPoints: [1, 'a', 'b', 'c'], sentiment: 'angry', extra: true }, SCHEMA);
+  assert.deepEqual(errors, [
+    '$.summary should not be empty',
+    '$.keyPoints should have at most 3 items',
+    '$.keyPoints[0] should be string, got integer',
+    '$.sentiment should be one of positive, neutral, negative',
+    '$.extra is not allowed'
+  ]);
+  assert.deepEqual(validateSchema({ keyPoints: [] }, SCHEMA), ['$.summary is required', '$.keyPoints should have at least 1 items']);
+  assert.deepEqual(validateSchema([], SCHEMA), ['$ should be object, got array']);
+});
+
+test('extractJson finds the JSON inside fences and prose', () => {
+  assert.equal(extractJson('Here you go:\n```json\n{"a": 1}\n```'), '{"a": 1}');
+  assert.equal(extractJson('Result: [1, 2] done'), '[1, 2]');
+  assert.equal(extractJson('no json here'), null);
+  assert.equal(extractJson(null), null);
+});
+
+test('repairJson escapes raw newlines in strings and drops trailing commas', () => {
+  assert.deepEqual(JSON.parse(repairJson('{"a": "line one\nline two", "b": [1, 2,],}')), { a: 'line one\nline two', b: [1, 2] });
+});
+
+test('parseStructuredOutput reports repairs and schema problems', () => {
+  const repaired = parseStructuredOutput('```json\n{"summary": "Rates rose.", "keyPoints": ["Inflation",],}\n```', SCHEMA);
+  assert.equal(repaired.repaired, true);
+  assert.deepEqual(repaired.errors, []);
+
+  assert.deepEqual(parseStructuredOutput('{"summary": "x"}', SCHEMA).errors, ['$.keyPoints is required']);
+  assert.match(parseStructuredOutput('{"summary": }', SCHEMA).errors[0], /^invalid JSON/);
+  assert.deepEqual(parseStructuredOutput('Sorry, I cannot.', SCHEMA).errors, ['response contains no JSON object']);
+});
+
+test('completeJson returns valid output from the first attempt', async (t) => {
+  answerWith(t, [JSON.stringify(VALID)]);
+  const result = await llm.completeJson({ route: 'json-test', prompt: 'Summarize', schema: SCHEMA });
+
+  assert.deepEqual(result.data, VALID);
+  assert.equal(result.attempts, 1);
+  assert.equal(result.model, 'claude-test');
+});
+
+test('completeJson shows the model its mistakes and retries', async (t) => {
+  const calls = answerWith(t, ['{"summary": "Rates rose."}', JSON.stringify(VALID)]);
+  const result = await llm.completeJson({ route: 'json-test', prompt: 'Summarize', schema: SCHEMA });
+
+  assert.equal(result.attempts, 2);
+  assert.deepEqual(result.usage, { inputTokens: 200, outputTokens: 40 });
+  assert.equal(calls[1].length, 3);
+  assert.equal(calls[1][1].role, 'assistant');
+  assert.match(calls[1][2].content, /\$\.keyPoints is required/);
+});
+
+test('completeJson gives up with INVALID_OUTPUT (502) after JSON_MAX_ATTEMPTS', async (t) => {
+  const calls = answerWith(t, ['nope', 'still nope', 'never']);
+
+  await assert.rejects(
+    llm.completeJson({ route: 'json-test', prompt: 'Summarize', schema: SCHEMA }),
+    (error) => error instanceof llm.LLMError && error.type === 'invalid_output' && error.status === 502
+  );
+  assert.equal(calls.length, 2);
+});
@@ -0,0 +1,134 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const llm = require('../llm');
+const { normalizeEventDate, mergeEvents, buildTimeline, renderTimelineMarkdown } = require('../timeline');
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+const event = (date, precision, description, contentId, extra = {}) => ({
+  date, precision, description, contentId, dateText: null, quote: null, ...extra
+});
+
+const item = (id, text, timestamp = Date.UTC(2024, 5, 1)) => ({ id, title: `Item ${id}`, type: 'article', url: null, timestamp, text });
+
+test('normalizeEventDate keeps ISO dates with their precision', () => {
+  assert.deepEqual(normalizeEventDate('2024-03-05'), { date: '2024-03-05', precision: 'day' });
+  assert.deepEqual(normalizeEventDate(' 2024-03 '), { date: '2024-03', precision: 'month' });
+  assert.deepEqual(normalizeEventDate('2024'), { date: '2024', precision: 'year' });
+});
+
+test('normalizeEventDate falls back to the written date for invalid or missing ISO dates', () => {
+  assert.deepEqual(normalizeEventDate('2024-02-30', 'on March 7th, 2024'), { date: '2024-03-07', precision: 'day' });
+  assert.deepEqual(normalizeEventDate('2024-13', 'in April 2024'), { date: '2024-04', precision: 'month' });
+  assert.deepEqual(normalizeEventDate('soon', 'early 1999'), { date: '1999', precision: 'year' });
+  assert.equal(normalizeEventDate('soon', 'next week'), null);
+});
+
+test('mergeEvents merges the same happening at a compatible date and keeps the precise date', () => {
+  const merged = mergeEvents([
+    event('2024-03', 'month', 'Acme launches the Widget phone', 'a'),
+    event('2024-03-05', 'day', 'Acme Widget phone launched', 'b'),
+    event('2024-03-06', 'day', 'The Widget phone launch by Acme', 'c'),
+    event('2024-03-05', 'day', 'Acme Widget phone launches worldwide', 'b')
+  ]);
+
+  assert.equal(merged.length, 1);
+  assert.equal(merged[0].date, '2024-03-05');
+  assert.equal(merged[0].precision, 'day');
+  assert.deepEqual(merged[0].sources.map(source => source.contentId).sort(), ['a', 'b', 'c']);
+});
+
+test('mergeEvents keeps apart different happenings and dates too far apart, oldest first', () => {
+  const merged = mergeEvents([
+    event('2024-03-05', 'day', 'Acme Widget phone launched', 'a'),
+    event('2024-03-09', 'day', 'Acme Widget phone launched', 'b'),
+    event('2024-03-05', 'day', 'Regulators open antitrust probe', 'c'),
+    event('2023', 'year', 'Acme founded in Ohio', 'a')
+  ]);
+
+  assert.deepEqual(merged.map(entry => [entry.date, entry.sources.length]), [
+    ['2023', 1], ['2024-03-05', 1], ['2024-03-05', 1], ['2024-03-09', 1]
+  ]);
+});
+
+test('buildTimeline drops events without a date and quotes that are not in the item', async (t) => {
+  t.mock.method(llm, 'completeJson', async ({ prompt }) => ({
+    data: {
+      events: prompt.includes('Founded')
+        ? [
+          { date: '2023-01-10', dateText: 'January 10, 2023', event: 'Acme founded', quote: 'Founded  in January' },
+          { date: 'unknown', dateText: 'one day', event: 'Something happened', quote: '' }
+        ]
+        : [{ date: '2023-01', dateText: '', event: 'Acme was founded', quote: 'not in the text' }]
+    },
+    usage: { inputTokens: 10, outputTokens: 4 }
+  }));
+
+  const timeline = await buildTimeline({
+    items: [item('a', 'Founded in January 2023.'), item('b', 'A later profile of the company.')],
+    title: 'Acme'
+  });
+
+  assert.equal(timeline.eventCount, 1);
+  assert.equal(timeline.events[0].date, '2023-01-10');
+  assert.deepEqual(timeline.events[0].sources, [
+    { contentId: 'a', dateText: 'January 10, 2023', quote: 'Founded  in January' },
+    { contentId: 'b', dateText: null, quote: null }
+  ]);
+  assert.deepEqual(timeline.sources.map(source => source.eventCount), [1, 1]);
+  assert.deepEqual(timeline.usage, { inputTokens: 20, outputTokens: 8 });
+});
+
+test('buildTimeline skips items that fail, and fails only when every item does', async (t) => {
+  const completeJson = t.mock.method(llm, 'completeJson', async ({ prompt }) => {
+    if (prompt.includes('broken')) throw new Error('model down');
+    return { data: { events: [{ date: '2024', dateText: '2024', event: 'Acme IPO', quote: '' }] }, usage: null };
+  });
+
+  const timeline = await buildTimeline({ items: [item('a', 'fine'), item('b', 'broken')] });
+  assert.equal(timeline.skippedItems, 1);
+  assert.equal(timeline.eventCount, 1);
+
+  completeJson.mock.mockImplementation(async () => { throw new Error('model down'); });
+  await assert.rejects(buildTimeline({ items: [item('a', 'fine')] }), /model down/);
+});
+
+test('renderTimelineMarkdown groups events by year and numbers only cited items', () => {
+  const markdown = renderTimelineMarkdown({
+    title: 'Acme',
+    itemCount: 3,
+    eventCount: 3,
+    events: [
+      { date: '2023', precision: 'year', description: 'Acme founded', sources: [{ contentId: 'b' }] },
+      { date: '2024-03', precision: 'month', description: 'Widget announced', sources: [{ contentId: 'a' }] },
+      { date: '2024-03-05', precision: 'day', description: 'Widget launched', sources: [{ contentId: 'a' }, { contentId: 'b' }] }
+    ],
+    sources: [
+      { id: 'a', title: 'Launch story', url: 'https://example.com/a', eventCount: 2 },
+      { id: 'unused', title: 'Unrelated', url: null, eventCount: 0 },
+      { id: 'b', title: 'Company history', url: null, eventCount: 2 }
+    ]
+  });
+
+  assert.equal(markdown, [
+    '# Timeline: Acme',
+    '',
+    '_3 events from 3 saved items_',
+    '',
+    '## 2023',
+    '',
+    '- **2023** — Acme founded [2]',
+    '',
+    '## 2024',
+    '',
+    '- **Mar 2024** — Widget announced [1]',
+    '- **Mar 5, 2024** — Widget launched [1][2]',
+    '',
+    '## Sources',
+    '',
+    '1. [Launch story](https://example.com/a)',
+    '2. Company history',
+    ''
+  ].join('\n'));
+});
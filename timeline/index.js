@@ -0,0 +1,256 @@
+// Timelines of dated events from saved items (/api/timeline)
+// Each item's events come from the timeline-events prompt. Dates are normalized to ISO form
+// with a precision (2024-03-05 day, 2024-03 month, 2024 year), and events that different items
+// report for a compatible date in similar words are merged into one event citing every item.
+const llm = require('../llm');
+const { renderPrompt } = require('../prompts');
+const { extractDates } = require('../entities');
+const { markdownText, escapeMarkdown, markdownLink } = require('../digest/render');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIMELINE_FORMATS = ['json', 'markdown'];
+const MAX_TIMELINE_ITEMS = 12;
+const MAX_EVENTS_PER_ITEM = 15;
+const PROMPT_CONTENT_CHARS = 8000;
+const EXTRACT_CONCURRENCY = 4;
+const EXTRACT_MAX_TOKENS = 1500;
+// Share of the shorter event's words the other must have for the two to be the same event
+const MIN_EVENT_OVERLAP = 0.6;
+const MIN_SHARED_WORDS = 2;
+
+const ISO_DATE = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/;
+const PRECISIONS = { 1: 'year', 2: 'month', 3: 'day' };
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'its', 'was', 'were', 'has', 'had', 'have',
+  'are', 'been', 'into', 'over', 'after', 'before', 'about', 'their', 'his', 'her', 'they', 'which',
+  'will', 'would', 'also', 'new', 'first', 'said', 'says', 'announced', 'announces'
+]);
+
+/**
+ * Normalize an event date from the model, falling back to the date as written
+ * @param {string} date - YYYY-MM-DD, YYYY-MM or YYYY
+ * @param {string} dateText - The date as written in the item
+ * @returns {Object|null} { date, precision: 'day' | 'month' | 'year' }
+ */
+function normalizeEventDate(date, dateText = '') {
+  const match = ISO_DATE.exec(String(date).trim());
+  if (match) {
+    const [, year, month, day] = match;
+    const parts = [year, month, day].filter(Boolean);
+    const valid = !month || (Number(month) >= 1 && Number(month) <= 12
+      && (!day || new Date(Date.UTC(year, month - 1, day)).getUTCDate() === Number(day)));
+    if (valid) return { date: parts.join('-'), precision: PRECISIONS[parts.length] };
+  }
+
+  // The written date, with the same patterns as the entity index
+  const [written] = extractDates(String(dateText));
+  if (written) return { date: written.name, precision: written.name.length === 10 ? 'day' : 'month' };
+
+  const year = /\b(1[5-9]\d{2}|20\d{2}|21\d{2})\b/.exec(String(dateText));
+  return year ? { date: year[1], precision: 'year' } : null;
+}
+
+// A date and a more precise one inside it (2024-03 and 2024-03-05) can be the same event, and so
+// can neighbouring days (sources in different time zones, or reporting the day after)
+const datesCompatible = (a, b) => a.startsWith(b) || b.startsWith(a)
+  || (a.length === 10 && b.length === 10 && Math.abs(Date.parse(a) - Date.parse(b)) <= DAY_MS);
+
+// Significant words of an event description, for matching events across items
+const eventWords = (text) => new Set(text.toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(word => word.length >= 3 && !STOPWORDS.has(word))
+  .map(word => word.replace(/(?<=\w{3})s$/, '')));
+
+function sameEvent(a, b) {
+  if (!datesCompatible(a.date, b.date)) return false;
+
+  let shared = 0;
+  for (const word of a.words) if (b.words.has(word)) shared++;
+  const smaller = Math.min(a.words.size, b.words.size);
+  return shared >= Math.min(MIN_SHARED_WORDS, smaller) && smaller > 0 && shared / smaller >= MIN_EVENT_OVERLAP;
+}
+
+const collapse = (text) => text.replace(/\s+/g, ' ').trim().toLowerCase();
+
+/**
+ * Dated events reported by one item
+ * @param {Object} item - { id, title, timestamp, text (plain text) }
+ * @param {Object} userSettings - For model selection and prompt overrides
+ * @returns {Promise<Object>} { events: [{ date, precision, description, dateText, quote, contentId }], prompt, usage }
+ */
+async function extractItemEvents(item, userSettings) {
+  const text = item.text.slice(0, PROMPT_CONTENT_CHARS);
+  const prompt = renderPrompt('timeline-events', {
+    title: item.title || 'Untitled',
+    savedOn: new Date(item.timestamp || Date.now()).toISOString().split('T')[0],
+    content: text,
+    maxEvents: MAX_EVENTS_PER_ITEM
+  }, { userSettings });
+
+  const result = await llm.completeJson({
+    route: 'timeline-extraction',
+    userSettings,
+    prompt: prompt.text,
+    system: prompt.system,
+    schema: prompt.schema,
+    maxTokens: EXTRACT_MAX_TOKENS
+  });
+
+  const searchable = collapse(text);
+  const events = [];
+  for (const event of result.data.events.slice(0, MAX_EVENTS_PER_ITEM)) {
+    const date = normalizeEventDate(event.date, event.dateText);
+    if (!date) continue;
+
+    // A quote that isn't in the item isn't a citation; the event still cites the item
+    const quote = event.quote.trim();
+    events.push({
+      ...date,
+      description: event.event.trim(),
+      dateText: event.dateText.trim() || null,
+      quote: quote && searchable.includes(collapse(quote)) ? quote : null,
+      contentId: item.id
+    });
+  }
+
+  return { events, prompt, usage: result.usage };
+}
+
+/**
+ * Merge events that several items report into one event per happening, oldest first
+ * The most precise date is kept; each reporting item is cited once.
+ * @param {Array<Object>} events - From extractItemEvents
+ * @returns {Array<Object>} [{ date, precision, description, sources: [{ contentId, dateText, quote }] }]
+ */
+function mergeEvents(events) {
+  const merged = [];
+  const ordered = [...events].sort((a, b) => b.date.length - a.date.length);
+
+  for (const event of ordered) {
+    const candidate = { ...event, words: eventWords(event.description) };
+    const existing = merged.find(entry => sameEvent(entry, candidate));
+    const source = { contentId: event.contentId, dateText: event.dateText, quote: event.quote };
+
+    if (!existing) {
+      merged.push({ date: event.date, precision: event.precision, description: event.description, words: candidate.words, sources: [source] });
+      continue;
+    }
+
+    for (const word of candidate.words) existing.words.add(word);
+    if (!existing.sources.some(cited => cited.contentId === event.contentId)) {
+      existing.sources.push(source);
+    }
+  }
+
+  return merged
+    .map(({ words, ...event }) => event)
+    .sort((a, b) => a.date.localeCompare(b.date) || b.sources.length - a.sources.length);
+}
+
+/**
+ * Build a timeline from saved items
+ * @param {Object} options
+ * @param {Array<Object>} options.items - Up to MAX_TIMELINE_ITEMS: { id, title, type, url, timestamp, text }
+ * @param {string} options.title - What the timeline is about (the query or tag), or null
+ * @param {Object} options.userSettings - For model selection and prompt overrides
+ * @returns {Promise<Object>} { title, itemCount, eventCount, events, sources, skippedItems,
+ *   generatedAt, promptVersion, usage }; events cite sources by content id
+ * @throws {LLMError} When no item could be read
+ */
+async function buildTimeline({ items, title = null, userSettings = null }) {
+  const results = [];
+  for (let i = 0; i < items.length; i += EXTRACT_CONCURRENCY) {
+    results.push(...await Promise.allSettled(items.slice(i, i + EXTRACT_CONCURRENCY)
+      .map(item => extractItemEvents(item, userSettings))));
+  }
+
+  const failed = results.filter(result => result.status === 'rejected');
+  if (items.length > 0 && failed.length === items.length) {
+    throw failed[0].reason;
+  }
+  failed.forEach(result => console.error('❌ Timeline extraction failed for an item:', result.reason.message));
+
+  const extracted = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+  const events = mergeEvents(extracted.flatMap(result => result.events));
+  const eventCounts = new Map();
+  for (const event of events) {
+    for (const source of event.sources) eventCounts.set(source.contentId, (eventCounts.get(source.contentId) || 0) + 1);
+  }
+
+  console.log(`🗓️ Timeline: ${events.length} event(s) from ${items.length} item(s)`);
+
+  return {
+    title,
+    itemCount: items.length,
+    eventCount: events.length,
+    events,
+    sources: items.map(item => ({
+      id: item.id,
+      title: item.title,
+      type: item.type,
+      url: item.url || null,
+      savedAt: new Date(item.timestamp).toISOString(),
+      eventCount: eventCounts.get(item.id) || 0
+    })),
+    skippedItems: failed.length,
+    generatedAt: new Date().toISOString(),
+    promptVersion: extracted[0]?.prompt.id || null,
+    usage: extracted.reduce((total, result) => ({
+      inputTokens: total.inputTokens + (result.usage?.inputTokens || 0),
+      outputTokens: total.outputTokens + (result.usage?.outputTokens || 0)
+    }), { inputTokens: 0, outputTokens: 0 })
+  };
+}
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// "Mar 5, 2024", "Mar 2024" or "2024"
+const formatEventDate = (event) => {
+  const [year, month, day] = event.date.split('-');
+  if (event.precision === 'year') return year;
+  if (event.precision === 'month') return `${MONTHS[month - 1]} ${year}`;
+  return `${MONTHS[month - 1]} ${Number(day)}, ${year}`;
+};
+
+/**
+ * Render a timeline as Markdown, one section per year; items are cited as [1], [2], ...
+ * @param {Object} timeline - From buildTimeline
+ * @returns {string}
+ */
+function renderTimelineMarkdown(timeline) {
+  const cited = timeline.sources.filter(source => source.eventCount > 0);
+  const numberOf = new Map(cited.map((source, index) => [source.id, index + 1]));
+
+  const lines = [`# Timeline${timeline.title ? `: ${escapeMarkdown(timeline.title)}` : ''}`, ''];
+  lines.push(`_${timeline.eventCount} event${timeline.eventCount === 1 ? '' : 's'} from ${timeline.itemCount} saved item${timeline.itemCount === 1 ? '' : 's'}_`);
+
+  if (timeline.events.length === 0) {
+    lines.push('', 'No dated events were found in these items.');
+    return `${lines.join('\n')}\n`;
+  }
+
+  let year = null;
+  for (const event of timeline.events) {
+    const eventYear = event.date.slice(0, 4);
+    if (eventYear !== year) {
+      year = eventYear;
+      lines.push('', `## ${year}`, '');
+    }
+    const citations = event.sources.map(source => `[${numberOf.get(source.contentId)}]`).join('');
+    lines.push(`- **${formatEventDate(event)}** — ${markdownText(event.description)} ${citations}`);
+  }
+
+  lines.push('', '## Sources', '', ...cited.map(source => `${numberOf.get(source.id)}. ${markdownLink(source)}`));
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  TIMELINE_FORMATS,
+  MAX_TIMELINE_ITEMS,
+  normalizeEventDate,
+  mergeEvents,
+  buildTimeline,
+  renderTimelineMarkdown
+};